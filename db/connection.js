@@ -22,6 +22,19 @@ const v8Migration = require('./migrations/v8_entity_consolidation');
 const v9Migration = require('./migrations/v9_register_system');
 const v10Migration = require('./migrations/v10_configurable_content_types');
 const v11Migration = require('./migrations/v11_document_templates');
+const v12Migration = require('./migrations/v12_llm_task_routing');
+const v13Migration = require('./migrations/v13_llm_providers');
+const v14Migration = require('./migrations/v14_llm_calls');
+const v15Migration = require('./migrations/v15_llm_cache');
+const v16Migration = require('./migrations/v16_prompt_templates');
+const v17Migration = require('./migrations/v17_ask_sessions');
+const v18Migration = require('./migrations/v18_answer_verification');
+const v19Migration = require('./migrations/v19_saved_questions');
+const v20Migration = require('./migrations/v20_document_fingerprints');
+const v21Migration = require('./migrations/v21_document_versions');
+const v22Migration = require('./migrations/v22_marker_retirement');
+const v23Migration = require('./migrations/v23_document_soft_delete');
+const v24Migration = require('./migrations/v24_memo_documents');
 
 // New database location in user's home directory
 const WORKSPACE_ROOT = path.join(os.homedir(), 'ProductOwnerAI');
@@ -179,6 +192,110 @@ function runMigrations() {
   } else {
     console.log('[DB] v11 migration already applied');
   }
+
+  // v12 Per-task LLM routing
+  if (!v12Migration.isApplied(db)) {
+    console.log('[DB] Running v12 LLM Task Routing migration...');
+    v12Migration.migrate(db);
+  } else {
+    console.log('[DB] v12 migration already applied');
+  }
+
+  // v13 LLM providers
+  if (!v13Migration.isApplied(db)) {
+    console.log('[DB] Running v13 LLM Providers migration...');
+    v13Migration.migrate(db);
+  } else {
+    console.log('[DB] v13 migration already applied');
+  }
+
+  // v14 LLM call log
+  if (!v14Migration.isApplied(db)) {
+    console.log('[DB] Running v14 LLM Calls migration...');
+    v14Migration.migrate(db);
+  } else {
+    console.log('[DB] v14 migration already applied');
+  }
+
+  // v15 LLM response cache
+  if (!v15Migration.isApplied(db)) {
+    console.log('[DB] Running v15 LLM Cache migration...');
+    v15Migration.migrate(db);
+  } else {
+    console.log('[DB] v15 migration already applied');
+  }
+
+  // v16 Prompt templates
+  if (!v16Migration.isApplied(db)) {
+    console.log('[DB] Running v16 Prompt Templates migration...');
+    v16Migration.migrate(db);
+  } else {
+    console.log('[DB] v16 migration already applied');
+  }
+
+  // v17 Ask sessions
+  if (!v17Migration.isApplied(db)) {
+    console.log('[DB] Running v17 Ask Sessions migration...');
+    v17Migration.migrate(db);
+  } else {
+    console.log('[DB] v17 migration already applied');
+  }
+
+  // v18 Answer verification
+  if (!v18Migration.isApplied(db)) {
+    console.log('[DB] Running v18 Answer Verification migration...');
+    v18Migration.migrate(db);
+  } else {
+    console.log('[DB] v18 migration already applied');
+  }
+
+  // v19 Saved questions
+  if (!v19Migration.isApplied(db)) {
+    console.log('[DB] Running v19 Saved Questions migration...');
+    v19Migration.migrate(db);
+  } else {
+    console.log('[DB] v19 migration already applied');
+  }
+
+  // v20 Document fingerprints
+  if (!v20Migration.isApplied(db)) {
+    console.log('[DB] Running v20 Document Fingerprints migration...');
+    v20Migration.migrate(db);
+  } else {
+    console.log('[DB] v20 migration already applied');
+  }
+
+  // v21 Document versions
+  if (!v21Migration.isApplied(db)) {
+    console.log('[DB] Running v21 Document Versions migration...');
+    v21Migration.migrate(db);
+  } else {
+    console.log('[DB] v21 migration already applied');
+  }
+
+  // v22 Marker retirement
+  if (!v22Migration.isApplied(db)) {
+    console.log('[DB] Running v22 Marker Retirement migration...');
+    v22Migration.migrate(db);
+  } else {
+    console.log('[DB] v22 migration already applied');
+  }
+
+  // v23 Document soft delete
+  if (!v23Migration.isApplied(db)) {
+    console.log('[DB] Running v23 Document Soft Delete migration...');
+    v23Migration.migrate(db);
+  } else {
+    console.log('[DB] v23 migration already applied');
+  }
+
+  // v24 Memo documents
+  if (!v24Migration.isApplied(db)) {
+    console.log('[DB] Running v24 Memo Documents migration...');
+    v24Migration.migrate(db);
+  } else {
+    console.log('[DB] v24 migration already applied');
+  }
 }
 
 function createTables() {
@@ -0,0 +1,63 @@
+/**
+ * Migration: v12_llm_task_routing
+ * Seeds llm_configs rows for every task routed through LLMManager.
+ *
+ * v2 only seeded extraction, query and trend. Standup, translation,
+ * analysis and prompt used hard-coded models; they now get their own rows
+ * so Settings controls them too. Values mirror the previous hard-coded behaviour.
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v12] Seeding per-task LLM configs...');
+
+  // Standup used the query model before it had its own row
+  const query = db.prepare(`SELECT model_name, fallback_models FROM llm_configs WHERE task = 'query'`).get();
+
+  const seeds = [
+    ['standup', query?.model_name || 'mistral:latest', 0.3, 600, query?.fallback_models || '["deepseek-r1:7b", "gemma3:4b"]'],
+    ['translation', 'gemma2:2b', 0.2, 4000, '["mistral:latest"]'],
+    ['analysis', 'mistral:latest', 0.2, 4000, '["llama3.1:8b", "gemma2:9b"]'],
+    ['prompt', 'mistral:latest', 0.7, 4000, '["aya:8b", "llama3.2"]']
+  ];
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO llm_configs (task, model_name, temperature, max_tokens, fallback_models)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const seeded = [];
+  for (const seed of seeds) {
+    if (insert.run(...seed).changes > 0) {
+      seeded.push(seed[0]);
+    }
+  }
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v12_llm_task_routing', datetime('now'))
+  `).run();
+
+  console.log(`[Migration v12] Seeded LLM configs: ${seeded.join(', ') || 'none'}`);
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v12_llm_task_routing'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
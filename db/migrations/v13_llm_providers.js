@@ -0,0 +1,41 @@
+/**
+ * Migration v13: LLM Providers
+ *
+ * - Adds 'provider' column to llm_configs ('ollama' | 'openai' | 'chat')
+ * - Adds 'api_key_env' column naming the environment variable that holds the API key
+ *
+ * Existing rows keep talking to Ollama.
+ */
+
+function isApplied(db) {
+  try {
+    const cols = db.prepare("PRAGMA table_info(llm_configs)").all();
+    return cols.some(c => c.name === 'provider');
+  } catch (e) {
+    return false;
+  }
+}
+
+function migrate(db) {
+  const results = { columnsAdded: [] };
+
+  const columns = [
+    ['provider', "TEXT DEFAULT 'ollama'"],
+    ['api_key_env', 'TEXT']
+  ];
+
+  for (const [name, definition] of columns) {
+    try {
+      db.exec(`ALTER TABLE llm_configs ADD COLUMN ${name} ${definition}`);
+      results.columnsAdded.push(`llm_configs.${name}`);
+    } catch (e) {
+      // Column may already exist
+      if (!e.message.includes('duplicate column')) throw e;
+    }
+  }
+
+  console.log('[Migration v13] LLM providers:', JSON.stringify(results));
+  return results;
+}
+
+module.exports = { isApplied, migrate };
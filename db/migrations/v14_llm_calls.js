@@ -0,0 +1,64 @@
+/**
+ * Migration: v14_llm_calls
+ * Adds llm_calls table: one row per model attempt made by LLMManager
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v14] Creating llm_calls table...');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task TEXT NOT NULL,
+      provider TEXT,
+      model TEXT NOT NULL,
+      primary_model TEXT,
+      fallback_index INTEGER DEFAULT 0,
+      streamed INTEGER DEFAULT 0,
+      prompt_chars INTEGER DEFAULT 0,
+      response_chars INTEGER DEFAULT 0,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      cost REAL DEFAULT 0,
+      status TEXT NOT NULL,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_llm_calls_created
+      ON llm_calls(created_at DESC);
+
+    CREATE INDEX IF NOT EXISTS idx_llm_calls_task
+      ON llm_calls(task);
+  `);
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v14_llm_calls', datetime('now'))
+  `).run();
+
+  console.log('[Migration v14] llm_calls table created');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v14_llm_calls'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
@@ -0,0 +1,56 @@
+/**
+ * Migration: v15_llm_cache
+ * Adds llm_cache table for LLMManager's opt-in response cache
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v15] Creating llm_cache table...');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_cache (
+      cache_key TEXT PRIMARY KEY,
+      task TEXT NOT NULL,
+      model TEXT NOT NULL,
+      response TEXT NOT NULL,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      sources_json TEXT,
+      source_version TEXT,
+      hit_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_hit_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_llm_cache_task
+      ON llm_cache(task);
+  `);
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v15_llm_cache', datetime('now'))
+  `).run();
+
+  console.log('[Migration v15] llm_cache table created');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v15_llm_cache'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
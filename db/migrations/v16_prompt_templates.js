@@ -0,0 +1,56 @@
+/**
+ * Migration: v16_prompt_templates
+ * Adds prompt_templates table for versioned prompts edited in Settings
+ *
+ * Only edited versions are stored; the built-in prompts in
+ * services/prompt-defaults.js act as version 0 of every key.
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v16] Creating prompt_templates table...');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      note TEXT,
+      is_active INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(key, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_prompt_templates_active
+      ON prompt_templates(key, is_active);
+  `);
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v16_prompt_templates', datetime('now'))
+  `).run();
+
+  console.log('[Migration v16] prompt_templates table created');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v16_prompt_templates'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
@@ -0,0 +1,74 @@
+/**
+ * Migration: v17_ask_sessions
+ * Adds ask_sessions table and links question_history rows to it
+ *
+ * Each Ask question becomes a turn of a session. Follow-up turns store the
+ * standalone question they were rewritten into, which is what retrieval used.
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v17] Creating ask_sessions table...');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ask_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      rte_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (rte_id) REFERENCES rtes(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ask_sessions_updated
+      ON ask_sessions(updated_at DESC);
+  `);
+
+  const columns = [
+    ['session_id', 'INTEGER REFERENCES ask_sessions(id)'],
+    ['turn_index', 'INTEGER DEFAULT 0'],
+    ['standalone_question', 'TEXT']
+  ];
+
+  for (const [name, definition] of columns) {
+    try {
+      db.exec(`ALTER TABLE question_history ADD COLUMN ${name} ${definition}`);
+    } catch (e) {
+      // Column may already exist
+      if (!e.message.includes('duplicate column')) throw e;
+    }
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_question_history_session
+      ON question_history(session_id, turn_index);
+  `);
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v17_ask_sessions', datetime('now'))
+  `).run();
+
+  console.log('[Migration v17] ask_sessions table created');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v17_ask_sessions'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
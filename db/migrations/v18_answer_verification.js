@@ -0,0 +1,41 @@
+/**
+ * Migration v18: Answer Verification
+ *
+ * - Adds 'groundedness' column to question_history (0-1, null when the answer makes no claims)
+ * - Adds 'verification_json' column with the per-sentence citation checks
+ *
+ * Existing history rows stay unverified.
+ */
+
+function isApplied(db) {
+  try {
+    const cols = db.prepare("PRAGMA table_info(question_history)").all();
+    return cols.some(c => c.name === 'groundedness');
+  } catch (e) {
+    return false;
+  }
+}
+
+function migrate(db) {
+  const results = { columnsAdded: [] };
+
+  const columns = [
+    ['groundedness', 'REAL'],
+    ['verification_json', 'TEXT']
+  ];
+
+  for (const [name, definition] of columns) {
+    try {
+      db.exec(`ALTER TABLE question_history ADD COLUMN ${name} ${definition}`);
+      results.columnsAdded.push(`question_history.${name}`);
+    } catch (e) {
+      // Column may already exist
+      if (!e.message.includes('duplicate column')) throw e;
+    }
+  }
+
+  console.log('[Migration v18] Answer verification:', JSON.stringify(results));
+  return results;
+}
+
+module.exports = { isApplied, migrate };
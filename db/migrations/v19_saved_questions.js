@@ -0,0 +1,74 @@
+/**
+ * Migration: v19_saved_questions
+ * Adds saved_questions (pinned Ask questions with a schedule) and
+ * saved_question_runs (every answer, with its diff against the run before)
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v19] Creating saved_questions tables...');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS saved_questions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      question TEXT NOT NULL,
+      schedule TEXT NOT NULL DEFAULT 'daily',
+      filters_json TEXT,
+      is_active INTEGER DEFAULT 1,
+      last_run_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS saved_question_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      saved_question_id INTEGER NOT NULL,
+      history_id INTEGER,
+      trigger TEXT DEFAULT 'scheduled',
+      status TEXT NOT NULL,
+      error TEXT,
+      answer TEXT,
+      evidence_json TEXT,
+      model TEXT,
+      confidence REAL,
+      groundedness REAL,
+      changed INTEGER DEFAULT 0,
+      answer_diff TEXT,
+      evidence_changes_json TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (saved_question_id) REFERENCES saved_questions(id),
+      FOREIGN KEY (history_id) REFERENCES question_history(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_saved_question_runs_question
+      ON saved_question_runs(saved_question_id, id DESC);
+  `);
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v19_saved_questions', datetime('now'))
+  `).run();
+
+  console.log('[Migration v19] saved_questions tables created');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v19_saved_questions'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
@@ -0,0 +1,58 @@
+/**
+ * Migration: v20_document_fingerprints
+ * Adds content_hash and content_minhash to rte_documents for duplicate
+ * detection on ingest, and fingerprints the documents already stored
+ */
+
+const { fingerprint } = require('../../services/document-fingerprint');
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v20] Adding document fingerprints...');
+
+  for (const column of ['content_hash TEXT', 'content_minhash TEXT']) {
+    try {
+      db.exec(`ALTER TABLE rte_documents ADD COLUMN ${column}`);
+    } catch (e) {
+      if (!e.message.includes('duplicate column')) throw e;
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_rte_documents_content_hash ON rte_documents(content_hash)');
+
+  const documents = db.prepare('SELECT id, raw_content FROM rte_documents WHERE content_hash IS NULL').all();
+  const update = db.prepare('UPDATE rte_documents SET content_hash = ?, content_minhash = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const doc of documents) {
+      const { hash, minhash } = fingerprint(doc.raw_content || '');
+      update.run(hash, minhash, doc.id);
+    }
+  })();
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v20_document_fingerprints', datetime('now'))
+  `).run();
+
+  console.log(`[Migration v20] Fingerprinted ${documents.length} documents`);
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v20_document_fingerprints'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
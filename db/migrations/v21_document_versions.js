@@ -0,0 +1,83 @@
+/**
+ * Migration: v21_document_versions
+ * Adds document_versions (every revision of a document's file, with where the
+ * change came from) and records the current state of each document as its
+ * first version
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v21] Creating document_versions table...');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS document_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      document_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      title TEXT,
+      content TEXT,
+      full_content TEXT,
+      content_hash TEXT,
+      word_count INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (document_id) REFERENCES rte_documents(id) ON DELETE CASCADE,
+      UNIQUE(document_id, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_document_versions_document
+      ON document_versions(document_id, version DESC);
+  `);
+
+  // Baseline: what each document looks like now, file text included when the file is still there
+  const documents = db.prepare(`
+    SELECT d.id, d.filepath, d.title, d.raw_content, d.word_count
+    FROM rte_documents d
+    WHERE NOT EXISTS (SELECT 1 FROM document_versions v WHERE v.document_id = d.id)
+  `).all();
+  const insert = db.prepare(`
+    INSERT INTO document_versions (document_id, version, source, title, content, full_content, content_hash, word_count)
+    VALUES (?, 1, 'baseline', ?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const doc of documents) {
+      let fullContent = null;
+      try {
+        if (doc.filepath && fs.existsSync(doc.filepath)) fullContent = fs.readFileSync(doc.filepath, 'utf-8');
+      } catch (e) { /* unreadable file: the stored text is the baseline */ }
+      const hash = crypto.createHash('sha256').update(fullContent ?? doc.raw_content ?? '').digest('hex');
+      insert.run(doc.id, doc.title, doc.raw_content, fullContent, hash, doc.word_count);
+    }
+  })();
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v21_document_versions', datetime('now'))
+  `).run();
+
+  console.log(`[Migration v21] document_versions table created, ${documents.length} baselines recorded`);
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v21_document_versions'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
@@ -0,0 +1,46 @@
+/**
+ * Migration: v22_marker_retirement
+ * Adds retired_at to semantic_markers. A marker whose text is deleted from
+ * its document is retired instead of dropped, so its owner, due date,
+ * severity and responses stay on record
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v22] Adding marker retirement...');
+
+  const markerCols = db.prepare(`PRAGMA table_info(semantic_markers)`).all().map(c => c.name);
+  if (!markerCols.includes('retired_at')) {
+    db.exec(`ALTER TABLE semantic_markers ADD COLUMN retired_at DATETIME`);
+    console.log('[Migration v22] Added retired_at to semantic_markers');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_markers_retired ON semantic_markers(retired_at)');
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v22_marker_retirement', datetime('now'))
+  `).run();
+
+  console.log('[Migration v22] Marker retirement ready');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v22_marker_retirement'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
@@ -0,0 +1,47 @@
+/**
+ * Migration: v23_document_soft_delete
+ * Adds deleted_at to rte_documents. A document whose file is deleted outside
+ * the app keeps its row, so its retired markers (with their owners and
+ * responses) and its version history stay; the row is left out of lists
+ * and counts, and comes back if the file does
+ */
+
+/**
+ * Run the migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function migrate(db) {
+  console.log('[Migration v23] Adding document soft delete...');
+
+  const documentCols = db.prepare(`PRAGMA table_info(rte_documents)`).all().map(c => c.name);
+  if (!documentCols.includes('deleted_at')) {
+    db.exec(`ALTER TABLE rte_documents ADD COLUMN deleted_at DATETIME`);
+    console.log('[Migration v23] Added deleted_at to rte_documents');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_rte_documents_deleted ON rte_documents(deleted_at)');
+
+  // Mark migration as complete
+  db.prepare(`
+    INSERT OR REPLACE INTO migrations (name, applied_at) VALUES ('v23_document_soft_delete', datetime('now'))
+  `).run();
+
+  console.log('[Migration v23] Document soft delete ready');
+}
+
+/**
+ * Check if migration has been applied
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean}
+ */
+function isApplied(db) {
+  try {
+    const result = db.prepare(`
+      SELECT 1 FROM migrations WHERE name = 'v23_document_soft_delete'
+    `).get();
+    return !!result;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { migrate, isApplied };
@@ -0,0 +1,35 @@
+/**
+ * Migration v24: Memo Documents
+ *
+ * - Adds 'memo_document_id' column to question_history: the document an
+ *   answer was exported to as a decision memo, so exporting it again updates
+ *   that memo instead of adding another
+ *
+ * Memos exported before stay unlinked.
+ */
+
+function isApplied(db) {
+  try {
+    const cols = db.prepare("PRAGMA table_info(question_history)").all();
+    return cols.some(c => c.name === 'memo_document_id');
+  } catch (e) {
+    return false;
+  }
+}
+
+function migrate(db) {
+  const results = { columnsAdded: [] };
+
+  try {
+    db.exec('ALTER TABLE question_history ADD COLUMN memo_document_id INTEGER');
+    results.columnsAdded.push('question_history.memo_document_id');
+  } catch (e) {
+    // Column may already exist
+    if (!e.message.includes('duplicate column')) throw e;
+  }
+
+  console.log('[Migration v24] Memo documents:', JSON.stringify(results));
+  return results;
+}
+
+module.exports = { isApplied, migrate };
@@ -296,7 +296,8 @@ app.get('/api/health', async (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       database: dbStatus,
-      ollama: ollamaStatus
+      ollama: ollamaStatus,
+      mockLlm: getLLMManager().mockMode
     },
     stats: {
       documents: docCount
@@ -333,6 +334,7 @@ app.post('/api/onboarding/complete', (req, res) => {
     // Initialize LLM Manager
     const llmManager = getLLMManager();
     console.log('[LLM] Manager initialized');
+    llmManager.startHealthMonitor();
 
     // Initialize SQLite Vector Search (embedded, no server needed)
     const vectorSearch = getSqliteVectorSearch();
@@ -351,6 +353,22 @@ app.post('/api/onboarding/complete', (req, res) => {
     console.error('[Backup] Service initialization failed:', error.message);
   }
 
+  // Initialize saved questions (scheduled Ask re-runs)
+  try {
+    const savedQuestions = require('./services/saved-questions');
+    savedQuestions.init();
+  } catch (error) {
+    console.error('[SavedQuestions] Service initialization failed:', error.message);
+  }
+
+  // Watch RTE workspaces for Markdown files edited outside the app
+  try {
+    const workspaceWatcher = require('./services/workspace-watcher');
+    workspaceWatcher.start();
+  } catch (error) {
+    console.error('[Watcher] Service initialization failed:', error.message);
+  }
+
   // Initialize extraction worker (Intelligence System v2)
   try {
     const { getInstance: getExtractionWorker } = require('./services/extraction-worker');
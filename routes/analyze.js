@@ -12,7 +12,10 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
-const { getVectorSearch } = require('../services/sqlite-vector-search');
+const { getInstance: getVectorSearch } = require('../services/sqlite-vector-search');
+const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
+const { openSseStream } = require('../services/sse-stream');
 
 // Ollama configuration
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
@@ -42,106 +45,40 @@ let lastAnalysisSession = {
 // SSE clients listening for progress updates
 let progressClients = [];
 
-// Analysis type templates
+// Analysis types; their instructions are the analysis.<type> prompt templates
 const ANALYSIS_TEMPLATES = {
   architecture: {
     name: 'Architecture Document',
     icon: '🏗️',
-    prompt: `Je bent een enterprise architect die documentatie analyseert.
-
-Analyseer dit document en extraheer de volgende secties. Gebruik EXACT deze kopjes:
-
-## Samenvatting
-(3-5 zinnen over het document)
-
-## Systemen & Componenten
-Lijst alle systemen als bullet points met bold naam:
-- **Systeemnaam**: beschrijving
-
-## Actoren
-Lijst alle actoren (teams, rollen, organisaties) als:
-- **Actornaam**: beschrijving of rol
-
-## Relaties
-Lijst alle koppelingen tussen systemen als:
-- **Systeem A** → **Systeem B**: type verbinding
-
-## Beslissingen
-Lijst belangrijke beslissingen met rationale
-
-## Risico's
-Lijst risico's en aandachtspunten
-
-## Implementatie
-Praktische overwegingen
-
-Wees uitgebreid. Gebruik Nederlandse termen waar van toepassing.`,
+    promptKey: 'analysis.architecture',
     entityTypes: ['system', 'component', 'team', 'interface']
   },
   
   strategy: {
     name: 'Strategy Document',
     icon: '🎯',
-    prompt: `Je bent een strategisch adviseur die beleidsdocumenten analyseert.
-
-Analyseer dit document en extraheer:
-
-1. **Samenvatting** (3-5 zinnen)
-2. **Strategische Doelen** (korte en lange termijn)
-3. **Prioriteiten** (met onderbouwing)
-4. **Beslissingen** (wat is besloten en waarom)
-5. **Stakeholders** (wie zijn betrokken)
-6. **Afhankelijkheden** (wat moet eerst)
-7. **Risico's & Mitigaties**
-8. **Volgende Stappen**
-
-Formatteer als Markdown met duidelijke koppen.`,
+    promptKey: 'analysis.strategy',
     entityTypes: ['goal', 'stakeholder', 'decision', 'risk']
   },
   
   meeting: {
     name: 'Meeting Notes',
     icon: '📋',
-    prompt: `Je bent een project manager die vergadernotities analyseert.
-
-Analyseer dit document en extraheer:
-
-1. **Samenvatting** (3-5 zinnen - waar ging het over)
-2. **Aanwezigen** (personen en hun rol)
-3. **Actiepunten** (wie, wat, wanneer)
-4. **Beslissingen** (wat is er besloten)
-5. **Open Vragen** (onbeantwoorde zaken)
-6. **Risico's/Blokkades** (wat houdt zaken tegen)
-7. **Volgende Stappen**
-
-Formatteer als Markdown. Gebruik checkboxes voor acties: - [ ] Actie`,
+    promptKey: 'analysis.meeting',
     entityTypes: ['person', 'action', 'decision', 'blocker']
   },
   
   requirements: {
     name: 'Requirements Document',
     icon: '📝',
-    prompt: `Je bent een business analyst die requirements analyseert.
-
-Analyseer dit document en extraheer:
-
-1. **Samenvatting** (wat wordt er gebouwd)
-2. **Functionele Requirements** (wat moet het doen)
-3. **Non-Functionele Requirements** (performance, security, etc)
-4. **Actoren/Gebruikers** (wie gebruikt het)
-5. **Systemen & Interfaces** (waarmee integreert het)
-6. **Constraints** (beperkingen)
-7. **Acceptatiecriteria** (wanneer is het af)
-8. **Open Punten**
-
-Formatteer als Markdown met genummerde items waar gepast.`,
+    promptKey: 'analysis.requirements',
     entityTypes: ['requirement', 'user', 'system', 'constraint']
   },
   
   custom: {
     name: 'Custom Analysis',
     icon: '⚡',
-    prompt: `Analyseer dit document.`,
+    promptKey: 'analysis.custom',
     entityTypes: []
   }
 };
@@ -288,15 +225,7 @@ router.post('/retry-chunk', async (req, res) => {
   }
   
   try {
-    const chunkPrompt = `${template.prompt}
-
-Dit is DEEL ${chunkIndex + 1} van ${chunks.length} van een groot document.
-Focus op het extraheren van alle systemen, actoren en relaties uit dit deel.
-
-${customInstructions ? `Aanvullende instructies: ${customInstructions}\n` : ''}
----
-DOCUMENT DEEL ${chunkIndex + 1}/${chunks.length}:
-${chunks[chunkIndex]}`;
+    const chunkPrompt = buildChunkPrompt(template, customInstructions, chunks, chunkIndex);
 
     const chunkResult = await callOllama(model, chunkPrompt);
     
@@ -310,7 +239,7 @@ ${chunks[chunkIndex]}`;
     }
     
     // Extract entities from this chunk
-    const chunkEntities = extractEntitiesFromAnalysis(chunkResult.response, template.entityTypes);
+    const chunkEntities = await extractAnalysisEntities(chunkResult.response, template.entityTypes, model);
     
     // Store for session
     lastAnalysisSession.chunkAnalyses[chunkIndex] = chunkResult.response;
@@ -416,270 +345,293 @@ router.get('/last', (req, res) => {
  * Body:
  *   - content: Document content (required)
  *   - analysisType: 'architecture' | 'strategy' | 'meeting' | 'requirements' | 'custom'
- *   - model: Ollama model to use (default: mistral:7b)
+ *   - model: Ollama model to use (default: the 'analysis' model from llm_configs)
  *   - customInstructions: Additional user instructions
  *   - filename: Optional filename for saving
+ *   - cache: false to bypass the LLM response cache
  */
 router.post('/', async (req, res) => {
-  const { 
-    content, 
-    analysisType = 'architecture', 
-    model = 'mistral:latest',
-    customInstructions = '',
-    filename = null
-  } = req.body;
+  const { content } = req.body;
 
   if (!content || content.trim().length === 0) {
     return res.status(400).json({ error: 'Document content is required' });
   }
 
-  const startTime = Date.now();
-  const template = ANALYSIS_TEMPLATES[analysisType] || ANALYSIS_TEMPLATES.custom;
-
-  // Chunk threshold: ~20K chars is about 5K tokens, leaving room for prompt and response
-  const CHUNK_THRESHOLD = 20000;
-  const MAX_CHUNK_SIZE = 15000;
-
   try {
-    let finalAnalysis = '';
-    let allEntities = { systems: [], actors: [], relationships: [], decisions: [], actions: [] };
-    let chunkCount = 1;
-
-    if (content.length > CHUNK_THRESHOLD) {
-      // Large document - split into chunks
-      const chunks = splitDocumentIntoChunks(content, MAX_CHUNK_SIZE);
-      chunkCount = chunks.length;
-      console.log(`[Analyze] Large document (${content.length} chars) - splitting into ${chunks.length} chunks`);
-
-      // Initialize progress tracking
-      analysisProgress = {
-        active: true,
-        startTime: startTime,
-        totalChunks: chunks.length,
-        currentChunk: 0,
-        chunkResults: chunks.map((_, i) => ({
-          chunk: i + 1,
-          status: 'pending',
-          systems: 0,
-          actors: 0,
-          relationships: 0
-        })),
-        filename: filename,
-        model: model
-      };
-      broadcastProgress();
+    const result = await runAnalysis(req.body);
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+    res.json(result);
 
-      // Initialize retry session storage
-      lastAnalysisSession = {
-        chunks: chunks,
-        chunkAnalyses: new Array(chunks.length).fill(null),
-        chunkEntities: new Array(chunks.length).fill(null),
-        model: model,
-        template: template,
-        customInstructions: customInstructions,
-        filename: filename
-      };
+  } catch (error) {
+    console.error('[Analyze] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const chunkResults = [];
+/**
+ * POST /api/analyze/stream
+ * Same as POST /api/analyze, but streams the analysis as Server-Sent Events.
+ * For chunked documents each token event carries the part it belongs to
+ * (1..n, or 'summary'). The final 'complete' event carries the full result.
+ */
+router.post('/stream', async (req, res) => {
+  const { content } = req.body;
 
-      for (let i = 0; i < chunks.length; i++) {
-        console.log(`[Analyze] Processing chunk ${i + 1}/${chunks.length} (${chunks[i].length} chars)`);
-        
-        // Update progress: mark current chunk as in-progress
-        analysisProgress.currentChunk = i + 1;
-        analysisProgress.chunkResults[i].status = 'processing';
-        broadcastProgress();
-        
-        const chunkPrompt = `${template.prompt}
-
-Dit is DEEL ${i + 1} van ${chunks.length} van een groot document.
-Focus op het extraheren van alle systemen, actoren en relaties uit dit deel.
-
-${customInstructions ? `Aanvullende instructies: ${customInstructions}\n` : ''}
----
-DOCUMENT DEEL ${i + 1}/${chunks.length}:
-${chunks[i]}`;
-
-        const chunkResult = await callOllama(model, chunkPrompt);
-        if (chunkResult.error) {
-          console.error(`[Analyze] Chunk ${i + 1} failed:`, chunkResult.error);
-          // Update progress: mark as failed
-          analysisProgress.chunkResults[i].status = 'failed';
-          broadcastProgress();
-          continue;
-        }
+  if (!content || content.trim().length === 0) {
+    return res.status(400).json({ error: 'Document content is required' });
+  }
 
-        chunkResults.push({
-          part: i + 1,
-          analysis: chunkResult.response
-        });
+  const stream = openSseStream(req, res);
 
-        // Extract entities from this chunk
-        const chunkEntities = extractEntitiesFromAnalysis(chunkResult.response, template.entityTypes);
-        mergeEntities(allEntities, chunkEntities);
-        
-        // Store for retry functionality
-        lastAnalysisSession.chunkAnalyses[i] = chunkResult.response;
-        lastAnalysisSession.chunkEntities[i] = chunkEntities;
-        
-        // Update progress: mark as done with entity counts
-        analysisProgress.chunkResults[i].status = 'done';
-        analysisProgress.chunkResults[i].systems = chunkEntities.systems?.length || 0;
-        analysisProgress.chunkResults[i].actors = chunkEntities.actors?.length || 0;
-        analysisProgress.chunkResults[i].relationships = chunkEntities.relationships?.length || 0;
-        broadcastProgress();
-      }
+  try {
+    const result = await runAnalysis(req.body, { onToken: stream.token, signal: stream.signal });
+    if (result.error) {
+      return stream.error(`${result.error} (${result.details})`);
+    }
+    stream.complete({ response: result.analysis, ...result });
+  } catch (error) {
+    console.error('[Analyze] Stream error:', error);
+    stream.error(error.message);
+  }
+});
 
-      // Combine chunk results
-      if (chunkResults.length > 0) {
-        // Create a merged analysis with clear sections
-        finalAnalysis = `# Analyse van ${filename || 'Document'}\n\n`;
-        finalAnalysis += `*Document geanalyseerd in ${chunks.length} delen*\n\n`;
-        
-        // If we have more than 2 chunks, create a summary first
-        if (chunkResults.length > 2) {
-          console.log(`[Analyze] Creating summary from ${chunkResults.length} chunk analyses`);
-          const summaryPrompt = `Je hebt een groot document geanalyseerd in ${chunkResults.length} delen.
-Hier zijn de analyses van elk deel. Maak een samenhangende samenvatting met:
+/**
+ * Analyze a document, chunking it when it is too large for one call
+ * @param {object} body - Request body (content, analysisType, model, customInstructions, filename)
+ * @param {object|null} streamOptions - { onToken, signal } to stream the analysis
+ * @returns {Promise<object>} Result data, or { error, details } when the model fails
+ */
+async function runAnalysis(body, streamOptions = null) {
+  const { 
+    content, 
+    analysisType = 'architecture', 
+    customInstructions = '',
+    filename = null
+  } = body;
 
-## Samenvatting
-(Belangrijkste punten uit het hele document)
+  const startTime = Date.now();
+  const template = ANALYSIS_TEMPLATES[analysisType] || ANALYSIS_TEMPLATES.custom;
+  const model = body.model || getLLMManager().getTaskConfig('analysis').model;
+  const useCache = body.cache !== false;
+  // metadata.cached is only true when every LLM call was answered from the cache
+  let llmCalls = 0;
+  let cacheHits = 0;
+  const countCall = (result) => {
+    llmCalls++;
+    if (result.cached) cacheHits++;
+    return result;
+  };
 
-## Alle Systemen & Componenten
-(Verzamel alle systemen uit alle delen, verwijder duplicaten)
+  // Chunk threshold: ~20K chars is about 5K tokens, leaving room for prompt and response
+  const CHUNK_THRESHOLD = 20000;
+  const MAX_CHUNK_SIZE = 15000;
 
-## Alle Actoren
-(Verzamel alle actoren uit alle delen, verwijder duplicaten)
+  let finalAnalysis = '';
+  let allEntities = { systems: [], actors: [], relationships: [], decisions: [], actions: [] };
+  let chunkCount = 1;
+
+  if (content.length > CHUNK_THRESHOLD) {
+    // Large document - split into chunks
+    const chunks = splitDocumentIntoChunks(content, MAX_CHUNK_SIZE);
+    chunkCount = chunks.length;
+    console.log(`[Analyze] Large document (${content.length} chars) - splitting into ${chunks.length} chunks`);
+
+    // Initialize progress tracking
+    analysisProgress = {
+      active: true,
+      startTime: startTime,
+      totalChunks: chunks.length,
+      currentChunk: 0,
+      chunkResults: chunks.map((_, i) => ({
+        chunk: i + 1,
+        status: 'pending',
+        systems: 0,
+        actors: 0,
+        relationships: 0
+      })),
+      filename: filename,
+      model: model
+    };
+    broadcastProgress();
 
-## Alle Relaties
-(Verzamel alle relaties/koppelingen uit alle delen)
+    // Initialize retry session storage
+    lastAnalysisSession = {
+      chunks: chunks,
+      chunkAnalyses: new Array(chunks.length).fill(null),
+      chunkEntities: new Array(chunks.length).fill(null),
+      model: model,
+      template: template,
+      customInstructions: customInstructions,
+      filename: filename
+    };
 
-## Belangrijkste Beslissingen
+    const chunkResults = [];
 
-## Risico's
+    for (let i = 0; i < chunks.length; i++) {
+      console.log(`[Analyze] Processing chunk ${i + 1}/${chunks.length} (${chunks[i].length} chars)`);
+      
+      // Update progress: mark current chunk as in-progress
+      analysisProgress.currentChunk = i + 1;
+      analysisProgress.chunkResults[i].status = 'processing';
+      broadcastProgress();
+      
+      const chunkPrompt = buildChunkPrompt(template, customInstructions, chunks, i);
 
----
-DEELANALYSES:
+      const chunkResult = countCall(await callOllama(model, chunkPrompt, withPart(streamOptions, i + 1), useCache));
+      if (chunkResult.error) {
+        console.error(`[Analyze] Chunk ${i + 1} failed:`, chunkResult.error);
+        // Update progress: mark as failed
+        analysisProgress.chunkResults[i].status = 'failed';
+        broadcastProgress();
+        continue;
+      }
 
-${chunkResults.map(r => `### Deel ${r.part}\n${r.analysis}`).join('\n\n---\n\n')}`;
+      chunkResults.push({
+        part: i + 1,
+        analysis: chunkResult.response
+      });
 
-          const summaryResult = await callOllama(model, summaryPrompt);
-          if (!summaryResult.error) {
-            finalAnalysis = summaryResult.response;
-            // Keep the merged chunk entities - don't re-extract from summary
-            // (summary is condensed narrative, loses entity details)
-          } else {
-            // Fallback: just concatenate
-            finalAnalysis += chunkResults.map(r => 
-              `## Deel ${r.part}\n\n${r.analysis}`
-            ).join('\n\n---\n\n');
-          }
-        } else {
-          // Just 1-2 chunks, combine directly
-          finalAnalysis += chunkResults.map(r => r.analysis).join('\n\n---\n\n');
-        }
-      }
-    } else {
-      // Small document - analyze in one go
-      let fullPrompt = template.prompt;
+      // Extract entities from this chunk
+      const chunkEntities = await extractAnalysisEntities(chunkResult.response, template.entityTypes, model);
+      mergeEntities(allEntities, chunkEntities);
       
-      if (customInstructions.trim()) {
-        fullPrompt += `\n\nAanvullende instructies van gebruiker:\n${customInstructions}`;
-      }
+      // Store for retry functionality
+      lastAnalysisSession.chunkAnalyses[i] = chunkResult.response;
+      lastAnalysisSession.chunkEntities[i] = chunkEntities;
       
-      fullPrompt += `\n\n---\nDOCUMENT:\n${content}`;
-
-      console.log(`[Analyze] Starting ${analysisType} analysis with ${model} (${content.length} chars)`);
+      // Update progress: mark as done with entity counts
+      analysisProgress.chunkResults[i].status = 'done';
+      analysisProgress.chunkResults[i].systems = chunkEntities.systems?.length || 0;
+      analysisProgress.chunkResults[i].actors = chunkEntities.actors?.length || 0;
+      analysisProgress.chunkResults[i].relationships = chunkEntities.relationships?.length || 0;
+      broadcastProgress();
+    }
 
-      const result = await callOllama(model, fullPrompt);
+    // Combine chunk results
+    if (chunkResults.length > 0) {
+      // Create a merged analysis with clear sections
+      finalAnalysis = `# Analyse van ${filename || 'Document'}\n\n`;
+      finalAnalysis += `*Document geanalyseerd in ${chunks.length} delen*\n\n`;
       
-      if (result.error) {
-        return res.status(500).json({ 
-          error: `Model ${model} failed. Is it installed? Try: ollama pull ${model}`,
-          details: result.error
+      // If we have more than 2 chunks, create a summary first
+      if (chunkResults.length > 2) {
+        console.log(`[Analyze] Creating summary from ${chunkResults.length} chunk analyses`);
+        const summaryPrompt = getPromptTemplates().render('analysis.summary', {
+          part_count: chunkResults.length,
+          analyses: chunkResults.map(r => `### Deel ${r.part}\n${r.analysis}`).join('\n\n---\n\n')
         });
-      }
 
-      finalAnalysis = result.response;
-      allEntities = extractEntitiesFromAnalysis(finalAnalysis, template.entityTypes);
+        const summaryResult = countCall(await callOllama(model, summaryPrompt, withPart(streamOptions, 'summary'), useCache));
+        if (!summaryResult.error) {
+          finalAnalysis = summaryResult.response;
+          // Keep the merged chunk entities - don't re-extract from summary
+          // (summary is condensed narrative, loses entity details)
+        } else {
+          // Fallback: just concatenate
+          finalAnalysis += chunkResults.map(r => 
+            `## Deel ${r.part}\n\n${r.analysis}`
+          ).join('\n\n---\n\n');
+        }
+      } else {
+        // Just 1-2 chunks, combine directly
+        finalAnalysis += chunkResults.map(r => r.analysis).join('\n\n---\n\n');
+      }
     }
+  } else {
+    // Small document - analyze in one go
+    const prompts = getPromptTemplates();
+    const fullPrompt = prompts.render('analysis.document', {
+      instructions: prompts.render(template.promptKey),
+      custom_instructions: customInstructions,
+      content
+    });
 
-    const processingTime = Date.now() - startTime;
-
-    // Mark analysis as complete
-    analysisProgress.active = false;
-    broadcastProgress();
-
-    console.log(`[Analyze] Complete in ${processingTime}ms (${chunkCount} chunks)`);
-    console.log(`[Analyze] Response length: ${finalAnalysis.length} chars`);
-    console.log(`[Analyze] Extracted: ${allEntities.systems.length} systems, ${allEntities.actors.length} actors, ${allEntities.relationships.length} relationships`);
+    console.log(`[Analyze] Starting ${analysisType} analysis with ${model} (${content.length} chars)`);
 
-    // Auto-save results to disk (in case of network issues)
-    const resultData = {
-      success: true,
-      analysis: finalAnalysis,
-      metadata: {
-        model,
-        analysisType,
-        processingTimeMs: processingTime,
-        inputLength: content.length,
-        outputLength: finalAnalysis.length,
-        chunks: chunkCount,
-        timestamp: new Date().toISOString()
-      },
-      entities: allEntities,
-      filename
-    };
+    const result = countCall(await callOllama(model, fullPrompt, streamOptions, useCache));
     
-    try {
-      const fs = require('fs');
-      const path = require('path');
-      const resultsDir = path.join(__dirname, '..', 'data', 'analysis-results');
-      if (!fs.existsSync(resultsDir)) {
-        fs.mkdirSync(resultsDir, { recursive: true });
-      }
-      const resultFile = path.join(resultsDir, `analysis-${Date.now()}.json`);
-      fs.writeFileSync(resultFile, JSON.stringify(resultData, null, 2));
-      console.log(`[Analyze] Results saved to ${resultFile}`);
-    } catch (saveErr) {
-      console.error('[Analyze] Failed to save results:', saveErr.message);
+    if (result.error) {
+      return {
+        error: `Model ${model} failed. Is it installed? Try: ollama pull ${model}`,
+        details: result.error
+      };
     }
 
-    res.json(resultData);
+    finalAnalysis = result.response;
+    allEntities = await extractAnalysisEntities(finalAnalysis, template.entityTypes, model);
+  }
 
-  } catch (error) {
-    console.error('[Analyze] Error:', error);
-    res.status(500).json({ error: error.message });
+  const processingTime = Date.now() - startTime;
+
+  // Mark analysis as complete
+  analysisProgress.active = false;
+  broadcastProgress();
+
+  console.log(`[Analyze] Complete in ${processingTime}ms (${chunkCount} chunks)`);
+  console.log(`[Analyze] Response length: ${finalAnalysis.length} chars`);
+  console.log(`[Analyze] Extracted: ${allEntities.systems.length} systems, ${allEntities.actors.length} actors, ${allEntities.relationships.length} relationships`);
+
+  // Auto-save results to disk (in case of network issues)
+  const resultData = {
+    success: true,
+    analysis: finalAnalysis,
+    metadata: {
+      model,
+      analysisType,
+      processingTimeMs: processingTime,
+      inputLength: content.length,
+      outputLength: finalAnalysis.length,
+      chunks: chunkCount,
+      cached: llmCalls > 0 && cacheHits === llmCalls,
+      timestamp: new Date().toISOString()
+    },
+    entities: allEntities,
+    filename
+  };
+  
+  try {
+    const fs = require('fs');
+    const path = require('path');
+    const resultsDir = path.join(__dirname, '..', 'data', 'analysis-results');
+    if (!fs.existsSync(resultsDir)) {
+      fs.mkdirSync(resultsDir, { recursive: true });
+    }
+    const resultFile = path.join(resultsDir, `analysis-${Date.now()}.json`);
+    fs.writeFileSync(resultFile, JSON.stringify(resultData, null, 2));
+    console.log(`[Analyze] Results saved to ${resultFile}`);
+  } catch (saveErr) {
+    console.error('[Analyze] Failed to save results:', saveErr.message);
   }
-});
+
+  return resultData;
+}
 
 /**
- * Helper: Call Ollama API
+ * Tag streamed tokens with the document part they belong to
  */
-async function callOllama(model, prompt) {
-  try {
-    const response = await fetch(`${OLLAMA_HOST}/api/generate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model,
-        prompt,
-        stream: false,
-        options: {
-          temperature: 0.2,
-          num_predict: 4000,
-          num_ctx: 8192
-        }
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      return { error: errorText };
-    }
+function withPart(streamOptions, part) {
+  if (!streamOptions) return null;
+  return {
+    ...streamOptions,
+    onToken: (token) => streamOptions.onToken(token, { part })
+  };
+}
 
-    const data = await response.json();
-    return { response: data.response || '' };
+/**
+ * Helper: Call the analysis model via LLMManager
+ * The requested model is tried first, then the configured fallbacks
+ */
+async function callOllama(model, prompt, streamOptions = null, useCache = false) {
+  try {
+    const llm = getLLMManager();
+    // The document text is part of the prompt, so the prompt hash alone identifies it
+    const options = { model, numCtx: 8192, cache: useCache ? { sources: [] } : null };
+    const result = streamOptions
+      ? await llm.streamForTask('analysis', prompt, { ...streamOptions, ...options })
+      : await llm.generateForTask('analysis', prompt, options);
+    return { response: result.text, model: result.model, cached: result.cached };
   } catch (error) {
     return { error: error.message };
   }
@@ -748,6 +700,20 @@ function splitDocumentIntoChunks(content, maxChunkSize) {
   return chunks.length > 0 ? chunks : [content];
 }
 
+/**
+ * Prompt for one part of a chunked document (analysis.chunk template)
+ */
+function buildChunkPrompt(template, customInstructions, chunks, index) {
+  const prompts = getPromptTemplates();
+  return prompts.render('analysis.chunk', {
+    instructions: prompts.render(template.promptKey),
+    custom_instructions: customInstructions,
+    part: index + 1,
+    total: chunks.length,
+    content: chunks[index]
+  });
+}
+
 /**
  * Merge entities from multiple chunks, avoiding duplicates
  */
@@ -794,9 +760,52 @@ function mergeEntities(target, source) {
   }
 }
 
+// Entity shape for the structured fallback in extractAnalysisEntities
+const ANALYSIS_ENTITIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    systems: { type: 'array', items: { type: 'object', properties: { name: { type: 'string', minLength: 1 }, description: { type: 'string' } }, required: ['name'] } },
+    actors: { type: 'array', items: { type: 'object', properties: { name: { type: 'string', minLength: 1 }, description: { type: 'string' } }, required: ['name'] } },
+    relationships: { type: 'array', items: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' }, type: { type: 'string' } }, required: ['from', 'to'] } },
+    decisions: { type: 'array', items: { type: 'string' } },
+    actions: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['systems', 'actors', 'relationships', 'decisions', 'actions']
+};
+
+/**
+ * Extract entities from the analysis text
+ * The markdown headings the templates ask for are parsed first. When the model
+ * ignored that layout and nothing is found, a structured JSON extraction call
+ * reads the analysis instead.
+ */
+async function extractAnalysisEntities(analysis, entityTypes, model) {
+  const entities = extractEntitiesFromAnalysis(analysis, entityTypes);
+  const found = entities.systems.length + entities.actors.length + entities.relationships.length;
+  if (found > 0 || !analysis.trim()) return entities;
+
+  const prompt = getPromptTemplates().render('analysis.entities', { analysis });
+
+  try {
+    const result = await getLLMManager().generateStructured('analysis', prompt, ANALYSIS_ENTITIES_SCHEMA, { model });
+    const data = result.data;
+    console.log(`[Analyze] Structured extraction${result.repaired ? ' (repaired)' : ''}: ${data.systems.length} systems, ${data.actors.length} actors, ${data.relationships.length} relationships`);
+    return {
+      systems: data.systems.map(e => ({ name: e.name.trim(), description: e.description || '' })),
+      actors: data.actors.map(e => ({ name: e.name.trim(), description: e.description || '' })),
+      relationships: data.relationships.map(r => ({ from: r.from.trim(), to: r.to.trim(), type: r.type || 'verbinding' })),
+      decisions: data.decisions,
+      actions: data.actions
+    };
+  } catch (error) {
+    console.error('[Analyze] Structured entity extraction failed:', error.message);
+    return entities;
+  }
+}
+
 /**
  * Extract structured entities from the analysis text
- * This is a simple extraction - could be enhanced with another LLM call
+ * Parses the markdown headings and bullets the analysis templates ask for
  */
 function extractEntitiesFromAnalysis(analysis, entityTypes) {
   const entities = {
@@ -898,7 +907,7 @@ function extractEntitiesFromAnalysis(analysis, entityTypes) {
  * POST /api/analyze/import
  * Import extracted entities into PO AI database
  */
-router.post('/import', (req, res) => {
+router.post('/import', async (req, res) => {
   const { entities, rteId, sourceFilename, documentContent, analysisContent } = req.body;
   const db = getDb();
 
@@ -7,28 +7,11 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
-const { getInstance: getSqliteVectorSearch } = require('../services/sqlite-vector-search');
-
-// Ollama configuration
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
-
-// Fallback models if database config unavailable
-const FALLBACK_MODELS = ['mistral:latest', 'deepseek-r1:7b', 'gemma3:4b'];
-
-/**
- * Get query model from database config
- */
-function getQueryModel() {
-  const db = getDb();
-  if (!db) return FALLBACK_MODELS[0];
-  
-  try {
-    const config = db.prepare(`SELECT model_name FROM llm_configs WHERE task = 'query'`).get();
-    return config?.model_name || FALLBACK_MODELS[0];
-  } catch (e) {
-    return FALLBACK_MODELS[0];
-  }
-}
+const askSessions = require('../services/ask-sessions');
+const { answerQuestion } = require('../services/ask-service');
+const savedQuestions = require('../services/saved-questions');
+const { exportMemo } = require('../services/ask-memo');
+const { openSseStream } = require('../services/sse-stream');
 
 /**
  * POST /api/ask
@@ -40,67 +23,22 @@ function getQueryModel() {
  *   - person: Optional person filter
  *   - project: Optional project filter
  *   - maxEvidence: Max evidence chunks (default 5)
+ *   - rerank: true to let the query model rerank the retrieved chunks
+ *   - cache: false to bypass the LLM response cache
+ *   - sessionId: Ask a follow-up in an existing session (omit to start a new one)
  */
 router.post('/', async (req, res) => {
-  const { question, rteId, person, project, maxEvidence = 5 } = req.body;
+  const { question, sessionId } = req.body;
 
   if (!question || question.trim().length === 0) {
     return res.status(400).json({ error: 'Missing question' });
   }
+  if (sessionId && !askSessions.findSession(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
   try {
-    // Step 1: Gather evidence
-    const evidence = await gatherEvidence(question, {
-      rteId: rteId ? parseInt(rteId) : null,
-      person,
-      project,
-      limit: maxEvidence
-    });
-
-    if (evidence.length === 0) {
-      return res.json({
-        question,
-        answer: "I couldn't find any relevant documents to answer this question. Try rephrasing or removing filters.",
-        evidence: [],
-        model: null,
-        confidence: 0
-      });
-    }
-
-    // Step 2: Build context from evidence
-    const context = buildContext(evidence);
-
-    // Step 3: Get interpretation from LLM
-    const interpretation = await interpret(question, context);
-
-    // Step 4: Store in question history
-    const historyId = saveToHistory({
-      question,
-      answer: interpretation.answer,
-      evidence,
-      model: interpretation.model,
-      confidence: calculateConfidence(evidence, interpretation),
-      rteId: rteId ? parseInt(rteId) : null,
-      filters: { person, project }
-    });
-
-    res.json({
-      question,
-      answer: interpretation.answer,
-      evidence: evidence.map(e => ({
-        documentId: e.documentId,
-        filename: e.filename,
-        filepath: e.filepath,
-        snippet: e.snippet,
-        chunkContent: e.chunkContent,
-        score: e.score,
-        tags: e.tags
-      })),
-      model: interpretation.model,
-      confidence: calculateConfidence(evidence, interpretation),
-      historyId
-    });
-
+    res.json(await answerQuestion(req.body));
   } catch (error) {
     console.error('[Ask] Error:', error);
     res.status(500).json({ error: error.message });
@@ -108,298 +46,30 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Parse temporal phrases from question and return date range
+ * POST /api/ask/stream
+ * Same as POST /api/ask, but streams answer tokens as Server-Sent Events.
+ * The final 'complete' event carries the evidence, model and confidence.
  */
-function parseDateRange(question) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const q = question.toLowerCase();
-
-  // "last N days" pattern
-  const lastDaysMatch = q.match(/last\s+(\d+)\s+days?/);
-  if (lastDaysMatch) {
-    const days = parseInt(lastDaysMatch[1]);
-    const start = new Date(today);
-    start.setDate(start.getDate() - days + 1);
-    return { start, end: today };
-  }
+router.post('/stream', async (req, res) => {
+  const { question, sessionId } = req.body;
 
-  // "yesterday"
-  if (q.includes('yesterday')) {
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    return { start: yesterday, end: yesterday };
-  }
-
-  // "today"
-  if (q.includes('today') && !q.includes('yesterday')) {
-    return { start: today, end: today };
-  }
-
-  // "this week"
-  if (q.includes('this week')) {
-    const start = new Date(today);
-    start.setDate(start.getDate() - start.getDay() + 1); // Monday
-    return { start, end: today };
-  }
-
-  // "last week"
-  if (q.includes('last week')) {
-    const start = new Date(today);
-    start.setDate(start.getDate() - start.getDay() - 6); // Last Monday
-    const end = new Date(start);
-    end.setDate(end.getDate() + 6); // Last Sunday
-    return { start, end };
-  }
-
-  return null;
-}
-
-/**
- * Gather evidence from documents matching the question
- */
-async function gatherEvidence(question, options) {
-  const db = getDb();
-  const vectorSearch = getSqliteVectorSearch();
-
-  // Parse date range from question
-  const dateRange = parseDateRange(question);
-
-  // Search for relevant documents
-  const searchResult = await vectorSearch.search(question, {
-    rteId: options.rteId,
-    limit: 50 // Get more, then filter
-  });
-
-  if (searchResult.error || !searchResult.results) {
-    return [];
-  }
-
-  let results = searchResult.results;
-
-  // Apply date filter if temporal phrase detected
-  if (dateRange && db) {
-    const startStr = dateRange.start.toISOString().split('T')[0];
-    const endStr = dateRange.end.toISOString().split('T')[0];
-
-    // Get documents within date range
-    const dateQuery = db.prepare(`
-      SELECT filename FROM rte_documents
-      WHERE document_date >= ? AND document_date <= ?
-      ${options.rteId ? 'AND rte_id = ?' : ''}
-    `);
-    const params = options.rteId ? [startStr, endStr, options.rteId] : [startStr, endStr];
-    const docsInRange = dateQuery.all(...params);
-    const filenamesInRange = new Set(docsInRange.map(d => d.filename));
-
-    // Filter results to only include docs from date range
-    const filteredResults = results.filter(r => filenamesInRange.has(r.filename));
-
-    // If we have date-filtered results, use those; otherwise fall back to all results
-    if (filteredResults.length > 0) {
-      results = filteredResults;
-      console.log(`[Ask] Date filter ${startStr} to ${endStr}: ${filteredResults.length} of ${searchResult.results.length} results`);
-    } else {
-      console.log(`[Ask] No results in date range ${startStr} to ${endStr}, using all ${results.length} results`);
-    }
-  }
-
-  // Apply tag filters if specified
-  if (db && (options.person || options.project)) {
-    const documentIds = results.map(r => r.documentId || r.id).filter(Boolean);
-    
-    if (documentIds.length > 0) {
-      const placeholders = documentIds.map(() => '?').join(',');
-      const tagConditions = [];
-      const tagParams = [];
-      
-      if (options.person) {
-        tagConditions.push(`(tag_type = 'person' AND tag_value = ?)`);
-        tagParams.push(options.person);
-      }
-      if (options.project) {
-        tagConditions.push(`(tag_type = 'project' AND tag_value = ?)`);
-        tagParams.push(options.project);
-      }
-      
-      const tagQuery = `
-        SELECT DISTINCT document_id FROM document_tags
-        WHERE document_id IN (${placeholders})
-        AND (${tagConditions.join(' OR ')})
-      `;
-      
-      const matchingDocs = db.prepare(tagQuery).all(...documentIds, ...tagParams);
-      const matchingIds = new Set(matchingDocs.map(d => d.document_id));
-      
-      results = results.filter(r => matchingIds.has(r.documentId || r.id));
-    }
+  if (!question || question.trim().length === 0) {
+    return res.status(400).json({ error: 'Missing question' });
   }
-
-  // Limit and enrich results
-  results = results.slice(0, options.limit);
-
-  // Get tags for each result
-  return results.map(r => {
-    const docId = r.documentId || r.id;
-    let tags = { people: [], projects: [], semantics: [] };
-    
-    if (db && docId) {
-      try {
-        const docTags = db.prepare(`
-          SELECT tag_type, tag_value FROM document_tags WHERE document_id = ?
-        `).all(docId);
-        
-        docTags.forEach(t => {
-          if (t.tag_type === 'person') tags.people.push(t.tag_value);
-          else if (t.tag_type === 'project') tags.projects.push(t.tag_value);
-          else if (t.tag_type === 'semantic') tags.semantics.push(t.tag_value);
-        });
-      } catch (e) { /* ignore */ }
-    }
-    
-    return {
-      documentId: docId,
-      filename: r.filename,
-      filepath: r.filepath || '',
-      snippet: r.highlight || r.content || '',
-      chunkContent: r.content || r.highlight || '',
-      score: r.score || 0,
-      tags
-    };
-  });
-}
-
-/**
- * Build context string from evidence for LLM
- */
-function buildContext(evidence) {
-  return evidence.map((e, i) => {
-    const tagStr = [
-      ...e.tags.people.map(p => `@${p}`),
-      ...e.tags.projects.map(p => `#${p}`),
-      ...e.tags.semantics
-    ].join(', ');
-    
-    return `[Evidence ${i + 1}] ${e.filename}${tagStr ? ` (${tagStr})` : ''}\n${e.snippet}`;
-  }).join('\n\n---\n\n');
-}
-
-/**
- * Call LLM to interpret the question with evidence
- */
-async function interpret(question, context) {
-  const prompt = `You are a Product Owner assistant. Answer the question based ONLY on the provided evidence.
-If the evidence doesn't contain enough information, say so clearly.
-Cite evidence by number (e.g., [Evidence 1]) when making claims.
-Keep your answer concise and actionable.
-
-EVIDENCE:
-${context}
-
-QUESTION: ${question}
-
-ANSWER:`;
-
-  // Get configured model and fallbacks
-  const primaryModel = getQueryModel();
-  const modelsToTry = [primaryModel, ...FALLBACK_MODELS.filter(m => m !== primaryModel)];
-
-  for (const model of modelsToTry) {
-    try {
-      const response = await fetch(`${OLLAMA_HOST}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model,
-          prompt,
-          stream: false,
-          options: {
-            temperature: 0.3,
-            num_predict: 500
-          }
-        })
-      });
-
-      if (!response.ok) {
-        console.log(`[Ask] Model ${model} failed with status ${response.status}`);
-        continue;
-      }
-
-      const data = await response.json();
-      
-      if (data.response) {
-        console.log(`[Ask] Answered using ${model}`);
-        return {
-          answer: data.response.trim(),
-          model
-        };
-      }
-    } catch (error) {
-      console.log(`[Ask] Model ${model} error:`, error.message);
-      continue;
-    }
+  if (sessionId && !askSessions.findSession(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
   }
 
-  return {
-    answer: "Sorry, I couldn't process your question. LLM service may be unavailable.",
-    model: null
-  };
-}
+  const stream = openSseStream(req, res);
 
-/**
- * Calculate confidence score based on evidence quality
- */
-function calculateConfidence(evidence, interpretation) {
-  if (!interpretation.model) return 0;
-  if (evidence.length === 0) return 0;
-  
-  // Base confidence on number of evidence pieces and their scores
-  const avgScore = evidence.reduce((sum, e) => sum + (e.score || 0), 0) / evidence.length;
-  const countBonus = Math.min(evidence.length / 5, 1); // More evidence = more confident
-  
-  return Math.round((avgScore * 0.7 + countBonus * 0.3) * 100);
-}
-
-/**
- * Save question and answer to history
- */
-function saveToHistory({ question, answer, evidence, model, confidence, rteId, filters }) {
-  const db = getDb();
-  if (!db) return null;
-  
   try {
-    // Get RTE name if rteId provided
-    let rteName = null;
-    if (rteId) {
-      const rte = db.prepare('SELECT name FROM rtes WHERE id = ?').get(rteId);
-      rteName = rte?.name;
-    }
-    
-    const result = db.prepare(`
-      INSERT INTO question_history (question, answer, evidence_json, model, confidence, rte_id, rte_name, filters_json)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      question,
-      answer,
-      JSON.stringify(evidence.map(e => ({
-        filename: e.filename,
-        snippet: e.snippet?.substring(0, 200),
-        score: e.score
-      }))),
-      model,
-      confidence,
-      rteId,
-      rteName,
-      JSON.stringify(filters)
-    );
-    
-    return result.lastInsertRowid;
+    const result = await answerQuestion(req.body, { onToken: stream.token, signal: stream.signal });
+    stream.complete({ response: result.answer, ...result });
   } catch (error) {
-    console.error('[Ask] Failed to save history:', error.message);
-    return null;
+    console.error('[Ask] Stream error:', error);
+    stream.error(error.message);
   }
-}
+});
 
 /**
  * GET /api/ask/recent
@@ -416,7 +86,8 @@ router.get('/recent', (req, res) => {
     const offset = parseInt(req.query.offset) || 0;
     
     const questions = db.prepare(`
-      SELECT id, question, answer, evidence_json, model, confidence, rte_id, rte_name, filters_json, created_at
+      SELECT id, question, answer, evidence_json, model, confidence, rte_id, rte_name, filters_json,
+             session_id, turn_index, groundedness, created_at
       FROM question_history
       ORDER BY created_at DESC
       LIMIT ? OFFSET ?
@@ -432,9 +103,12 @@ router.get('/recent', (req, res) => {
         evidence: q.evidence_json ? JSON.parse(q.evidence_json) : [],
         model: q.model,
         confidence: q.confidence,
+        groundedness: q.groundedness,
         rteId: q.rte_id,
         rteName: q.rte_name,
         filters: q.filters_json ? JSON.parse(q.filters_json) : {},
+        sessionId: q.session_id,
+        turnIndex: q.turn_index,
         createdAt: q.created_at
       })),
       total: total.count,
@@ -465,6 +139,26 @@ router.delete('/history/:id', (req, res) => {
   }
 });
 
+/**
+ * POST /api/ask/history/:id/export
+ * Write a question and its answer as a Markdown decision memo into the RTE
+ * workspace (artifacts/generated) and ingest it as an artifact. Exporting it
+ * again updates that memo; `status` says whether it was created, updated or
+ * unchanged.
+ *
+ * Body:
+ *   - rteId: RTE for the memo; required when the question was asked without an RTE filter
+ */
+router.post('/history/:id/export', (req, res) => {
+  try {
+    const document = exportMemo(parseInt(req.params.id), { rteId: req.body.rteId });
+    res.json({ success: true, ...document });
+  } catch (error) {
+    if (!error.status) console.error('[Ask] Memo export failed:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/ask/history
  * Clear all question history
@@ -477,12 +171,178 @@ router.delete('/history', (req, res) => {
   
   try {
     const result = db.prepare('DELETE FROM question_history').run();
+    db.prepare('DELETE FROM ask_sessions').run();
     res.json({ success: true, deleted: result.changes });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/ask/sessions
+ * List conversations, most recently active first
+ */
+router.get('/sessions', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({ ...askSessions.listSessions({ limit, offset }), limit, offset });
+  } catch (error) {
+    console.error('[Ask] Failed to list sessions:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/ask/sessions/:id
+ * Full thread of a conversation: every turn with its answer and evidence
+ */
+router.get('/sessions/:id', (req, res) => {
+  try {
+    const session = askSessions.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/ask/sessions/:id
+ * Delete a conversation and its turns
+ */
+router.delete('/sessions/:id', (req, res) => {
+  try {
+    res.json({ success: askSessions.deleteSession(req.params.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/ask/saved
+ * Saved questions with their schedule and latest run
+ */
+router.get('/saved', (req, res) => {
+  try {
+    res.json({ questions: savedQuestions.list(), status: savedQuestions.getStatus() });
+  } catch (error) {
+    console.error('[Ask] Failed to list saved questions:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/ask/saved
+ * Pin a question to be re-run on a schedule
+ *
+ * Body:
+ *   - question: The question to re-run (required)
+ *   - schedule: 'daily', 'weekly' or a cron expression (default 'daily')
+ *   - rteId, person, project: Optional filters, as for POST /api/ask
+ *   - runNow: true to answer it right away, giving later runs a baseline
+ */
+router.post('/saved', async (req, res) => {
+  const { question, schedule = 'daily', runNow } = req.body;
+
+  if (!question || question.trim().length === 0) {
+    return res.status(400).json({ error: 'Missing question' });
+  }
+  if (!savedQuestions.isValidSchedule(schedule)) {
+    return res.status(400).json({ error: 'Invalid schedule. Use daily, weekly or a cron expression' });
+  }
+
+  try {
+    const saved = savedQuestions.create({ ...req.body, schedule });
+    if (runNow === true) {
+      await savedQuestions.runQuestion(saved.id, 'manual');
+    }
+    res.status(201).json(savedQuestions.get(saved.id));
+  } catch (error) {
+    console.error('[Ask] Failed to save question:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/ask/saved/:id
+ * Change the question, schedule or pause it
+ *
+ * Body: question, schedule, isActive (all optional)
+ */
+router.patch('/saved/:id', (req, res) => {
+  const { schedule } = req.body;
+  if (schedule !== undefined && !savedQuestions.isValidSchedule(schedule)) {
+    return res.status(400).json({ error: 'Invalid schedule. Use daily, weekly or a cron expression' });
+  }
+
+  try {
+    const saved = savedQuestions.update(parseInt(req.params.id), req.body);
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved question not found' });
+    }
+    res.json(saved);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/ask/saved/:id
+ * Delete a saved question and its runs
+ */
+router.delete('/saved/:id', (req, res) => {
+  try {
+    res.json({ success: savedQuestions.remove(parseInt(req.params.id)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/ask/saved/:id/run
+ * Re-run a saved question now; the run is diffed against the previous one
+ */
+router.post('/saved/:id/run', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!savedQuestions.get(id)) {
+    return res.status(404).json({ error: 'Saved question not found' });
+  }
+  if (savedQuestions.isInProgress(id)) {
+    return res.status(409).json({ error: 'This question is already running' });
+  }
+
+  try {
+    res.json(await savedQuestions.runQuestion(id, 'manual'));
+  } catch (error) {
+    console.error('[Ask] Saved question run failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/ask/saved/:id/runs
+ * Past runs of a saved question, newest first, each with its answer diff
+ * and evidence changes against the run before it
+ */
+router.get('/saved/:id/runs', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const saved = savedQuestions.get(id);
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved question not found' });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({ savedQuestion: saved, runs: savedQuestions.getRuns(id, { limit, offset }), limit, offset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/ask/document
  * Fetch a document's content by filepath (read-only, for evidence viewer)
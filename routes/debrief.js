@@ -7,6 +7,20 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
 const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
+
+// Reply shape for LLM entity extraction from a debrief
+const DEBRIEF_ENTITIES_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      type: { type: 'string', enum: ['person', 'team', 'system'] }
+    },
+    required: ['name', 'type']
+  }
+};
 
 /**
  * GET / - List all debriefs
@@ -186,53 +200,42 @@ async function extractEntities(content, rteId) {
     
     // Try to extract new entities with LLM if available
     try {
-      const prompt = `Extract named entities (people, teams, systems) from this text. 
-Return ONLY a JSON array of objects with "name" and "type" (person/team/system).
-Keep it concise - max 10 entities.
-
-Text: "${content.substring(0, 1500)}"
+      const prompt = getPromptTemplates().render('debrief.entities', { text: content.substring(0, 1500) });
 
-JSON:`;
+      const response = await llm.generateStructured('extraction', prompt, DEBRIEF_ENTITIES_SCHEMA);
+      const entities = response.data;
 
-      const response = await llm.prompt(prompt, { temperature: 0.1 });
+      // Insert new actors
+      const insertStmt = db.prepare(`
+        INSERT OR IGNORE INTO actors (rte_id, name, type, metadata_json)
+        VALUES (?, ?, ?, ?)
+      `);
       
-      // Parse JSON response
-      const match = response.match(/\[[\s\S]*\]/);
-      if (match) {
-        const entities = JSON.parse(match[0]);
-        
-        // Insert new actors
-        const insertStmt = db.prepare(`
-          INSERT OR IGNORE INTO actors (rte_id, name, type, metadata_json)
-          VALUES (?, ?, ?, ?)
-        `);
-        
-        const getIdStmt = db.prepare(`
-          SELECT id FROM actors WHERE rte_id = ? AND name = ?
-        `);
-        
-        entities.forEach(entity => {
-          if (entity.name && entity.type) {
-            const nameLower = entity.name.toLowerCase();
-            
-            // Check if already exists
-            if (!actorNames.includes(nameLower)) {
-              insertStmt.run(
-                parseInt(rteId),
-                entity.name,
-                entity.type,
-                JSON.stringify({ source: 'debrief' })
-              );
-            }
-            
-            // Get the actor ID
-            const actor = getIdStmt.get(parseInt(rteId), entity.name);
-            if (actor && !actorIds.includes(actor.id)) {
-              actorIds.push(actor.id);
-            }
+      const getIdStmt = db.prepare(`
+        SELECT id FROM actors WHERE rte_id = ? AND name = ?
+      `);
+      
+      entities.forEach(entity => {
+        if (entity.name && entity.type) {
+          const nameLower = entity.name.toLowerCase();
+          
+          // Check if already exists
+          if (!actorNames.includes(nameLower)) {
+            insertStmt.run(
+              parseInt(rteId),
+              entity.name,
+              entity.type,
+              JSON.stringify({ source: 'debrief' })
+            );
           }
-        });
-      }
+          
+          // Get the actor ID
+          const actor = getIdStmt.get(parseInt(rteId), entity.name);
+          if (actor && !actorIds.includes(actor.id)) {
+            actorIds.push(actor.id);
+          }
+        }
+      });
     } catch (llmError) {
       console.warn('[Debrief] LLM extraction skipped:', llmError.message);
     }
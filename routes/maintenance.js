@@ -177,6 +177,28 @@ router.post('/rebuild-index', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/maintenance/embeddings
+ * Embed all chunks that have no vector for the configured embedding model
+ * (new chunks are embedded in the background; this catches up after the model
+ * was unavailable or changed)
+ */
+router.post('/embeddings', async (req, res) => {
+  if (!vectorSearch || !vectorSearch.isReady) {
+    return res.status(503).json({ error: 'Vector search not available' });
+  }
+  if (vectorSearch.isEmbedding) {
+    return res.status(409).json({ error: 'Embedding already running' });
+  }
+
+  try {
+    const result = await vectorSearch.embedMissing();
+    res.status(result.error && result.embedded === 0 ? 502 : 200).json({ success: !result.error, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/maintenance/reanalyze
  * Re-extract entities from all documents in an RTE
@@ -278,7 +300,8 @@ router.post('/clear-cache', (req, res) => {
     if (graphBuilder) {
       graphBuilder.clearCache();
     }
-    res.json({ success: true, message: 'Caches cleared' });
+    const llmEntries = llmManager ? llmManager.cache.clear() : 0;
+    res.json({ success: true, message: `Caches cleared (${llmEntries} LLM responses)` });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -338,6 +361,72 @@ router.get('/logs', (req, res) => {
   }
 });
 
+/**
+ * GET /api/maintenance/llm-usage
+ * LLM call aggregates from llm_calls
+ * Query: days (default 30)
+ */
+router.get('/llm-usage', (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not initialized' });
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+  const since = `-${days} days`;
+
+  // Shared aggregate columns for every grouping
+  const aggregates = `
+    COUNT(*) as calls,
+    SUM(CASE WHEN status IN ('ok', 'cached') THEN 0 ELSE 1 END) as failures,
+    SUM(CASE WHEN status = 'cached' THEN 1 ELSE 0 END) as cache_hits,
+    SUM(CASE WHEN fallback_index > 0 AND status = 'ok' THEN 1 ELSE 0 END) as fallbacks,
+    SUM(prompt_tokens) as prompt_tokens,
+    SUM(completion_tokens) as completion_tokens,
+    SUM(prompt_chars) as prompt_chars,
+    SUM(response_chars) as response_chars,
+    CAST(AVG(CASE WHEN status = 'ok' THEN latency_ms END) AS INTEGER) as avg_latency_ms,
+    ROUND(SUM(cost), 6) as cost
+  `;
+
+  try {
+    const totals = db.prepare(`
+      SELECT ${aggregates} FROM llm_calls WHERE created_at >= datetime('now', ?)
+    `).get(since);
+
+    const byDay = db.prepare(`
+      SELECT date(created_at) as day, ${aggregates}
+      FROM llm_calls WHERE created_at >= datetime('now', ?)
+      GROUP BY day ORDER BY day DESC
+    `).all(since);
+
+    const byTask = db.prepare(`
+      SELECT task, ${aggregates}
+      FROM llm_calls WHERE created_at >= datetime('now', ?)
+      GROUP BY task ORDER BY calls DESC
+    `).all(since);
+
+    const byModel = db.prepare(`
+      SELECT provider, model, ${aggregates}
+      FROM llm_calls WHERE created_at >= datetime('now', ?)
+      GROUP BY provider, model ORDER BY calls DESC
+    `).all(since);
+
+    const recentFailures = db.prepare(`
+      SELECT id, task, model, primary_model, fallback_index, status, error, latency_ms, created_at
+      FROM llm_calls WHERE status NOT IN ('ok', 'cached') AND created_at >= datetime('now', ?)
+      ORDER BY created_at DESC, id DESC LIMIT 20
+    `).all(since);
+
+    const cache = llmManager ? llmManager.cache.getStats() : null;
+
+    res.json({ days, totals, byDay, byTask, byModel, recentFailures, cache });
+  } catch (error) {
+    console.error('[Maintenance] LLM usage failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===========================================
 // BACKUP MANAGEMENT (Phase 2)
 // ===========================================
@@ -414,6 +503,47 @@ router.post('/backups/restore', (req, res) => {
   }
 });
 
+// ===========================================
+// WORKSPACE WATCHER
+// ===========================================
+
+let workspaceWatcher = null;
+try {
+  workspaceWatcher = require('../services/workspace-watcher');
+} catch (e) {
+  console.log('[Maintenance] Workspace watcher not available');
+}
+
+/**
+ * GET /api/maintenance/watcher
+ * Watched folders, pending changes and recently synced files
+ */
+router.get('/watcher', (req, res) => {
+  if (!workspaceWatcher) {
+    return res.status(503).json({ error: 'Workspace watcher not available' });
+  }
+  res.json(workspaceWatcher.getStatus());
+});
+
+/**
+ * POST /api/maintenance/watcher/rescan
+ * Reload the RTE base paths, restart watching and compare every file with
+ * the database (for RTEs added since start-up or changes the watcher missed)
+ */
+router.post('/watcher/rescan', (req, res) => {
+  if (!workspaceWatcher) {
+    return res.status(503).json({ error: 'Workspace watcher not available' });
+  }
+
+  try {
+    const scan = workspaceWatcher.rescan();
+    res.json({ success: true, scan, status: workspaceWatcher.getStatus() });
+  } catch (error) {
+    console.error('[Maintenance] Watcher rescan failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===========================================
 // MONTHLY ARCHIVE MANAGEMENT
 // ===========================================
@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { getDb } = require('../db/connection');
+const { syncDocumentFile } = require('../services/document-ingest');
 
 // Services for auto-extraction
 let entityExtractor = null;
@@ -64,7 +65,7 @@ router.get('/doc/:id', (req, res) => {
   try {
     const doc = db.prepare(`
       SELECT id, filename, filepath, document_date, rte_id
-      FROM rte_documents WHERE id = ?
+      FROM rte_documents WHERE id = ? AND deleted_at IS NULL
     `).get(req.params.id);
 
     if (!doc) return res.status(404).json({ error: 'Document not found' });
@@ -98,13 +99,17 @@ router.get('/file', (req, res) => {
   try {
     const content = fs.readFileSync(normalizedPath, 'utf-8');
     const stats = fs.statSync(normalizedPath);
+    const db = getDb();
+    const doc = db && db.prepare('SELECT id, rte_id FROM rte_documents WHERE filepath = ? AND deleted_at IS NULL ORDER BY id DESC LIMIT 1').get(normalizedPath);
     
     res.json({
       content,
       filename: path.basename(normalizedPath),
       size: stats.size,
       modified: stats.mtime,
-      path: normalizedPath
+      path: normalizedPath,
+      // Registered document of the file, for its version history
+      document: doc ? { id: doc.id, rteId: doc.rte_id } : null
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -202,6 +207,11 @@ function countFiles(dirPath) {
 
 /**
  * Save file content
+ *
+ * A file registered as an RTE document is reprocessed from its new text
+ * (markers, tags, search index, version history) and queued for entity and
+ * relationship extraction. Other workspace files get relationship
+ * extraction right away when rteId is given.
  */
 router.post('/save', async (req, res) => {
   const { filepath, content, rteId } = req.body;
@@ -218,6 +228,12 @@ router.post('/save', async (req, res) => {
   try {
     fs.writeFileSync(filepath, content, 'utf-8');
     
+    // Stored text, markers, tags and version history follow the edit; the
+    // updated_at bump also invalidates cached LLM answers built on the document
+    const db = getDb();
+    const doc = db && db.prepare('SELECT * FROM rte_documents WHERE filepath = ? AND deleted_at IS NULL ORDER BY id DESC LIMIT 1').get(filepath);
+    const reprocessed = doc ? syncDocumentFile(db, doc, content, 'ui-edit') : false;
+    
     let extractionStats = null;
     
     // Index in vector search if .md file
@@ -234,8 +250,9 @@ router.post('/save', async (req, res) => {
         // Vector search not available, that's ok
       }
       
-      // Auto-extract entities and relationships
-      if (entityExtractor && intelligencePersistence && rteId) {
+      // Auto-extract entities and relationships; the extraction queue does
+      // this for registered documents
+      if (!doc && entityExtractor && intelligencePersistence && rteId) {
         try {
           console.log(`[Navigator] Auto-extracting entities from: ${path.basename(filepath)}`);
           
@@ -261,7 +278,9 @@ router.post('/save', async (req, res) => {
     
     res.json({ 
       success: true,
-      extraction: extractionStats 
+      extraction: extractionStats,
+      documentId: doc ? doc.id : null,
+      reprocessed
     });
   } catch (error) {
     console.error('Save error:', error);
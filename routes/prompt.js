@@ -9,11 +9,13 @@ const fs = require('fs');
 const path = require('path');
 const entityExtractor = require('../services/entity-extractor');
 const fileSaver = require('../services/file-saver');
+const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
 
 const os = require('os');
 
-const OLLAMA_URL = 'http://localhost:11434/api/generate';
-const MODEL = 'mistral';
+// Modes with their own prompt.mode.<mode> template; others use prompt.mode.default
+const PROMPT_MODES = ['debrief', 'create', 'retrieve'];
 
 // Load .md guide content from new location
 const MD_BASE = path.join(os.homedir(), 'ProductOwnerAI', 'orchestrator');
@@ -73,27 +75,12 @@ router.post('/', async (req, res) => {
     const systemPrompt = buildSystemPrompt(mode, guideContext, extraction);
     const fullPrompt = `${systemPrompt}\n\nUSER INPUT:\n${prompt}\n\nRESPONSE:`;
 
-    // STEP 4: Call Ollama for response
-    console.log('[Prompt] Step 2: Calling Ollama...');
-    console.log(`[Prompt] Mode: ${mode}, Model: ${MODEL}`);
+    // STEP 4: Call LLM for response
+    console.log('[Prompt] Step 2: Calling LLM...');
     console.log(`[Prompt] System prompt length: ${systemPrompt.length}, Full prompt length: ${fullPrompt.length}`);
-    const ollamaResponse = await fetch(OLLAMA_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: MODEL,
-        prompt: fullPrompt,
-        stream: false,
-        options: { temperature: 0.7, num_predict: 4000 }
-      })
-    });
-
-    if (!ollamaResponse.ok) {
-      throw new Error(`Ollama error: ${ollamaResponse.status}`);
-    }
-
-    const ollamaData = await ollamaResponse.json();
-    const aiResponse = ollamaData.response || '';
+    const llmResult = await getLLMManager().generateForTask('prompt', fullPrompt);
+    const aiResponse = llmResult.text;
+    console.log(`[Prompt] Mode: ${mode}, Model: ${llmResult.model}`);
 
     // STEP 5: Save to file (skip for retrieve mode - user can choose to save)
     let savedFile = null;
@@ -155,6 +142,7 @@ router.post('/', async (req, res) => {
       } : null,
       persistence: persistenceStats,
       mode,
+      model: llmResult.model,
       guidesUsed: guidesToLoad,
       autoSaved: mode !== 'retrieve'
     });
@@ -165,83 +153,20 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Shared system prompt plus the instructions for the selected mode
+ * Both come from the prompt registry (prompt.system, prompt.mode.*)
+ */
 function buildSystemPrompt(mode, guideContext, extraction) {
-  let systemPrompt = `You are PO AI, a Product Ownership assistant.
-
-${guideContext}
-
-EXTRACTED ENTITIES FROM USER INPUT:
-${JSON.stringify(extraction.entities, null, 2)}
-
-EXTRACTED RELATIONSHIPS:
-${JSON.stringify(extraction.relationships, null, 2)}
-
-`;
-
-  switch (mode) {
-    case 'debrief':
-      systemPrompt += `
-MODE: DEBRIEF - DO NOT SIMPLY REPEAT THE INPUT
-You MUST transform and restructure the user's raw daily log input.
-
-INSTRUCTIONS:
-1. **DO NOT** echo back or copy the original text
-2. **CREATE** a structured summary with clear markdown headers
-3. **ORGANIZE** by topic/theme/project (not chronologically)
-4. **EXTRACT** and list action items, blockers, and priorities
-5. **IDENTIFY** people, teams, systems, and their roles/relationships
-6. **HIGHLIGHT** critical path items (deadlines, dependencies, Q2/Q3 plans)
-7. **FORMAT** as clean, organized markdown with H2 headers for sections
-
-OUTPUT STRUCTURE:
-- Project/System Overview (what it's about)
-- Key Activities (what was done, grouped logically)
-- Action Items (clear, bullet-pointed TO-DOs)
-- Blockers & Dependencies (what's blocking progress)
-- People & Roles (who's involved, their responsibilities)
-- Timeline & Priorities (when things happen, what's critical)
-- Next Steps (clear follow-ups)
-
-CRITICAL: Your response should be SUBSTANTIALLY DIFFERENT from the input - reorganized, summarized, and structured.`;
-      break;
-
-    case 'create':
-      systemPrompt += `
-MODE: CREATE - GENERATE NEW STRUCTURED CONTENT
-DO NOT echo the user input. Instead, generate well-structured output.
-
-INSTRUCTIONS:
-1. Use the loaded guides as templates/references
-2. CREATE original, structured output
-3. Fill in all required sections from the template
-4. Be specific, actionable, and complete
-5. Use clear markdown formatting with headers
-
-Your output should be a properly formatted document, NOT a summary of the input.`;
-      break;
-
-    case 'retrieve':
-      systemPrompt += `
-MODE: RETRIEVE - ANSWER THE QUESTION DIRECTLY
-The user has a question. Answer it based on your knowledge and the guides.
-
-INSTRUCTIONS:
-1. Answer the question directly and clearly
-2. Provide specific, actionable information
-3. Reference the loaded guides when relevant
-4. Do NOT simply repeat or echo the question
-5. Be concise but thorough
-
-Format your answer as clean markdown.`;
-      break;
-
-    default:
-      systemPrompt += `
-Process the user's input and provide a helpful, structured response.
-Format as clean markdown.`;
-  }
-
-  return systemPrompt;
+  const prompts = getPromptTemplates();
+  const modeKey = `prompt.mode.${PROMPT_MODES.includes(mode) ? mode : 'default'}`;
+
+  return prompts.render('prompt.system', {
+    guides: guideContext,
+    entities: JSON.stringify(extraction.entities, null, 2),
+    relationships: JSON.stringify(extraction.relationships, null, 2),
+    mode_instructions: prompts.render(modeKey)
+  });
 }
 
 function extractTitle(text) {
@@ -19,6 +19,8 @@ const { getDb } = require('../db/connection');
  *   - severity: low, medium, high, critical
  *   - owner: filter by owner name
  *   - overdue: '1' to show only overdue items
+ *   - retired: '1' to show only markers retired because their text was
+ *     deleted from the document (hidden otherwise)
  *   - limit: max results (default 100)
  *   - offset: pagination offset
  */
@@ -27,9 +29,9 @@ router.get('/', (req, res) => {
   if (!db) return res.status(500).json({ error: 'Database not available' });
 
   try {
-    const { type, rteId, resolved, severity, owner, overdue, limit = 100, offset = 0 } = req.query;
+    const { type, rteId, resolved, severity, owner, overdue, retired, limit = 100, offset = 0 } = req.query;
     
-    let whereConditions = [];
+    let whereConditions = [retired === '1' ? 'm.retired_at IS NOT NULL' : 'm.retired_at IS NULL'];
     let params = [];
     
     // Default to actionable types when no type filter specified
@@ -89,6 +91,7 @@ router.get('/', (req, res) => {
         m.due_date,
         m.severity,
         m.created_at,
+        m.retired_at,
         d.filename,
         d.filepath,
         d.document_date,
@@ -138,7 +141,7 @@ router.get('/types', (req, res) => {
 
   try {
     const { rteId, resolved } = req.query;
-    let whereConditions = [];
+    let whereConditions = ['retired_at IS NULL'];
     let params = [];
 
     if (rteId) {
@@ -150,9 +153,7 @@ router.get('/types', (req, res) => {
       params.push(parseInt(resolved));
     }
 
-    const whereClause = whereConditions.length > 0
-      ? 'WHERE ' + whereConditions.join(' AND ')
-      : '';
+    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
 
     const types = db.prepare(`
       SELECT marker_type, COUNT(*) as count
@@ -182,7 +183,7 @@ router.get('/stats', (req, res) => {
     const ACTIONABLE_TYPES = ['risk', 'action', 'blocker', 'promise'];
     const typeFilter = scope === 'all' ? '' : `AND marker_type IN (${ACTIONABLE_TYPES.map(() => '?').join(',')})`;
     const typeParams = scope === 'all' ? [] : [...ACTIONABLE_TYPES];
-    const rteFilter = rteId ? 'AND rte_id = ?' : '';
+    const rteFilter = `${rteId ? 'AND rte_id = ?' : ''} AND retired_at IS NULL`;
     const rteParams = rteId ? [parseInt(rteId)] : [];
     const allParams = [...typeParams, ...rteParams];
 
@@ -191,6 +192,7 @@ router.get('/stats', (req, res) => {
       open: db.prepare(`SELECT COUNT(*) as n FROM semantic_markers WHERE is_resolved = 0 ${typeFilter} ${rteFilter}`).get(...allParams).n,
       resolved: db.prepare(`SELECT COUNT(*) as n FROM semantic_markers WHERE is_resolved = 1 ${typeFilter} ${rteFilter}`).get(...allParams).n,
       overdue: db.prepare(`SELECT COUNT(*) as n FROM semantic_markers WHERE is_resolved = 0 AND due_date < date('now') AND due_date IS NOT NULL ${typeFilter} ${rteFilter}`).get(...allParams).n,
+      retired: db.prepare(`SELECT COUNT(*) as n FROM semantic_markers WHERE retired_at IS NOT NULL ${typeFilter} ${rteId ? 'AND rte_id = ?' : ''}`).get(...allParams).n,
       bySeverity: db.prepare(`
         SELECT severity, COUNT(*) as count 
         FROM semantic_markers 
@@ -224,7 +226,7 @@ router.get('/owners', (req, res) => {
   try {
     const owners = db.prepare(`
       SELECT DISTINCT owner FROM semantic_markers 
-      WHERE owner IS NOT NULL AND owner != '' 
+      WHERE owner IS NOT NULL AND owner != '' AND retired_at IS NULL
       ORDER BY owner
     `).all();
     res.json({ owners: owners.map(o => o.owner) });
@@ -7,6 +7,8 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
+const { syncDocumentFile, restoreDocumentVersion } = require('../services/document-ingest');
+const { listVersions, getVersion, diffVersions } = require('../services/document-versions');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -518,7 +520,7 @@ router.get('/:rteId/stats', (req, res) => {
     const suggestionRow = db.prepare(`SELECT COUNT(*) as count FROM rte_relationship_suggestions WHERE rte_id = ? AND is_approved = 0`).get(rteId);
     stats.pendingSuggestions = suggestionRow?.count || 0;
 
-    const docRow = db.prepare(`SELECT COUNT(*) as count FROM rte_documents WHERE rte_id = ?`).get(rteId);
+    const docRow = db.prepare(`SELECT COUNT(*) as count FROM rte_documents WHERE rte_id = ? AND deleted_at IS NULL`).get(rteId);
     stats.documents = docRow?.count || 0;
 
     res.json(stats);
@@ -680,7 +682,7 @@ router.get('/:rteId/documents', (req, res) => {
     const documents = db.prepare(
       `SELECT id, filename, filepath, file_type, category, title, created_at 
        FROM rte_documents 
-       WHERE rte_id = ? 
+       WHERE rte_id = ? AND deleted_at IS NULL
        ORDER BY created_at DESC 
        LIMIT 100`
     ).all(rteId);
@@ -704,7 +706,7 @@ router.get('/:rteId/documents/:docId/content', (req, res) => {
 
   try {
     const row = db.prepare(
-      `SELECT filepath FROM rte_documents WHERE id = ? AND rte_id = ?`
+      `SELECT filepath FROM rte_documents WHERE id = ? AND rte_id = ? AND deleted_at IS NULL`
     ).get(docId, rteId);
 
     if (!row || !row.filepath) {
@@ -722,6 +724,111 @@ router.get('/:rteId/documents/:docId/content', (req, res) => {
   }
 });
 
+/**
+ * GET /api/rte/:rteId/documents/:docId/versions
+ * Revision history of a document, newest first
+ */
+router.get('/:rteId/documents/:docId/versions', (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { rteId, docId } = req.params;
+
+  try {
+    const doc = db.prepare('SELECT id, title, filepath FROM rte_documents WHERE id = ? AND rte_id = ? AND deleted_at IS NULL').get(docId, rteId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ documentId: doc.id, title: doc.title, filepath: doc.filepath, versions: listVersions(db, doc.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/rte/:rteId/documents/:docId/versions/:version
+ * One version of a document, with its text
+ */
+router.get('/:rteId/documents/:docId/versions/:version', (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { rteId, docId, version } = req.params;
+
+  try {
+    const doc = db.prepare('SELECT id FROM rte_documents WHERE id = ? AND rte_id = ? AND deleted_at IS NULL').get(docId, rteId);
+    const row = doc && getVersion(db, doc.id, version);
+    if (!row) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/rte/:rteId/documents/:docId/diff?from=1&to=2
+ * Line diff between two versions; `to` defaults to the latest, `from` to the one before it
+ */
+router.get('/:rteId/documents/:docId/diff', (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { rteId, docId } = req.params;
+
+  try {
+    const doc = db.prepare('SELECT id FROM rte_documents WHERE id = ? AND rte_id = ? AND deleted_at IS NULL').get(docId, rteId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const versions = listVersions(db, doc.id);
+    const to = parseInt(req.query.to) || versions[0]?.version;
+    if (!to) {
+      return res.status(404).json({ error: `No versions recorded for document ${doc.id}` });
+    }
+    const from = parseInt(req.query.from) || to - 1;
+    if (from < 1) {
+      return res.status(404).json({ error: `Document ${doc.id} has no version before version ${to}` });
+    }
+    res.json(diffVersions(db, doc.id, from, to));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/rte/:rteId/documents/:docId/versions/:version/restore
+ * Put an earlier version back in the file; it is recorded as a new version
+ */
+router.post('/:rteId/documents/:docId/versions/:version/restore', (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const { rteId, docId, version } = req.params;
+
+  try {
+    const doc = db.prepare('SELECT * FROM rte_documents WHERE id = ? AND rte_id = ? AND deleted_at IS NULL').get(docId, rteId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const result = restoreDocumentVersion(db, doc, parseInt(version));
+    console.log(`[RTE] Restored version ${result.restored} of document ${doc.id}`);
+    res.json({ success: true, documentId: doc.id, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // ===========================================
 // LEGACY ROUTES (backward compatibility)
 // ===========================================
@@ -831,7 +938,7 @@ router.get('/files', (req, res) => {
     try {
       // Try rte_documents instead
       const docs = db.prepare(
-        `SELECT id, filename, filepath, file_type as type, created_at FROM rte_documents ORDER BY created_at DESC LIMIT 50`
+        `SELECT id, filename, filepath, file_type as type, created_at FROM rte_documents WHERE deleted_at IS NULL ORDER BY created_at DESC LIMIT 50`
       ).all();
       res.json({ files: docs, total: docs.length, legacy: true });
     } catch (err2) {
@@ -1037,6 +1144,7 @@ router.delete('/:rteId/documents/:docId', async (req, res) => {
     if (queueCount > 0) deletedData.cascaded.push(`${queueCount} extraction queue entries`);
 
     // 4. Delete from rte_documents (CASCADE handles markers, tags, queue)
+    db.prepare('DELETE FROM document_versions WHERE document_id = ?').run(docId);
     const result = db.prepare('DELETE FROM rte_documents WHERE id = ? AND rte_id = ?').run(docId, rteId);
     deletedData.document = result.changes > 0;
 
@@ -1098,6 +1206,11 @@ router.put('/file/:filename', (req, res) => {
 
     // Write updated content
     fs.writeFileSync(filepath, content, 'utf-8');
+
+    const doc = db.prepare('SELECT * FROM rte_documents WHERE filepath = ? AND deleted_at IS NULL ORDER BY id DESC LIMIT 1').get(filepath);
+    if (doc) {
+      syncDocumentFile(db, doc, content, 'ui-edit');
+    }
     res.json({ success: true, filepath });
   } catch (err) {
     res.status(500).json({ error: err.message });
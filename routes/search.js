@@ -7,8 +7,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { getInstance: getSqliteVectorSearch } = require('../services/sqlite-vector-search');
+const { getInstance: getSqliteVectorSearch, SEARCH_MODES } = require('../services/sqlite-vector-search');
 const { getDb } = require('../db/connection');
+const { parseTemporal, stripTemporal } = require('../services/temporal-parser');
+const { loadDocuments, documentForHit, matchesFilters, computeFacets } = require('../services/search-facets');
+const { hasQuerySyntax } = require('../services/fts-query');
+
+// Chunks searched when facets are requested, so counts cover the full match set
+const FACET_MATCH_LIMIT = 2000;
 
 /**
  * Expand query with glossary terms (Dutch ↔ English)
@@ -45,8 +51,10 @@ function expandQueryWithGlossary(query) {
       console.log(`[Search] Query expanded: "${query}" → ${Array.from(expansions).join(' OR ')}`);
     }
 
-    // Return as OR query for FTS5
-    return Array.from(expansions).join(' OR ');
+    // Return as OR query for FTS5; glossary terms are matched as phrases
+    return Array.from(expansions)
+      .map((term, i) => i === 0 ? term : `"${term.replace(/"/g, '')}"`)
+      .join(' OR ');
   } catch (error) {
     console.error('[Search] Query expansion failed:', error.message);
     return query;
@@ -56,7 +64,9 @@ function expandQueryWithGlossary(query) {
 /**
  * GET / - Text search using SQLite FTS5
  * Query params:
- *   - q: search query (required)
+ *   - q: search query (required), in the query language of services/fts-query.js:
+ *       "exact phrase", AND / OR / NOT, -exclude, a NEAR b, NEAR/5, ( ),
+ *       section:, file:, person:, project:, type:, tag:, before:, after:, decision: ...
  *   - rteId: filter by RTE ID
  *   - type: filter by result type (document, actor, relationship, glossary)
  *   - limit: max results (default 20)
@@ -66,12 +76,28 @@ function expandQueryWithGlossary(query) {
  *   - semantic: filter by semantic tag
  *   - dateFrom: filter by date range start (YYYY-MM-DD)
  *   - dateTo: filter by date range end (YYYY-MM-DD)
+ *   - when: date range in words ("vorige week", "Q3", "since PI planning")
+ *   - mode: keyword (default), semantic or hybrid
+ *   - contentType: filter by content type (log, meeting, artifact, ...)
+ *   - month: filter by month of document_date (YYYY-MM)
+ *   - facets: true to return { results, total, facets, dateRange } instead of a list
+ *
+ * Without dateFrom/dateTo/when, a date phrase inside a plain q (no query syntax)
+ * is used as the range and removed from the search terms. Each result echoes the
+ * range as dateRange. A malformed q is answered with 400 and the position of the
+ * problem: { error, position }.
+ *
+ * Facets (rte, contentType, person, project, semantic, month) count matching
+ * documents; each facet ignores its own filter so sibling values stay selectable.
  */
 router.get('/', async (req, res) => {
-  const { q, rteId, type, limit, expand, person, project, semantic, dateFrom, dateTo } = req.query;
+  const { q, rteId, type, limit, expand, person, project, semantic, when, contentType, month, mode = 'keyword' } = req.query;
+  const withFacets = req.query.facets === 'true';
+  let { dateFrom, dateTo } = req.query;
 
   // Check if query is empty or just wildcards
   const isWildcardQuery = !q || /^[\s.*]+$/.test(q);
+  const usesSyntax = hasQuerySyntax(q);
   const markerTypes = ['question', 'decision', 'insight', 'action'];
   const isMarkerSearch = semantic && markerTypes.includes(semantic.toLowerCase());
 
@@ -80,6 +106,34 @@ router.get('/', async (req, res) => {
     return res.status(400).json({ error: 'Missing query parameter: q' });
   }
 
+  if (!SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+  }
+
+  if (month && !/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({ error: 'month must be YYYY-MM' });
+  }
+
+  // Resolve the date range: explicit dates, then `when`, then a phrase in q
+  let dateRange = null;
+  let queryText = q;
+  if (when) {
+    dateRange = parseTemporal(when, { rteId: rteId ? parseInt(rteId) : null, explicit: true });
+    if (!dateRange) {
+      return res.status(400).json({ error: `Could not read a date range from when: "${when}"` });
+    }
+  } else if (!dateFrom && !dateTo && !isWildcardQuery && !usesSyntax) {
+    dateRange = parseTemporal(q, { rteId: rteId ? parseInt(rteId) : null });
+    queryText = stripTemporal(q, dateRange) || q;
+  }
+  if (dateRange) {
+    dateFrom = dateFrom || dateRange.start;
+    dateTo = dateTo || dateRange.end;
+    dateRange = { start: dateFrom, end: dateTo, text: dateRange.text };
+  } else if (dateFrom || dateTo) {
+    dateRange = { start: dateFrom || null, end: dateTo || null, text: null };
+  }
+
   try {
     const db = getDb();
     const vectorSearch = getSqliteVectorSearch();
@@ -106,7 +160,7 @@ router.get('/', async (req, res) => {
         FROM semantic_markers m
         JOIN rte_documents d ON m.document_id = d.id
         LEFT JOIN rtes r ON d.rte_id = r.id
-        WHERE m.marker_type = ?
+        WHERE m.marker_type = ? AND m.retired_at IS NULL
         ${rteId ? 'AND d.rte_id = ?' : ''}
         ORDER BY m.created_at DESC
         LIMIT ?
@@ -140,151 +194,52 @@ router.get('/', async (req, res) => {
       return res.json(enrichedMarkers);
     }
     
-    // Normal FTS search
-    searchQuery = shouldExpand ? expandQueryWithGlossary(q) : q;
+    // Normal FTS search; embeddings already match across languages, so semantic search skips the glossary
+    searchQuery = shouldExpand && mode !== 'semantic' && !usesSyntax ? expandQueryWithGlossary(queryText) : queryText;
     
+    // Facets count the whole match set, including other RTEs, so the RTE filter is applied below
     const searchResult = await vectorSearch.search(searchQuery, {
-      rteId: rteId ? parseInt(rteId) : null,
-      limit: parseInt(limit) || 100 // Get more, then filter
+      rteId: rteId && !withFacets ? parseInt(rteId) : null,
+      limit: withFacets ? FACET_MATCH_LIMIT : parseInt(limit) || 100, // Get more, then filter
+      mode,
+      syntax: true
     });
 
     // Handle error from search
+    if (searchResult.queryError) {
+      return res.status(400).json({ error: searchResult.queryError.message, position: searchResult.queryError.position });
+    }
     if (searchResult.error) {
       return res.status(500).json({ error: searchResult.error });
     }
 
-    results = searchResult.results || [];
-
-    // Apply tag filters (filter by document_id matches in document_tags)
-    // Skip this if we already filtered by marker type above
-    if (db && (person || project || (semantic && !isWildcardQuery))) {
-      const documentIds = results.map(r => r.documentId || r.id).filter(Boolean);
-      
-      if (documentIds.length > 0) {
-        const placeholders = documentIds.map(() => '?').join(',');
-        
-        // Build tag filter query
-        const tagConditions = [];
-        const tagParams = [];
-        
-        if (person) {
-          tagConditions.push(`(tag_type = 'person' AND tag_value = ?)`);
-          tagParams.push(person);
-        }
-        if (project) {
-          tagConditions.push(`(tag_type = 'project' AND tag_value = ?)`);
-          tagParams.push(project);
-        }
-        if (semantic) {
-          tagConditions.push(`(tag_type = 'semantic' AND tag_value = ?)`);
-          tagParams.push(semantic);
-        }
-        
-        const tagQuery = `
-          SELECT DISTINCT document_id FROM document_tags
-          WHERE document_id IN (${placeholders})
-          AND (${tagConditions.join(' OR ')})
-        `;
-        
-        const matchingDocs = db.prepare(tagQuery).all(...documentIds, ...tagParams);
-        let matchingIds = new Set(matchingDocs.map(d => d.document_id));
-        
-        // Also include documents with explicit semantic markers (question:, decision:, etc.)
-        // Note: semantic_markers uses rte_documents.id which differs from vector search IDs
-        // So we match by filepath instead
-        if (semantic) {
-          const markerTypes = ['question', 'decision', 'insight', 'action'];
-          if (markerTypes.includes(semantic.toLowerCase())) {
-            try {
-              // Get filepaths from search results
-              const searchFilepaths = results.map(r => r.filepath || r.path).filter(Boolean);
-              if (searchFilepaths.length > 0) {
-                const fpPlaceholders = searchFilepaths.map(() => '?').join(',');
-                const markerQuery = `
-                  SELECT DISTINCT d.filepath 
-                  FROM semantic_markers m
-                  JOIN rte_documents d ON m.document_id = d.id
-                  WHERE d.filepath IN (${fpPlaceholders})
-                  AND m.marker_type = ?
-                `;
-                const markerDocs = db.prepare(markerQuery).all(...searchFilepaths, semantic.toLowerCase());
-                const markerPaths = new Set(markerDocs.map(d => d.filepath));
-                
-                // Add matching vector search IDs to the allowed set
-                results.forEach(r => {
-                  const fp = r.filepath || r.path;
-                  if (fp && markerPaths.has(fp)) {
-                    matchingIds.add(r.documentId || r.id);
-                  }
-                });
-              }
-            } catch (e) {
-              console.error('[Search] Marker lookup failed:', e.message);
-            }
-          }
-        }
-        
-        results = results.filter(r => matchingIds.has(r.documentId || r.id));
-      }
-    }
-
-    // Apply date range filter
-    if (db && (dateFrom || dateTo)) {
-      const documentIds = results.map(r => r.documentId || r.id).filter(Boolean);
-      
-      if (documentIds.length > 0) {
-        const placeholders = documentIds.map(() => '?').join(',');
-        const dateConditions = [];
-        const dateParams = [...documentIds];
-        
-        if (dateFrom) {
-          dateConditions.push(`document_date >= ?`);
-          dateParams.push(dateFrom);
-        }
-        if (dateTo) {
-          dateConditions.push(`document_date <= ?`);
-          dateParams.push(dateTo);
-        }
-        
-        const dateQuery = `
-          SELECT id FROM rte_documents
-          WHERE id IN (${placeholders})
-          AND ${dateConditions.join(' AND ')}
-        `;
-        
-        const matchingDocs = db.prepare(dateQuery).all(...dateParams);
-        const matchingIds = new Set(matchingDocs.map(d => d.id));
-        
-        results = results.filter(r => matchingIds.has(r.documentId || r.id));
-      }
-    }
+    const matches = searchResult.results || [];
+
+    // Tag, type, month and date filters work on the document behind each chunk, found by filepath
+    const filters = {
+      rteId,
+      contentType,
+      person,
+      project,
+      semantic: isWildcardQuery ? null : semantic,
+      month,
+      dateFrom,
+      dateTo
+    };
+    const documents = loadDocuments(db, matches.map(r => r.filepath));
+    results = matches.filter(r => matchesFilters(documentForHit(r, documents), filters));
+    const total = results.length;
 
     // Limit final results
     const finalLimit = parseInt(limit) || 20;
     results = results.slice(0, finalLimit);
 
-    // Enrich results with tag information
     const enrichedResults = results.map(r => {
-      const docId = r.documentId || r.id;
-      let tags = { people: [], projects: [], semantics: [] };
-      
-      if (db && docId) {
-        try {
-          const docTags = db.prepare(`
-            SELECT tag_type, tag_value FROM document_tags WHERE document_id = ?
-          `).all(docId);
-          
-          docTags.forEach(t => {
-            if (t.tag_type === 'person') tags.people.push(t.tag_value);
-            else if (t.tag_type === 'project') tags.projects.push(t.tag_value);
-            else if (t.tag_type === 'semantic') tags.semantics.push(t.tag_value);
-          });
-        } catch (e) { /* ignore tag fetch errors */ }
-      }
+      const doc = documentForHit(r, documents);
       
       return {
         id: r.id,
-        documentId: docId,
+        documentId: doc.id || r.id,
         title: r.section || r.filename,
         name: r.filename,
         content: r.highlight,
@@ -293,13 +248,28 @@ router.get('/', async (req, res) => {
         type: type || 'document',
         rteId: r.rteId,
         rteName: r.rteName,
+        contentType: doc.contentType,
+        documentDate: doc.date,
         score: r.score,
+        scores: r.scores,
         expandedQuery: shouldExpand ? searchQuery : null,
-        tags
+        dateRange,
+        tags: { people: doc.people, projects: doc.projects, semantics: doc.semantics }
       };
     });
 
-    res.json(enrichedResults);
+    if (!withFacets) {
+      return res.json(enrichedResults);
+    }
+
+    // One entry per matched document, before filtering
+    const matchedDocs = [...new Map(matches.map(r => [r.filepath, documentForHit(r, documents)])).values()];
+    res.json({
+      results: enrichedResults,
+      total,
+      facets: computeFacets(matchedDocs, filters),
+      dateRange
+    });
   } catch (error) {
     console.error('[Search] Query failed:', error);
     res.status(500).json({ error: error.message });
@@ -368,7 +338,7 @@ router.get('/filters', (req, res) => {
         MIN(document_date) as minDate,
         MAX(document_date) as maxDate
       FROM rte_documents
-      WHERE document_date IS NOT NULL
+      WHERE document_date IS NOT NULL AND deleted_at IS NULL
     `).get();
 
     res.json({
@@ -468,12 +438,13 @@ router.get('/recent', (req, res) => {
         r.id as rte_id
       FROM rte_documents rd
       LEFT JOIN rtes r ON rd.rte_id = r.id
+      WHERE rd.deleted_at IS NULL
     `;
 
     const params = [];
 
     if (rteId) {
-      query += ` WHERE rd.rte_id = ?`;
+      query += ` AND rd.rte_id = ?`;
       params.push(rteId);
     }
 
@@ -647,7 +618,8 @@ router.get('/markers', (req, res) => {
   }
 
   try {
-    const conditions = [];
+    // Markers deleted from their document are retired, not shown
+    const conditions = ['m.retired_at IS NULL'];
     const params = [];
 
     // Text search in marker_content
@@ -8,6 +8,9 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
 const { getInstance: getExtractionWorker } = require('../services/extraction-worker');
+const { PROVIDER_TYPES } = require('../services/llm-providers');
+const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
 
 // Ollama configuration
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
@@ -28,7 +31,7 @@ router.get('/llm', (req, res) => {
 
   try {
     const configs = db.prepare(`
-      SELECT id, task as purpose, model_name, endpoint, temperature, max_tokens, fallback_models, is_active, created_at, updated_at 
+      SELECT id, task as purpose, provider, model_name, endpoint, api_key_env, temperature, max_tokens, fallback_models, is_active, created_at, updated_at 
       FROM llm_configs ORDER BY task
     `).all();
 
@@ -45,7 +48,11 @@ router.get('/llm', (req, res) => {
  */
 router.put('/llm/:purpose', (req, res) => {
   const { purpose } = req.params;
-  const { model_name, is_active, fallback_models } = req.body;
+  const { model_name, is_active, fallback_models, temperature, max_tokens, provider, endpoint, api_key_env } = req.body;
+
+  if (provider && !PROVIDER_TYPES.includes(provider)) {
+    return res.status(400).json({ error: `provider must be one of: ${PROVIDER_TYPES.join(', ')}` });
+  }
 
   const db = getDb();
   if (!db) {
@@ -58,9 +65,17 @@ router.put('/llm/:purpose', (req, res) => {
       SET model_name = COALESCE(?, model_name),
           is_active = COALESCE(?, is_active),
           fallback_models = COALESCE(?, fallback_models),
+          temperature = COALESCE(?, temperature),
+          max_tokens = COALESCE(?, max_tokens),
+          provider = COALESCE(?, provider),
+          endpoint = COALESCE(?, endpoint),
+          api_key_env = COALESCE(?, api_key_env),
           updated_at = datetime('now')
       WHERE task = ?
-    `).run(model_name, is_active, fallback_models, purpose);
+    `).run(
+      model_name, is_active, fallback_models, temperature ?? null, max_tokens ?? null,
+      provider ?? null, endpoint ?? null, api_key_env ?? null, purpose
+    );
 
     if (result.changes === 0) {
       return res.status(404).json({ error: 'Configuration not found' });
@@ -99,6 +114,35 @@ router.get('/llm/available', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/settings/llm/health
+ * Model health: endpoint probes, rolling error rates and latency per model,
+ * and the order each task tries its models in after demotions
+ */
+router.get('/llm/health', (req, res) => {
+  try {
+    res.json(getLLMManager().getHealthReport());
+  } catch (error) {
+    console.error('[Settings] Get LLM health failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/settings/llm/health/probe
+ * Probe all endpoints now instead of waiting for the next interval
+ */
+router.post('/llm/health/probe', async (req, res) => {
+  try {
+    const llmManager = getLLMManager();
+    await llmManager.probeModels();
+    res.json(llmManager.getHealthReport());
+  } catch (error) {
+    console.error('[Settings] LLM health probe failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // Semantic Tags Management
 // ============================================================
@@ -213,7 +257,7 @@ router.get('/content-types', (req, res) => {
   try {
     const types = db.prepare(`
       SELECT ct.*, 
-        (SELECT COUNT(*) FROM rte_documents rd WHERE rd.content_type_id = ct.id) as usage_count
+        (SELECT COUNT(*) FROM rte_documents rd WHERE rd.content_type_id = ct.id AND rd.deleted_at IS NULL) as usage_count
       FROM content_types ct
       ORDER BY ct.name
     `).all();
@@ -645,6 +689,129 @@ router.get('/templates/:id/download', (req, res) => {
   }
 });
 
+// ============================================================
+// Prompt Templates
+// ============================================================
+
+/**
+ * GET /api/settings/prompts
+ * List prompt keys with their active version
+ */
+router.get('/prompts', (req, res) => {
+  try {
+    res.json(getPromptTemplates().list());
+  } catch (e) {
+    console.error('[Settings] List prompts failed:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/settings/prompts/:key
+ * Active prompt plus all versions (version 0 is the built-in default)
+ */
+router.get('/prompts/:key', (req, res) => {
+  const prompts = getPromptTemplates();
+  if (!prompts.keys().includes(req.params.key)) {
+    return res.status(404).json({ error: 'Prompt not found' });
+  }
+
+  try {
+    res.json({
+      ...prompts.get(req.params.key),
+      versions: prompts.getVersions(req.params.key)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/settings/prompts/:key
+ * Save a new version and make it active
+ * Body: { body, note }
+ */
+router.post('/prompts/:key', (req, res) => {
+  const prompts = getPromptTemplates();
+  const { key } = req.params;
+  const { body, note } = req.body;
+
+  if (!prompts.keys().includes(key)) {
+    return res.status(404).json({ error: 'Prompt not found' });
+  }
+  if (!body || !body.trim()) {
+    return res.status(400).json({ error: 'Prompt body is required' });
+  }
+
+  // Unknown variables would silently render as empty text
+  const { unknown } = prompts.checkVariables(key, body);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown variables: ${unknown.map(v => `{{${v}}}`).join(', ')}`,
+      unknown
+    });
+  }
+
+  try {
+    const version = prompts.saveVersion(key, body, note || null);
+    console.log(`[Settings] Saved prompt ${key} v${version}`);
+    res.json({ success: true, key, version });
+  } catch (e) {
+    console.error('[Settings] Save prompt failed:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/settings/prompts/:key/activate
+ * Switch to an earlier version; version 0 restores the built-in default
+ * Body: { version }
+ */
+router.post('/prompts/:key/activate', (req, res) => {
+  const prompts = getPromptTemplates();
+  const { key } = req.params;
+  const version = parseInt(req.body.version, 10);
+
+  if (!prompts.keys().includes(key)) {
+    return res.status(404).json({ error: 'Prompt not found' });
+  }
+  if (isNaN(version) || version < 0) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+
+  try {
+    if (!prompts.activate(key, version)) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+    console.log(`[Settings] Activated prompt ${key} v${version}`);
+    res.json({ success: true, key, version });
+  } catch (e) {
+    console.error('[Settings] Activate prompt failed:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/settings/prompts/:key/preview
+ * Render an unsaved body with sample values
+ * Body: { body, variables }
+ */
+router.post('/prompts/:key/preview', (req, res) => {
+  const prompts = getPromptTemplates();
+  const { key } = req.params;
+  const { body, variables = {} } = req.body;
+
+  if (!prompts.keys().includes(key)) {
+    return res.status(404).json({ error: 'Prompt not found' });
+  }
+
+  try {
+    res.json(prompts.preview(key, body || '', variables));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ============================================================
 // System Status
 // ============================================================
@@ -662,7 +829,7 @@ router.get('/status', async (req, res) => {
   if (db) {
     try {
       dbStats = {
-        documents: db.prepare('SELECT COUNT(*) as count FROM rte_documents').get().count,
+        documents: db.prepare('SELECT COUNT(*) as count FROM rte_documents WHERE deleted_at IS NULL').get().count,
         tags: db.prepare('SELECT COUNT(*) as count FROM document_tags').get().count,
         rtes: db.prepare('SELECT COUNT(*) as count FROM rtes').get().count
       };
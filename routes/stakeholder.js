@@ -188,6 +188,7 @@ router.get('/:id', (req, res) => {
         FROM document_tags dt
         WHERE dt.tag_type = 'person' AND dt.tag_value = ?
       )
+      AND sm.retired_at IS NULL
       ORDER BY sm.created_at DESC
       LIMIT 30
     `).all(actor.name);
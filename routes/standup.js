@@ -7,24 +7,9 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
 const { getInstance: getSqliteVectorSearch } = require('../services/sqlite-vector-search');
-
-// Ollama configuration
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
-const FALLBACK_MODELS = ['mistral:latest', 'deepseek-r1:7b', 'gemma3:4b'];
-
-/**
- * Get query model from database config
- */
-function getQueryModel() {
-  const db = getDb();
-  if (!db) return FALLBACK_MODELS[0];
-  try {
-    const config = db.prepare(`SELECT model_name FROM llm_configs WHERE task = 'query'`).get();
-    return config?.model_name || FALLBACK_MODELS[0];
-  } catch (e) {
-    return FALLBACK_MODELS[0];
-  }
-}
+const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
+const { openSseStream } = require('../services/sse-stream');
 
 /**
  * Parse a date string (YYYY-MM-DD) or default to yesterday
@@ -59,11 +44,11 @@ router.get('/data', (req, res) => {
     const docsQuery = rteId
       ? `SELECT id, filename, filepath, rte_id, document_date, created_at
          FROM rte_documents
-         WHERE document_date = ? AND rte_id = ?
+         WHERE document_date = ? AND rte_id = ? AND deleted_at IS NULL
          ORDER BY created_at DESC`
       : `SELECT id, filename, filepath, rte_id, document_date, created_at
          FROM rte_documents
-         WHERE document_date = ?
+         WHERE document_date = ? AND deleted_at IS NULL
          ORDER BY created_at DESC`;
     const docsParams = rteId ? [date, rteId] : [date];
     const documents = db.prepare(docsQuery).all(...docsParams);
@@ -81,7 +66,7 @@ router.get('/data', (req, res) => {
                sm.document_id, rd.filename AS source_filename, rd.filepath AS source_filepath
         FROM semantic_markers sm
         JOIN rte_documents rd ON sm.document_id = rd.id
-        WHERE sm.document_id IN (${placeholders})
+        WHERE sm.document_id IN (${placeholders}) AND sm.retired_at IS NULL
         ORDER BY sm.marker_type, sm.created_at
       `).all(...docIds);
     }
@@ -94,7 +79,7 @@ router.get('/data', (req, res) => {
          FROM semantic_markers sm
          JOIN rte_documents rd ON sm.document_id = rd.id
          WHERE sm.marker_type IN ('blocker', 'question')
-           AND sm.is_resolved = 0
+           AND sm.is_resolved = 0 AND sm.retired_at IS NULL
            AND rd.rte_id = ?
          ORDER BY sm.marker_type, sm.created_at`
       : `SELECT sm.id, sm.marker_type, sm.marker_content, sm.is_resolved,
@@ -103,7 +88,7 @@ router.get('/data', (req, res) => {
          FROM semantic_markers sm
          JOIN rte_documents rd ON sm.document_id = rd.id
          WHERE sm.marker_type IN ('blocker', 'question')
-           AND sm.is_resolved = 0
+           AND sm.is_resolved = 0 AND sm.retired_at IS NULL
          ORDER BY sm.marker_type, sm.created_at`;
     const openBlockersParams = rteId ? [rteId] : [];
     const openItems = db.prepare(openBlockersQuery).all(...openBlockersParams);
@@ -147,13 +132,13 @@ router.get('/data', (req, res) => {
                 rd.filename AS source_filename, rd.filepath AS source_filepath
          FROM semantic_markers sm
          JOIN rte_documents rd ON sm.document_id = rd.id
-         WHERE sm.due_date < ? AND sm.is_resolved = 0 AND rd.rte_id = ?
+         WHERE sm.due_date < ? AND sm.is_resolved = 0 AND sm.retired_at IS NULL AND rd.rte_id = ?
          ORDER BY sm.due_date`
       : `SELECT sm.id, sm.marker_type, sm.marker_content, sm.owner, sm.due_date, sm.severity,
                 rd.filename AS source_filename, rd.filepath AS source_filepath
          FROM semantic_markers sm
          JOIN rte_documents rd ON sm.document_id = rd.id
-         WHERE sm.due_date < ? AND sm.is_resolved = 0
+         WHERE sm.due_date < ? AND sm.is_resolved = 0 AND sm.retired_at IS NULL
          ORDER BY sm.due_date`;
     const overdueParams = rteId ? [today, rteId] : [today];
     const overdue = db.prepare(overdueQuery).all(...overdueParams);
@@ -195,6 +180,7 @@ router.get('/data', (req, res) => {
  * Body:
  *   - date: YYYY-MM-DD (default: yesterday)
  *   - rteId: optional RTE filter
+ *   - cache: false to bypass the LLM response cache
  */
 router.post('/summarize', async (req, res) => {
   const db = getDb();
@@ -204,141 +190,142 @@ router.post('/summarize', async (req, res) => {
   const rteId = req.body.rteId ? parseInt(req.body.rteId) : null;
 
   try {
-    // Step 1: Get documents for this date
-    const docsQuery = rteId
-      ? `SELECT id, filename, filepath FROM rte_documents
-         WHERE document_date = ? AND rte_id = ?`
-      : `SELECT id, filename, filepath FROM rte_documents
-         WHERE document_date = ?`;
-    const docsParams = rteId ? [date, rteId] : [date];
-    const documents = db.prepare(docsQuery).all(...docsParams);
-
-    if (documents.length === 0) {
-      return res.json({
-        date,
-        narrative: `No documents found for ${date}. Nothing to summarise.`,
-        evidence: [],
-        model: null
-      });
-    }
+    res.json(await summarizeStandup(db, { date, rteId, cache: req.body.cache }));
+  } catch (err) {
+    console.error('[Standup] Summarize error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Step 2: Get markers for these documents
-    const docIds = documents.map(d => d.id);
-    const placeholders = docIds.map(() => '?').join(',');
-    const markers = db.prepare(`
-      SELECT sm.marker_type, sm.marker_content, sm.owner, sm.due_date, sm.severity,
-             rd.filename AS source_filename
-      FROM semantic_markers sm
-      JOIN rte_documents rd ON sm.document_id = rd.id
-      WHERE sm.document_id IN (${placeholders})
-      ORDER BY sm.marker_type
-    `).all(...docIds);
-
-    // Step 3: Get document content via FTS5 search (evidence pipeline)
-    const vectorSearch = getSqliteVectorSearch();
-    const filenames = documents.map(d => d.filename);
-
-    // Search for content from these specific documents
-    // Use a broad query to pull all chunks from date-relevant documents
-    const searchResult = await vectorSearch.search('meeting notes decisions actions', {
-      rteId: rteId || null,
-      limit: 50
-    });
+/**
+ * POST /api/standup/summarize/stream
+ * Same as POST /api/standup/summarize, but streams the narrative as Server-Sent Events.
+ * The final 'complete' event carries the evidence and model.
+ */
+router.post('/summarize/stream', async (req, res) => {
+  const db = getDb();
+  if (!db) return res.status(500).json({ error: 'Database not ready' });
 
-    let evidence = [];
-    if (searchResult.results) {
-      // Filter to only chunks from today's documents
-      const filenameSet = new Set(filenames);
-      evidence = searchResult.results
-        .filter(r => filenameSet.has(r.filename))
-        .slice(0, 8); // Keep top 8 evidence chunks
-    }
+  const date = resolveDate(req.body.date);
+  const rteId = req.body.rteId ? parseInt(req.body.rteId) : null;
+  const stream = openSseStream(req, res);
 
-    // Step 4: Build the LLM prompt
-    const markerSummary = markers.map(m => {
-      const ownerStr = m.owner ? ` (owner: ${m.owner})` : '';
-      const dueStr = m.due_date ? ` [due: ${m.due_date}]` : '';
-      const sevStr = m.severity ? ` {${m.severity}}` : '';
-      return `- [${m.marker_type}] ${m.marker_content}${ownerStr}${dueStr}${sevStr}`;
-    }).join('\n');
-
-    const evidenceText = evidence.map((e, i) =>
-      `[Evidence ${i + 1}] ${e.filename}\n${e.content || e.highlight || ''}`
-    ).join('\n\n---\n\n');
-
-    const prompt = `You are a Product Owner assistant. Based on the structured markers and document evidence below, write a concise standup update for ${date}.
-
-Format your response in three sections:
-1. **What happened** — summarise the key activities, decisions, and progress
-2. **What's planned** — any actions assigned or commitments made
-3. **Blockers & risks** — anything that needs attention
-
-Keep it brief, professional, and actionable. Use bullet points.
-
-STRUCTURED MARKERS:
-${markerSummary || '(no markers extracted)'}
-
-DOCUMENT EVIDENCE:
-${evidenceText || '(no document content available)'}
-
-DOCUMENTS PROCESSED: ${filenames.join(', ')}
-
-STANDUP UPDATE:`;
-
-    // Step 5: Call LLM
-    const primaryModel = getQueryModel();
-    const modelsToTry = [primaryModel, ...FALLBACK_MODELS.filter(m => m !== primaryModel)];
-    let narrative = null;
-    let usedModel = null;
-
-    for (const model of modelsToTry) {
-      try {
-        const response = await fetch(`${OLLAMA_HOST}/api/generate`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            model,
-            prompt,
-            stream: false,
-            options: { temperature: 0.3, num_predict: 600 }
-          })
-        });
-
-        if (!response.ok) {
-          console.log(`[Standup] Model ${model} failed with status ${response.status}`);
-          continue;
-        }
-
-        const data = await response.json();
-        if (data.response) {
-          narrative = data.response.trim();
-          usedModel = model;
-          console.log(`[Standup] Summary generated using ${model}`);
-          break;
-        }
-      } catch (error) {
-        console.log(`[Standup] Model ${model} error:`, error.message);
-        continue;
-      }
-    }
+  try {
+    const result = await summarizeStandup(db, { date, rteId, cache: req.body.cache }, { onToken: stream.token, signal: stream.signal });
+    stream.complete({ response: result.narrative, ...result });
+  } catch (err) {
+    console.error('[Standup] Summarize stream error:', err);
+    stream.error(err.message);
+  }
+});
 
-    res.json({
+/**
+ * Build the standup narrative for a date using the evidence pipeline
+ * @param {object} db - better-sqlite3 database
+ * @param {object} params - { date: YYYY-MM-DD, rteId: optional RTE filter, cache: false to skip the LLM cache }
+ * @param {object|null} streamOptions - { onToken, signal } to stream the narrative
+ */
+async function summarizeStandup(db, { date, rteId, cache = true }, streamOptions = null) {
+  // Step 1: Get documents for this date
+  const docsQuery = rteId
+    ? `SELECT id, filename, filepath FROM rte_documents
+       WHERE document_date = ? AND rte_id = ? AND deleted_at IS NULL`
+    : `SELECT id, filename, filepath FROM rte_documents
+       WHERE document_date = ? AND deleted_at IS NULL`;
+  const docsParams = rteId ? [date, rteId] : [date];
+  const documents = db.prepare(docsQuery).all(...docsParams);
+
+  if (documents.length === 0) {
+    return {
       date,
-      narrative: narrative || 'LLM unavailable — could not generate summary.',
-      evidence: evidence.map(e => ({
-        filename: e.filename,
-        snippet: e.highlight || e.content?.substring(0, 200) || '',
-        score: e.score
-      })),
-      markers: markers.length,
-      documents: filenames,
-      model: usedModel
-    });
+      narrative: `No documents found for ${date}. Nothing to summarise.`,
+      evidence: [],
+      model: null
+    };
+  }
 
-  } catch (err) {
-    console.error('[Standup] Summarize error:', err);
-    res.status(500).json({ error: err.message });
+  // Step 2: Get markers for these documents
+  const docIds = documents.map(d => d.id);
+  const placeholders = docIds.map(() => '?').join(',');
+  const markers = db.prepare(`
+    SELECT sm.marker_type, sm.marker_content, sm.owner, sm.due_date, sm.severity,
+           rd.filename AS source_filename
+    FROM semantic_markers sm
+    JOIN rte_documents rd ON sm.document_id = rd.id
+    WHERE sm.document_id IN (${placeholders}) AND sm.retired_at IS NULL
+    ORDER BY sm.marker_type
+  `).all(...docIds);
+
+  // Step 3: Get document content via FTS5 search (evidence pipeline)
+  const vectorSearch = getSqliteVectorSearch();
+  const filenames = documents.map(d => d.filename);
+
+  // Search for content from these specific documents
+  // Use a broad query to pull all chunks from date-relevant documents
+  const searchResult = await vectorSearch.search('meeting notes decisions actions', {
+    rteId: rteId || null,
+    limit: 50
+  });
+
+  let evidence = [];
+  if (searchResult.results) {
+    // Filter to only chunks from today's documents
+    const filenameSet = new Set(filenames);
+    evidence = searchResult.results
+      .filter(r => filenameSet.has(r.filename))
+      .slice(0, 8); // Keep top 8 evidence chunks
   }
-});
+
+  // Step 4: Build the LLM prompt
+  const markerSummary = markers.map(m => {
+    const ownerStr = m.owner ? ` (owner: ${m.owner})` : '';
+    const dueStr = m.due_date ? ` [due: ${m.due_date}]` : '';
+    const sevStr = m.severity ? ` {${m.severity}}` : '';
+    return `- [${m.marker_type}] ${m.marker_content}${ownerStr}${dueStr}${sevStr}`;
+  }).join('\n');
+
+  const evidenceText = evidence.map((e, i) =>
+    `[Evidence ${i + 1}] ${e.filename}\n${e.content || e.highlight || ''}`
+  ).join('\n\n---\n\n');
+
+  const prompt = getPromptTemplates().render('standup.summary', {
+    date,
+    markers: markerSummary || '(no markers extracted)',
+    evidence: evidenceText || '(no document content available)',
+    documents: filenames.join(', ')
+  });
+
+  // Step 5: Call LLM
+  let narrative = null;
+  let usedModel = null;
+  let cached = false;
+  const llmOptions = cache === false ? {} : { cache: { sources: documents.map(d => d.filepath) } };
+
+  try {
+    const llm = getLLMManager();
+    const result = streamOptions
+      ? await llm.streamForTask('standup', prompt, { ...streamOptions, ...llmOptions })
+      : await llm.generateForTask('standup', prompt, llmOptions);
+    narrative = result.text;
+    usedModel = result.model;
+    cached = result.cached;
+  } catch (error) {
+    console.log('[Standup] LLM error:', error.message);
+  }
+
+  return {
+    date,
+    narrative: narrative || 'LLM unavailable — could not generate summary.',
+    evidence: evidence.map(e => ({
+      filename: e.filename,
+      snippet: e.highlight || e.content?.substring(0, 200) || '',
+      score: e.score
+    })),
+    markers: markers.length,
+    documents: filenames,
+    model: usedModel,
+    cached
+  };
+}
 
 module.exports = router;
@@ -8,9 +8,9 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const { getDb } = require('../db/connection');
+const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
 
-const OLLAMA_URL = 'http://localhost:11434/api/generate';
-const MODEL = 'gemma2:2b';
 const GLOSSARY_FILE = path.join(__dirname, '..', 'data', 'domain-glossary.md');
 
 // In-memory glossary cache
@@ -70,32 +70,15 @@ router.post('/', async (req, res) => {
     const glossaryContext = buildGlossaryContext(finalDirection);
 
     // Translate
-    const prompt = `Translate the following from ${finalDirection === 'nl-en' ? 'Dutch' : 'English'} to ${finalDirection === 'nl-en' ? 'English' : 'Dutch'}.
-${glossaryContext}
-Preserve all formatting, headers, bullet points. Only output the translation, nothing else.
-
-TEXT:
-${cleanText}
-
-TRANSLATION:`;
-
-    const response = await fetch(OLLAMA_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: MODEL,
-        prompt: prompt,
-        stream: false,
-        options: { temperature: 0.2, num_predict: 4000 }
-      })
+    const prompt = getPromptTemplates().render('translate.text', {
+      source_language: finalDirection === 'nl-en' ? 'Dutch' : 'English',
+      target_language: finalDirection === 'nl-en' ? 'English' : 'Dutch',
+      glossary: glossaryContext,
+      text: cleanText
     });
 
-    if (!response.ok) {
-      throw new Error(`Ollama error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    let translation = cleanTranslation(data.response);
+    const result = await getLLMManager().generateForTask('translation', prompt);
+    let translation = cleanTranslation(result.text);
 
     // Apply glossary to ensure consistency
     translation = applyGlossary(translation, finalDirection);
@@ -108,6 +91,7 @@ TRANSLATION:`;
       direction: finalDirection,
       sourceLanguage: finalDirection === 'nl-en' ? 'Dutch' : 'English',
       targetLanguage: finalDirection === 'nl-en' ? 'English' : 'Dutch',
+      model: result.model,
       markedTerms,
       termTranslations
     });
@@ -241,21 +225,17 @@ async function translateTerms(terms, direction) {
 
     // Translate via LLM
     try {
-      const prompt = `Translate this single term from ${direction === 'nl-en' ? 'Dutch' : 'English'} to ${direction === 'nl-en' ? 'English' : 'Dutch'}. Only output the translation.\n\nTerm: ${term}\n\nTranslation:`;
-
-      const response = await fetch(OLLAMA_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: MODEL,
-          prompt,
-          stream: false,
-          options: { temperature: 0.1, num_predict: 50 }
-        })
+      const prompt = getPromptTemplates().render('translate.term', {
+        source_language: direction === 'nl-en' ? 'Dutch' : 'English',
+        target_language: direction === 'nl-en' ? 'English' : 'Dutch',
+        term
       });
 
-      const data = await response.json();
-      translations.push(cleanTranslation(data.response));
+      const result = await getLLMManager().generateForTask('translation', prompt, {
+        temperature: 0.1,
+        maxTokens: 50
+      });
+      translations.push(cleanTranslation(result.text));
     } catch (error) {
       translations.push('');
     }
@@ -8,10 +8,10 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/connection');
 const { getInstance: getSqliteVectorSearch } = require('../services/sqlite-vector-search');
-
-// Ollama configuration
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
-const TREND_MODELS = ['deepseek-r1:7b', 'mistral:7b', 'llama3.1:8b'];
+const { getInstance: getLLMManager } = require('../services/llm-manager');
+const { getInstance: getPromptTemplates } = require('../services/prompt-templates');
+const { openSseStream } = require('../services/sse-stream');
+const { parseTemporal, stripTemporal } = require('../services/temporal-parser');
 
 /**
  * POST /api/trend
@@ -21,58 +21,117 @@ const TREND_MODELS = ['deepseek-r1:7b', 'mistral:7b', 'llama3.1:8b'];
  *   - topic: The topic to analyze (required)
  *   - dateFrom: Start date (optional, defaults to 30 days ago)
  *   - dateTo: End date (optional, defaults to today)
+ *   - when: Date range in words instead of dateFrom/dateTo ("Q3", "sinds 1 maart");
+ *     without any of the three, a date phrase in the topic is used
  *   - rteId: Optional RTE filter
  *   - person: Optional person filter
  *   - project: Optional project filter
+ *   - cache: false to bypass the LLM response cache
  */
 router.post('/', async (req, res) => {
-  const { topic, dateFrom, dateTo, rteId, person, project } = req.body;
+  const { topic } = req.body;
 
   if (!topic || topic.trim().length === 0) {
     return res.status(400).json({ error: 'Missing topic' });
   }
+  if (req.body.when && !parseTemporal(req.body.when, { explicit: true })) {
+    return res.status(400).json({ error: `Could not read a date range from when: "${req.body.when}"` });
+  }
 
   try {
-    // Calculate date range
-    const endDate = dateTo || new Date().toISOString().split('T')[0];
-    const startDate = dateFrom || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-    // Step 1: Build timeline
-    const timeline = await buildTimeline(topic, {
-      dateFrom: startDate,
-      dateTo: endDate,
-      rteId: rteId ? parseInt(rteId) : null,
-      person,
-      project
-    });
+    res.json(await runTrend(req.body));
+  } catch (error) {
+    console.error('[Trend] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (timeline.events.length === 0) {
-      return res.json({
-        topic,
-        dateRange: { from: startDate, to: endDate },
-        timeline: { events: [] },
-        analysis: "No documents found for this topic in the specified date range.",
-        model: null
-      });
-    }
+/**
+ * POST /api/trend/stream
+ * Same as POST /api/trend, but streams the analysis as Server-Sent Events.
+ * The final 'complete' event carries the timeline and model.
+ */
+router.post('/stream', async (req, res) => {
+  const { topic } = req.body;
 
-    // Step 2: Get trend analysis from LLM
-    const analysis = await analyzeTrend(topic, timeline);
+  if (!topic || topic.trim().length === 0) {
+    return res.status(400).json({ error: 'Missing topic' });
+  }
+  if (req.body.when && !parseTemporal(req.body.when, { explicit: true })) {
+    return res.status(400).json({ error: `Could not read a date range from when: "${req.body.when}"` });
+  }
 
-    res.json({
-      topic,
-      dateRange: { from: startDate, to: endDate },
-      timeline,
-      analysis: analysis.text,
-      model: analysis.model
-    });
+  const stream = openSseStream(req, res);
 
+  try {
+    const result = await runTrend(req.body, { onToken: stream.token, signal: stream.signal });
+    stream.complete({ response: result.analysis, ...result });
   } catch (error) {
-    console.error('[Trend] Error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('[Trend] Stream error:', error);
+    stream.error(error.message);
   }
 });
 
+/**
+ * Build the timeline for a topic and analyze it
+ * @param {object} body - Request body (topic, dateFrom, dateTo, when, rteId, person, project, cache)
+ * @param {object|null} streamOptions - { onToken, signal } to stream the analysis
+ */
+async function runTrend({ topic: rawTopic, dateFrom, dateTo, when, rteId, person, project, cache = true }, streamOptions = null) {
+  // Calculate date range: explicit dates, then `when`, then a phrase in the topic
+  const parseOptions = { rteId: rteId ? parseInt(rteId) : null };
+  let topic = rawTopic;
+  let parsed = null;
+  if (when) {
+    parsed = parseTemporal(when, { ...parseOptions, explicit: true });
+  } else if (!dateFrom && !dateTo) {
+    parsed = parseTemporal(rawTopic, parseOptions);
+    topic = stripTemporal(rawTopic, parsed) || rawTopic;
+  }
+
+  let startDate, endDate;
+  if (parsed) {
+    // Open ranges stay open: "until March" has no start
+    startDate = dateFrom || parsed.start;
+    endDate = dateTo || parsed.end;
+  } else {
+    endDate = dateTo || new Date().toISOString().split('T')[0];
+    startDate = dateFrom || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  }
+  const dateRange = { from: startDate, to: endDate, text: parsed?.text || null };
+
+  // Step 1: Build timeline
+  const timeline = await buildTimeline(topic, {
+    dateFrom: startDate,
+    dateTo: endDate,
+    rteId: rteId ? parseInt(rteId) : null,
+    person,
+    project
+  });
+
+  if (timeline.events.length === 0) {
+    return {
+      topic,
+      dateRange,
+      timeline: { events: [] },
+      analysis: "No documents found for this topic in the specified date range.",
+      model: null
+    };
+  }
+
+  // Step 2: Get trend analysis from LLM
+  const analysis = await analyzeTrend(topic, timeline, streamOptions, cache !== false);
+
+  return {
+    topic,
+    dateRange,
+    timeline,
+    analysis: analysis.text,
+    model: analysis.model,
+    cached: analysis.cached
+  };
+}
+
 /**
  * Build timeline of events for a topic
  */
@@ -83,7 +142,8 @@ async function buildTimeline(topic, options) {
   // Search for documents matching topic
   const searchResult = await vectorSearch.search(topic, {
     rteId: options.rteId,
-    limit: 100
+    limit: 100,
+    mode: 'hybrid'
   });
 
   if (searchResult.error || !searchResult.results) {
@@ -115,6 +175,7 @@ async function buildTimeline(topic, options) {
           SELECT id, filepath, document_date FROM rte_documents
           WHERE filepath IN (${placeholders})
           AND document_date IS NOT NULL
+          AND deleted_at IS NULL
           AND ${dateConditions.join(' AND ')}
         `;
 
@@ -139,7 +200,7 @@ async function buildTimeline(topic, options) {
     const filepaths = results.filter(r => !r.documentId).map(r => r.filepath).filter(Boolean);
     if (filepaths.length > 0) {
       const placeholders = filepaths.map(() => '?').join(',');
-      const docLookup = db.prepare(`SELECT id, filepath FROM rte_documents WHERE filepath IN (${placeholders})`).all(...filepaths);
+      const docLookup = db.prepare(`SELECT id, filepath FROM rte_documents WHERE filepath IN (${placeholders}) AND deleted_at IS NULL`).all(...filepaths);
       const pathToId = new Map(docLookup.map(d => [d.filepath, d.id]));
       results = results.map(r => ({
         ...r,
@@ -195,7 +256,10 @@ async function buildTimeline(topic, options) {
       date: r.date || 'Unknown',
       documentId: docId,
       filename: r.filename,
+      filepath: r.filepath,
       snippet: (r.highlight || r.content || '').substring(0, 200),
+      section: r.section || null,
+      location: r.location || null,
       score: r.score || 0,
       semanticTags
     };
@@ -230,8 +294,9 @@ async function buildTimeline(topic, options) {
 
 /**
  * Call LLM to analyze the trend
+ * Streams tokens through streamOptions.onToken when provided
  */
-async function analyzeTrend(topic, timeline) {
+async function analyzeTrend(topic, timeline, streamOptions = null, useCache = true) {
   // Build context from timeline
   const context = timeline.events.map((e, i) => {
     const tags = e.semanticTags.length > 0 ? ` [${e.semanticTags.join(', ')}]` : '';
@@ -242,63 +307,34 @@ async function analyzeTrend(topic, timeline) {
     .map(([tag, count]) => `${tag}: ${count}`)
     .join(', ');
 
-  const prompt = `You are analyzing trends over time for the topic: "${topic}"
-
-TIMELINE (${timeline.events.length} events from ${timeline.summary.dateRange?.earliest || 'unknown'} to ${timeline.summary.dateRange?.latest || 'unknown'}):
-
-${context}
-
-TAG DISTRIBUTION: ${tagSummary || 'None'}
-
-Analyze this timeline and provide:
-1. Key trends or patterns you observe
-2. Notable changes over time
-3. Recommendations based on the trend
-
-Keep your analysis concise and actionable. Reference specific dates when relevant.
-
-ANALYSIS:`;
-
-  for (const model of TREND_MODELS) {
-    try {
-      const response = await fetch(`${OLLAMA_HOST}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model,
-          prompt,
-          stream: false,
-          options: {
-            temperature: 0.4,
-            num_predict: 600
-          }
-        })
-      });
-
-      if (!response.ok) {
-        console.log(`[Trend] Model ${model} failed with status ${response.status}`);
-        continue;
-      }
+  const prompt = getPromptTemplates().render('trend.analysis', {
+    topic,
+    event_count: timeline.events.length,
+    earliest: timeline.summary.dateRange?.earliest || 'unknown',
+    latest: timeline.summary.dateRange?.latest || 'unknown',
+    timeline: context,
+    tag_distribution: tagSummary || 'None'
+  });
 
-      const data = await response.json();
-      
-      if (data.response) {
-        console.log(`[Trend] Analyzed using ${model}`);
-        return {
-          text: data.response.trim(),
-          model
-        };
-      }
-    } catch (error) {
-      console.log(`[Trend] Model ${model} error:`, error.message);
-      continue;
-    }
+  try {
+    const llm = getLLMManager();
+    const llmOptions = useCache ? { cache: { sources: timeline.events.map(e => e.filepath) } } : {};
+    const result = streamOptions
+      ? await llm.streamForTask('trend', prompt, { ...streamOptions, ...llmOptions })
+      : await llm.generateForTask('trend', prompt, llmOptions);
+    return {
+      text: result.text,
+      model: result.model,
+      cached: result.cached
+    };
+  } catch (error) {
+    console.log('[Trend] LLM error:', error.message);
+    return {
+      text: "Could not generate trend analysis. LLM service may be unavailable.",
+      model: null,
+      cached: false
+    };
   }
-
-  return {
-    text: "Could not generate trend analysis. LLM service may be unavailable.",
-    model: null
-  };
 }
 
 /**
@@ -3,6 +3,7 @@
  * Reindex all documents in vector search
  */
 
+const fs = require('fs');
 const { SQLiteVectorSearch } = require('../services/sqlite-vector-search');
 const Database = require('better-sqlite3');
 
@@ -24,9 +25,10 @@ if (!instance.isReady) {
 let indexed = 0;
 for (const doc of docs) {
   try {
+    // Index the file itself when it exists, so chunk positions match it
     instance.indexDocument({
       filepath: doc.filepath,
-      content: doc.raw_content,
+      content: fs.existsSync(doc.filepath) ? fs.readFileSync(doc.filepath, 'utf-8') : doc.raw_content,
       rteId: doc.rte_id
     });
     indexed++;
@@ -0,0 +1,198 @@
+/**
+ * Ask Memo Export
+ * Turns a stored Ask answer into a Markdown decision memo
+ *
+ * The memo holds the question, answer, confidence and every evidence chunk
+ * with a link to its source file. It is saved as an `artifact` in the RTE
+ * workspace through the normal ingest path, so it can be searched and cited
+ * like any other document. Exporting the same answer again updates its memo,
+ * with a new version when the text changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDb } = require('../db/connection');
+const { ensureRteDirectory, ingestDocument, rewriteDocument, countWords } = require('./document-ingest');
+const { findDuplicates } = require('./document-fingerprint');
+const { getInstance: getVectorSearch } = require('./sqlite-vector-search');
+const { formatDate } = require('./temporal-parser');
+
+const TITLE_CHARS = 60;
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function percent(value) {
+  return `${Math.round(value)}%`;
+}
+
+/**
+ * History keeps a shortened chunk; the search index has all of it. Chunks
+ * overlap, so the one at the evidence's position is preferred.
+ */
+function fullChunk(item, indexedChunks) {
+  const stored = item.chunkContent || item.snippet || '';
+  const candidates = indexedChunks.filter(chunk => chunk.filepath === item.filepath && stored && chunk.content.startsWith(stored));
+  const match = candidates.find(chunk => chunk.location && chunk.location.startOffset === item.location?.startOffset) || candidates[0];
+  return match ? match.content : stored;
+}
+
+/**
+ * Blockquoted, so "decision:"-style lines in the evidence are not
+ * extracted again as markers of the memo itself
+ */
+function quote(text) {
+  return text.trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+}
+
+/**
+ * Link to the source file, relative to the memo so it works in any Markdown editor
+ */
+function sourceLink(item, memoDir) {
+  if (!item.filepath) return item.filename;
+  const relative = path.relative(memoDir, item.filepath).split(path.sep).join('/');
+  return `[${item.filename}](${encodeURI(relative)})`;
+}
+
+/**
+ * Render the memo body
+ * @param {object} entry - question_history row
+ * @param {string} memoDir - directory the memo is written to, for source links
+ * @returns {{title: string, content: string}} content is without frontmatter and heading
+ */
+function buildMemo(entry, memoDir) {
+  const evidence = parseJson(entry.evidence_json, []);
+  const filters = parseJson(entry.filters_json, {});
+  const indexedChunks = getVectorSearch().getChunksForFiles([...new Set(evidence.map(e => e.filepath).filter(Boolean))]);
+
+  const title = `Decision memo: ${entry.question.length > TITLE_CHARS
+    ? `${entry.question.substring(0, TITLE_CHARS - 3)}...`
+    : entry.question}`;
+
+  const details = [
+    `- **Asked:** ${entry.created_at}`,
+    entry.rte_name ? `- **RTE:** ${entry.rte_name}` : null,
+    filters.person ? `- **Person:** ${filters.person}` : null,
+    filters.project ? `- **Project:** ${filters.project}` : null,
+    `- **Model:** ${entry.model || 'none'}`,
+    `- **Confidence:** ${percent(entry.confidence || 0)}`,
+    entry.groundedness !== null && entry.groundedness !== undefined
+      ? `- **Groundedness:** ${percent(entry.groundedness * 100)}`
+      : null
+  ].filter(Boolean);
+
+  // Citations link to their evidence section below
+  const answer = entry.answer.replace(/\[Evidence\s+(\d+)\]/gi, (match, n) =>
+    evidence[n - 1] ? `[Evidence ${n}](#evidence-${n})` : match);
+
+  const appendix = evidence.map((item, i) => [
+    `### Evidence ${i + 1}`,
+    '',
+    `Source: ${sourceLink(item, memoDir)}${item.score ? ` (${percent(item.score * 100)} match)` : ''}`,
+    '',
+    quote(fullChunk(item, indexedChunks))
+  ].join('\n'));
+
+  const content = [
+    '## Question',
+    '',
+    entry.question,
+    '',
+    ...details,
+    '',
+    '## Answer',
+    '',
+    answer.trim(),
+    '',
+    `## Evidence (${evidence.length})`,
+    '',
+    appendix.length > 0 ? appendix.join('\n\n') : '_No evidence was found for this question._'
+  ].join('\n');
+
+  return { title, content };
+}
+
+function describeDocument(doc) {
+  return {
+    documentId: doc.id,
+    filename: doc.filename,
+    filepath: doc.filepath,
+    date: doc.document_date,
+    title: doc.title,
+    wordCount: countWords(doc.raw_content || '')
+  };
+}
+
+/**
+ * Export a history entry as a memo into its RTE workspace
+ * An entry exported to the RTE before keeps its memo: it is rewritten when the
+ * memo text changed and returned as it is otherwise. A memo stored with the
+ * same text (one exported before memos were linked) is linked and returned.
+ * @param {number} historyId - question_history id
+ * @param {object} options - { rteId: RTE to file the memo under when the question had no RTE filter }
+ * @returns {object} the memo document ({ documentId, filename, filepath, date, title, wordCount, status })
+ *   status: created, updated or unchanged; similarTo lists near-duplicate document ids of a new memo
+ * @throws {Error} with status 404 when the entry or RTE does not exist, 400 when no RTE is known
+ */
+function exportMemo(historyId, { rteId } = {}) {
+  const db = getDb();
+  const entry = db.prepare('SELECT * FROM question_history WHERE id = ?').get(historyId);
+  if (!entry) {
+    throw Object.assign(new Error('Question not found'), { status: 404 });
+  }
+
+  const targetRteId = rteId || entry.rte_id;
+  if (!targetRteId) {
+    throw Object.assign(new Error('rteId is required: this question was not asked for a specific RTE'), { status: 400 });
+  }
+  const rte = db.prepare('SELECT * FROM rtes WHERE id = ?').get(targetRteId);
+  if (!rte) {
+    throw Object.assign(new Error('RTE not found'), { status: 404 });
+  }
+  const contentTypeRow = db.prepare("SELECT * FROM content_types WHERE name = 'artifact'").get();
+
+  const { fullPath } = ensureRteDirectory(rte.name, 'artifact');
+  const { title, content } = buildMemo(entry, fullPath);
+  const filters = parseJson(entry.filters_json, {});
+  const linkMemo = documentId => db.prepare('UPDATE question_history SET memo_document_id = ? WHERE id = ?').run(documentId, entry.id);
+
+  const memo = entry.memo_document_id && db.prepare(`
+    SELECT * FROM rte_documents WHERE id = ? AND rte_id = ? AND deleted_at IS NULL
+  `).get(entry.memo_document_id, rte.id);
+  if (memo && fs.existsSync(memo.filepath)) {
+    if ((memo.raw_content || '').trim() === content.trim()) {
+      return { ...describeDocument(memo), status: 'unchanged' };
+    }
+    return { ...rewriteDocument(db, memo, { title, content, source: 'ingest' }), status: 'updated' };
+  }
+
+  const duplicates = findDuplicates(db, content);
+  const stored = duplicates.find(d => d.exact && d.rteId === rte.id);
+  if (stored) {
+    linkMemo(stored.documentId);
+    return { ...describeDocument(db.prepare('SELECT * FROM rte_documents WHERE id = ?').get(stored.documentId)), status: 'unchanged' };
+  }
+
+  const document = ingestDocument(db, {
+    rte,
+    contentTypeRow,
+    content,
+    date: formatDate(new Date()),
+    title,
+    projectTags: filters.project ? [filters.project] : [],
+    personTags: filters.person ? [filters.person] : []
+  });
+  linkMemo(document.documentId);
+
+  const result = { ...document, status: 'created' };
+  if (duplicates.length > 0) result.similarTo = duplicates.map(d => d.documentId);
+  return result;
+}
+
+module.exports = { buildMemo, exportMemo };
@@ -0,0 +1,336 @@
+/**
+ * Ask Service
+ * The Ask pipeline: follow-up rewrite, evidence retrieval, interpretation,
+ * citation checks and question history
+ *
+ * Shared by the Ask routes and the saved-question scheduler, so a scheduled
+ * run answers exactly like a question typed on the Ask page.
+ */
+
+const { getDb } = require('../db/connection');
+const { retrieve } = require('./retrieval');
+const askSessions = require('./ask-sessions');
+const { verifyCitations } = require('./citation-verifier');
+const { parseTemporal, stripTemporal } = require('./temporal-parser');
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { getInstance: getPromptTemplates } = require('./prompt-templates');
+
+// Evidence items from earlier turns added to a follow-up's context
+const PREVIOUS_EVIDENCE_LIMIT = 3;
+// Evidence text kept per history row, enough to cite it again in a follow-up
+const STORED_CHUNK_CHARS = 1500;
+
+/**
+ * Run the full Ask pipeline: follow-up rewrite, evidence, interpretation, history
+ * @param {object} body - Request body (question, sessionId, rteId, person, project, maxEvidence, rerank, cache)
+ * @param {object|null} streamOptions - { onToken, signal } to stream the answer
+ * @param {object} options - { createSession: false to store the answer outside any session }
+ */
+async function answerQuestion({ question, sessionId, rteId, person, project, maxEvidence = 5, rerank = false, cache = true }, streamOptions = null, options = {}) {
+  const parsedRteId = rteId ? parseInt(rteId) : null;
+
+  // Step 1: Follow-ups are rewritten to stand on their own
+  const turns = sessionId ? askSessions.getTurns(sessionId) : [];
+  const rewrite = await askSessions.rewriteFollowUp(question, turns);
+
+  // Step 2: Gather evidence, then add what earlier turns cited
+  const { evidence: retrieved, stages, dateRange } = await gatherEvidence(rewrite.question, {
+    rteId: parsedRteId,
+    person,
+    project,
+    limit: maxEvidence,
+    rerank: rerank === true
+  });
+  const evidence = [...retrieved, ...previousEvidence(turns, retrieved)];
+
+  const conversation = {
+    sessionId: sessionId ? parseInt(sessionId) : null,
+    turnIndex: turns.length,
+    standaloneQuestion: rewrite.question,
+    rewritten: rewrite.rewritten,
+    dateRange: dateRange && { start: dateRange.start, end: dateRange.end, text: dateRange.text }
+  };
+
+  if (evidence.length === 0) {
+    return {
+      question,
+      answer: "I couldn't find any relevant documents to answer this question. Try rephrasing or removing filters.",
+      evidence: [],
+      model: null,
+      confidence: 0,
+      retrieval: stages,
+      ...conversation
+    };
+  }
+
+  // Step 3: Build context from evidence
+  const context = buildContext(evidence);
+
+  // Step 4: Get interpretation from LLM
+  const cacheSources = cache === false ? null : evidence.map(e => e.filepath);
+  const history = askSessions.formatHistory(turns);
+  const interpretation = await interpret(question, context, streamOptions, cacheSources, history);
+
+  // Step 5: Check that the citations exist and support what they are attached to
+  const verification = interpretation.model
+    ? await verifyCitations(interpretation.answer, evidence)
+    : null;
+  const confidence = calculateConfidence(evidence, interpretation, verification);
+
+  // Step 6: Store in question history as the next turn of the session
+  if (!conversation.sessionId && options.createSession !== false) {
+    conversation.sessionId = askSessions.createSession(question, parsedRteId);
+  }
+  const historyId = saveToHistory({
+    question,
+    answer: interpretation.answer,
+    evidence,
+    model: interpretation.model,
+    confidence,
+    verification,
+    rteId: parsedRteId,
+    filters: { person, project },
+    sessionId: conversation.sessionId,
+    turnIndex: conversation.turnIndex,
+    standaloneQuestion: rewrite.question
+  });
+
+  return {
+    question,
+    answer: interpretation.answer,
+    evidence: evidence.map(e => ({
+      documentId: e.documentId,
+      filename: e.filename,
+      filepath: e.filepath,
+      snippet: e.snippet,
+      chunkContent: e.chunkContent,
+      location: e.location,
+      score: e.score,
+      tags: e.tags,
+      retrieval: e.retrieval,
+      fromTurn: e.fromTurn
+    })),
+    model: interpretation.model,
+    cached: interpretation.cached,
+    confidence,
+    groundedness: verification?.groundedness ?? null,
+    verification,
+    retrieval: stages,
+    historyId,
+    ...conversation
+  };
+}
+
+/**
+ * Evidence cited by earlier turns that this turn did not retrieve again
+ * Most recent turn first, so a follow-up can keep citing what the previous
+ * answer was based on; each item carries the turn it came from.
+ */
+function previousEvidence(turns, retrieved, limit = PREVIOUS_EVIDENCE_LIMIT) {
+  // Snippets are highlighted per question, so chunks are compared by their text
+  const keyOf = e => `${e.filepath}|${(e.chunkContent || e.snippet || '').substring(0, 200)}`;
+  const seen = new Set(retrieved.map(keyOf));
+  const carried = [];
+
+  for (const turn of [...turns].reverse()) {
+    for (const e of turn.evidence) {
+      const key = keyOf(e);
+      // History saved before sessions existed has no filepath to open
+      if (carried.length >= limit || !e.filepath || seen.has(key)) continue;
+      seen.add(key);
+      carried.push({
+        documentId: e.documentId || null,
+        filename: e.filename,
+        filepath: e.filepath,
+        snippet: e.snippet || '',
+        chunkContent: e.chunkContent || e.snippet || '',
+        location: e.location || null,
+        score: e.score || 0,
+        tags: e.tags || { people: [], projects: [], semantics: [] },
+        retrieval: null,
+        fromTurn: e.fromTurn ?? turn.turnIndex
+      });
+    }
+  }
+
+  return carried;
+}
+
+/**
+ * Gather evidence from documents matching the question
+ * Keyword, semantic, marker and tag candidates are fused and optionally
+ * reranked (services/retrieval.js); each item carries its per-stage scores.
+ * A date phrase in the question ("vorige week", "since PI planning") becomes
+ * a date filter and is left out of the text that is searched.
+ */
+async function gatherEvidence(question, options) {
+  const db = getDb();
+
+  const dateRange = parseTemporal(question, { rteId: options.rteId });
+  const searchQuestion = stripTemporal(question, dateRange) || question;
+
+  const { results, stages } = await retrieve(searchQuestion, {
+    rteId: options.rteId,
+    person: options.person,
+    project: options.project,
+    limit: options.limit,
+    rerank: options.rerank,
+    dateRange
+  });
+
+  // Get tags for each result
+  const evidence = results.map(r => {
+    let tags = { people: [], projects: [], semantics: [] };
+    
+    if (db && r.documentId) {
+      try {
+        const docTags = db.prepare(`
+          SELECT tag_type, tag_value FROM document_tags WHERE document_id = ?
+        `).all(r.documentId);
+        
+        docTags.forEach(t => {
+          if (t.tag_type === 'person') tags.people.push(t.tag_value);
+          else if (t.tag_type === 'project') tags.projects.push(t.tag_value);
+          else if (t.tag_type === 'semantic') tags.semantics.push(t.tag_value);
+        });
+      } catch (e) { /* ignore */ }
+    }
+    
+    return {
+      documentId: r.documentId,
+      filename: r.filename,
+      filepath: r.filepath || '',
+      snippet: r.highlight || r.content || '',
+      chunkContent: r.content || r.highlight || '',
+      location: r.location || null,
+      score: r.score || 0,
+      tags,
+      retrieval: r.retrieval
+    };
+  });
+
+  return { evidence, stages, dateRange };
+}
+
+/**
+ * Build context string from evidence for LLM
+ */
+function buildContext(evidence) {
+  return evidence.map((e, i) => {
+    const tagStr = [
+      ...e.tags.people.map(p => `@${p}`),
+      ...e.tags.projects.map(p => `#${p}`),
+      ...e.tags.semantics
+    ].join(', ');
+    
+    const origin = e.fromTurn !== undefined ? ' [from earlier answer]' : '';
+    return `[Evidence ${i + 1}] ${e.filename}${tagStr ? ` (${tagStr})` : ''}${origin}\n${e.snippet}`;
+  }).join('\n\n---\n\n');
+}
+
+/**
+ * Call LLM to interpret the question with evidence
+ * Streams tokens through streamOptions.onToken when provided
+ * cacheSources (evidence filepaths) lets the LLM cache answer repeat questions
+ * history (earlier turns as Q:/A: lines) gives follow-ups their context
+ */
+async function interpret(question, context, streamOptions = null, cacheSources = null, history = '') {
+  const prompts = getPromptTemplates();
+  const system = prompts.render('ask.system');
+  const prompt = prompts.render('ask.user', { history, evidence: context, question });
+
+  try {
+    const llm = getLLMManager();
+    const cache = cacheSources ? { sources: cacheSources } : null;
+    const result = streamOptions
+      ? await llm.streamForTask('query', prompt, { ...streamOptions, system, cache })
+      : await llm.generateForTask('query', prompt, { system, cache });
+    return {
+      answer: result.text,
+      model: result.model,
+      cached: result.cached
+    };
+  } catch (error) {
+    console.log('[Ask] LLM error:', error.message);
+    return {
+      answer: "Sorry, I couldn't process your question. LLM service may be unavailable.",
+      model: null,
+      cached: false
+    };
+  }
+}
+
+/**
+ * Calculate confidence score based on evidence quality
+ * When the answer was verified, how well its claims are grounded in the
+ * cited evidence counts for half.
+ */
+function calculateConfidence(evidence, interpretation, verification = null) {
+  if (!interpretation.model) return 0;
+  if (evidence.length === 0) return 0;
+  
+  // Base confidence on number of evidence pieces and their scores
+  const avgScore = evidence.reduce((sum, e) => sum + (e.score || 0), 0) / evidence.length;
+  const countBonus = Math.min(evidence.length / 5, 1); // More evidence = more confident
+  const retrieval = avgScore * 0.7 + countBonus * 0.3;
+
+  if (verification?.groundedness === null || verification?.groundedness === undefined) {
+    return Math.round(retrieval * 100);
+  }
+  return Math.round((retrieval * 0.5 + verification.groundedness * 0.5) * 100);
+}
+
+/**
+ * Save question and answer to history
+ */
+function saveToHistory({ question, answer, evidence, model, confidence, verification = null, rteId, filters, sessionId = null, turnIndex = 0, standaloneQuestion = null }) {
+  const db = getDb();
+  if (!db) return null;
+  
+  try {
+    // Get RTE name if rteId provided
+    let rteName = null;
+    if (rteId) {
+      const rte = db.prepare('SELECT name FROM rtes WHERE id = ?').get(rteId);
+      rteName = rte?.name;
+    }
+    
+    const result = db.prepare(`
+      INSERT INTO question_history (question, answer, evidence_json, model, confidence, rte_id, rte_name, filters_json,
+                                    session_id, turn_index, standalone_question, groundedness, verification_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      question,
+      answer,
+      JSON.stringify(evidence.map(e => ({
+        filename: e.filename,
+        snippet: e.snippet?.substring(0, 200),
+        score: e.score,
+        filepath: e.filepath,
+        documentId: e.documentId,
+        chunkContent: e.chunkContent?.substring(0, STORED_CHUNK_CHARS),
+        location: e.location,
+        tags: e.tags,
+        fromTurn: e.fromTurn
+      }))),
+      model,
+      confidence,
+      rteId,
+      rteName,
+      JSON.stringify(filters),
+      sessionId,
+      turnIndex,
+      standaloneQuestion !== question ? standaloneQuestion : null,
+      verification?.groundedness ?? null,
+      verification ? JSON.stringify(verification) : null
+    );
+    askSessions.touchSession(sessionId);
+    
+    return result.lastInsertRowid;
+  } catch (error) {
+    console.error('[Ask] Failed to save history:', error.message);
+    return null;
+  }
+}
+
+module.exports = { answerQuestion };
@@ -0,0 +1,221 @@
+/**
+ * Ask Sessions
+ * Multi-turn conversations on top of question_history
+ *
+ * Every Ask question is a turn of a session (ask_sessions). A follow-up such
+ * as "and what did she promise?" means little to retrieval on its own, so it
+ * is first rewritten into a standalone question using the earlier turns.
+ * Earlier turns keep their evidence in question_history.evidence_json, which
+ * lets a follow-up answer cite it again without retrieving it a second time.
+ */
+
+const { getDb } = require('../db/connection');
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { getInstance: getPromptTemplates } = require('./prompt-templates');
+
+// Earlier turns shown to the model when rewriting and answering
+const HISTORY_TURNS = 3;
+const HISTORY_ANSWER_CHARS = 500;
+const TITLE_CHARS = 80;
+
+const REWRITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    question: { type: 'string' }
+  },
+  required: ['question']
+};
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function toTurn(row) {
+  return {
+    id: row.id,
+    turnIndex: row.turn_index,
+    question: row.question,
+    standaloneQuestion: row.standalone_question || row.question,
+    answer: row.answer,
+    evidence: parseJson(row.evidence_json, []),
+    model: row.model,
+    confidence: row.confidence,
+    groundedness: row.groundedness,
+    verification: parseJson(row.verification_json, null),
+    filters: parseJson(row.filters_json, {}),
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Start a session titled after its first question
+ * @returns {number|null} session id
+ */
+function createSession(question, rteId = null) {
+  const db = getDb();
+  if (!db) return null;
+
+  const title = question.length > TITLE_CHARS ? `${question.substring(0, TITLE_CHARS - 3)}...` : question;
+  const result = db.prepare('INSERT INTO ask_sessions (title, rte_id) VALUES (?, ?)').run(title, rteId);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * @returns {object|null} the session row, or null when it does not exist
+ */
+function findSession(sessionId) {
+  const db = getDb();
+  if (!db) return null;
+  return db.prepare('SELECT * FROM ask_sessions WHERE id = ?').get(sessionId) || null;
+}
+
+/**
+ * Turns of a session, oldest first
+ */
+function getTurns(sessionId) {
+  const db = getDb();
+  if (!db) return [];
+
+  return db.prepare(`
+    SELECT id, question, standalone_question, answer, evidence_json, model, confidence, groundedness, verification_json,
+           filters_json, turn_index, created_at
+    FROM question_history
+    WHERE session_id = ?
+    ORDER BY turn_index ASC, id ASC
+  `).all(sessionId).map(toTurn);
+}
+
+/**
+ * Session with its full thread of turns
+ * @returns {object|null}
+ */
+function getSession(sessionId) {
+  const session = findSession(sessionId);
+  if (!session) return null;
+
+  return {
+    id: session.id,
+    title: session.title,
+    rteId: session.rte_id,
+    createdAt: session.created_at,
+    updatedAt: session.updated_at,
+    turns: getTurns(session.id)
+  };
+}
+
+/**
+ * Most recently active sessions
+ */
+function listSessions({ limit = 20, offset = 0 } = {}) {
+  const db = getDb();
+  if (!db) return { sessions: [], total: 0 };
+
+  const sessions = db.prepare(`
+    SELECT s.id, s.title, s.rte_id, s.created_at, s.updated_at,
+           COUNT(q.id) as turn_count,
+           (SELECT question FROM question_history
+            WHERE session_id = s.id ORDER BY turn_index DESC, id DESC LIMIT 1) as last_question
+    FROM ask_sessions s
+    LEFT JOIN question_history q ON q.session_id = s.id
+    GROUP BY s.id
+    ORDER BY s.updated_at DESC, s.id DESC
+    LIMIT ? OFFSET ?
+  `).all(limit, offset);
+  const total = db.prepare('SELECT COUNT(*) as count FROM ask_sessions').get();
+
+  return {
+    sessions: sessions.map(s => ({
+      id: s.id,
+      title: s.title,
+      rteId: s.rte_id,
+      turns: s.turn_count,
+      lastQuestion: s.last_question,
+      createdAt: s.created_at,
+      updatedAt: s.updated_at
+    })),
+    total: total.count
+  };
+}
+
+/**
+ * Delete a session and its turns
+ * @returns {boolean} whether the session existed
+ */
+function deleteSession(sessionId) {
+  const db = getDb();
+  if (!db) return false;
+
+  const remove = db.transaction(id => {
+    db.prepare('DELETE FROM question_history WHERE session_id = ?').run(id);
+    return db.prepare('DELETE FROM ask_sessions WHERE id = ?').run(id).changes > 0;
+  });
+  return remove(sessionId);
+}
+
+/**
+ * Bump the session's activity time after a turn was stored
+ */
+function touchSession(sessionId) {
+  const db = getDb();
+  if (!db || !sessionId) return;
+  db.prepare("UPDATE ask_sessions SET updated_at = datetime('now') WHERE id = ?").run(sessionId);
+}
+
+/**
+ * Earlier turns as "Q:/A:" lines for the prompts, oldest first
+ */
+function formatHistory(turns) {
+  return turns.slice(-HISTORY_TURNS).map(turn => {
+    const answer = turn.answer.length > HISTORY_ANSWER_CHARS
+      ? `${turn.answer.substring(0, HISTORY_ANSWER_CHARS)}...`
+      : turn.answer;
+    return `Q: ${turn.question}\nA: ${answer}`;
+  }).join('\n\n');
+}
+
+/**
+ * Turn a follow-up into a question that can be searched on its own
+ * Falls back to appending the follow-up to the previous standalone question
+ * when the model is unavailable or returns nothing usable, which still gives
+ * keyword search the earlier topic to match on.
+ * @param {string} question - follow-up as typed
+ * @param {object[]} turns - earlier turns, oldest first
+ * @returns {Promise<{question: string, rewritten: boolean, model: string|null}>}
+ */
+async function rewriteFollowUp(question, turns) {
+  if (turns.length === 0) {
+    return { question, rewritten: false, model: null };
+  }
+
+  const previous = turns[turns.length - 1].standaloneQuestion;
+  try {
+    const prompt = getPromptTemplates().render('ask.rewrite', { history: formatHistory(turns), question });
+    const result = await getLLMManager().generateStructured('query', prompt, REWRITE_SCHEMA, { temperature: 0 });
+    const standalone = result.data.question.trim();
+    if (standalone) {
+      return { question: standalone, rewritten: true, model: result.model };
+    }
+  } catch (error) {
+    console.log('[Ask] Follow-up rewrite failed:', error.message);
+  }
+
+  return { question: `${previous} ${question}`, rewritten: false, model: null };
+}
+
+module.exports = {
+  createSession,
+  findSession,
+  getSession,
+  getTurns,
+  listSessions,
+  deleteSession,
+  touchSession,
+  formatHistory,
+  rewriteFollowUp,
+  HISTORY_TURNS
+};
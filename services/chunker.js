@@ -0,0 +1,271 @@
+/**
+ * Markdown Chunker
+ * Splits documents into search chunks of a bounded size
+ *
+ * A document is first cut into blocks: frontmatter, headings, paragraphs,
+ * list items, fenced code and semantic marker blocks (`decision: ... //`).
+ * `#` to `###` headings start a section; blocks are then packed into chunks of
+ * at most `maxTokens` without crossing a section, and consecutive chunks of a
+ * section share about `overlapTokens` of trailing blocks. Frontmatter is
+ * metadata, not evidence, and goes in no chunk. Marker blocks are never split. Other blocks larger than a chunk are split at sentence ends,
+ * or at whitespace when a single sentence is too long.
+ *
+ * Tokens are estimated at four characters each, which is close enough for
+ * the English and Dutch text of the workspace.
+ *
+ * Every chunk is an exact slice of the chunked text and records where it came
+ * from (character offsets and 1-based lines), so evidence can be located in
+ * the source file without searching for it.
+ */
+
+const DEFAULT_MAX_TOKENS = 400;
+const DEFAULT_OVERLAP_TOKENS = 50;
+const CHARS_PER_TOKEN = 4;
+
+const SECTION_HEADING = /^(#{1,3})\s+(.+)/;
+const HEADING = /^#{1,6}\s+\S/;
+const FENCE = /^\s*(```|~~~)/;
+const LIST_ITEM = /^\s*([-*+•]|\d+[.)])\s+/;
+// "decision: ...", also as a list item; a multi-line block ends with a line holding only //
+const MARKER_LINE = /^[-*•]?[ \t]*[A-Za-z][\w-]*:[ \t]*\S/;
+const MARKER_START = /^[-*•]?[ \t]*[A-Za-z][\w-]*:/;
+const MARKER_END = /^[-*•]?[ \t]*\/\/[ \t]*$/;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Lines with their offsets; `end` is before the line break
+ */
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+  while (start <= text.length) {
+    const newline = text.indexOf('\n', start);
+    const end = newline === -1 ? text.length : newline;
+    lines.push({ text: text.substring(start, end).replace(/\r$/, ''), start, end: text[end - 1] === '\r' ? end - 1 : end });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+  return lines;
+}
+
+/**
+ * Index of the `//` line closing a marker block opened at `from`, or -1;
+ * a block does not run past the next heading or marker
+ */
+function findMarkerEnd(lines, from) {
+  for (let i = from + 1; i < lines.length; i++) {
+    if (MARKER_END.test(lines[i].text)) return i;
+    if (HEADING.test(lines[i].text) || MARKER_START.test(lines[i].text)) return -1;
+  }
+  return -1;
+}
+
+/**
+ * Cut text into blocks
+ * @returns {Array<{type: string, start: number, end: number, section?: string}>}
+ *   type is frontmatter, heading, marker, code, item or paragraph; section is
+ *   the title of a heading that starts a section
+ */
+function splitBlocks(text) {
+  const lines = splitLines(text);
+  const blocks = [];
+  let current = null;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+  const block = (type, first, last, extra = {}) => {
+    close();
+    blocks.push({ type, start: lines[first].start, end: lines[last].end, ...extra });
+  };
+
+  let i = 0;
+  if (lines[0].text.replace(/^\uFEFF/, '') === '---') {
+    const end = lines.findIndex((line, n) => n > 0 && line.text === '---');
+    if (end !== -1) {
+      block('frontmatter', 0, end);
+      i = end + 1;
+    }
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i].text;
+
+    if (!line.trim()) {
+      close();
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const fence = line.trim().substring(0, 3);
+      let end = i + 1;
+      while (end < lines.length && !lines[end].text.trim().startsWith(fence)) end++;
+      block('code', i, Math.min(end, lines.length - 1));
+      i = end;
+      continue;
+    }
+
+    const heading = line.match(SECTION_HEADING);
+    if (heading || HEADING.test(line)) {
+      block('heading', i, i, heading ? { section: heading[2].trim() } : {});
+      continue;
+    }
+
+    if (MARKER_START.test(line)) {
+      const end = findMarkerEnd(lines, i);
+      if (end !== -1) {
+        block('marker', i, end);
+        i = end;
+        continue;
+      }
+      if (MARKER_LINE.test(line)) {
+        block('marker', i, i);
+        continue;
+      }
+    }
+
+    if (LIST_ITEM.test(line)) {
+      close();
+      current = { type: 'item', start: lines[i].start, end: lines[i].end };
+      continue;
+    }
+
+    if (current) {
+      current.end = lines[i].end;
+    } else {
+      current = { type: 'paragraph', start: lines[i].start, end: lines[i].end };
+    }
+  }
+  close();
+
+  return blocks;
+}
+
+/**
+ * Pieces of an oversized block, each within maxChars: sentences, or
+ * whitespace-separated runs for sentences that are too long themselves
+ */
+function splitBlock(text, block, maxChars) {
+  const body = text.substring(block.start, block.end);
+  const sentences = [];
+  const boundary = /(?<=[.!?])\s+|\s*\n\s*/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(body)) !== null) {
+    if (match.index > start) sentences.push({ start, end: match.index });
+    start = match.index + match[0].length;
+  }
+  if (start < body.length) sentences.push({ start, end: body.length });
+
+  const pieces = [];
+  for (const sentence of sentences) {
+    let from = sentence.start;
+    while (sentence.end - from > maxChars) {
+      const cut = body.lastIndexOf(' ', from + maxChars);
+      const end = cut > from ? cut : from + maxChars;
+      pieces.push({ type: block.type, start: block.start + from, end: block.start + end });
+      from = end;
+      while (from < sentence.end && /\s/.test(body[from])) from++;
+    }
+    if (from < sentence.end) pieces.push({ type: block.type, start: block.start + from, end: block.start + sentence.end });
+  }
+  return pieces.length > 0 ? pieces : [block];
+}
+
+/**
+ * Greedily pack a section's blocks into chunks, repeating trailing blocks of
+ * one chunk at the start of the next for overlap
+ */
+function packSection(units, maxChars, overlapChars) {
+  const ranges = [];
+  const size = (first, last) => units[last].end - units[first].start;
+
+  let first = 0;
+  while (first < units.length) {
+    let last = first;
+    while (last + 1 < units.length && size(first, last + 1) <= maxChars) last++;
+    ranges.push({ start: units[first].start, end: units[last].end });
+    if (last === units.length - 1) break;
+
+    // Overlap: the trailing blocks that fit in overlapChars and still leave room for the next block
+    let next = last + 1;
+    while (next - 1 > first && size(next - 1, last) <= overlapChars && size(next - 1, last + 1) <= maxChars) next--;
+    first = next;
+  }
+  return ranges;
+}
+
+/**
+ * 1-based line of an offset
+ */
+function lineAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+/**
+ * Split Markdown into search chunks
+ * @param {string} text
+ * @param {string} filename - section title of text before the first heading
+ * @param {object} options - { maxTokens, overlapTokens }, from the `chunking` section of llm-config.json
+ * @returns {Array<{index: number, section: string, content: string, startOffset: number, endOffset: number,
+ *   startLine: number, endLine: number}>} content is text.substring(startOffset, endOffset)
+ */
+function chunkMarkdown(text, filename, options = {}) {
+  if (!text || !text.trim()) return [];
+
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const overlapTokens = Math.min(options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS, Math.floor(maxTokens / 2));
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const overlapChars = overlapTokens * CHARS_PER_TOKEN;
+
+  // Sections; a heading directly followed by another one stays with it
+  const sections = [];
+  let section = { title: filename, units: [], hasBody: false };
+  for (const block of splitBlocks(text)) {
+    if (block.type === 'frontmatter') continue;
+    if (block.section && section.hasBody) {
+      sections.push(section);
+      section = { title: block.section, units: [], hasBody: false };
+    } else if (block.section) {
+      section.title = block.section;
+    }
+
+    if (block.type !== 'heading') section.hasBody = true;
+    if (block.end - block.start > maxChars && block.type !== 'marker') {
+      section.units.push(...splitBlock(text, block, maxChars));
+    } else {
+      section.units.push(block);
+    }
+  }
+  if (section.units.length > 0) sections.push(section);
+
+  const lineStarts = splitLines(text).map(line => line.start);
+  const chunks = [];
+  for (const { title, units } of sections) {
+    for (const range of packSection(units, maxChars, overlapChars)) {
+      chunks.push({
+        index: chunks.length,
+        section: title,
+        content: text.substring(range.start, range.end),
+        startOffset: range.start,
+        endOffset: range.end,
+        startLine: lineAt(lineStarts, range.start),
+        endLine: lineAt(lineStarts, Math.max(range.start, range.end - 1))
+      });
+    }
+  }
+  return chunks;
+}
+
+module.exports = { chunkMarkdown, splitBlocks, estimateTokens, DEFAULT_MAX_TOKENS, DEFAULT_OVERLAP_TOKENS };
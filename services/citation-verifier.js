@@ -0,0 +1,186 @@
+/**
+ * Citation Verifier
+ * Checks an Ask answer against the evidence it was given
+ *
+ * The answer is split into sentences and each [Evidence N] citation is
+ * parsed. Citations to numbers outside the evidence list are flagged, and
+ * every sentence that makes a claim gets a support score against the chunks
+ * it cites:
+ *   lexical  - share of the sentence's content words found in the chunk
+ *   semantic - cosine similarity of sentence and chunk embeddings, when an
+ *              embedding model is configured
+ * Support is the lexical score, or the mean of both when embeddings worked.
+ * Groundedness is the mean support over all claims; a claim without a valid
+ * citation counts as 0.
+ */
+
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { queryTerms } = require('./retrieval');
+
+const SUPPORTED_THRESHOLD = 0.5;
+// Sentences with fewer content words are connectives, not claims
+const MIN_CLAIM_TERMS = 3;
+// Words are compared on their first letters so "blocked" matches "blocker"
+const STEM_LENGTH = 6;
+
+const CITATION_PATTERN = /\[Evidence\s+(\d+(?:\s*(?:,|and|&)\s*\d+)*)\]/gi;
+// Sentence ends, including citations placed after the full stop
+const SENTENCE_BREAK = /(?<=[.!?](?:\s*\[Evidence[^\]]*\])*)\s+(?!\[Evidence)|\n+/;
+
+function stem(word) {
+  return word.slice(0, STEM_LENGTH);
+}
+
+function plainText(text) {
+  return (text || '').replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Split an answer into sentences with the evidence numbers each one cites
+ * @returns {Array<{text: string, claim: string, citations: number[]}>}
+ *   claim is the sentence without citations and list/quote markup
+ */
+function parseCitations(answer) {
+  return (answer || '')
+    .split(SENTENCE_BREAK)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => {
+      const citations = [];
+      for (const match of text.matchAll(CITATION_PATTERN)) {
+        for (const n of match[1].match(/\d+/g)) citations.push(parseInt(n));
+      }
+      const claim = text
+        .replace(CITATION_PATTERN, '')
+        .replace(/^\s*(?:[-*•]|\d+\.)\s+/, '')
+        .replace(/["“”*_`]/g, '')
+        .replace(/\s+([.!?,;])/g, '$1')
+        .trim();
+      return { text, claim, citations: [...new Set(citations)] };
+    });
+}
+
+/**
+ * Share of the claim's content words that occur in the evidence text
+ */
+function lexicalSupport(claim, evidenceText) {
+  const terms = queryTerms(claim);
+  if (terms.length === 0) return 0;
+
+  const evidenceStems = new Set(queryTerms(plainText(evidenceText)).map(stem));
+  const found = terms.filter(term => evidenceStems.has(stem(term))).length;
+  return found / terms.length;
+}
+
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Embed claims and the evidence they cite in one call
+ * @returns {Promise<{claims: number[][], evidence: Map<number, number[]>}|null>} null without embeddings
+ */
+async function embedForSupport(claims, evidence, citedNumbers) {
+  const llm = getLLMManager();
+  if (!llm.getEmbeddingConfig().enabled || claims.length === 0) return null;
+
+  const numbers = [...citedNumbers];
+  const texts = [
+    ...claims,
+    ...numbers.map(n => plainText(evidence[n - 1].chunkContent || evidence[n - 1].snippet))
+  ];
+
+  try {
+    const { embeddings } = await llm.embed(texts);
+    return {
+      claims: embeddings.slice(0, claims.length),
+      evidence: new Map(numbers.map((n, i) => [n, embeddings[claims.length + i]]))
+    };
+  } catch (error) {
+    console.log('[Citations] Embedding failed, using lexical support only:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Verify the citations of an answer
+ * @param {string} answer - model answer with [Evidence N] citations
+ * @param {object[]} evidence - the numbered evidence the model saw (1-based in the prompt)
+ * @param {object} options - { semantic: false to skip embeddings }
+ * @returns {Promise<object>} { groundedness, method, claims, supportedClaims,
+ *   invalidCitations, uncitedEvidence, sentences: [{ text, citations,
+ *   invalidCitations, claim, lexical, semantic, support, supported }] }
+ */
+async function verifyCitations(answer, evidence, options = {}) {
+  const parsed = parseCitations(answer);
+  const isValid = n => n >= 1 && n <= evidence.length;
+
+  const claimSentences = parsed.filter(s => !s.claim.endsWith(':') && queryTerms(s.claim).length >= MIN_CLAIM_TERMS);
+  const citedNumbers = new Set(parsed.flatMap(s => s.citations.filter(isValid)));
+  const vectors = options.semantic === false
+    ? null
+    : await embedForSupport(claimSentences.map(s => s.claim), evidence, citedNumbers);
+
+  const sentences = parsed.map(sentence => {
+    const valid = sentence.citations.filter(isValid);
+    const result = {
+      text: sentence.text,
+      citations: sentence.citations,
+      invalidCitations: sentence.citations.filter(n => !isValid(n)),
+      claim: claimSentences.includes(sentence),
+      lexical: null,
+      semantic: null,
+      support: null,
+      supported: null
+    };
+    if (!result.claim) return result;
+
+    // A sentence citing several items is as supported as its best one
+    let lexical = 0;
+    let semantic = vectors && valid.length > 0 ? 0 : null;
+    const claimVector = vectors?.claims[claimSentences.indexOf(sentence)];
+    for (const n of valid) {
+      const item = evidence[n - 1];
+      lexical = Math.max(lexical, lexicalSupport(sentence.claim, item.chunkContent || item.snippet));
+      if (claimVector) {
+        semantic = Math.max(semantic, Math.max(0, cosine(claimVector, vectors.evidence.get(n))));
+      }
+    }
+
+    const support = semantic === null ? lexical : (lexical + semantic) / 2;
+    return {
+      ...result,
+      lexical: round(lexical),
+      semantic: semantic === null ? null : round(semantic),
+      support: round(support),
+      supported: support >= SUPPORTED_THRESHOLD
+    };
+  });
+
+  const claims = sentences.filter(s => s.claim);
+  const invalidCitations = [...new Set(sentences.flatMap(s => s.invalidCitations))].sort((a, b) => a - b);
+
+  return {
+    groundedness: claims.length
+      ? round(claims.reduce((sum, s) => sum + s.support, 0) / claims.length)
+      : null,
+    method: vectors ? 'lexical+semantic' : 'lexical',
+    claims: claims.length,
+    supportedClaims: claims.filter(s => s.supported).length,
+    invalidCitations,
+    uncitedEvidence: evidence.map((e, i) => i + 1).filter(n => !citedNumbers.has(n)),
+    sentences
+  };
+}
+
+module.exports = { verifyCitations, parseCitations, lexicalSupport, SUPPORTED_THRESHOLD };
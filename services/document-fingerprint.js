@@ -0,0 +1,208 @@
+/**
+ * Document Fingerprint
+ * Exact and near-duplicate detection for ingested documents
+ *
+ * Text is normalized first (case, Markdown punctuation, whitespace), so the
+ * same notes imported from a .docx and pasted from the clipboard compare
+ * equal. Every document stores:
+ *   - content_hash     SHA-256 of the normalized text, for exact duplicates
+ *   - content_minhash  MinHash signature of its three-word shingles; the share
+ *                      of equal positions in two signatures estimates the
+ *                      Jaccard similarity of their shingle sets
+ * A short note has few shingles, and one edited line changes a large share of
+ * them, so notes under SHORT_TEXT_WORDS are compared by the Dice coefficient
+ * of their normalized text instead.
+ */
+
+const crypto = require('crypto');
+const stringSimilarity = require('string-similarity');
+
+const SHINGLE_WORDS = 3;
+const SIGNATURE_SIZE = 64;
+const NEAR_DUPLICATE_THRESHOLD = 0.7;
+// Shorter texts share too many phrases by chance; only an exact match counts for them
+const MIN_WORDS_FOR_SIMILARITY = 20;
+const SHORT_TEXT_WORDS = 150;
+// Unrelated notes on the same topics score up to about 0.65
+const DICE_THRESHOLD = 0.75;
+
+// Fixed seeds, so signatures stored by earlier runs stay comparable
+const HASH_SEEDS = (() => {
+  const seeds = [];
+  let state = 0x9e3779b9;
+  for (let i = 0; i < SIGNATURE_SIZE * 2; i++) {
+    state ^= state << 13; state >>>= 0;
+    state ^= state >>> 17;
+    state ^= state << 5; state >>>= 0;
+    seeds.push(state);
+  }
+  return seeds;
+})();
+
+/**
+ * Lowercased words of a text, without Markdown syntax or punctuation
+ */
+function normalizeWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function minhash(words) {
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    shingles.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = (Math.imul(shingle, HASH_SEEDS[2 * i] | 1) + HASH_SEEDS[2 * i + 1]) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Fingerprint of a document body
+ * @param {string} content
+ * @returns {{hash: string, minhash: string|null, words: number, text: string}} minhash is
+ *   null for texts too short to compare by similarity; text is the normalized text
+ */
+function fingerprint(content) {
+  const words = normalizeWords(content);
+  const text = words.join(' ');
+  return {
+    hash: crypto.createHash('sha256').update(text).digest('hex'),
+    minhash: words.length >= MIN_WORDS_FOR_SIMILARITY ? minhash(words) : null,
+    words: words.length,
+    text
+  };
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures (0..1)
+ */
+function compareSignatures(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    if (a.substring(i, i + 8) === b.substring(i, i + 8)) equal++;
+  }
+  return equal / SIGNATURE_SIZE;
+}
+
+function isShortComparison(a, b) {
+  return Math.min(a.words, b.words) < SHORT_TEXT_WORDS;
+}
+
+/**
+ * Similarity of two fingerprints, by the measure that suits their length
+ * @param {object} a - as fingerprint returns; text is only needed for short texts
+ * @param {object} b
+ * @param {number} threshold - minimum MinHash estimate for a near duplicate
+ * @returns {{similarity: number, near: boolean}} near: a near (or exact) duplicate
+ */
+function similarityOf(a, b, threshold = NEAR_DUPLICATE_THRESHOLD) {
+  if (a.hash === b.hash) return { similarity: 1, near: true };
+  if (Math.min(a.words, b.words) < MIN_WORDS_FOR_SIMILARITY) return { similarity: 0, near: false };
+
+  if (isShortComparison(a, b)) {
+    // A near duplicate has about as many words
+    if (Math.max(a.words, b.words) > 2 * Math.min(a.words, b.words)) return { similarity: 0, near: false };
+    const similarity = stringSimilarity.compareTwoStrings(a.text, b.text);
+    return { similarity, near: similarity >= DICE_THRESHOLD };
+  }
+
+  const similarity = compareSignatures(a.minhash, b.minhash);
+  return { similarity, near: similarity >= threshold };
+}
+
+/**
+ * Similarity of two document bodies
+ * @returns {{similarity: number, near: boolean}} as similarityOf
+ */
+function compareContents(a, b) {
+  return similarityOf(fingerprint(a), fingerprint(b));
+}
+
+/**
+ * Documents whose body equals or closely resembles `content`
+ * @param {object} db - better-sqlite3 database instance
+ * @param {string} content - document body, without frontmatter or title
+ * @param {object} options
+ * @param {number} options.excludeId - document to leave out (the one being edited)
+ * @param {number} options.threshold - minimum MinHash estimate for a near duplicate; short
+ *   notes are compared by Dice coefficient against DICE_THRESHOLD
+ * @returns {Array<{documentId: number, rteId: number, rteName: string, title: string, filename: string,
+ *   date: string, exact: boolean, similarity: number}>} best match first
+ */
+function findDuplicates(db, content, { excludeId = null, threshold = NEAR_DUPLICATE_THRESHOLD } = {}) {
+  const print = fingerprint(content);
+
+  // Text of the stored notes short enough to be compared by Dice coefficient
+  const rows = db.prepare(`
+    SELECT d.id, d.rte_id, r.name AS rte_name, d.title, d.filename, d.document_date,
+           d.content_hash, d.content_minhash, d.word_count,
+           CASE WHEN d.word_count < ? OR ? < ? THEN d.raw_content END AS short_content
+    FROM rte_documents d
+    LEFT JOIN rtes r ON r.id = d.rte_id
+    WHERE (d.content_hash = ? OR d.content_minhash IS NOT NULL) AND d.id IS NOT ? AND d.deleted_at IS NULL
+  `).all(SHORT_TEXT_WORDS, print.words, SHORT_TEXT_WORDS, print.hash, excludeId);
+
+  const matches = [];
+  for (const row of rows) {
+    const stored = row.short_content !== null
+      ? fingerprint(row.short_content)
+      : { hash: row.content_hash, minhash: row.content_minhash, words: row.word_count || 0, text: '' };
+    const { similarity, near } = similarityOf(print, stored, threshold);
+    if (!near) continue;
+    const exact = row.content_hash === print.hash;
+
+    matches.push({
+      documentId: row.id,
+      rteId: row.rte_id,
+      rteName: row.rte_name,
+      title: row.title,
+      filename: row.filename,
+      date: row.document_date,
+      exact,
+      similarity: Math.round(similarity * 100) / 100
+    });
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Store the fingerprint of a document's body
+ */
+function storeFingerprint(db, documentId, content) {
+  const { hash, minhash: signature } = fingerprint(content);
+  db.prepare('UPDATE rte_documents SET content_hash = ?, content_minhash = ? WHERE id = ?')
+    .run(hash, signature, documentId);
+}
+
+module.exports = {
+  NEAR_DUPLICATE_THRESHOLD,
+  normalizeWords,
+  fingerprint,
+  compareSignatures,
+  compareContents,
+  findDuplicates,
+  storeFingerprint
+};
@@ -0,0 +1,871 @@
+/**
+ * Document Ingest
+ * Writes a document into an RTE workspace and registers it everywhere it is
+ * looked up: rte_documents, document_tags, semantic_markers, the extraction
+ * queue and the FTS5 search index.
+ *
+ * Used by POST /api/ingest, by features that produce documents of their
+ * own, such as Ask memo export, and by the workspace watcher for files
+ * written outside the app.
+ *
+ * Any later change to a document's text, whatever made it (an edit in the
+ * app, the watcher, a re-import, a restore), goes through refreshDocument,
+ * which updates all of the above from the new text.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const stringSimilarity = require('string-similarity');
+const { normalizeWords, storeFingerprint } = require('./document-fingerprint');
+const { latestVersion, differsFromLatest, recordVersion, getVersion } = require('./document-versions');
+
+const WORKSPACE_ROOT = path.join(os.homedir(), 'ProductOwnerAI');
+
+// Folder of each content type inside an RTE directory
+const CONTENT_TYPE_FOLDERS = {
+  log: 'logs/daily',
+  meeting: 'logs/meetings',
+  artifact: 'artifacts/generated',
+  idea: 'artifacts/ideas'
+};
+
+/**
+ * Generate a slug from content/title
+ */
+function generateSlug(text, maxLength = 30) {
+  if (!text) return 'untitled';
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, maxLength);
+}
+
+/**
+ * Extract date from content (tries multiple patterns)
+ */
+function extractDateFromContent(content) {
+  // Pattern: 2026-02-03
+  const isoMatch = content.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (isoMatch) return isoMatch[1];
+
+  // Pattern: February 3, 2026 or 3 February 2026
+  const dateMatch = content.match(/\b(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})\b/i);
+  if (dateMatch) {
+    const months = {
+      january: '01', february: '02', march: '03', april: '04', may: '05', june: '06',
+      july: '07', august: '08', september: '09', october: '10', november: '11', december: '12'
+    };
+    const day = dateMatch[1].padStart(2, '0');
+    const month = months[dateMatch[2].toLowerCase()];
+    const year = dateMatch[3];
+    return `${year}-${month}-${day}`;
+  }
+
+  // Return today if no date found
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Count words in content
+ */
+function countWords(content) {
+  return content.trim().split(/\s+/).filter(w => w.length > 0).length;
+}
+
+/**
+ * Folder documents of an RTE are saved in
+ */
+function rteWorkspacePath(rteName) {
+  return path.join(WORKSPACE_ROOT, 'rte', rteName.toLowerCase());
+}
+
+/**
+ * Ensure RTE directory exists
+ */
+function ensureRteDirectory(rteName, contentType) {
+  const rteRoot = rteWorkspacePath(rteName);
+  
+  const relativePath = CONTENT_TYPE_FOLDERS[contentType] || 'logs/daily';
+  const fullPath = path.join(rteRoot, relativePath);
+  
+  if (!fs.existsSync(fullPath)) {
+    fs.mkdirSync(fullPath, { recursive: true });
+    console.log(`[Ingest] Created directory: ${fullPath}`);
+  }
+  
+  return { rteRoot, relativePath, fullPath };
+}
+
+/**
+ * Extract semantic markers from content using keyword: syntax
+ * Supports both single-line and multi-line blocks (ended with //)
+ * 
+ * Single-line: "insight: DNA-C complements Leonardo"
+ * Multi-line:  "insight: DNA-C complements Leonardo
+ *               because it provides better tooling
+ *               //"
+ * 
+ * @param {string} content - The document content
+ * @param {object} db - Database connection
+ * @returns {Array<{keyword: string, content: string}>} Extracted markers
+ */
+function extractSemanticMarkers(content, db) {
+  const markers = [];
+  
+  // Get valid keywords from semantic_tags table
+  let validKeywords = [];
+  try {
+    const tags = db.prepare('SELECT name FROM semantic_tags WHERE is_active = 1').all();
+    validKeywords = tags.map(t => t.name.toLowerCase());
+  } catch (e) {
+    // Fallback to common keywords if table not available
+    validKeywords = ['insight', 'action', 'question', 'decision', 'strategic', 'priority', 'risk', 'blocker', 'observation', 'promise', 'requirement', 'nfr'];
+  }
+  
+  if (validKeywords.length === 0) {
+    return markers;
+  }
+  
+  const keywordPattern = validKeywords.join('|');
+  
+  // First pass: Extract multi-line blocks (keyword: ... //)
+  // Allow optional list markers (-, *, •) and whitespace at the start
+  const multiLineRegex = new RegExp(`^[-*•]?[ \\t]*(${keywordPattern}):[ \\t]*([\\s\\S]*?)^[-*•]?[ \\t]*//[ \\t]*$`, 'gim');
+  
+  let match;
+  const processedRanges = []; // Track what we've already extracted
+  
+  while ((match = multiLineRegex.exec(content)) !== null) {
+    const keyword = match[1].toLowerCase();
+    const markerContent = match[2].trim();
+    
+    markers.push({
+      keyword,
+      content: markerContent || null
+    });
+    
+    // Track the range so we don't double-extract in single-line pass
+    processedRanges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  
+  // Second pass: Extract single-line markers (keyword: content // OR keyword: content$)
+  // Only if they weren't part of a multi-line block
+  // Allow optional list markers (-, *, •) and whitespace at the start
+  // Content ends at // or end of line
+  const singleLineRegex = new RegExp(`^[-*•]?[ \\t]*(${keywordPattern}):[ \\t]*(.+?)(?:[ \\t]*//|$)`, 'gim');
+  
+  while ((match = singleLineRegex.exec(content)) !== null) {
+    // Check if this match is inside a processed multi-line range
+    const isInsideMultiLine = processedRanges.some(
+      range => match.index >= range.start && match.index < range.end
+    );
+    
+    if (!isInsideMultiLine) {
+      const keyword = match[1].toLowerCase();
+      const markerContent = match[2].trim();
+      
+      markers.push({
+        keyword,
+        content: markerContent || null
+      });
+    }
+  }
+  
+  return markers;
+}
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split a Markdown file into its frontmatter, title and body, the parts
+ * ingestDocument writes
+ * @param {string} text - file content
+ * @returns {{meta: object, title: string|null, body: string}} meta values are
+ *   strings, or arrays for [a, b] lists; body is without frontmatter and title heading
+ */
+function parseDocumentFile(text) {
+  const meta = {};
+  let rest = text.replace(/^\uFEFF/, '');
+
+  const frontmatter = rest.match(FRONTMATTER);
+  if (frontmatter) {
+    for (const line of frontmatter[1].split(/\r?\n/)) {
+      const field = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+      if (!field) continue;
+      const value = field[2].trim();
+      const list = value.match(/^\[(.*)\]$/);
+      meta[field[1].toLowerCase()] = list
+        ? list[1].split(',').map(v => v.trim()).filter(Boolean)
+        : value.replace(/^(["'])(.*)\1$/, '$2');
+    }
+    rest = rest.substring(frontmatter[0].length);
+  }
+
+  const heading = rest.match(/^\s*#[ \t]+(.+?)[ \t]*(?:\r?\n|$)/);
+  const title = heading ? heading[1] : null;
+  if (heading) rest = rest.substring(heading[0].length);
+
+  return { meta, title, body: rest.trim() };
+}
+
+/**
+ * Register a document that is already on disk: rte_documents, tags, markers,
+ * the extraction queue and the search index
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} input
+ * @param {object} input.rte - rtes row
+ * @param {object} input.contentTypeRow - content_types row
+ * @param {string} input.filepath
+ * @param {string} input.category - folder of the file inside the RTE directory
+ * @param {string} input.title
+ * @param {string} input.content - document body, without frontmatter or title
+ * @param {string} input.fullContent - the whole file, as indexed for search
+ * @param {string} input.date - document date (YYYY-MM-DD)
+ * @param {string[]} input.semanticTags
+ * @param {string[]} input.projectTags
+ * @param {string[]} input.personTags
+ * @param {string} input.source - where the document came from, as stored with its first version
+ * @returns {number} rte_documents id
+ */
+function registerDocument(db, {
+  rte,
+  contentTypeRow,
+  filepath,
+  category,
+  title,
+  content,
+  fullContent,
+  date,
+  semanticTags = [],
+  projectTags = [],
+  personTags = [],
+  source = 'ingest'
+}) {
+  const rteId = rte.id;
+  const contentType = contentTypeRow.name;
+  const filename = path.basename(filepath);
+
+  // Insert into rte_documents
+  const insertDoc = db.prepare(`
+    INSERT INTO rte_documents (
+      rte_id, filename, filepath, file_type, category, title,
+      content_type_id, raw_content, word_count, extraction_status, document_date
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+  `);
+  
+  const result = insertDoc.run(
+    rteId,
+    filename,
+    filepath,
+    contentType,
+    category,
+    title,
+    contentTypeRow.id,
+    content,
+    countWords(content),
+    date
+  );
+  
+  const documentId = result.lastInsertRowid;
+  storeFingerprint(db, documentId, content);
+  recordVersion(db, documentId, { title, content, fullContent, wordCount: countWords(content), source });
+  
+  // Insert semantic tags using tag_type/tag_value schema
+  const insertDocTag = db.prepare(`
+    INSERT INTO document_tags (document_id, tag_type, tag_value) VALUES (?, ?, ?)
+  `);
+  
+  // Prepare semantic markers insert
+  const insertMarker = db.prepare(`
+    INSERT INTO semantic_markers (document_id, rte_id, marker_type, marker_content)
+    VALUES (?, ?, ?, ?)
+  `);
+  
+  // 1. Insert manually selected semantic tags (from UI)
+  for (const tagName of semanticTags) {
+    try {
+      insertDocTag.run(documentId, 'semantic', tagName);
+    } catch (e) {
+      // Ignore duplicate
+    }
+  }
+  
+  // 2. Extract markers from content
+  const extractedMarkers = extractSemanticMarkers(content, db);
+  for (const marker of extractedMarkers) {
+    try {
+      // Store just the keyword in document_tags (for filtering)
+      insertDocTag.run(documentId, 'semantic', marker.keyword);
+    } catch (e) {
+      // Ignore duplicate
+    }
+    
+    try {
+      // Store full marker in semantic_markers table (for browsing)
+      insertMarker.run(documentId, rteId, marker.keyword, marker.content || null);
+    } catch (e) {
+      console.log('[Ingest] Failed to insert marker:', e.message);
+    }
+  }
+  
+  console.log(`[Ingest] Extracted ${extractedMarkers.length} semantic markers from content`);
+  
+  // Insert project tags
+  for (const projectName of projectTags) {
+    try {
+      insertDocTag.run(documentId, 'project', projectName);
+    } catch (e) {
+      // Ignore duplicate
+    }
+  }
+  
+  // Insert person tags
+  for (const personName of personTags) {
+    try {
+      insertDocTag.run(documentId, 'person', personName);
+    } catch (e) {
+      // Ignore duplicate
+    }
+  }
+  
+  // Also update usage counts in project_tags and person_tags
+  const upsertProjectTag = db.prepare(`
+    INSERT INTO project_tags (rte_id, name, usage_count)
+    VALUES (?, ?, 1)
+    ON CONFLICT(rte_id, name) DO UPDATE SET usage_count = usage_count + 1
+  `);
+  
+  for (const projectName of projectTags) {
+    upsertProjectTag.run(rteId, projectName);
+  }
+  
+  const upsertPersonTag = db.prepare(`
+    INSERT INTO person_tags (rte_id, name, usage_count)
+    VALUES (?, ?, 1)
+    ON CONFLICT(rte_id, name) DO UPDATE SET usage_count = usage_count + 1
+  `);
+  
+  for (const personName of personTags) {
+    upsertPersonTag.run(rteId, personName);
+  }
+  
+  // Add to extraction queue for background processing
+  const insertQueue = db.prepare(`
+    INSERT INTO extraction_queue (document_id, status)
+    VALUES (?, 'pending')
+  `);
+  
+  insertQueue.run(documentId);
+  
+  // Index in FTS5 if available
+  try {
+    const sqliteVectorSearch = require('./sqlite-vector-search');
+    const instance = sqliteVectorSearch.getInstance ? sqliteVectorSearch.getInstance() : sqliteVectorSearch;
+    if (instance && instance.isReady) {
+      instance.indexDocument({
+        filepath,
+        content: fullContent,
+        title,
+        mode: contentType,
+        rteName: rte.name,
+        rteId: rteId
+      });
+    }
+  } catch (e) {
+    console.log('[Ingest] FTS indexing skipped:', e.message);
+  }
+
+  return Number(documentId);
+}
+
+function listOf(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+/**
+ * Remove tags from a document, counting their use down
+ */
+function removeDocumentTags(db, doc, type, values) {
+  const remove = db.prepare('DELETE FROM document_tags WHERE document_id = ? AND tag_type = ? AND tag_value = ?');
+  const usageTable = { project: 'project_tags', person: 'person_tags' }[type];
+  let removed = 0;
+  for (const value of values) {
+    if (remove.run(doc.id, type, value).changes === 0) continue;
+    removed++;
+    if (usageTable) {
+      db.prepare(`UPDATE ${usageTable} SET usage_count = MAX(usage_count - 1, 0) WHERE rte_id = ? AND name = ?`).run(doc.rte_id, value);
+    }
+  }
+  return removed;
+}
+
+// Dice similarity from which a marker of the same type in the new text counts
+// as an edit of an old one, and keeps its row
+const MARKER_EDIT_SIMILARITY = 0.6;
+
+/**
+ * Bring the semantic markers of a document in line with markers extracted
+ * from its new text
+ *
+ * Each extracted marker is matched, in this order, to an active marker with
+ * the same text, to a retired marker with the same text (brought back), or
+ * to the most similar active marker of its type (its text updated). Matched
+ * markers keep their row, so owner, due date, severity and responses stay.
+ * Unmatched extracted markers are added; unmatched active markers are
+ * retired, not deleted.
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {Array<{keyword: string, content: string}>} extracted - as extractSemanticMarkers returns
+ * @returns {{added: number, edited: number, retired: number, revived: number}}
+ */
+function reconcileMarkers(db, doc, extracted) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const rows = db.prepare(`
+    SELECT id, marker_type, marker_content, retired_at FROM semantic_markers WHERE document_id = ?
+  `).all(doc.id);
+  const active = rows.filter(row => !row.retired_at);
+  const retired = rows.filter(row => row.retired_at);
+
+  const takeSame = (pool, marker) => {
+    const index = pool.findIndex(row =>
+      row.marker_type === marker.keyword && normalize(row.marker_content) === normalize(marker.content));
+    return index === -1 ? null : pool.splice(index, 1)[0];
+  };
+  const takeMostSimilar = marker => {
+    let best = -1;
+    let bestScore = MARKER_EDIT_SIMILARITY;
+    active.forEach((row, index) => {
+      if (row.marker_type !== marker.keyword) return;
+      const score = stringSimilarity.compareTwoStrings(normalize(row.marker_content), normalize(marker.content));
+      if (score >= bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    return best === -1 ? null : active.splice(best, 1)[0];
+  };
+
+  // Exact matches first, so a similar marker is not paired with one that is still there
+  const unmatched = extracted.filter(marker => !takeSame(active, marker));
+
+  const revive = db.prepare('UPDATE semantic_markers SET retired_at = NULL WHERE id = ?');
+  const edit = db.prepare('UPDATE semantic_markers SET marker_content = ? WHERE id = ?');
+  const insert = db.prepare(`
+    INSERT INTO semantic_markers (document_id, rte_id, marker_type, marker_content) VALUES (?, ?, ?, ?)
+  `);
+  const retire = db.prepare(`UPDATE semantic_markers SET retired_at = datetime('now') WHERE id = ?`);
+
+  const changes = { added: 0, edited: 0, retired: 0, revived: 0 };
+  for (const marker of unmatched) {
+    const returning = takeSame(retired, marker);
+    if (returning) {
+      revive.run(returning.id);
+      changes.revived++;
+      continue;
+    }
+
+    const previous = takeMostSimilar(marker);
+    if (previous) {
+      edit.run(marker.content || null, previous.id);
+      changes.edited++;
+    } else {
+      insert.run(doc.id, doc.rte_id, marker.keyword, marker.content || null);
+      changes.added++;
+    }
+  }
+
+  for (const row of active) {
+    retire.run(row.id);
+    changes.retired++;
+  }
+
+  return changes;
+}
+
+/**
+ * Bring markers and tags of a document in line with its new text
+ *
+ * Markers are reconciled as in reconcileMarkers. Tags that came from the
+ * previous text (its frontmatter lists and marker keywords) and are not in
+ * the new one are removed; tags added by hand in the app are left alone.
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {object} input
+ * @param {string} input.content - new body
+ * @param {object} input.meta - frontmatter of the new file text
+ * @param {object|null} input.previousMeta - frontmatter of the previous version, when known
+ * @returns {{markers: object, tagsAdded: number, tagsRemoved: number}} markers as reconcileMarkers returns
+ */
+function reconcileDocument(db, doc, { content, meta, previousMeta }) {
+  const previousTypes = db.prepare(`
+    SELECT DISTINCT marker_type FROM semantic_markers WHERE document_id = ? AND retired_at IS NULL
+  `).all(doc.id).map(row => row.marker_type);
+  const extracted = extractSemanticMarkers(content, db);
+  const markers = reconcileMarkers(db, doc, extracted);
+
+  const previous = previousMeta || {};
+  const was = {
+    semantic: new Set([...previousTypes, ...listOf(previous.tags)]),
+    project: new Set(listOf(previous.projects)),
+    person: new Set(listOf(previous.people))
+  };
+  const now = {
+    semantic: new Set([...extracted.map(marker => marker.keyword), ...listOf(meta.tags)]),
+    project: new Set(listOf(meta.projects)),
+    person: new Set(listOf(meta.people))
+  };
+
+  let tagsRemoved = 0;
+  for (const type of Object.keys(was)) {
+    tagsRemoved += removeDocumentTags(db, doc, type, [...was[type]].filter(tag => !now[type].has(tag)));
+  }
+  const tagsAdded = addDocumentTags(db, doc, {
+    semanticTags: [...now.semantic],
+    projectTags: [...now.project],
+    personTags: [...now.person]
+  });
+
+  return { markers, tagsAdded, tagsRemoved };
+}
+
+/**
+ * Bring a registered document in line with new file content: stored text,
+ * markers and tags, version history, extraction queue and search index; a
+ * document deleted with its file is back once the file is
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {object} input - { title, content, fullContent } as for registerDocument, and
+ *   source: what changed the file (see document-versions)
+ * @returns {number|null} the version recorded for the new text
+ */
+function refreshDocument(db, doc, { title, content, fullContent, source = 'watcher' }) {
+  const previous = latestVersion(db, doc.id);
+  const previousMeta = previous && previous.full_content !== null ? parseDocumentFile(previous.full_content).meta : null;
+
+  const version = db.transaction(() => {
+    db.prepare(`
+      UPDATE rte_documents
+      SET raw_content = ?, word_count = ?, title = COALESCE(?, title),
+          extraction_status = 'pending', updated_at = datetime('now'), deleted_at = NULL
+      WHERE id = ?
+    `).run(content, countWords(content), title, doc.id);
+    storeFingerprint(db, doc.id, content);
+
+    const { markers, tagsAdded, tagsRemoved } = reconcileDocument(db, doc, { content, meta: parseDocumentFile(fullContent).meta, previousMeta });
+    if (Object.values(markers).some(Boolean) || tagsAdded || tagsRemoved) {
+      console.log(`[Ingest] Document ${doc.id}: markers ${markers.added} added, ${markers.edited} edited, ${markers.retired} retired, ${markers.revived} revived; tags +${tagsAdded}/-${tagsRemoved}`);
+    }
+
+    return recordVersion(db, doc.id, { title: title || doc.title, content, fullContent, wordCount: countWords(content), source });
+  })();
+
+  // Entities are extracted again from the new text
+  const queued = db.prepare(`
+    SELECT 1 FROM extraction_queue WHERE document_id = ? AND status = 'pending'
+  `).get(doc.id);
+  if (!queued) {
+    db.prepare(`INSERT INTO extraction_queue (document_id, status) VALUES (?, 'pending')`).run(doc.id);
+  }
+
+  try {
+    const instance = require('./sqlite-vector-search').getInstance();
+    if (instance.isReady) {
+      instance.indexDocument({ filepath: doc.filepath, content: fullContent, title, rteId: doc.rte_id });
+    }
+  } catch (e) {
+    console.log('[Ingest] FTS indexing skipped:', e.message);
+  }
+
+  return version;
+}
+
+/**
+ * Refresh a document from the text of its file, unless that text is the
+ * latest version already
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {string} fullContent - file text
+ * @param {string} source - what changed the file (see document-versions)
+ * @returns {boolean} whether the document changed
+ */
+function syncDocumentFile(db, doc, fullContent, source) {
+  if (!differsFromLatest(db, doc.id, fullContent)) return false;
+  const parsed = parseDocumentFile(fullContent);
+  refreshDocument(db, doc, { title: parsed.title, content: parsed.body, fullContent, source });
+  return true;
+}
+
+/**
+ * Add tags a document does not have yet, counting their use
+ * @returns {number} tags added
+ */
+function addDocumentTags(db, doc, { semanticTags = [], projectTags = [], personTags = [] }) {
+  const insertDocTag = db.prepare(`
+    INSERT OR IGNORE INTO document_tags (document_id, tag_type, tag_value) VALUES (?, ?, ?)
+  `);
+  const upsertUsage = {
+    project: db.prepare(`
+      INSERT INTO project_tags (rte_id, name, usage_count) VALUES (?, ?, 1)
+      ON CONFLICT(rte_id, name) DO UPDATE SET usage_count = usage_count + 1
+    `),
+    person: db.prepare(`
+      INSERT INTO person_tags (rte_id, name, usage_count) VALUES (?, ?, 1)
+      ON CONFLICT(rte_id, name) DO UPDATE SET usage_count = usage_count + 1
+    `)
+  };
+
+  let added = 0;
+  for (const [type, values] of [['semantic', semanticTags], ['project', projectTags], ['person', personTags]]) {
+    for (const value of values) {
+      if (insertDocTag.run(doc.id, type, value).changes === 0) continue;
+      added++;
+      if (upsertUsage[type]) upsertUsage[type].run(doc.rte_id, value);
+    }
+  }
+  return added;
+}
+
+/**
+ * Give a registered document a new body (and title), keeping the frontmatter
+ * of its file
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {object} input - { title, content, source }; title defaults to the current heading
+ * @returns {{documentId: number, filename: string, filepath: string, date: string, title: string, wordCount: number}}
+ */
+function rewriteDocument(db, doc, { title, content, source = 're-import' }) {
+  const text = fs.existsSync(doc.filepath) ? fs.readFileSync(doc.filepath, 'utf-8') : '';
+  const frontmatter = text.replace(/^\uFEFF/, '').match(FRONTMATTER);
+  const fileTitle = title || parseDocumentFile(text).title || doc.title;
+  const body = content.trim();
+  const fullContent = `${frontmatter ? frontmatter[0].replace(/\r?\n?$/, '\n\n') : ''}# ${fileTitle}\n\n${body}`;
+
+  fs.writeFileSync(doc.filepath, fullContent, 'utf-8');
+  refreshDocument(db, doc, { title: fileTitle, content: body, fullContent, source });
+
+  return {
+    documentId: doc.id,
+    filename: doc.filename,
+    filepath: doc.filepath,
+    date: doc.document_date,
+    title: fileTitle,
+    wordCount: countWords(body)
+  };
+}
+
+// Closing line of a multi-line marker block (keyword: ... //)
+const MARKER_BLOCK_END = /^[-*•]?[ \t]*\/\/[ \t]*$/;
+
+/**
+ * Non-blank lines of pasted text, with each multi-line marker block kept as
+ * one unit
+ * @returns {Array<{paragraph: number, text: string}>} paragraph counts the blank-line gaps before the unit
+ */
+function pastedUnits(db, text) {
+  const lines = text.split(/\r?\n/);
+  const units = [];
+  let paragraph = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      paragraph++;
+      continue;
+    }
+
+    let end = i;
+    if (!/\/\/[ \t]*$/.test(lines[i]) && extractSemanticMarkers(lines[i], db).length > 0) {
+      const close = lines.findIndex((line, j) => j > i && MARKER_BLOCK_END.test(line));
+      if (close !== -1) end = close;
+    }
+    units.push({ paragraph, text: lines.slice(i, end + 1).join('\n') });
+    i = end;
+  }
+  return units;
+}
+
+/**
+ * Fold a duplicate into a registered document: lines the document does not
+ * have yet are appended, tags are added
+ *
+ * Lines compare by their words, so a reformatted copy of a line is known; a
+ * marker (line or block) is known when the document has a marker of the
+ * same type with the same or similar text (as reconcileMarkers pairs an
+ * edited marker), so merging never extracts a marker twice.
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {object} input - { content, semanticTags, projectTags, personTags }
+ * @returns {object} as rewriteDocument, with linesAdded and tagsAdded
+ */
+function mergeIntoDocument(db, doc, { content, semanticTags = [], projectTags = [], personTags = [] }) {
+  const existing = (doc.raw_content || '').trim();
+  const key = text => normalizeWords(text).join(' ');
+  const markerKey = marker => ({ type: marker.keyword, text: key(marker.content) });
+  const isKnownMarker = marker => {
+    const { type, text } = markerKey(marker);
+    return knownMarkers.some(known => known.type === type
+      && (known.text === text || stringSimilarity.compareTwoStrings(known.text, text) >= MARKER_EDIT_SIMILARITY));
+  };
+
+  // A pasted copy often starts with the document's own title
+  const knownLines = new Set([...existing.split('\n'), `# ${doc.title || ''}`].map(key));
+  const knownMarkers = extractSemanticMarkers(existing, db).map(markerKey);
+
+  const added = pastedUnits(db, content).filter(unit => {
+    const k = key(unit.text);
+    if (!k || knownLines.has(k)) return false;
+    const markers = extractSemanticMarkers(unit.text, db);
+    if (markers.length > 0 && markers.every(isKnownMarker)) return false;
+
+    knownLines.add(k);
+    knownMarkers.push(...markers.map(markerKey));
+    return true;
+  });
+
+  // Lines that were in one paragraph of the paste stay together
+  const addition = added
+    .map((unit, i) => (i === 0 ? '' : unit.paragraph === added[i - 1].paragraph ? '\n' : '\n\n') + unit.text)
+    .join('');
+
+  const result = added.length > 0
+    ? rewriteDocument(db, doc, { content: `${existing}\n\n${addition}` })
+    : { documentId: doc.id, filename: doc.filename, filepath: doc.filepath, date: doc.document_date, title: doc.title, wordCount: doc.word_count };
+
+  const tagsAdded = addDocumentTags(db, doc, { semanticTags, projectTags, personTags });
+  return { ...result, linesAdded: added.reduce((sum, unit) => sum + unit.text.split('\n').length, 0), tagsAdded };
+}
+
+/**
+ * Put an earlier version of a document back; it becomes the newest version
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} doc - rte_documents row
+ * @param {number} versionNumber
+ * @returns {{version: number|null, restored: number}} version is null when the
+ *   document already had that text
+ */
+function restoreDocumentVersion(db, doc, versionNumber) {
+  const target = getVersion(db, doc.id, versionNumber);
+  if (!target) {
+    throw Object.assign(new Error(`Version ${versionNumber} of document ${doc.id} not found`), { status: 404 });
+  }
+
+  // Baselines of files that were already gone hold the stored text only
+  if (target.full_content === null) {
+    rewriteDocument(db, doc, { title: target.title, content: target.content || '', source: 'restore' });
+    return { version: latestVersion(db, doc.id).version, restored: target.version };
+  }
+
+  fs.writeFileSync(doc.filepath, target.full_content, 'utf-8');
+  const parsed = parseDocumentFile(target.full_content);
+  const version = refreshDocument(db, doc, { title: parsed.title, content: parsed.body, fullContent: target.full_content, source: 'restore' });
+  return { version, restored: target.version };
+}
+
+/**
+ * Save a document into its RTE workspace and index it
+ * @param {object} db - better-sqlite3 database instance
+ * @param {object} input
+ * @param {object} input.rte - rtes row
+ * @param {object} input.contentTypeRow - content_types row
+ * @param {string} input.content - document body, without frontmatter or title
+ * @param {string} input.date - document date (YYYY-MM-DD); read from the content when omitted
+ * @param {string} input.title - heading and filename slug; defaults to "<Type> - <date>"
+ * @param {string[]} input.semanticTags
+ * @param {string[]} input.projectTags
+ * @param {string[]} input.personTags
+ * @returns {{documentId: number, filename: string, filepath: string, date: string, title: string, wordCount: number}}
+ */
+function ingestDocument(db, {
+  rte,
+  contentTypeRow,
+  content,
+  date,
+  title,
+  semanticTags = [],
+  projectTags = [],
+  personTags = []
+}) {
+  const contentType = contentTypeRow.name;
+
+  // Extract or use provided date
+  const documentDate = date || extractDateFromContent(content);
+  
+  // Ensure directory exists
+  const { relativePath, fullPath } = ensureRteDirectory(rte.name, contentType);
+
+  // Generate filename; one taken in the same minute gets a number, never overwritten
+  const time = new Date().toISOString().split('T')[1].substring(0, 5).replace(':', '');
+  const slug = generateSlug(title || content);
+  const base = `${documentDate}-${time}-${slug}`;
+  let filename = `${base}.md`;
+  for (let n = 2; fs.existsSync(path.join(fullPath, filename)); n++) {
+    filename = `${base}-${n}.md`;
+  }
+  const filepath = path.join(fullPath, filename);
+  
+  // Build file content with frontmatter
+  const frontmatter = `---
+date: ${documentDate}
+type: ${contentType}
+rte: ${rte.name}
+tags: [${semanticTags.join(', ')}]
+projects: [${projectTags.join(', ')}]
+people: [${personTags.join(', ')}]
+created: ${new Date().toISOString()}
+---
+
+`;
+  
+  const fileTitle = title || `${contentType.charAt(0).toUpperCase() + contentType.slice(1)} - ${documentDate}`;
+  const fullContent = `${frontmatter}# ${fileTitle}\n\n${content}`;
+  
+  // Write file to disk
+  fs.writeFileSync(filepath, fullContent, { encoding: 'utf-8', flag: 'wx' });
+  console.log(`[Ingest] Saved file: ${filepath}`);
+
+  const documentId = registerDocument(db, {
+    rte,
+    contentTypeRow,
+    filepath,
+    category: relativePath,
+    title: fileTitle,
+    content,
+    fullContent,
+    date: documentDate,
+    semanticTags,
+    projectTags,
+    personTags
+  });
+
+  return {
+    documentId,
+    filename,
+    filepath,
+    date: documentDate,
+    title: fileTitle,
+    wordCount: countWords(content)
+  };
+}
+
+module.exports = {
+  WORKSPACE_ROOT,
+  CONTENT_TYPE_FOLDERS,
+  generateSlug,
+  extractDateFromContent,
+  countWords,
+  rteWorkspacePath,
+  ensureRteDirectory,
+  extractSemanticMarkers,
+  parseDocumentFile,
+  registerDocument,
+  refreshDocument,
+  syncDocumentFile,
+  reconcileMarkers,
+  reconcileDocument,
+  addDocumentTags,
+  rewriteDocument,
+  restoreDocumentVersion,
+  mergeIntoDocument,
+  ingestDocument
+};
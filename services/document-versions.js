@@ -0,0 +1,110 @@
+/**
+ * Document Versions
+ * Revision history of rte_documents
+ *
+ * Every time the text of a document changes, its new file content is stored
+ * as the next version, with the source of the change:
+ *   ingest     saved through ingest (or an app feature that writes documents)
+ *   ui-edit    saved in Navigator or the document editor
+ *   watcher    created or edited outside the app
+ *   re-import  replaced or merged into by a duplicate on ingest
+ *   restore    an earlier version put back
+ *   baseline   the state a document was in when versioning started
+ */
+
+const crypto = require('crypto');
+const { diffText } = require('./text-diff');
+
+const VERSION_SOURCES = ['ingest', 'ui-edit', 'watcher', 're-import', 'restore', 'baseline'];
+
+function hashOf(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Latest version of a document, or undefined before its first
+ */
+function latestVersion(db, documentId) {
+  return db.prepare(`
+    SELECT * FROM document_versions WHERE document_id = ? ORDER BY version DESC LIMIT 1
+  `).get(documentId);
+}
+
+/**
+ * Whether file text differs from the latest version of a document
+ */
+function differsFromLatest(db, documentId, fullContent) {
+  const latest = latestVersion(db, documentId);
+  return !latest || latest.content_hash !== hashOf(fullContent);
+}
+
+/**
+ * Store the current text of a document as its next version; nothing is
+ * stored when the file text equals the latest version
+ * @param {object} db - better-sqlite3 database instance
+ * @param {number} documentId
+ * @param {object} input - { title, content (body), fullContent (file text), wordCount, source }
+ * @returns {number|null} the new version number
+ */
+function recordVersion(db, documentId, { title, content, fullContent, wordCount = null, source }) {
+  if (!VERSION_SOURCES.includes(source)) {
+    throw new Error(`Unknown version source: ${source}`);
+  }
+
+  const hash = hashOf(fullContent ?? content);
+  const latest = latestVersion(db, documentId);
+  if (latest && latest.content_hash === hash) return null;
+
+  const version = latest ? latest.version + 1 : 1;
+  db.prepare(`
+    INSERT INTO document_versions (document_id, version, source, title, content, full_content, content_hash, word_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(documentId, version, source, title, content, fullContent ?? null, hash, wordCount);
+  return version;
+}
+
+/**
+ * Versions of a document, newest first, without their text
+ */
+function listVersions(db, documentId) {
+  return db.prepare(`
+    SELECT version, source, title, word_count, content_hash, created_at
+    FROM document_versions WHERE document_id = ? ORDER BY version DESC
+  `).all(documentId);
+}
+
+function getVersion(db, documentId, version) {
+  return db.prepare(`
+    SELECT * FROM document_versions WHERE document_id = ? AND version = ?
+  `).get(documentId, version);
+}
+
+/**
+ * Line diff between two versions of a document
+ * @returns {object} { from, to, added, removed, unchanged, ops, text } as diffText
+ *   returns, with from and to the compared versions
+ * @throws {Error} with status 404 naming the version that does not exist
+ */
+function diffVersions(db, documentId, fromVersion, toVersion) {
+  const from = getVersion(db, documentId, fromVersion);
+  const to = getVersion(db, documentId, toVersion);
+  const missing = !from ? fromVersion : !to ? toVersion : null;
+  if (missing !== null) {
+    throw Object.assign(new Error(`Version ${missing} of document ${documentId} not found`), { status: 404 });
+  }
+
+  const textOf = v => v.full_content ?? v.content ?? '';
+  const diff = diffText(textOf(from), textOf(to), { normalize: unit => unit, lines: true });
+  const describe = ({ version, source, title, created_at }) => ({ version, source, title, createdAt: created_at });
+  return { from: describe(from), to: describe(to), ...diff };
+}
+
+module.exports = {
+  VERSION_SOURCES,
+  latestVersion,
+  differsFromLatest,
+  recordVersion,
+  listVersions,
+  getVersion,
+  diffVersions
+};
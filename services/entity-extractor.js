@@ -1,18 +1,50 @@
 /**
  * Entity Extractor Service
- * Uses Ollama (mistral/aya) to extract people, roles, teams, relationships
+ * Uses the 'extraction' LLM task to extract people, roles, teams, relationships
  * Improved patterns for Dutch names and confidence scoring
  */
 
-const OLLAMA_URL = 'http://localhost:11434/api/generate';
-
-// Try multiple models in order of preference
-const MODELS = ['mistral', 'aya:8b', 'llama3.2'];
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { getInstance: getPromptTemplates } = require('./prompt-templates');
+
+// Shape of the LLM extraction reply; also sent to the model as its output format
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          type: { type: 'string' },
+          role: { type: ['string', 'null'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        required: ['name', 'type']
+      }
+    },
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', minLength: 1 },
+          target: { type: 'string', minLength: 1 },
+          type: { type: 'string' },
+          context: { type: ['string', 'null'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        required: ['source', 'target', 'type']
+      }
+    },
+    sections: { type: 'array' }
+  },
+  required: ['entities', 'relationships']
+};
 
 class EntityExtractor {
   constructor() {
-    this.currentModel = MODELS[0];
-    
     // Dutch-aware stopwords and patterns
     this.stopwords = new Set([
       // English
@@ -52,142 +84,70 @@ class EntityExtractor {
       return result;
     }
 
-    // Try LLM extraction with fallback chain
-    for (const model of MODELS) {
-      try {
-        const result = await this.llmExtract(text, model);
-        if (result.entities.length > 0 || result.relationships.length > 0) {
-          result.source = 'llm';
-          result.model = model;
-          return result;
-        }
-      } catch (error) {
-        console.error(`[EntityExtractor] ${model} failed:`, error.message);
+    // Try LLM extraction (LLMManager handles the model fallback chain)
+    let llmError = null;
+    try {
+      const result = await this.llmExtract(text);
+      if (result.entities.length > 0 || result.relationships.length > 0) {
+        result.source = 'llm';
+        return result;
       }
+      llmError = 'LLM found no entities';
+    } catch (error) {
+      // StructuredOutputError messages include the validation errors
+      console.error('[EntityExtractor] LLM extraction failed:', error.message);
+      llmError = error.message;
     }
 
     // Final fallback: pattern-based
-    console.log('[EntityExtractor] All LLMs failed, using pattern fallback');
+    console.log('[EntityExtractor] LLM extraction failed, using pattern fallback');
     const result = this.patternExtract(text);
     result.source = 'pattern';
+    result.llmError = llmError;
     return result;
   }
 
-  async llmExtract(text, model) {
+  async llmExtract(text) {
     const prompt = this.buildExtractionPrompt(text);
+    const llmResult = await getLLMManager().generateStructured('extraction', prompt, EXTRACTION_SCHEMA);
 
-    const response = await fetch(OLLAMA_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: model,
-        prompt: prompt,
-        stream: false,
-        options: { temperature: 0.1, num_predict: 2000 }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Ollama error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return this.parseExtractionResult(data.response, text);
+    const result = this.normalizeExtraction(llmResult.data);
+    result.model = llmResult.model;
+    result.repaired = llmResult.repaired;
+    return result;
   }
 
   buildExtractionPrompt(text) {
-    return `You are an entity extraction expert. Extract ALL mentioned entities from this text about product development and agile work.
-
-TEXT:
-"""
-${text}
-"""
-
-EXTRACT AND CLASSIFY:
-1. PERSON: Names of individuals (first name, full name, Dutch names with prefixes like "van de")
-2. ROLE: Job titles (Product Owner, Scrum Master, Developer, Manager, Tech Lead, etc.)
-3. TEAM: Team names (Backend team, Team Alpha, etc.)
-4. SYSTEM: Software, tools, APIs, databases (Jira, API, Confluence, SAP, etc.)
-5. ORGANIZATION: Companies, departments, clients
-6. PROJECT: Project or epic names
-
-Also extract RELATIONSHIPS:
-- works_with: People who collaborate
-- member_of: Person belongs to team
-- owns: Person responsible for something
-- depends_on: System/project dependencies
-- reports_to: Reporting relationships
-- blocks: Blockers between items
-
-Return ONLY valid JSON:
-{
-  "entities": [
-    {"name": "Jan van der Berg", "type": "person", "role": "Developer", "confidence": 0.95},
-    {"name": "Product Owner", "type": "role", "confidence": 1.0},
-    {"name": "Matcher API", "type": "system", "confidence": 0.9}
-  ],
-  "relationships": [
-    {"source": "Jan", "target": "Backend Team", "type": "member_of", "context": "mentioned in standup", "confidence": 0.85}
-  ],
-  "sections": []
-}
-
-RULES:
-- Extract EVERY person mentioned by name
-- Confidence: 0.0-1.0 based on how explicit the mention is
-- Keep original names exactly as written (including Dutch prefixes)
-- Distinguish between person names and system/project names
-- If no entities found, return empty arrays
-- Return ONLY JSON, no explanations`;
+    return getPromptTemplates().render('extraction.relationships', { text });
   }
 
-  parseExtractionResult(llmResponse, originalText) {
-    try {
-      // Clean up response - find JSON block
-      let jsonStr = llmResponse.trim();
-      
-      // Extract JSON from markdown code blocks
-      const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-      } else {
-        // Try to find raw JSON object
-        const objectMatch = jsonStr.match(/\{[\s\S]*\}/);
-        if (objectMatch) {
-          jsonStr = objectMatch[0];
-        }
-      }
-
-      const parsed = JSON.parse(jsonStr);
-
-      // Add default confidence if not provided
-      const entities = (parsed.entities || []).map(e => ({
-        ...e,
-        confidence: e.confidence || 0.8,
-        actor_type: this.mapTypeToActorType(e.type)
-      }));
+  /**
+   * Fill in defaults on a schema-validated extraction reply
+   */
+  normalizeExtraction(parsed) {
+    // Add default confidence if not provided
+    const entities = parsed.entities.map(e => ({
+      ...e,
+      confidence: e.confidence || 0.8,
+      actor_type: this.mapTypeToActorType(e.type)
+    }));
 
-      const relationships = (parsed.relationships || []).map(r => ({
-        ...r,
-        confidence: r.confidence || 0.7
-      }));
+    const relationships = parsed.relationships.map(r => ({
+      ...r,
+      confidence: r.confidence || 0.7
+    }));
 
-      // Calculate overall confidence
-      const avgConfidence = entities.length > 0 
-        ? entities.reduce((sum, e) => sum + e.confidence, 0) / entities.length
-        : 0;
+    // Calculate overall confidence
+    const avgConfidence = entities.length > 0 
+      ? entities.reduce((sum, e) => sum + e.confidence, 0) / entities.length
+      : 0;
 
-      return {
-        entities,
-        relationships,
-        sections: parsed.sections || [],
-        confidence: avgConfidence
-      };
-    } catch (error) {
-      console.error('[EntityExtractor] Parse error:', error.message);
-      console.error('[EntityExtractor] Raw response:', llmResponse.substring(0, 200));
-      return this.patternExtract(originalText);
-    }
+    return {
+      entities,
+      relationships,
+      sections: parsed.sections || [],
+      confidence: avgConfidence
+    };
   }
 
   /**
@@ -1,12 +1,15 @@
 /**
  * Extraction Worker Service
- * Background processing of extraction_queue using gemma2:2b
+ * Background processing of extraction_queue using the 'extraction' LLM task
  * 
  * Extracts: people, projects, systems, organizations from documents
  * Stores results as document_tags
  */
 
 const { getDb } = require('../db/connection');
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { getInstance: getPromptTemplates } = require('./prompt-templates');
+const { StructuredOutputError } = require('./structured-output');
 
 // Import relationship extraction services
 let entityExtractor = null;
@@ -19,40 +22,25 @@ try {
   console.log('[Extraction] Relationship extraction services not available:', e.message);
 }
 
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
 const POLL_INTERVAL = 10000; // 10 seconds between queue checks
 const MAX_ATTEMPTS = 3;
 
-// Extraction prompt - constrained to minimize hallucination
-// NOTE: Semantic tags (insight, action, question, etc.) are extracted via regex markers during ingest
-const EXTRACTION_PROMPT = `You are an entity extractor. Given the text below, identify:
-- PEOPLE: Names of individuals mentioned (e.g., "Clara", "Jan")
-- PROJECTS: Project or product names (e.g., "DNA-C", "Portal Redesign")
-- SYSTEMS: Software systems or tools (e.g., "Leonardo", "Confluence")
-- ORGANIZATIONS: Companies or teams (e.g., "Acme Corp", "Platform team")
-
-RULES:
-1. Only extract entities EXPLICITLY mentioned in the text
-2. Do NOT infer or guess entities not directly stated
-3. Do NOT add descriptions or context
-4. If uncertain, do NOT include
-
-Output as JSON only, no other text:
-{
-  "people": ["name1", "name2"],
-  "projects": ["project1"],
-  "systems": ["system1"],
-  "organizations": ["org1"]
-}
-
-TEXT:
-`;
+// Shape the extraction reply must have; also sent to the model as its output format
+const ENTITY_TAGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    people: { type: 'array', items: { type: 'string' } },
+    projects: { type: 'array', items: { type: 'string' } },
+    systems: { type: 'array', items: { type: 'string' } },
+    organizations: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['people', 'projects', 'systems', 'organizations']
+};
 
 class ExtractionWorker {
   constructor() {
     this.isRunning = false;
     this.intervalId = null;
-    this.currentModel = null;
   }
 
   /**
@@ -88,59 +76,6 @@ class ExtractionWorker {
     console.log('[Extraction] Worker stopped');
   }
 
-  /**
-   * Get the extraction model from llm_configs
-   */
-  async getExtractionModel() {
-    const db = getDb();
-    if (!db) return 'gemma2:2b'; // fallback
-
-    try {
-      const config = db.prepare(
-        "SELECT model_name, fallback_models FROM llm_configs WHERE task = 'extraction'"
-      ).get();
-      
-      if (config) {
-        // Check if primary model is available
-        const isAvailable = await this.isModelAvailable(config.model_name);
-        if (isAvailable) {
-          return config.model_name;
-        }
-        
-        // Try fallbacks
-        if (config.fallback_models) {
-          const fallbacks = JSON.parse(config.fallback_models);
-          for (const fallback of fallbacks) {
-            const fallbackAvailable = await this.isModelAvailable(fallback);
-            if (fallbackAvailable) {
-              console.log(`[Extraction] Using fallback model: ${fallback}`);
-              return fallback;
-            }
-          }
-        }
-      }
-    } catch (e) {
-      console.error('[Extraction] Error getting model config:', e.message);
-    }
-    
-    return 'gemma2:2b';
-  }
-
-  /**
-   * Check if a model is available in Ollama
-   */
-  async isModelAvailable(modelName) {
-    try {
-      const response = await fetch(`${OLLAMA_HOST}/api/tags`);
-      if (!response.ok) return false;
-      
-      const data = await response.json();
-      return data.models?.some(m => m.name.startsWith(modelName)) || false;
-    } catch (e) {
-      return false;
-    }
-  }
-
   /**
    * Process pending items in the queue
    */
@@ -177,20 +112,15 @@ class ExtractionWorker {
         return;
       }
 
-      // Get model
-      if (!this.currentModel) {
-        this.currentModel = await this.getExtractionModel();
-      }
-
       // Call LLM for extraction (flat entity tags)
-      const entities = await this.extractEntities(content, this.currentModel);
+      const { entities, error } = await this.extractEntities(content);
 
       if (entities) {
         // Store entities as tags
         await this.storeEntities(item.document_id, entities);
         this.markComplete(item.id, item.document_id, entities);
       } else {
-        this.markFailed(item.id, item.attempts, 'Extraction returned no valid entities');
+        this.markFailed(item.id, item.attempts, error);
       }
 
       // Also run relationship extraction (EntityExtractor → IntelligencePersistence)
@@ -213,9 +143,12 @@ class ExtractionWorker {
   }
 
   /**
-   * Call Ollama to extract entities
+   * Call the extraction LLM task to extract entities
+   * The reply is validated against ENTITY_TAGS_SCHEMA (with one repair pass);
+   * on failure `error` says why, including the validation errors.
+   * @returns {Promise<{entities: object|null, model: string|null, error: string|null}>}
    */
-  async extractEntities(content, model) {
+  async extractEntities(content) {
     try {
       // Truncate very long content
       const maxTokens = 4000;
@@ -223,71 +156,28 @@ class ExtractionWorker {
         ? content.substring(0, maxTokens * 4) + '\n...[truncated]'
         : content;
 
-      const response = await fetch(`${OLLAMA_HOST}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: model,
-          prompt: EXTRACTION_PROMPT + truncatedContent,
-          stream: false,
-          options: {
-            temperature: 0.1,
-            num_predict: 500
-          }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Ollama returned ${response.status}`);
+      // Prompt is constrained to minimize hallucination; semantic tags come from regex markers during ingest
+      const prompt = getPromptTemplates().render('extraction.entity_tags', { text: truncatedContent });
+      const result = await getLLMManager().generateStructured('extraction', prompt, ENTITY_TAGS_SCHEMA);
+      if (result.repaired) {
+        console.log(`[Extraction] ${result.model} output needed a repair pass`);
       }
 
-      const data = await response.json();
-      const responseText = data.response || '';
-
-      // Parse JSON from response
-      const entities = this.parseEntitiesJson(responseText);
-      return entities;
+      // Entities only (semantic tags extracted via markers during ingest)
+      const entities = {};
+      for (const key of Object.keys(ENTITY_TAGS_SCHEMA.properties)) {
+        entities[key] = result.data[key].map(v => v.trim()).filter(Boolean);
+      }
+      return { entities, model: result.model, error: null };
 
     } catch (err) {
-      console.error('[Extraction] LLM error:', err.message);
-      return null;
-    }
-  }
-
-  /**
-   * Parse JSON from LLM response (handles markdown code blocks)
-   */
-  parseEntitiesJson(text) {
-    try {
-      // Try to find JSON in the response
-      let jsonStr = text;
-      
-      // Remove markdown code blocks if present
-      const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-      }
-      
-      // Try to find JSON object
-      const objectMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (objectMatch) {
-        jsonStr = objectMatch[0];
+      if (err instanceof StructuredOutputError) {
+        console.error('[Extraction] Invalid output:', err.errors.join('; '));
+        console.error('[Extraction] Raw response:', err.raw.substring(0, 200));
+        return { entities: null, model: err.model, error: err.message };
       }
-
-      const parsed = JSON.parse(jsonStr);
-      
-      // Validate structure - entities only (semantic tags extracted via markers during ingest)
-      return {
-        people: Array.isArray(parsed.people) ? parsed.people.filter(p => typeof p === 'string') : [],
-        projects: Array.isArray(parsed.projects) ? parsed.projects.filter(p => typeof p === 'string') : [],
-        systems: Array.isArray(parsed.systems) ? parsed.systems.filter(p => typeof p === 'string') : [],
-        organizations: Array.isArray(parsed.organizations) ? parsed.organizations.filter(p => typeof p === 'string') : []
-      };
-
-    } catch (e) {
-      console.error('[Extraction] JSON parse error:', e.message);
-      console.error('[Extraction] Raw response:', text.substring(0, 200));
-      return null;
+      console.error('[Extraction] LLM error:', err.message);
+      return { entities: null, model: null, error: `LLM error: ${err.message}` };
     }
   }
 
@@ -367,7 +257,7 @@ class ExtractionWorker {
     }
 
     // NOTE: Semantic tags (insight, action, question, etc.) are extracted via markers during ingest
-    // See routes/ingest.js extractSemanticMarkers()
+    // See services/document-ingest.js extractSemanticMarkers()
 
     if (blocked > 0) {
       console.log(`[Extraction] Stored ${count} entities, blocked ${blocked} for document ${documentId}`);
@@ -566,11 +456,8 @@ class ExtractionWorker {
         console.log(`[Extraction] Cleared existing entity tags for document ${documentId}`);
       }
 
-      // Get model
-      const model = await this.getExtractionModel();
-      
       // Extract
-      const entities = await this.extractEntities(doc.raw_content, model);
+      const { entities, model, error } = await this.extractEntities(doc.raw_content);
 
       if (entities) {
         await this.storeEntities(documentId, entities);
@@ -588,7 +475,7 @@ class ExtractionWorker {
           model
         };
       } else {
-        return { success: false, error: 'Extraction failed to parse entities' };
+        return { success: false, error, model };
       }
 
     } catch (err) {
@@ -613,7 +500,7 @@ class ExtractionWorker {
     const docs = db.prepare(`
       SELECT id, rte_id, raw_content, filepath, filename 
       FROM rte_documents 
-      WHERE raw_content IS NOT NULL AND raw_content != ''
+      WHERE raw_content IS NOT NULL AND raw_content != '' AND deleted_at IS NULL
       ORDER BY id ASC
     `).all();
 
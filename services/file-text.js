@@ -0,0 +1,599 @@
+/**
+ * File Text
+ * Text of uploaded and imported files, ready for parseTemplateFields
+ *
+ * Word documents go through mammoth. PDF pages, PowerPoint slides and Excel
+ * sheets each become a `##` section, so the chunker keeps them apart; sheets
+ * and HTML tables are Markdown tables. HTML keeps its headings and lists.
+ * These formats start with a title line (from the file's properties, the
+ * first slide title or the file name), which parseTemplateFields reads as the
+ * title.
+ *
+ * An e-mail (.eml) is laid out as the ingest template: date, subject,
+ * "Document type: meeting" for calendar invites, participants from the
+ * sender, recipients and attendees, then the message text.
+ *
+ * Everything is plain JavaScript: Office files are zip archives of XML
+ * (jszip, @xmldom/xmldom) and PDFs are read by services/pdf-text.js.
+ */
+
+const path = require('path');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { extractPdfText } = require('./pdf-text');
+
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const MAX_SHEET_ROWS = 2000;
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function parseXml(text) {
+  return new DOMParser({ onError: () => {} }).parseFromString(text, 'text/xml');
+}
+
+/**
+ * Descendant elements by local name (or any of several), in document order,
+ * so namespace prefixes do not matter
+ */
+function elements(node, localName) {
+  const names = [].concat(localName);
+  const found = [];
+  const walk = parent => {
+    for (let child = parent.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+      if (names.includes(child.localName)) found.push(child);
+      walk(child);
+    }
+  };
+  if (node) walk(node);
+  return found;
+}
+
+function attribute(node, localName) {
+  if (!node || !node.attributes) return null;
+  for (let i = 0; i < node.attributes.length; i++) {
+    if (node.attributes[i].localName === localName) return node.attributes[i].value;
+  }
+  return null;
+}
+
+async function readXml(zip, name) {
+  const file = zip.file(name);
+  return file ? parseXml(await file.async('string')) : null;
+}
+
+/**
+ * Relationship id -> zip path, from the .rels file next to `part`
+ */
+async function relationships(zip, part) {
+  const rels = await readXml(zip, path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`));
+  const map = new Map();
+  for (const rel of elements(rels, 'Relationship')) {
+    const target = rel.getAttribute('Target');
+    map.set(rel.getAttribute('Id'), {
+      type: rel.getAttribute('Type') || '',
+      path: target.startsWith('/') ? target.substring(1) : path.posix.normalize(path.posix.join(path.posix.dirname(part), target))
+    });
+  }
+  return map;
+}
+
+/**
+ * dc:title from the document properties of an Office file
+ */
+async function coreTitle(zip) {
+  const core = await readXml(zip, 'docProps/core.xml');
+  const title = elements(core, 'title')[0]?.textContent.trim();
+  return title || null;
+}
+
+function titleFromFilename(filename) {
+  return path.basename(filename, path.extname(filename)).replace(/[_]+/g, ' ').trim();
+}
+
+function tableRow(cells) {
+  return `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim()).join(' | ')} |`;
+}
+
+function markdownTable(rows) {
+  if (rows.length === 0) return '';
+  const width = Math.max(...rows.map(row => row.length));
+  const padded = rows.map(row => [...row, ...Array(width - row.length).fill('')]);
+  return [tableRow(padded[0]), tableRow(Array(width).fill('---')), ...padded.slice(1).map(tableRow)].join('\n');
+}
+
+function sectioned(title, sections) {
+  return [title, '', ...sections.filter(Boolean).map(section => `${section.trim()}\n`)].join('\n').trim();
+}
+
+// ============================================================
+// PDF
+// ============================================================
+
+function pdfText(buffer, filename) {
+  const { title, pages } = extractPdfText(buffer);
+  return sectioned(title || titleFromFilename(filename), pages.map((text, i) => `## Page ${i + 1}\n\n${text}`));
+}
+
+// ============================================================
+// PowerPoint
+// ============================================================
+
+const SKIPPED_PLACEHOLDERS = ['dt', 'ftr', 'sldNum', 'hdr'];
+
+function paragraphText(paragraph) {
+  return elements(paragraph, 't').map(t => t.textContent).join('').trim();
+}
+
+/**
+ * Slide parts in presentation order
+ */
+async function slideParts(zip) {
+  const presentation = await readXml(zip, 'ppt/presentation.xml');
+  const rels = await relationships(zip, 'ppt/presentation.xml');
+  const ordered = elements(presentation, 'sldId')
+    .map(slide => rels.get(attribute(slide, 'id'))?.path)
+    .filter(part => part && zip.file(part));
+  if (ordered.length > 0) return ordered;
+
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1]) - parseInt(b.match(/(\d+)\.xml$/)[1]));
+}
+
+/**
+ * Title and Markdown body of one slide: body placeholders as bullets, text
+ * boxes as paragraphs, tables as Markdown tables
+ */
+function slideContent(slide) {
+  let title = null;
+  const blocks = [];
+
+  for (const frame of elements(elements(slide, 'spTree')[0], ['sp', 'graphicFrame'])) {
+    const table = elements(frame, 'tbl')[0];
+    if (table) {
+      blocks.push(markdownTable(elements(table, 'tr').map(row => elements(row, 'tc').map(cell => elements(cell, 'p').map(paragraphText).join(' ')))));
+      continue;
+    }
+
+    const placeholder = elements(frame, 'ph')[0];
+    const type = placeholder ? placeholder.getAttribute('type') || 'body' : null;
+    if (SKIPPED_PLACEHOLDERS.includes(type)) continue;
+
+    const paragraphs = elements(frame, 'p')
+      .map(p => ({ text: paragraphText(p), level: parseInt(attribute(elements(p, 'pPr')[0], 'lvl')) || 0 }))
+      .filter(p => p.text);
+    if (paragraphs.length === 0) continue;
+
+    if ((type === 'title' || type === 'ctrTitle') && !title) {
+      title = paragraphs.map(p => p.text).join(' ');
+    } else if (type && type !== 'subTitle') {
+      blocks.push(paragraphs.map(p => `${'  '.repeat(p.level)}- ${p.text}`).join('\n'));
+    } else {
+      blocks.push(paragraphs.map(p => p.text).join('\n'));
+    }
+  }
+
+  return { title, body: blocks.join('\n\n') };
+}
+
+async function pptxText(buffer, filename) {
+  const zip = await JSZip.loadAsync(buffer);
+  const sections = [];
+  let firstTitle = null;
+
+  const parts = await slideParts(zip);
+  for (let i = 0; i < parts.length; i++) {
+    const { title, body } = slideContent(await readXml(zip, parts[i]));
+    firstTitle = firstTitle || title;
+
+    // Speaker notes, quoted below the slide
+    let notes = '';
+    const notesPart = [...(await relationships(zip, parts[i])).values()].find(rel => rel.type.endsWith('/notesSlide'));
+    if (notesPart) {
+      const notesSlide = await readXml(zip, notesPart.path);
+      const text = elements(notesSlide, 'sp')
+        .filter(shape => elements(shape, 'ph')[0]?.getAttribute('type') === 'body')
+        .flatMap(shape => elements(shape, 'p').map(paragraphText))
+        .filter(Boolean);
+      if (text.length > 0) notes = text.map(line => `> ${line}`).join('\n');
+    }
+
+    sections.push([`## Slide ${i + 1}${title ? `: ${title}` : ''}`, body, notes].filter(Boolean).join('\n\n'));
+  }
+
+  return sectioned((await coreTitle(zip)) || firstTitle || titleFromFilename(filename), sections);
+}
+
+// ============================================================
+// Excel
+// ============================================================
+
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function columnIndex(reference) {
+  const letters = (reference || '').match(/^[A-Z]+/i);
+  if (!letters) return null;
+  return letters[0].toUpperCase().split('').reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Style index -> true when the cell format shows a date or time
+ */
+async function dateStyles(zip) {
+  const styles = await readXml(zip, 'xl/styles.xml');
+  const custom = new Map(elements(styles, 'numFmt').map(f => [parseInt(f.getAttribute('numFmtId')), f.getAttribute('formatCode') || '']));
+  const cellXfs = elements(styles, 'cellXfs')[0];
+
+  return elements(cellXfs, 'xf').map(xf => {
+    const id = parseInt(xf.getAttribute('numFmtId')) || 0;
+    if (DATE_FORMAT_IDS.has(id)) return true;
+    const code = (custom.get(id) || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return /[dmyh]/i.test(code) && !/^general$/i.test(code);
+  });
+}
+
+function serialDate(serial) {
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.substring(0, 10) : `${iso.substring(0, 10)} ${iso.substring(11, 16)}`;
+}
+
+function sheetRows(sheet, sharedStrings, isDateStyle) {
+  const rows = [];
+  for (const row of elements(sheet, 'row')) {
+    const cells = [];
+    for (const cell of elements(row, 'c')) {
+      const column = columnIndex(cell.getAttribute('r')) ?? cells.length;
+      const type = cell.getAttribute('t');
+      const raw = elements(cell, 'v')[0]?.textContent ?? '';
+
+      let value = raw;
+      if (type === 's') value = sharedStrings[parseInt(raw)] ?? '';
+      else if (type === 'inlineStr') value = elements(cell, 't').map(t => t.textContent).join('');
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (!type && raw !== '' && isDateStyle[parseInt(cell.getAttribute('s'))]) value = serialDate(Number(raw));
+
+      cells[column] = value;
+    }
+    const values = Array.from(cells, value => value ?? '');
+    if (values.some(value => String(value).trim())) rows.push(values);
+  }
+
+  // Columns that are empty in every row are dropped
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const used = Array.from({ length: width }, (_, c) => rows.some(row => String(row[c] ?? '').trim()));
+  return rows.map(row => row.filter((_, c) => used[c]));
+}
+
+async function xlsxText(buffer, filename) {
+  const zip = await JSZip.loadAsync(buffer);
+  const workbook = await readXml(zip, 'xl/workbook.xml');
+  const rels = await relationships(zip, 'xl/workbook.xml');
+  const sharedStrings = elements(await readXml(zip, 'xl/sharedStrings.xml'), 'si')
+    .map(si => elements(si, 't').filter(t => t.parentNode.localName !== 'rPh').map(t => t.textContent).join(''));
+  const isDateStyle = await dateStyles(zip);
+
+  const sections = [];
+  for (const sheet of elements(workbook, 'sheet')) {
+    if (sheet.getAttribute('state') === 'hidden' || sheet.getAttribute('state') === 'veryHidden') continue;
+    const part = rels.get(attribute(sheet, 'id'))?.path;
+    const xml = part && await readXml(zip, part);
+    if (!xml) continue;
+
+    const rows = sheetRows(xml, sharedStrings, isDateStyle);
+    const shown = rows.slice(0, MAX_SHEET_ROWS);
+    sections.push([
+      `## Sheet: ${sheet.getAttribute('name')}`,
+      shown.length > 0 ? markdownTable(shown) : '_Empty sheet_',
+      rows.length > shown.length ? `_${rows.length - shown.length} more rows not imported_` : null
+    ].filter(Boolean).join('\n\n'));
+  }
+
+  return sectioned((await coreTitle(zip)) || titleFromFilename(filename), sections);
+}
+
+// ============================================================
+// HTML
+// ============================================================
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', euro: '€', copy: '©', reg: '®',
+  trade: '™', deg: '°', times: '×', eacute: 'é', egrave: 'è', euml: 'ë', iuml: 'ï', ouml: 'ö', uuml: 'ü',
+  auml: 'ä', aacute: 'á', oacute: 'ó', ccedil: 'ç'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1));
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Markdown table of the rows of an HTML table; the first row is the header.
+ * Entities are left for htmlToMarkdown to decode with the rest.
+ */
+function htmlTable(inner) {
+  const rows = inner.split(/<tr\b[^>]*>/i).slice(1)
+    .map(row => row.split(/<t[dh]\b[^>]*>/i).slice(1).map(cell => cell.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()))
+    .filter(cells => cells.length > 0);
+  return markdownTable(rows);
+}
+
+/**
+ * Markdown-ish text of an HTML document or fragment
+ */
+function htmlToMarkdown(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (match, inner) => `\n\n${htmlTable(inner)}\n\n`)
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(level)} ${stripTags(inner)}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|section|article|main|aside|header|footer|nav|blockquote|pre|table|thead|tbody|ul|ol|dl|dt|dd|hr|figure)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function htmlTitle(html) {
+  const match = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? stripTags(match[1]) || null : null;
+}
+
+function htmlFileText(buffer, filename) {
+  const declared = buffer.toString('latin1', 0, 1024).match(/<meta[^>]+charset=["']?([\w-]+)/i);
+  const html = decodeCharset(buffer, declared ? declared[1] : 'utf-8');
+  return sectioned(htmlTitle(html) || titleFromFilename(filename), [htmlToMarkdown(html)]);
+}
+
+// ============================================================
+// E-mail
+// ============================================================
+
+function decodeCharset(buffer, charset) {
+  try {
+    return new TextDecoder((charset || 'utf-8').trim().toLowerCase()).decode(buffer);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] === '=' && /^[0-9A-F]{2}$/i.test(input.substring(i + 1, i + 3))) {
+      bytes.push(parseInt(input.substring(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * RFC 2047 encoded words (=?UTF-8?B?...?=) in a header value
+ */
+function decodeHeader(value) {
+  return (value || '')
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, data) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintable(data.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * Split a message or part into lower-cased headers and its body
+ */
+function parseEntity(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const head = split === -1 ? raw : raw.substring(0, split);
+  const body = split === -1 ? '' : raw.substring(split).replace(/^\r?\n\r?\n/, '');
+
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.substring(0, colon).trim().toLowerCase();
+    const value = line.substring(colon + 1).trim();
+    headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+  }
+  return { headers, body };
+}
+
+function headerParameter(value, name) {
+  const match = (value || '').match(new RegExp(`;\\s*${name}\\*?=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? match[1] ?? match[2] : null;
+}
+
+/**
+ * Leaf parts of a MIME entity, decoded to text where they are text
+ * @returns {Array<{type: string, filename: string|null, attachment: boolean, text: string|null}>}
+ */
+function mimeParts(raw, parts = []) {
+  const { headers, body } = parseEntity(raw);
+  const contentType = headers['content-type'] || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type.startsWith('multipart/')) {
+    const boundary = headerParameter(contentType, 'boundary');
+    if (!boundary) return parts;
+    const segments = body.split(new RegExp(`\\r?\\n?--${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?\\n?`));
+    segments.slice(1).filter(segment => segment.trim()).forEach(segment => mimeParts(segment, parts));
+    return parts;
+  }
+  if (type === 'message/rfc822') return mimeParts(body, parts);
+
+  const encoding = (headers['content-transfer-encoding'] || '').trim().toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable' ? decodeQuotedPrintable(body) : Buffer.from(body, 'latin1');
+  const disposition = headers['content-disposition'] || '';
+  const filename = decodeHeader(headerParameter(disposition, 'filename') || headerParameter(contentType, 'name'));
+
+  parts.push({
+    type,
+    filename: filename || null,
+    attachment: /^attachment/i.test(disposition),
+    text: type.startsWith('text/') || type === 'application/ics' || /\.ics$/i.test(filename || '') ? decodeCharset(bytes, headerParameter(contentType, 'charset')) : null
+  });
+  return parts;
+}
+
+/**
+ * Display names of an address list; "Doe, Jane" <jane@x> becomes Jane Doe,
+ * addresses without a name become their local part
+ */
+function addressNames(value) {
+  const names = [];
+  for (const entry of decodeHeader(value).match(/("[^"]*"|[^,])+/g) || []) {
+    const match = entry.trim().match(/^(?:"?([^"<]*?)"?\s*)?<([^>]+)>$/) || [null, null, entry.trim()];
+    let name = (match[1] || '').trim();
+    if (name.includes(',')) name = name.split(',').map(s => s.trim()).reverse().join(' ');
+    if (!name && match[2]) name = match[2].split('@')[0];
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * The first event of an iCalendar invite
+ * @returns {{summary, start, location, description, attendees: string[]}|null}
+ */
+function parseCalendar(text) {
+  const event = (text || '').replace(/\r?\n[ \t]/g, '').match(/BEGIN:VEVENT([\s\S]*?)END:VEVENT/);
+  if (!event) return null;
+
+  const unescape = value => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+  const property = name => {
+    const match = event[1].match(new RegExp(`^${name}(?:;[^:\\r\\n]*)?:(.*)$`, 'mi'));
+    return match ? unescape(match[1].trim()) : null;
+  };
+  const start = (property('DTSTART') || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/);
+  const attendees = [...event[1].matchAll(/^(?:ATTENDEE|ORGANIZER)([^:\r\n]*):(.*)$/gmi)].map(m => {
+    const cn = m[1].match(/CN=(?:"([^"]*)"|([^;:]*))/i);
+    return (cn ? cn[1] ?? cn[2] : m[2].replace(/^mailto:/i, '').split('@')[0]).trim();
+  });
+
+  return {
+    summary: property('SUMMARY'),
+    start: start ? `${start[1]}-${start[2]}-${start[3]}${start[4] ? ` ${start[4]}:${start[5]}` : ''}` : null,
+    location: property('LOCATION'),
+    description: property('DESCRIPTION'),
+    attendees
+  };
+}
+
+function emlText(buffer, filename) {
+  const raw = buffer.toString('latin1');
+  const { headers } = parseEntity(raw);
+  const parts = mimeParts(raw);
+
+  const inline = parts.filter(part => !part.attachment && part.text !== null);
+  const plain = inline.find(part => part.type === 'text/plain');
+  const html = inline.find(part => part.type === 'text/html');
+  const calendarPart = parts.find(part => part.type === 'text/calendar' || /\.ics$/i.test(part.filename || ''));
+  const calendar = parseCalendar(calendarPart?.text);
+
+  const sent = headers.date ? new Date(headers.date.replace(/\s*\([^)]*\)\s*$/, '')) : null;
+  const date = calendar?.start?.substring(0, 10) || (sent && !Number.isNaN(sent.getTime()) ? sent.toISOString().substring(0, 10) : null);
+  const subject = decodeHeader(headers.subject).trim() || calendar?.summary || titleFromFilename(filename);
+  const participants = [...new Set([
+    ...addressNames(headers.from),
+    ...addressNames(headers.to),
+    ...addressNames(headers.cc),
+    ...(calendar?.attendees || [])
+  ])];
+
+  const meeting = calendar && [
+    calendar.start ? `When: ${calendar.start}` : null,
+    calendar.location ? `Where: ${calendar.location}` : null
+  ].filter(Boolean).join('\n');
+  const body = plain ? plain.text.replace(/\r\n/g, '\n').trim()
+    : html ? htmlToMarkdown(html.text)
+      : calendar?.description || '';
+  const attachments = parts.filter(part => part.attachment && part.filename && part !== calendarPart).map(part => part.filename);
+
+  return [
+    date,
+    subject,
+    calendar ? 'Document type: meeting' : null,
+    participants.length > 0 ? `Participants: ${participants.join(', ')}` : null,
+    '',
+    meeting || null,
+    meeting ? '' : null,
+    body,
+    attachments.length > 0 ? `\nAttachments: ${attachments.join(', ')}` : null
+  ].filter(line => line !== null).join('\n').trim();
+}
+
+// ============================================================
+// Dispatch
+// ============================================================
+
+async function docxText(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+const EXTRACTORS = {
+  '.docx': docxText,
+  '.pdf': pdfText,
+  '.pptx': pptxText,
+  '.xlsx': xlsxText,
+  '.html': htmlFileText,
+  '.htm': htmlFileText,
+  '.eml': emlText
+};
+
+/** Extensions extractText reads (.pages needs the Pages app and is handled by the ingest routes) */
+const SUPPORTED_EXTENSIONS = [...TEXT_EXTENSIONS, ...Object.keys(EXTRACTORS)];
+
+/**
+ * Text of a file
+ * @param {Buffer} buffer - file content
+ * @param {string} filename - name or path; the extension picks the format
+ * @returns {Promise<string>}
+ * @throws {Error} with status 400 for unsupported or unreadable files
+ */
+async function extractText(buffer, filename) {
+  const ext = path.extname(filename).toLowerCase();
+  if (TEXT_EXTENSIONS.includes(ext)) return buffer.toString('utf-8');
+
+  const extractor = EXTRACTORS[ext];
+  if (!extractor) {
+    throw Object.assign(new Error(`Unsupported file type: ${ext || filename}`), { status: 400 });
+  }
+  try {
+    return await extractor(buffer, filename);
+  } catch (error) {
+    if (error.status) throw error;
+    throw Object.assign(new Error(`Could not read ${path.basename(filename)}: ${error.message}`), { status: 400 });
+  }
+}
+
+module.exports = { SUPPORTED_EXTENSIONS, extractText, htmlToMarkdown };
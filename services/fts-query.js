@@ -0,0 +1,519 @@
+/**
+ * FTS Query Language
+ * Parses search box queries into an FTS5 MATCH expression plus document filters
+ *
+ * Syntax:
+ *   word             prefix match ("migrat" finds "migration")
+ *   "release train"  exact phrase
+ *   a OR b, a b      either term; terms without an operator are ORed
+ *   a AND b          both terms
+ *   -word, NOT word  exclude documents with the term
+ *   a NEAR b         terms within 10 tokens of each other; NEAR/5 sets the distance
+ *   ( ... )          grouping
+ *   section:x        term or phrase in a section title
+ *   file:x           term or phrase in the file name
+ *
+ * Filters narrow the whole query, whatever operator sits next to them:
+ *   person:Clara  project:DNA-C  type:meeting  tag:risk
+ *   before:2026-03-01  after:Q1  (dates or date phrases, see temporal-parser)
+ *   decision:        documents with a decision marker (any semantic tag works)
+ *   decision:vendor  decision markers that mention "vendor"
+ * A filter can be negated (-person:Bob); repeating a filter matches any of
+ * its values. Filters cannot be used inside parentheses or with NEAR.
+ */
+
+const { getDb } = require('../db/connection');
+const { parseTemporal } = require('./temporal-parser');
+
+const COLUMN_FIELDS = {
+  section: 'section_title',
+  file: 'filename'
+};
+const FILTER_FIELDS = ['person', 'project', 'type', 'tag', 'before', 'after'];
+const DEFAULT_TAGS = ['insight', 'action', 'question', 'decision', 'strategic', 'priority', 'risk', 'blocker', 'observation', 'promise', 'requirement', 'nfr'];
+const DEFAULT_NEAR_DISTANCE = 10;
+
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} position - character offset in the query
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Semantic tag names usable as fields (decision:, risk:, ...)
+ */
+function loadTagNames() {
+  const db = getDb();
+  try {
+    const names = db.prepare('SELECT name FROM semantic_tags WHERE is_active = 1').all().map(t => t.name.toLowerCase());
+    return names.length > 0 ? names : DEFAULT_TAGS;
+  } catch (e) {
+    return DEFAULT_TAGS;
+  }
+}
+
+// =====================================================
+// TOKENIZER
+// =====================================================
+
+function readQuoted(text, start) {
+  const end = text.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new QuerySyntaxError(`Unclosed quote at character ${start + 1}: add a closing "`, start);
+  }
+  return { value: text.substring(start + 1, end), end: end + 1 };
+}
+
+/**
+ * @returns {object[]} tokens: { type: 'word'|'phrase'|'field'|'and'|'or'|'not'|'near'|'(' |')', ... , position }
+ */
+function tokenize(text, tagNames) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, end } = readQuoted(text, i);
+      tokens.push({ type: 'phrase', value, position: i });
+      i = end;
+      continue;
+    }
+
+    // "-" directly in front of something negates it; on its own it is punctuation
+    if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: 'not', position: i });
+      i++;
+      continue;
+    }
+
+    const word = text.substring(i).match(/^[^\s()"]+/)[0];
+    const position = i;
+    i += word.length;
+
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word.toLowerCase(), position });
+      continue;
+    }
+
+    const near = word.match(/^NEAR(?:\/(\d+))?$/);
+    if (near) {
+      tokens.push({ type: 'near', distance: near[1] ? parseInt(near[1]) : DEFAULT_NEAR_DISTANCE, position });
+      continue;
+    }
+
+    const field = word.match(/^([a-z]+):(.*)$/i);
+    if (field) {
+      const name = field[1].toLowerCase();
+      const known = COLUMN_FIELDS[name] || FILTER_FIELDS.includes(name) || tagNames.includes(name);
+      if (!known) {
+        throw new QuerySyntaxError(
+          `Unknown field "${field[1]}:" at character ${position + 1}. Fields: ${[...Object.keys(COLUMN_FIELDS), ...FILTER_FIELDS].join(', ')} or a tag such as decision:`,
+          position
+        );
+      }
+
+      let value = field[2];
+      let phrase = false;
+      // person:"Jan de Vries"
+      if (!value && text[i] === '"') {
+        const quoted = readQuoted(text, i);
+        value = quoted.value;
+        phrase = true;
+        i = quoted.end;
+      }
+      tokens.push({ type: 'field', name, value, phrase, position });
+      continue;
+    }
+
+    tokens.push({ type: 'word', value: word, position });
+  }
+
+  return tokens;
+}
+
+// =====================================================
+// PARSER
+// =====================================================
+
+/**
+ * Take filters off the top level of the token stream, with the operator that joined them
+ * @returns {{tokens: object[], filters: Array<{field: string, value: string, negated: boolean}>}}
+ */
+function liftFilters(tokens) {
+  const rest = [];
+  const filters = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === '(') depth++;
+    if (token.type === ')') depth--;
+
+    const isFilter = token.type === 'field' && !COLUMN_FIELDS[token.name];
+    const negated = token.type === 'not' && tokens[i + 1]?.type === 'field' && !COLUMN_FIELDS[tokens[i + 1].name];
+    if (!isFilter && !negated) {
+      rest.push(token);
+      continue;
+    }
+
+    const filter = negated ? tokens[i + 1] : token;
+    if (depth > 0) {
+      throw new QuerySyntaxError(`${filter.name}: filters the whole query and cannot be used inside parentheses`, filter.position);
+    }
+    if (rest[rest.length - 1]?.type === 'near' || tokens[negated ? i + 2 : i + 1]?.type === 'near') {
+      throw new QuerySyntaxError(`NEAR needs words or phrases on both sides, not ${filter.name}:`, filter.position);
+    }
+    if (!filter.value && FILTER_FIELDS.includes(filter.name)) {
+      throw new QuerySyntaxError(`${filter.name}: needs a value, e.g. ${filter.name}:${example(filter.name)}`, filter.position);
+    }
+
+    filters.push({ field: filter.name, value: filter.value, negated, position: filter.position });
+    if (negated) i++;
+    // The filter's connector goes with it
+    if (['and', 'or'].includes(rest[rest.length - 1]?.type)) rest.pop();
+    else if (['and', 'or'].includes(tokens[i + 1]?.type)) i++;
+  }
+
+  return { tokens: rest, filters };
+}
+
+function example(field) {
+  return {
+    person: 'Clara', project: 'DNA-C', type: 'meeting', tag: 'risk', before: '2026-03-01', after: 'Q1'
+  }[field];
+}
+
+/**
+ * Recursive descent parser: OR (explicit or implicit) < AND < NOT/- < NEAR
+ */
+function parseTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsOperand = token => token && ['word', 'phrase', 'field', 'not', '('].includes(token.type);
+
+  function describe(token) {
+    return token.type === '(' || token.type === ')' ? `"${token.type}"` : token.type.toUpperCase();
+  }
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() && peek().type !== ')') {
+      if (peek().type === 'or') {
+        const op = tokens[pos++];
+        if (!startsOperand(peek())) {
+          throw new QuerySyntaxError(`OR at character ${op.position + 1} needs a term after it`, op.position);
+        }
+      } else if (!startsOperand(peek())) {
+        const token = peek();
+        throw new QuerySyntaxError(`Unexpected ${describe(token)} at character ${token.position + 1}`, token.position);
+      }
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  function parseAnd() {
+    const items = [parseUnary()];
+    while (peek()?.type === 'and') {
+      const op = tokens[pos++];
+      if (!startsOperand(peek())) {
+        throw new QuerySyntaxError(`AND at character ${op.position + 1} needs a term after it`, op.position);
+      }
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  function parseUnary() {
+    if (peek()?.type === 'not') {
+      const op = tokens[pos++];
+      if (!startsOperand(peek())) {
+        throw new QuerySyntaxError(`Nothing to exclude after character ${op.position + 1}`, op.position);
+      }
+      return { type: 'not', item: parseUnary() };
+    }
+    return parseNear();
+  }
+
+  function parseNear() {
+    const first = parsePrimary();
+    if (peek()?.type !== 'near') return first;
+
+    const items = [first];
+    let distance = 0;
+    while (peek()?.type === 'near') {
+      const op = tokens[pos++];
+      distance = Math.max(distance, op.distance);
+      const next = peek();
+      if (!next || !['word', 'phrase'].includes(next.type) || !['term', 'phrase'].includes(items[items.length - 1].type)) {
+        throw new QuerySyntaxError(`NEAR at character ${op.position + 1} needs a word or phrase on both sides`, op.position);
+      }
+      items.push(parsePrimary());
+    }
+    return { type: 'near', items, distance };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      const last = tokens[tokens.length - 1];
+      throw new QuerySyntaxError('The query ends too early', last ? last.position : 0);
+    }
+    pos++;
+
+    switch (token.type) {
+      case 'word':
+        return { type: 'term', value: token.value };
+      case 'phrase':
+        return { type: 'phrase', value: token.value };
+      case 'field':
+        return { type: 'column', column: COLUMN_FIELDS[token.name], value: token.value, phrase: token.phrase, position: token.position };
+      case '(': {
+        if (peek()?.type === ')') {
+          throw new QuerySyntaxError(`Empty parentheses at character ${token.position + 1}`, token.position);
+        }
+        const inner = parseOr();
+        if (peek()?.type !== ')') {
+          throw new QuerySyntaxError(`Missing ")" for the "(" at character ${token.position + 1}`, token.position);
+        }
+        pos++;
+        return inner;
+      }
+      default:
+        throw new QuerySyntaxError(`Unexpected ${describe(token)} at character ${token.position + 1}`, token.position);
+    }
+  }
+
+  if (tokens.length === 0) return null;
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    const message = token.type === ')'
+      ? `Unmatched ")" at character ${token.position + 1}`
+      : `Unexpected ${describe(token)} at character ${token.position + 1}`;
+    throw new QuerySyntaxError(message, token.position);
+  }
+  return tree;
+}
+
+// =====================================================
+// COMPILER
+// =====================================================
+
+/**
+ * FTS5 string literal; null when the text has nothing the tokenizer would index
+ */
+function quote(text) {
+  if (!/[\p{L}\p{N}]/u.test(text)) return null;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * @returns {{match: string|null, exclude: string[]}} exclusions that found nothing to apply to
+ *   are handed to the enclosing group
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'term': {
+      // Single letters as prefixes match nearly everything
+      const literal = node.value.length > 1 ? quote(node.value) : null;
+      return { match: literal && `${literal}*`, exclude: [] };
+    }
+    case 'phrase':
+      return { match: quote(node.value), exclude: [] };
+    case 'column': {
+      const literal = quote(node.value);
+      if (!literal) {
+        throw new QuerySyntaxError(`${node.column === 'filename' ? 'file' : 'section'}: needs a word or phrase`, node.position);
+      }
+      return { match: `${node.column} : ${literal}${node.phrase ? '' : '*'}`, exclude: [] };
+    }
+    case 'near': {
+      const phrases = node.items.map(item => compileNode(item).match).filter(Boolean);
+      if (phrases.length < 2) return { match: phrases[0] || null, exclude: [] };
+      return { match: `NEAR(${phrases.join(' ')}, ${node.distance})`, exclude: [] };
+    }
+    case 'not': {
+      const inner = compileNode(node.item);
+      return { match: null, exclude: inner.match ? [inner.match] : [] };
+    }
+    default: {
+      // and / or
+      const compiled = node.items.map(compileNode);
+      const positives = compiled.map(c => c.match).filter(Boolean);
+      const exclude = compiled.flatMap(c => c.exclude);
+      if (positives.length === 0) return { match: null, exclude };
+
+      const joined = positives.length === 1 ? positives[0] : `(${positives.join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+      if (exclude.length === 0) return { match: joined, exclude: [] };
+      return { match: `${joined} NOT (${exclude.join(' OR ')})`, exclude: [] };
+    }
+  }
+}
+
+/**
+ * Words and phrases of the query, for semantic search and highlighting
+ */
+function plainText(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+    case 'column':
+      return node.value;
+    case 'not':
+      return '';
+    default:
+      return node.items.map(plainText).filter(Boolean).join(' ');
+  }
+}
+
+/**
+ * Parse and compile a query
+ * @param {string} text
+ * @param {object} options - { tagNames: semantic tags usable as fields }
+ * @returns {{match: string|null, filters: object[], text: string}} match is null for filter-only queries
+ * @throws {QuerySyntaxError}
+ */
+function compileQuery(text, { tagNames = loadTagNames() } = {}) {
+  const { tokens, filters } = liftFilters(tokenize(text || '', tagNames));
+  const tree = parseTokens(tokens);
+  const compiled = tree ? compileNode(tree) : { match: null, exclude: [] };
+
+  if (!compiled.match && compiled.exclude.length > 0) {
+    throw new QuerySyntaxError('Exclusions need something to search for: add a word, phrase or filter next to them', 0);
+  }
+  if (!compiled.match && filters.length === 0) {
+    throw new QuerySyntaxError('The query has no words, phrases or filters to search for', 0);
+  }
+  // Filters that only exclude have nothing to narrow
+  if (!compiled.match && filters.every(f => f.negated)) {
+    throw new QuerySyntaxError('Exclusions need something to search for: add a word, phrase or filter next to them', 0);
+  }
+
+  return { match: compiled.match, filters, text: plainText(tree) };
+}
+
+/**
+ * Whether a query uses any of the syntax above
+ */
+function hasQuerySyntax(text) {
+  return /["()]|(^|\s)-\S|\b(AND|OR|NOT|NEAR)\b|\b[a-z]+:/i.test(text || '');
+}
+
+// =====================================================
+// FILTERS
+// =====================================================
+
+/**
+ * Date bound for before:/after:, from a date or a date phrase
+ */
+function dateBound(filter) {
+  const range = parseTemporal(filter.value, { explicit: true });
+  const bound = range && (filter.field === 'before' ? range.start || range.end : range.end || range.start);
+  if (!bound) {
+    throw new QuerySyntaxError(`Could not read a date from ${filter.field}:${filter.value}, e.g. ${filter.field}:2026-03-01 or ${filter.field}:Q1`, filter.position);
+  }
+  return bound;
+}
+
+/**
+ * File paths matching one filter, from the documents database
+ */
+function filterPaths(db, filter) {
+  const value = filter.value;
+  switch (filter.field) {
+    case 'person':
+    case 'project':
+      return db.prepare(`
+        SELECT DISTINCT d.filepath FROM document_tags t JOIN rte_documents d ON d.id = t.document_id
+        WHERE t.tag_type = ? AND lower(t.tag_value) = lower(?) AND d.deleted_at IS NULL
+      `).all(filter.field, value);
+    case 'type':
+      return db.prepare(`
+        SELECT DISTINCT d.filepath FROM rte_documents d
+        LEFT JOIN content_types ct ON ct.id = d.content_type_id
+        WHERE d.deleted_at IS NULL
+          AND (lower(COALESCE(ct.name, d.file_type)) = lower(?)
+           OR (',' || lower(replace(COALESCE(ct.aliases, ''), ' ', '')) || ',') LIKE '%,' || lower(?) || ',%')
+      `).all(value, value);
+    case 'before':
+      return db.prepare('SELECT filepath FROM rte_documents WHERE document_date < ? AND deleted_at IS NULL').all(dateBound(filter));
+    case 'after':
+      return db.prepare('SELECT filepath FROM rte_documents WHERE document_date > ? AND deleted_at IS NULL').all(dateBound(filter));
+    case 'tag':
+      return db.prepare(`
+        SELECT d.filepath FROM document_tags t JOIN rte_documents d ON d.id = t.document_id
+        WHERE t.tag_type = 'semantic' AND lower(t.tag_value) = lower(?)
+        UNION
+        SELECT d.filepath FROM semantic_markers m JOIN rte_documents d ON d.id = m.document_id
+        WHERE lower(m.marker_type) = lower(?) AND m.retired_at IS NULL
+      `).all(value, value);
+    default:
+      // A semantic tag used as field: decision: or decision:vendor
+      if (!value) return filterPaths(db, { ...filter, field: 'tag', value: filter.field });
+      return db.prepare(`
+        SELECT DISTINCT d.filepath FROM semantic_markers m JOIN rte_documents d ON d.id = m.document_id
+        WHERE lower(m.marker_type) = ? AND m.marker_content LIKE ? AND m.retired_at IS NULL
+      `).all(filter.field, `%${value}%`);
+  }
+}
+
+/**
+ * Turn filters into the set of file paths a search may return
+ * Values of the same filter are alternatives, different filters all apply.
+ * @param {object[]} filters - from compileQuery
+ * @returns {{include: Set<string>|null, exclude: Set<string>}} include is null when nothing restricts it
+ * @throws {QuerySyntaxError} for unreadable dates
+ */
+function resolveFilters(filters) {
+  const db = getDb();
+  const scope = { include: null, exclude: new Set() };
+  if (!db || filters.length === 0) return scope;
+
+  const byField = new Map();
+  for (const filter of filters) {
+    const paths = filterPaths(db, filter).map(row => row.filepath);
+    if (filter.negated) {
+      paths.forEach(p => scope.exclude.add(p));
+      continue;
+    }
+    const union = byField.get(filter.field) || new Set();
+    paths.forEach(p => union.add(p));
+    byField.set(filter.field, union);
+  }
+
+  for (const paths of byField.values()) {
+    scope.include = scope.include === null
+      ? paths
+      : new Set([...scope.include].filter(p => paths.has(p)));
+  }
+  return scope;
+}
+
+module.exports = {
+  QuerySyntaxError,
+  compileQuery,
+  resolveFilters,
+  hasQuerySyntax,
+  tokenize,
+  parseTokens
+};
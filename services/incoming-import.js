@@ -0,0 +1,504 @@
+/**
+ * Incoming Import Service
+ * Files dropped in the incoming folder, from parsed text to ingested document
+ *
+ * The Import Today flow reviews files one at a time through the ingest routes;
+ * an import batch does the same for a list of files without review. A batch
+ * runs in the background, one file after another, and is tracked in memory
+ * so the UI can poll its progress and per-file outcome. Batches are not
+ * resumed after a restart: files that were not imported yet are still in the
+ * incoming folder and show up in the next scan.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execSync } = require('child_process');
+const { getDb } = require('../db/connection');
+const { ingestDocument } = require('./document-ingest');
+const { findDuplicates } = require('./document-fingerprint');
+const { extractText } = require('./file-text');
+
+// Subfolder of the incoming folder a source file is moved to once ingested
+const ARCHIVE_FOLDERS = {
+  meeting: 'meetings',
+  log: 'log the day',
+  artifact: 'artifacts',
+  idea: 'artifacts'
+};
+
+const RECENT_BATCHES = 10;
+
+/**
+ * Get the incoming folder path from DB settings, env var, or OS-specific default.
+ * Configurable via Settings > Preferences in the UI.
+ */
+function getIncomingFolder() {
+  try {
+    const db = getDb();
+    if (db) {
+      const row = db.prepare("SELECT value FROM settings WHERE key = 'incoming_folder'").get();
+      if (row && row.value) {
+        // Expand ~ to home directory
+        return row.value.replace(/^~/, os.homedir());
+      }
+    }
+  } catch (e) { /* settings table may not exist yet */ }
+
+  // Env var fallback
+  if (process.env.INCOMING_FOLDER) {
+    return process.env.INCOMING_FOLDER.replace(/^~/, os.homedir());
+  }
+
+  // OS-specific default
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Documents');
+  } else if (process.platform === 'win32') {
+    return path.join(os.homedir(), 'Documents');
+  } else {
+    return path.join(os.homedir(), 'Documents');
+  }
+}
+
+/**
+ * Parse template fields from document content
+ * Expected template format:
+ *   Line 1: Date (e.g. "Wednesday, 12 February 2026" or "2026-02-12")
+ *   Line 2: Title
+ *   Line 3: Document type: meeting
+ *   Line 4: Participants: Alice, Bob, Charlie
+ *   Line 5: Tags: #architecture, #sprint-5
+ *   Line 6+: Content (unstructured)
+ *
+ * Brackets around values are optional: "Participants: [Alice, Bob]" also works.
+ */
+function parseTemplateFields(text) {
+  // Strip template hint comments (← ...) before parsing
+  // These are generated by the template maker to show valid values
+  text = text.replace(/\s*←[^\n]*/g, '');
+
+  const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+  
+  const result = {
+    date: null,
+    title: null,
+    docType: null,
+    participants: [],
+    tags: [],
+    content: ''
+  };
+  
+  let contentStartIndex = 0;
+  
+  // First, try to extract fields from anywhere in the text (handles concatenated lines)
+  // This runs on the full text to catch fields that might be on the same line
+  const fullText = text;
+  
+  // Document type: can appear anywhere - extract and remember position
+  // Use [ \t]* instead of \s* to prevent matching across newlines
+  const docTypeMatch = fullText.match(/document\s*type:[ \t]*\[?([^\]\n]+?)\]?(?=[ \t]*(?:participants?:|tags?:|$|\n))/i);
+  if (docTypeMatch) {
+    result.docType = docTypeMatch[1].trim().replace(/[\[\]]/g, '');
+  }
+  
+  // Participants: can appear anywhere
+  // Use *? (not +?) to allow empty match when no participants listed
+  const participantsMatch = fullText.match(/participants?:[ \t]*\[?([^\]\n]*?)\]?(?=[ \t]*(?:document\s*type:|tags?:|$|\n))/i);
+  if (participantsMatch) {
+    result.participants = participantsMatch[1]
+      .split(/[,;]/)
+      .map(p => p.trim().replace(/[\[\]@]/g, '')) // Remove brackets and @ symbols
+      .filter(p => p && p.length > 0);
+  }
+  
+  // Tags: can appear anywhere
+  // Use *? (not +?) to allow empty match when no tags listed
+  const tagsMatch = fullText.match(/tags?:[ \t]*\[?([^\]\n]*?)\]?(?=[ \t]*(?:document\s*type:|participants?:|$|\n))/i);
+  if (tagsMatch) {
+    // Extract hashtags from the match
+    const tagContent = tagsMatch[1];
+    result.tags = tagContent
+      .split(/[,;\s]+/)
+      .map(t => t.trim().replace(/[\[\]]/g, ''))
+      .filter(t => t.length > 0)
+      .map(t => t.startsWith('#') ? t : '#' + t); // Ensure # prefix
+  }
+  
+  // Line 1: Try to parse date
+  if (lines.length > 0) {
+    const dateLine = lines[0];
+    // Try various date formats
+    // "Saturday, 7 February 2026" or "7 February 2026" or "2026-02-07"
+    const datePatterns = [
+      // Full day name format: "Saturday, 7 February 2026"
+      /(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday),?\s*(\d{1,2})\s+(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{4})/i,
+      // Short format: "7 February 2026"
+      /(\d{1,2})\s+(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{4})/i,
+      // ISO format: "2026-02-07"
+      /(\d{4})-(\d{2})-(\d{2})/
+    ];
+    
+    for (const pattern of datePatterns) {
+      const match = dateLine.match(pattern);
+      if (match) {
+        if (match[0].includes('-')) {
+          // ISO format
+          result.date = match[0];
+        } else {
+          // Convert month name to number
+          const months = {
+            january: '01', february: '02', march: '03', april: '04',
+            may: '05', june: '06', july: '07', august: '08',
+            september: '09', october: '10', november: '11', december: '12'
+          };
+          const day = match[1].padStart(2, '0');
+          const month = months[match[2].toLowerCase()];
+          const year = match[3];
+          result.date = `${year}-${month}-${day}`;
+        }
+        contentStartIndex = 1;
+        break;
+      }
+    }
+  }
+  
+  // Line 2: Title (next non-empty line after date, if not a template field line)
+  if (lines.length > contentStartIndex) {
+    const titleLine = lines[contentStartIndex];
+    // Check if it's NOT a template field line (doesn't start with or contain template keywords)
+    if (!titleLine.match(/^(document type|participants|tags):/i) && 
+        !titleLine.match(/document\s*type:/i)) {
+      result.title = titleLine;
+      contentStartIndex++;
+    }
+  }
+  
+  // Find where actual content starts - skip lines that contain template fields
+  for (let i = contentStartIndex; i < lines.length; i++) {
+    const line = lines[i];
+    // If line contains template field patterns, skip it
+    if (line.match(/document\s*type:/i) || 
+        line.match(/participants?:/i) || 
+        line.match(/tags?:/i)) {
+      contentStartIndex = i + 1;
+    } else {
+      // Found a line without template fields - this is where content starts
+      break;
+    }
+  }
+  
+  // Everything else is content
+  result.content = lines.slice(contentStartIndex).join('\n');
+  
+  return result;
+}
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Whether a path is inside the incoming folder
+ */
+function isInIncomingFolder(filePath, incomingFolder = getIncomingFolder()) {
+  return !!filePath && path.resolve(filePath).startsWith(path.resolve(incomingFolder));
+}
+
+/**
+ * Text of a .pages file, exported by the Pages app (macOS only)
+ */
+function convertPagesFile(localPath) {
+  if (process.platform !== 'darwin') {
+    throw httpError('.pages files can only be converted on macOS', 400);
+  }
+
+  // Sanitize path to prevent AppleScript injection via double-quote characters
+  if (/["\\`$]/.test(localPath)) {
+    throw httpError('File path contains unsupported characters', 400);
+  }
+
+  const tempTxtFile = path.join(os.tmpdir(), `import-${Date.now()}.txt`);
+  try {
+    const appleScript = `
+      set pagesFile to POSIX file "${localPath}"
+      set txtFile to POSIX file "${tempTxtFile}"
+      tell application "Pages"
+        set wasRunning to running
+        activate
+        set theDoc to open pagesFile
+        delay 0.5
+        export theDoc to txtFile as unformatted text
+        close theDoc saving no
+        if not wasRunning then quit
+      end tell
+    `;
+    execSync(`osascript -e '${appleScript.replace(/'/g, "'\"'\"'")}'`, { timeout: 60000 });
+    const text = fs.readFileSync(tempTxtFile, 'utf-8');
+    fs.unlinkSync(tempTxtFile);
+    return text;
+  } catch (convErr) {
+    try { fs.unlinkSync(tempTxtFile); } catch (e) {}
+    throw new Error(`Failed to convert .pages file: ${convErr.message}`);
+  }
+}
+
+/**
+ * Read and parse a file of the incoming folder
+ * @param {string} localPath
+ * @returns {Promise<object>} parseTemplateFields result with originalFilename and sourcePath
+ */
+async function parseIncomingFile(localPath) {
+  if (!fs.existsSync(localPath)) {
+    throw httpError('File not found', 404);
+  }
+
+  const textContent = path.extname(localPath).toLowerCase() === '.pages'
+    ? convertPagesFile(localPath)
+    : await extractText(fs.readFileSync(localPath), localPath);
+
+  const parsed = parseTemplateFields(textContent);
+  parsed.originalFilename = path.basename(localPath);
+  parsed.sourcePath = localPath;
+  return parsed;
+}
+
+/**
+ * Content type for a parsed file: the declared document type by name or
+ * alias, else a name or alias in the file name, else log
+ */
+function resolveContentType(db, docType, filename) {
+  const types = db.prepare('SELECT * FROM content_types WHERE is_active = 1 ORDER BY sort_order').all();
+  const namesOf = t => [t.name, ...(t.aliases || '').split(',')].map(n => n.trim().toLowerCase()).filter(n => n);
+
+  if (docType) {
+    const declared = docType.toLowerCase().trim();
+    const match = types.find(t => namesOf(t).includes(declared));
+    if (match) return match;
+  }
+
+  // Whole words only, so "blog" is not a log
+  const words = ` ${filename.toLowerCase().replace(/\.[^.]+$/, '').split(/[^\p{L}\p{N}]+/u).join(' ')} `;
+  const byName = types.find(t => namesOf(t).some(name => words.includes(` ${name} `)));
+  return byName || types.find(t => t.name === 'log') || types[0];
+}
+
+/**
+ * Date in a file name like "2026-02-12 Standup.pages" or "2026.02.12-notes.md"
+ */
+function dateFromFilename(filename) {
+  const m = filename.match(/^(\d{4})[.\-](\d{2})[.\-](\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Split parsed #tags into known semantic tags and project tags
+ */
+function splitTags(db, tags) {
+  const semantic = new Set(db.prepare('SELECT name FROM semantic_tags').all().map(t => t.name.toLowerCase()));
+  const semanticTags = [];
+  const projectTags = [];
+  for (const tag of tags) {
+    const clean = tag.replace(/^#/, '');
+    (semantic.has(clean.toLowerCase()) ? semanticTags : projectTags).push(clean);
+  }
+  return { semanticTags, projectTags };
+}
+
+/**
+ * Move an ingested source file to the subfolder for its content type
+ * @returns {{destination: string, folder: string}}
+ */
+function archiveSource(sourcePath, contentType, incomingFolder = getIncomingFolder()) {
+  if (!isInIncomingFolder(sourcePath, incomingFolder)) {
+    throw httpError('Invalid source path: not inside incoming folder', 400);
+  }
+  if (!fs.existsSync(sourcePath)) {
+    throw httpError('Source file not found (already moved?)', 404);
+  }
+
+  const folder = ARCHIVE_FOLDERS[contentType] || 'artifacts';
+  const destDir = path.join(incomingFolder, folder);
+  if (!fs.existsSync(destDir)) {
+    fs.mkdirSync(destDir, { recursive: true });
+  }
+
+  const destination = path.join(destDir, path.basename(sourcePath));
+  fs.renameSync(sourcePath, destination);
+  console.log(`[Import] Archived source: ${path.basename(sourcePath)} → ${folder}/`);
+  return { destination, folder };
+}
+
+// =====================================================
+// IMPORT BATCHES
+// =====================================================
+
+const batches = new Map();
+let nextBatchId = 1;
+
+/**
+ * Parse, ingest and archive one file of a batch; the outcome is written to `file`
+ */
+async function importFile(db, rte, file, incomingFolder) {
+  const parsed = await parseIncomingFile(file.path);
+
+  // Only template fields (a date line, a title) and no text: nothing to ingest
+  if (!parsed.content || !parsed.content.trim()) {
+    file.status = 'skipped';
+    file.reason = 'No text to import';
+    return;
+  }
+  const contentTypeRow = resolveContentType(db, parsed.docType, file.name);
+  const { semanticTags, projectTags } = splitTags(db, parsed.tags);
+
+  // Already imported: leave the source where it is for someone to look at
+  const duplicates = findDuplicates(db, parsed.content || '');
+  if (duplicates.some(d => d.exact)) {
+    file.status = 'skipped';
+    file.reason = `Already stored as document ${duplicates.find(d => d.exact).documentId}`;
+    return;
+  }
+  if (duplicates.length > 0) file.similarTo = duplicates.map(d => d.documentId);
+
+  const document = ingestDocument(db, {
+    rte,
+    contentTypeRow,
+    content: parsed.content || '',
+    date: parsed.date || dateFromFilename(file.name),
+    title: parsed.title || '',
+    semanticTags,
+    projectTags,
+    personTags: parsed.participants
+  });
+  Object.assign(file, {
+    contentType: contentTypeRow.name,
+    documentId: document.documentId,
+    filename: document.filename,
+    date: document.date,
+    title: document.title
+  });
+
+  // The document is in; a source that cannot be moved is reported, not retried
+  try {
+    file.archivedTo = archiveSource(file.path, contentTypeRow.name, incomingFolder).folder;
+  } catch (err) {
+    file.archiveError = err.message;
+  }
+}
+
+async function runBatch(batch, rte, incomingFolder) {
+  const db = getDb();
+  for (const file of batch.files) {
+    batch.current = file.name;
+    file.status = 'processing';
+    try {
+      await importFile(db, rte, file, incomingFolder);
+      if (file.status === 'processing') file.status = 'success';
+    } catch (err) {
+      console.error(`[Import] Batch ${batch.id}: ${file.name} failed:`, err.message);
+      file.status = 'error';
+      file.reason = err.message;
+    }
+    batch.processed++;
+    // Let requests (progress polls among them) through between files
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  batch.current = null;
+  batch.status = 'complete';
+  batch.finishedAt = new Date().toISOString();
+  console.log(`[Import] Batch ${batch.id} complete: ${summarize(batch).success} of ${batch.total} imported`);
+}
+
+function summarize(batch) {
+  const counts = { pending: 0, processing: 0, success: 0, skipped: 0, error: 0 };
+  for (const file of batch.files) counts[file.status]++;
+  return counts;
+}
+
+function batchView(batch) {
+  return { ...batch, counts: summarize(batch), files: batch.files.map(file => ({ ...file })) };
+}
+
+/**
+ * Start importing files of the incoming folder in the background
+ * @param {object} options
+ * @param {string[]} options.paths - files inside the incoming folder
+ * @param {number} options.rteId - RTE the documents are ingested into
+ * @returns {object} the batch as getImportBatch returns it
+ */
+function startImportBatch({ paths, rteId }) {
+  const db = getDb();
+  if (!db) throw httpError('Database not available', 500);
+
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw httpError('paths must be a non-empty array of incoming file paths', 400);
+  }
+  if (!rteId) throw httpError('RTE ID is required', 400);
+
+  const rte = db.prepare('SELECT * FROM rtes WHERE id = ?').get(rteId);
+  if (!rte) throw httpError('RTE not found', 404);
+
+  const incomingFolder = getIncomingFolder();
+  const outside = paths.filter(p => typeof p !== 'string' || !isInIncomingFolder(p, incomingFolder));
+  if (outside.length > 0) {
+    throw httpError(`Not inside the configured incoming folder: ${outside.join(', ')}`, 400);
+  }
+
+  // Two batches moving the same files around would trip over each other
+  const running = [...batches.values()].find(b => b.status === 'running');
+  if (running) throw httpError(`Import batch ${running.id} is still running`, 409);
+
+  const batch = {
+    id: nextBatchId++,
+    status: 'running',
+    rteId: rte.id,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: 0,
+    processed: 0,
+    current: null,
+    files: [...new Set(paths)].map(p => ({ path: p, name: path.basename(p), status: 'pending' }))
+  };
+  batch.total = batch.files.length;
+
+  batches.set(batch.id, batch);
+  for (const id of [...batches.keys()].slice(0, -RECENT_BATCHES)) batches.delete(id);
+
+  console.log(`[Import] Batch ${batch.id}: ${batch.total} files into ${rte.name}`);
+  setImmediate(() => runBatch(batch, rte, incomingFolder).catch(err => {
+    batch.status = 'failed';
+    batch.error = err.message;
+    batch.finishedAt = new Date().toISOString();
+    console.error(`[Import] Batch ${batch.id} failed:`, err);
+  }));
+
+  return batchView(batch);
+}
+
+/**
+ * A batch with progress and per-file outcomes, or null when unknown
+ */
+function getImportBatch(id) {
+  const batch = batches.get(Number(id));
+  return batch ? batchView(batch) : null;
+}
+
+/**
+ * Recent batches, newest first
+ */
+function listImportBatches() {
+  return [...batches.values()].reverse().map(batchView);
+}
+
+module.exports = {
+  ARCHIVE_FOLDERS,
+  getIncomingFolder,
+  parseTemplateFields,
+  isInIncomingFolder,
+  convertPagesFile,
+  parseIncomingFile,
+  resolveContentType,
+  archiveSource,
+  startImportBatch,
+  getImportBatch,
+  listImportBatches
+};
@@ -0,0 +1,162 @@
+/**
+ * LLM Response Cache
+ * SQLite-backed cache for deterministic LLM calls (llm_cache table)
+ *
+ * Opt-in via `cache.enabled` in config/llm-config.json. Entries are keyed on
+ * a hash of provider, model, system prompt, prompt and generation options.
+ * Callers pass the filepaths the prompt was built from; an entry is stale as
+ * soon as any of those rte_documents rows has a newer updated_at (or is gone).
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../db/connection');
+
+const DEFAULT_TTL_HOURS = 168;
+
+class LLMCache {
+  /**
+   * @param {object} config - `cache` section of llm-config.json: { enabled, ttlHours }
+   */
+  constructor(config = {}) {
+    this.enabled = !!config.enabled;
+    this.ttlHours = config.ttlHours || DEFAULT_TTL_HOURS;
+  }
+
+  /**
+   * Hash everything that changes the model output
+   * @param {object} request - { task, provider, model, system, prompt, temperature, maxTokens, numCtx, format }
+   * @returns {string} sha256 hex
+   */
+  computeKey(request) {
+    const material = JSON.stringify([
+      request.task,
+      request.provider,
+      request.model,
+      request.system || '',
+      request.prompt,
+      request.temperature,
+      request.maxTokens,
+      request.numCtx || null,
+      request.format || null
+    ]);
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * Fingerprint of the source documents: count and newest updated_at
+   * @param {string[]} sources - filepaths
+   * @returns {string}
+   */
+  sourceVersion(db, sources) {
+    if (!sources || sources.length === 0) return '';
+    const placeholders = sources.map(() => '?').join(',');
+    const row = db.prepare(`
+      SELECT COUNT(*) as count, MAX(updated_at) as latest
+      FROM rte_documents WHERE filepath IN (${placeholders})
+    `).get(...sources);
+    return `${row.count}:${row.latest || ''}`;
+  }
+
+  /**
+   * Look up a cached response
+   * @returns {{text: string, model: string, tokens: number, promptTokens: number, createdAt: string}|null}
+   */
+  get(key) {
+    const db = getDb();
+    if (!this.enabled || !db) return null;
+
+    try {
+      const row = db.prepare(`
+        SELECT * FROM llm_cache
+        WHERE cache_key = ? AND created_at >= datetime('now', ?)
+      `).get(key, `-${this.ttlHours} hours`);
+      if (!row) return null;
+
+      const sources = JSON.parse(row.sources_json || '[]');
+      if (this.sourceVersion(db, sources) !== row.source_version) {
+        db.prepare('DELETE FROM llm_cache WHERE cache_key = ?').run(key);
+        return null;
+      }
+
+      db.prepare(`
+        UPDATE llm_cache SET hit_count = hit_count + 1, last_hit_at = datetime('now') WHERE cache_key = ?
+      `).run(key);
+
+      return {
+        text: row.response,
+        model: row.model,
+        tokens: row.completion_tokens,
+        promptTokens: row.prompt_tokens,
+        createdAt: row.created_at
+      };
+    } catch (e) {
+      console.error('[LLMCache] Lookup failed:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - From computeKey()
+   * @param {string} task - llm_configs task name
+   * @param {object} result - { text, model, tokens, promptTokens }
+   * @param {string[]} sources - filepaths the prompt was built from
+   */
+  set(key, task, result, sources = []) {
+    const db = getDb();
+    if (!this.enabled || !db || !result.text) return;
+
+    try {
+      const uniqueSources = [...new Set(sources.filter(Boolean))];
+      db.prepare(`
+        INSERT OR REPLACE INTO llm_cache
+          (cache_key, task, model, response, prompt_tokens, completion_tokens, sources_json, source_version, hit_count, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, datetime('now'))
+      `).run(
+        key,
+        task,
+        result.model,
+        result.text,
+        result.promptTokens || 0,
+        result.tokens || 0,
+        JSON.stringify(uniqueSources),
+        this.sourceVersion(db, uniqueSources)
+      );
+    } catch (e) {
+      console.error('[LLMCache] Store failed:', e.message);
+    }
+  }
+
+  /**
+   * Remove all entries
+   * @returns {number} rows deleted
+   */
+  clear() {
+    const db = getDb();
+    if (!db) return 0;
+    return db.prepare('DELETE FROM llm_cache').run().changes;
+  }
+
+  /**
+   * Entry and hit counts per task
+   */
+  getStats() {
+    const db = getDb();
+    if (!db) return { enabled: this.enabled, entries: 0, hits: 0, byTask: [] };
+
+    const byTask = db.prepare(`
+      SELECT task, COUNT(*) as entries, SUM(hit_count) as hits
+      FROM llm_cache GROUP BY task ORDER BY entries DESC
+    `).all();
+
+    return {
+      enabled: this.enabled,
+      ttlHours: this.ttlHours,
+      entries: byTask.reduce((sum, t) => sum + t.entries, 0),
+      hits: byTask.reduce((sum, t) => sum + (t.hits || 0), 0),
+      byTask
+    };
+  }
+}
+
+module.exports = { LLMCache };
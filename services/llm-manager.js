@@ -1,17 +1,48 @@
 /**
  * LLM Manager - Flexible model selection with fallback
- * Supports: Ollama (local models), OpenAI-compatible APIs
+ * Supports: Ollama (local models), OpenAI-compatible servers, chat-messages APIs
+ *
+ * Routes and services call generateForTask() with a task name
+ * (extraction, query, trend, standup, translation, analysis, prompt).
+ * Provider, model, temperature, max tokens and fallbacks come from the
+ * llm_configs table, so changes made in Settings apply everywhere.
+ * Transport (timeouts, retries, wire formats) lives in llm-providers.js.
+ *
+ * Mock mode (`"mock": true` in llm-config.json or MOCK_LLM=1) sends every
+ * task to the offline mock provider, so the app works without a model server.
+ *
+ * Every attempt is reported to the health monitor (model-health.js), which
+ * moves failing or missing models to the end of a task's fallback order.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getDb } = require('../db/connection');
+const { createProvider, DEFAULT_ENDPOINTS } = require('./llm-providers');
+const { MOCK_MODEL } = require('./mock-llm');
+const { LLMCache } = require('./llm-cache');
+const { ModelHealth, isListed } = require('./model-health');
+const { parseAndValidate, buildRepairPrompt, StructuredOutputError } = require('./structured-output');
 
 const CONFIG_PATH = path.join(__dirname, '../config/llm-config.json');
+const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
+
+// Used when llm_configs has no active row for a task
+const TASK_DEFAULTS = {
+  extraction: { model: 'gemma2:2b', temperature: 0.1, maxTokens: 1000, fallbacks: ['phi3:mini', 'qwen2:1.5b', 'mistral:7b'] },
+  query: { model: 'mistral:7b', temperature: 0.3, maxTokens: 2000, fallbacks: ['llama3.1:8b', 'gemma2:9b'] },
+  trend: { model: 'deepseek-r1:7b', temperature: 0.3, maxTokens: 4000, fallbacks: ['mistral:7b', 'llama3.1:8b'] },
+  standup: { model: 'mistral:latest', temperature: 0.3, maxTokens: 600, fallbacks: ['deepseek-r1:7b', 'gemma3:4b'] },
+  translation: { model: 'gemma2:2b', temperature: 0.2, maxTokens: 4000, fallbacks: ['mistral:latest'] },
+  analysis: { model: 'mistral:latest', temperature: 0.2, maxTokens: 4000, fallbacks: ['llama3.1:8b', 'gemma2:9b'] },
+  prompt: { model: 'mistral:latest', temperature: 0.7, maxTokens: 4000, fallbacks: ['aya:8b', 'llama3.2'] }
+};
 
 class LLMManager {
   constructor() {
     this.config = null;
     this.availableModels = [];
+    this.providers = new Map();
     this.loadConfig();
   }
 
@@ -31,6 +62,41 @@ class LLMManager {
       console.error('[LLM] Config load failed:', error.message);
       this.config = { models: [], fallbackStrategy: 'sequential' };
     }
+    this.providers.clear();
+    this.cache = new LLMCache(this.config.cache);
+    this.health = new ModelHealth(this.config.health);
+    if (this.mockMode) {
+      console.log('[LLM] Mock mode: all tasks use the offline mock provider');
+    }
+  }
+
+  /**
+   * True when every task should use the offline mock provider
+   */
+  get mockMode() {
+    const env = process.env.MOCK_LLM;
+    if (env !== undefined && env !== '') return env === '1' || env === 'true';
+    return this.config?.mock === true;
+  }
+
+  /**
+   * Get a provider instance, reusing one per provider/endpoint/key combination
+   * @param {string} type - 'ollama' | 'openai' | 'chat' | 'mock'
+   * @param {string} endpoint - Base URL
+   * @param {string|null} apiKeyEnv - Environment variable holding the API key
+   */
+  getProvider(type = 'ollama', endpoint = null, apiKeyEnv = null) {
+    const key = `${type}|${endpoint || ''}|${apiKeyEnv || ''}`;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(type, {
+        endpoint,
+        apiKeyEnv,
+        timeout: this.config.timeout,
+        generateTimeout: this.config.generateTimeoutMs,
+        retry: this.config.retry
+      }));
+    }
+    return this.providers.get(key);
   }
 
   /**
@@ -82,7 +148,10 @@ class LLMManager {
       try {
         console.log(`[LLM] Trying ${modelConfig.name}...`);
         
-        if (modelConfig.type === 'ollama') {
+        if (this.mockMode) {
+          const result = await this.getProvider('mock').generate({ model: modelConfig.model, prompt });
+          return { ...result, model: modelConfig.name };
+        } else if (modelConfig.type === 'ollama') {
           return await this.callOllama(modelConfig, prompt, {
             temperature: temperature || modelConfig.temperature,
             maxTokens: maxTokens || modelConfig.maxTokens
@@ -104,96 +173,465 @@ class LLMManager {
   }
 
   /**
-   * Call Ollama model
+   * Resolve model settings for a task from llm_configs
+   * Falls back to TASK_DEFAULTS when the row is missing or inactive
+   * @param {string} task - e.g. 'query', 'extraction', 'trend'
+   * @returns {{task: string, provider: string, model: string, endpoint: string, apiKeyEnv: string|null, temperature: number, maxTokens: number, fallbacks: string[]}}
    */
-  async callOllama(modelConfig, prompt, options) {
-    const response = await fetch('http://localhost:11434/api/generate', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: modelConfig.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: options.temperature,
-          num_predict: options.maxTokens
+  getTaskConfig(task) {
+    const defaults = TASK_DEFAULTS[task] || TASK_DEFAULTS.query;
+    const config = {
+      task,
+      provider: 'ollama',
+      model: defaults.model,
+      endpoint: OLLAMA_HOST,
+      apiKeyEnv: null,
+      temperature: defaults.temperature,
+      maxTokens: defaults.maxTokens,
+      fallbacks: defaults.fallbacks
+    };
+
+    const db = getDb();
+    if (!db) return config;
+
+    try {
+      const row = db.prepare(`
+        SELECT model_name, provider, endpoint, api_key_env, temperature, max_tokens, fallback_models
+        FROM llm_configs WHERE task = ? AND is_active = 1
+      `).get(task);
+
+      if (row) {
+        config.model = row.model_name || config.model;
+        config.temperature = row.temperature ?? config.temperature;
+        config.maxTokens = row.max_tokens || config.maxTokens;
+        config.provider = row.provider || 'ollama';
+        config.apiKeyEnv = row.api_key_env || null;
+        if (config.provider === 'ollama') {
+          // OLLAMA_HOST in the environment wins over the stored endpoint
+          config.endpoint = process.env.OLLAMA_HOST || row.endpoint || OLLAMA_HOST;
+        } else {
+          config.endpoint = row.endpoint || DEFAULT_ENDPOINTS[config.provider];
+        }
+        if (row.fallback_models) {
+          try {
+            const fallbacks = JSON.parse(row.fallback_models);
+            if (Array.isArray(fallbacks)) config.fallbacks = fallbacks;
+          } catch (e) {
+            console.error(`[LLM] Invalid fallback_models for ${task}:`, e.message);
+          }
         }
-      })
+      }
+    } catch (e) {
+      console.error(`[LLM] Could not read llm_configs for ${task}:`, e.message);
+    }
+
+    if (this.mockMode) {
+      config.provider = 'mock';
+      config.endpoint = null;
+      config.apiKeyEnv = null;
+    }
+
+    return config;
+  }
+
+  /**
+   * Models to try for a call, in order: the primary then its fallbacks, with
+   * demoted models moved to the end. A model picked by the caller stays first.
+   * @param {object} config - getTaskConfig result
+   * @param {string} primary - configured or requested model
+   * @param {boolean} pinned - true when the caller asked for this model
+   * @returns {string[]}
+   */
+  getModelsToTry(config, primary, pinned) {
+    const fallbacks = config.fallbacks.filter(m => m !== primary);
+    if (pinned) {
+      return [primary, ...this.health.rank(config.provider, config.endpoint, fallbacks)];
+    }
+    return this.health.rank(config.provider, config.endpoint, [primary, ...fallbacks]);
+  }
+
+  /**
+   * Generate text for a task, trying the configured model then its fallbacks
+   * @param {string} task - llm_configs task name
+   * @param {string} prompt - Full prompt text
+   * @param {object} options - { system, model, temperature, maxTokens, numCtx, format, signal, cache } per-call overrides
+   *   cache: { sources: [filepath] } makes the call cacheable (when the cache is enabled)
+   * @returns {Promise<{text: string, model: string, tokens: number, task: string, cached: boolean}>}
+   */
+  async generateForTask(task, prompt, options = {}) {
+    const config = this.getTaskConfig(task);
+    const provider = this.getProvider(config.provider, config.endpoint, config.apiKeyEnv);
+    const primary = options.model || config.model;
+    const modelsToTry = this.getModelsToTry(config, primary, !!options.model);
+    const promptChars = prompt.length + (options.system?.length || 0);
+
+    const cacheKey = this.getCacheKey(task, config, primary, prompt, options);
+    const hit = cacheKey && this.readCache(cacheKey, task, config, primary, promptChars, false);
+    if (hit) return hit;
+
+    let lastError = null;
+
+    for (const [index, model] of modelsToTry.entries()) {
+      const call = { task, provider: config.provider, model, primaryModel: primary, fallbackIndex: index, promptChars };
+      const startedAt = Date.now();
+      try {
+        const result = await provider.generate({
+          task,
+          model,
+          system: options.system,
+          prompt,
+          temperature: options.temperature ?? config.temperature,
+          maxTokens: options.maxTokens || config.maxTokens,
+          numCtx: options.numCtx,
+          format: options.format,
+          signal: options.signal
+        });
+
+        this.recordCall({ ...call, result, latencyMs: Date.now() - startedAt, status: result.text ? 'ok' : 'empty' });
+        if (result.text) {
+          console.log(`[LLM] ${task} answered by ${model}`);
+          if (cacheKey) this.cache.set(cacheKey, task, result, options.cache.sources);
+          return { ...result, task, cached: false };
+        }
+        lastError = new Error(`${model} returned an empty response`);
+      } catch (error) {
+        this.recordCall({ ...call, latencyMs: Date.now() - startedAt, status: 'error', error: error.message });
+        console.log(`[LLM] ${task}: ${model} failed:`, error.message);
+        lastError = error;
+        // A fallback model would run the same long generation again
+        if (error.name === 'TimeoutError') break;
+      }
+    }
+
+    throw new Error(`All models failed for ${task}. Last error: ${lastError?.message}`);
+  }
+
+  /**
+   * Generate JSON for a task and validate it against a schema
+   * The schema is sent as the output format. If the reply does not validate,
+   * one repair call is made with the validation errors before giving up.
+   * @param {string} task - llm_configs task name
+   * @param {string} prompt - Full prompt text
+   * @param {object} schema - JSON schema (subset, see structured-output.js)
+   * @param {object} options - generateForTask options; format: 'json' for servers without schema support
+   * @returns {Promise<{data: *, text: string, model: string, tokens: number, task: string, repaired: boolean}>}
+   * @throws {StructuredOutputError} with the validation errors and the raw reply
+   */
+  async generateStructured(task, prompt, schema, options = {}) {
+    const callOptions = { ...options, format: options.format || schema };
+
+    const first = await this.generateForTask(task, prompt, callOptions);
+    const firstCheck = parseAndValidate(first.text, schema);
+    if (firstCheck.errors.length === 0) {
+      return { ...first, data: firstCheck.data, repaired: false };
+    }
+
+    console.log(`[LLM] ${task}: ${first.model} output invalid (${firstCheck.errors[0]}), attempting repair`);
+    const repair = await this.generateForTask(task, buildRepairPrompt(prompt, first.text, firstCheck.errors, schema), {
+      ...callOptions,
+      model: first.model,
+      cache: null
     });
+    const repairCheck = parseAndValidate(repair.text, schema);
+    if (repairCheck.errors.length === 0) {
+      return { ...repair, data: repairCheck.data, repaired: true };
+    }
+
+    throw new StructuredOutputError(
+      `${task} output from ${repair.model} failed validation after repair: ${repairCheck.errors.slice(0, 3).join('; ')}`,
+      { errors: repairCheck.errors, raw: repair.text, model: repair.model, attempts: 2 }
+    );
+  }
+
+  /**
+   * Stream text for a task, calling onToken for every token as it arrives
+   * Falls back to the next model only if nothing has been streamed yet.
+   * A cache hit is delivered as a single token.
+   * @param {string} task - llm_configs task name
+   * @param {string} prompt - Full prompt text
+   * @param {object} options - { onToken, signal, system, model, temperature, maxTokens, numCtx, format, cache }
+   * @returns {Promise<{text: string, model: string, tokens: number, task: string, cached: boolean}>}
+   */
+  async streamForTask(task, prompt, options = {}) {
+    const { onToken = () => {}, signal } = options;
+    const config = this.getTaskConfig(task);
+    const provider = this.getProvider(config.provider, config.endpoint, config.apiKeyEnv);
+    const primary = options.model || config.model;
+    const modelsToTry = this.getModelsToTry(config, primary, !!options.model);
+    const promptChars = prompt.length + (options.system?.length || 0);
+
+    const cacheKey = this.getCacheKey(task, config, primary, prompt, options);
+    const hit = cacheKey && this.readCache(cacheKey, task, config, primary, promptChars, true);
+    if (hit) {
+      onToken(hit.text);
+      return hit;
+    }
+
+    let lastError = null;
+
+    for (const [index, model] of modelsToTry.entries()) {
+      const call = { task, provider: config.provider, model, primaryModel: primary, fallbackIndex: index, promptChars, streamed: true };
+      const startedAt = Date.now();
+      let streamed = false;
+      try {
+        const result = await provider.stream({
+          task,
+          model,
+          system: options.system,
+          prompt,
+          temperature: options.temperature ?? config.temperature,
+          maxTokens: options.maxTokens || config.maxTokens,
+          numCtx: options.numCtx,
+          format: options.format,
+          signal
+        }, (token) => {
+          streamed = true;
+          onToken(token);
+        });
 
-    if (!response.ok) {
-      throw new Error(`Ollama ${modelConfig.name} failed: ${response.status}`);
+        this.recordCall({ ...call, result, latencyMs: Date.now() - startedAt, status: result.text ? 'ok' : 'empty' });
+        if (result.text) {
+          console.log(`[LLM] ${task} streamed by ${model}`);
+          if (cacheKey) this.cache.set(cacheKey, task, result, options.cache.sources);
+          return { ...result, task, cached: false };
+        }
+        lastError = new Error(`${model} returned an empty response`);
+      } catch (error) {
+        if (signal?.aborted) {
+          this.recordCall({ ...call, latencyMs: Date.now() - startedAt, status: 'aborted', error: 'Stream aborted by client' });
+          throw new Error('Stream aborted by client');
+        }
+        this.recordCall({ ...call, latencyMs: Date.now() - startedAt, status: 'error', error: error.message });
+        console.log(`[LLM] ${task}: ${model} stream failed:`, error.message);
+        lastError = error;
+        // Tokens already reached the client; switching models would mix two answers
+        if (streamed || error.name === 'TimeoutError') break;
+      }
+    }
+
+    throw new Error(`All models failed for ${task}. Last error: ${lastError?.message}`);
+  }
+
+  /**
+   * Embedding model settings from the `embedding` section of llm-config.json
+   * `type: "api"` means an OpenAI-compatible /v1/embeddings server.
+   * @returns {{enabled: boolean, provider: string, model: string, endpoint: string|null, apiKeyEnv: string|null, dimensions: number|null}}
+   */
+  getEmbeddingConfig() {
+    const embedding = this.config.embedding || {};
+    if (this.mockMode) {
+      return { enabled: true, provider: 'mock', model: MOCK_MODEL, endpoint: null, apiKeyEnv: null, dimensions: null };
     }
 
-    const data = await response.json();
+    const provider = embedding.type === 'api' ? 'openai' : (embedding.type || 'ollama');
     return {
-      text: data.response,
-      model: modelConfig.name,
-      tokens: data.eval_count || 0
+      enabled: !!embedding.model && embedding.enabled !== false,
+      provider,
+      model: embedding.model,
+      endpoint: provider === 'ollama'
+        ? process.env.OLLAMA_HOST || embedding.endpoint || OLLAMA_HOST
+        : embedding.endpoint || DEFAULT_ENDPOINTS[provider],
+      apiKeyEnv: embedding.apiKeyEnv || null,
+      dimensions: embedding.dimensions || null
     };
   }
 
   /**
-   * Call external OpenAI-compatible API
+   * Chunk sizing from the `chunking` section of llm-config.json
+   * Chunks should fit the embedding model's context; changes apply to
+   * documents indexed afterwards.
+   * @returns {{maxTokens?: number, overlapTokens?: number}}
    */
-  async callAPI(modelConfig, prompt, options) {
-    const endpoint = modelConfig.endpoint;
-    const tokenEnvVar = modelConfig.tokenEnvVar || 'LLM_API_TOKEN';
-    const token = process.env[tokenEnvVar];
+  getChunkingConfig() {
+    return this.config.chunking || {};
+  }
 
-    if (!endpoint) {
-      throw new Error(`No endpoint configured for API model: ${modelConfig.name}`);
+  /**
+   * Embed texts with the configured embedding model
+   * Logged to llm_calls as task 'embedding'. There are no fallbacks: vectors
+   * from different models cannot be compared.
+   * @param {string[]} texts
+   * @param {object} options - { signal }
+   * @returns {Promise<{embeddings: number[][], model: string}>}
+   */
+  async embed(texts, options = {}) {
+    const config = this.getEmbeddingConfig();
+    if (!config.enabled) {
+      throw new Error('No embedding model configured');
     }
 
-    if (!token) {
-      throw new Error(`API token not configured (set ${tokenEnvVar} in .env)`);
+    const provider = this.getProvider(config.provider, config.endpoint, config.apiKeyEnv);
+    if (typeof provider.embed !== 'function') {
+      throw new Error(`The ${config.provider} provider does not support embeddings`);
     }
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: modelConfig.model,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        temperature: options.temperature,
-        max_tokens: options.maxTokens
-      })
-    });
+    const call = {
+      task: 'embedding',
+      provider: config.provider,
+      model: config.model,
+      primaryModel: config.model,
+      promptChars: texts.reduce((sum, text) => sum + text.length, 0)
+    };
+    const startedAt = Date.now();
 
-    if (!response.ok) {
-      throw new Error(`API ${modelConfig.name} failed: ${response.status}`);
+    try {
+      const result = await provider.embed({ model: config.model, input: texts, signal: options.signal });
+      if (result.embeddings.length !== texts.length) {
+        throw new Error(`${config.model} returned ${result.embeddings.length} embeddings for ${texts.length} texts`);
+      }
+      this.recordCall({ ...call, result: { promptTokens: result.promptTokens }, latencyMs: Date.now() - startedAt, status: 'ok' });
+      return { embeddings: result.embeddings, model: config.model };
+    } catch (error) {
+      this.recordCall({ ...call, latencyMs: Date.now() - startedAt, status: 'error', error: error.message });
+      throw error;
     }
+  }
+
+  /**
+   * Cache key for a call, or null when the call or the cache is not opted in
+   */
+  getCacheKey(task, config, primary, prompt, options) {
+    if (!this.cache.enabled || !options.cache) return null;
+    return this.cache.computeKey({
+      task,
+      provider: config.provider,
+      model: primary,
+      system: options.system,
+      prompt,
+      temperature: options.temperature ?? config.temperature,
+      maxTokens: options.maxTokens || config.maxTokens,
+      numCtx: options.numCtx,
+      format: options.format
+    });
+  }
+
+  /**
+   * Return a cached response shaped like a live one, logging the hit to llm_calls
+   */
+  readCache(cacheKey, task, config, primary, promptChars, streamed) {
+    const startedAt = Date.now();
+    const cached = this.cache.get(cacheKey);
+    if (!cached) return null;
+
+    console.log(`[LLM] ${task} served from cache (${cached.model})`);
+    this.recordCall({
+      task,
+      provider: config.provider,
+      model: cached.model,
+      primaryModel: primary,
+      promptChars,
+      streamed,
+      // Cached calls spend no tokens
+      result: { text: cached.text },
+      latencyMs: Date.now() - startedAt,
+      status: 'cached'
+    });
 
-    const data = await response.json();
     return {
-      text: data.choices[0].message.content,
-      model: modelConfig.name,
-      tokens: data.usage?.total_tokens || 0
+      text: cached.text,
+      model: cached.model,
+      tokens: cached.tokens,
+      promptTokens: cached.promptTokens,
+      task,
+      cached: true,
+      cachedAt: cached.createdAt
     };
   }
 
+  /**
+   * Write one model attempt to llm_calls
+   * Logging must never break the call itself, so failures are only reported.
+   * @param {object} call - { task, provider, model, primaryModel, fallbackIndex, streamed, promptChars, result, latencyMs, status, error }
+   */
+  recordCall(call) {
+    this.health.record(call);
+
+    const db = getDb();
+    if (!db) return;
+
+    const promptTokens = call.result?.promptTokens || 0;
+    const completionTokens = call.result?.tokens || 0;
+
+    try {
+      db.prepare(`
+        INSERT INTO llm_calls (task, provider, model, primary_model, fallback_index, streamed,
+          prompt_chars, response_chars, prompt_tokens, completion_tokens, latency_ms, cost, status, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        call.task,
+        call.provider,
+        call.model,
+        call.primaryModel,
+        call.fallbackIndex || 0,
+        call.streamed ? 1 : 0,
+        call.promptChars || 0,
+        call.result?.text?.length || 0,
+        promptTokens,
+        completionTokens,
+        call.latencyMs,
+        this.estimateCost(call.model, promptTokens, completionTokens),
+        call.status,
+        call.error || null
+      );
+    } catch (e) {
+      console.error('[LLM] Could not record call:', e.message);
+    }
+  }
+
+  /**
+   * Cost of a call from the `pricing` map in llm-config.json
+   * Prices are per million tokens: { "model": { "input": 0.5, "output": 1.5 } }.
+   * Models without a price (all local models by default) cost nothing.
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.config.pricing?.[model];
+    if (!price) return 0;
+    return ((promptTokens * (price.input || 0)) + (completionTokens * (price.output || 0))) / 1e6;
+  }
+
+  /**
+   * Call Ollama model
+   */
+  async callOllama(modelConfig, prompt, options) {
+    const provider = this.getProvider('ollama', OLLAMA_HOST);
+    const result = await provider.generate({ model: modelConfig.model, prompt, ...options });
+    return { ...result, model: modelConfig.name };
+  }
+
+  /**
+   * Call external OpenAI-compatible API
+   */
+  async callAPI(modelConfig, prompt, options) {
+    const tokenEnvVar = modelConfig.tokenEnvVar || 'LLM_API_TOKEN';
+
+    if (!modelConfig.endpoint) {
+      throw new Error(`No endpoint configured for API model: ${modelConfig.name}`);
+    }
+
+    if (!process.env[tokenEnvVar]) {
+      throw new Error(`API token not configured (set ${tokenEnvVar} in .env)`);
+    }
+
+    const provider = this.getProvider(modelConfig.provider || 'openai', modelConfig.endpoint, tokenEnvVar);
+    const result = await provider.generate({ model: modelConfig.model, prompt, ...options });
+    return { ...result, model: modelConfig.name };
+  }
+
   /**
    * Check which models are available
+   * Ollama is listed once per call, or not at all when the last probe is recent.
    */
   async checkAvailability() {
     const results = [];
+    const hasOllama = this.config.models.some(m => m.type === 'ollama');
+    const installed = hasOllama ? await this.getInstalledModels('ollama', OLLAMA_HOST) : null;
 
     for (const model of this.config.models) {
       let available = false;
 
       try {
         if (model.type === 'ollama') {
-          const response = await fetch('http://localhost:11434/api/tags');
-          if (response.ok) {
-            const data = await response.json();
-            available = data.models?.some(m => m.name === model.model);
-          }
+          available = !!installed && isListed(installed, model.model);
         } else if (model.type === 'api') {
           const tokenEnvVar = model.tokenEnvVar || 'LLM_API_TOKEN';
           available = !!process.env[tokenEnvVar];
@@ -214,6 +652,106 @@ class LLMManager {
     return results;
   }
 
+  // ------------------------------------------------------------
+  // Model health
+  // ------------------------------------------------------------
+
+  /**
+   * List the models on one endpoint and hand the result to the health monitor
+   * @returns {Promise<{provider: string, endpoint: string, reachable: boolean, models: string[], latencyMs: number, error?: string}>}
+   */
+  async probeEndpoint(type, endpoint, apiKeyEnv = null) {
+    const startedAt = Date.now();
+    const probe = { provider: type, endpoint, reachable: false, models: [] };
+
+    try {
+      probe.models = await this.getProvider(type, endpoint, apiKeyEnv).listModels();
+      probe.reachable = true;
+    } catch (error) {
+      probe.error = error.message;
+    }
+
+    probe.latencyMs = Date.now() - startedAt;
+    this.health.recordProbe(probe);
+    return probe;
+  }
+
+  /**
+   * Models installed on an endpoint, from the last probe when it is recent
+   * @returns {Promise<string[]|null>} null when the endpoint is unreachable
+   */
+  async getInstalledModels(type, endpoint, apiKeyEnv = null) {
+    const probe = this.health.getProbe(type, endpoint) || await this.probeEndpoint(type, endpoint, apiKeyEnv);
+    return probe.reachable ? probe.models : null;
+  }
+
+  /**
+   * One probe round: every endpoint used by a task is listed once
+   */
+  async probeModels() {
+    const endpoints = new Map();
+    for (const task of Object.keys(TASK_DEFAULTS)) {
+      const config = this.getTaskConfig(task);
+      endpoints.set(`${config.provider}|${config.endpoint || ''}`, config);
+    }
+
+    for (const config of endpoints.values()) {
+      const probe = await this.probeEndpoint(config.provider, config.endpoint, config.apiKeyEnv);
+      if (!probe.reachable) {
+        console.log(`[Health] ${config.provider} at ${config.endpoint} unreachable: ${probe.error}`);
+      }
+    }
+  }
+
+  /**
+   * Probe every `health.probeIntervalMs` in the background
+   */
+  startHealthMonitor() {
+    this.health.start(() => this.probeModels());
+  }
+
+  stopHealthMonitor() {
+    this.health.stop();
+  }
+
+  /**
+   * Per-task model order and per-model health, for the Settings page
+   */
+  getHealthReport() {
+    const tasks = [];
+    const models = new Map();
+
+    for (const task of Object.keys(TASK_DEFAULTS)) {
+      const config = this.getTaskConfig(task);
+      const configured = [config.model, ...config.fallbacks.filter(m => m !== config.model)];
+      tasks.push({
+        task,
+        provider: config.provider,
+        endpoint: config.endpoint,
+        configured,
+        effective: this.getModelsToTry(config, config.model, false)
+      });
+
+      for (const model of configured) {
+        const key = `${config.provider}|${config.endpoint || ''}|${model}`;
+        if (!models.has(key)) {
+          models.set(key, { ...this.health.getModelStats(config.provider, model, config.endpoint), endpoint: config.endpoint, tasks: [] });
+        }
+        models.get(key).tasks.push(task);
+      }
+    }
+
+    return {
+      mockMode: this.mockMode,
+      monitorRunning: this.health.isRunning,
+      probeIntervalMs: this.health.settings.probeIntervalMs,
+      lastProbeAt: this.health.lastProbeAt ? new Date(this.health.lastProbeAt).toISOString() : null,
+      endpoints: this.health.getProbes(),
+      tasks,
+      models: [...models.values()]
+    };
+  }
+
   /**
    * List all configured models
    */
@@ -238,5 +776,6 @@ module.exports = {
     }
     return instance;
   },
-  LLMManager
+  LLMManager,
+  TASK_DEFAULTS
 };
@@ -0,0 +1,453 @@
+/**
+ * LLM Providers - Transport layer for LLMManager
+ *
+ * Every provider exposes the same interface:
+ *   generate(request)          → { text, model, tokens, promptTokens }
+ *   stream(request, onToken)   → { text, model, tokens, promptTokens }
+ *   listModels()               → [modelName]
+ *   embed(request)             → { embeddings, model, promptTokens }  (not the chat provider)
+ *
+ * request: { task, model, system, prompt, temperature, maxTokens, numCtx, format, signal }
+ *   format: 'json' or a JSON schema object to constrain the reply (see structured-output.js)
+ * embed request: { model, input: [text], signal }
+ *
+ * Providers:
+ *   ollama  - Ollama /api/generate (default)
+ *   openai  - OpenAI-compatible /v1/chat/completions (LM Studio, vLLM, llama.cpp server)
+ *   chat    - Generic chat-messages /v1/messages (Anthropic-style: top-level system, content blocks)
+ *   mock    - Offline deterministic replies for demos and tests (mock-llm.js)
+ *
+ * Model lists and embeddings time out after `timeout` ms. Generation waits up
+ * to `generateTimeoutMs`: a non-streamed answer only arrives once the model is
+ * done, which takes minutes on slower hardware. Requests are retried with
+ * exponential backoff on connection errors, 429 and 5xx responses; a timeout
+ * is not retried, since it would only run the same slow request again.
+ * LLMManager passes these values from config/llm-config.json.
+ */
+
+const { MockProvider } = require('./mock-llm');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_GENERATE_TIMEOUT = 300000;
+const DEFAULT_RETRY = { maxRetries: 2, baseDelayMs: 500 };
+
+const DEFAULT_ENDPOINTS = {
+  ollama: process.env.OLLAMA_HOST || 'http://localhost:11434',
+  openai: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+  chat: process.env.CHAT_API_BASE_URL || 'http://localhost:8080/v1'
+};
+
+/**
+ * HTTP error carrying the status code so retry logic can inspect it
+ */
+class ProviderError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  // fetch() network failures
+  return error.name === 'TypeError';
+}
+
+/**
+ * Base class: timeout, retry and the request/response plumbing shared by all providers
+ */
+class BaseProvider {
+  /**
+   * @param {object} options - { endpoint, apiKeyEnv, timeout, generateTimeout, retry }
+   */
+  constructor(options = {}) {
+    this.endpoint = (options.endpoint || DEFAULT_ENDPOINTS[this.type]).replace(/\/+$/, '');
+    this.apiKeyEnv = options.apiKeyEnv || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.generateTimeout = options.generateTimeout || DEFAULT_GENERATE_TIMEOUT;
+    this.retry = { ...DEFAULT_RETRY, ...(options.retry || {}) };
+  }
+
+  get apiKey() {
+    return this.apiKeyEnv ? process.env[this.apiKeyEnv] : null;
+  }
+
+  /**
+   * POST JSON with timeout and exponential backoff
+   * The timeout covers the wait for response headers; a stream that has
+   * started is not cut off mid-answer.
+   * @param {object} options - { signal, headers, timeout } (timeout defaults to this.timeout)
+   * @returns {Promise<Response>}
+   */
+  async post(url, body, { signal, headers = {}, timeout = this.timeout } = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.retry.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retry.baseDelayMs * 2 ** (attempt - 1);
+        console.log(`[LLM] Retrying ${body.model} in ${delay}ms (attempt ${attempt + 1})`);
+        await sleep(delay);
+      }
+      if (signal?.aborted) throw new Error('Request aborted');
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const detail = await response.text().catch(() => '');
+          throw new ProviderError(
+            `${this.type} ${body.model} failed: ${response.status}${detail ? ` ${detail.slice(0, 200)}` : ''}`,
+            response.status
+          );
+        }
+        return response;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        lastError = controller.signal.aborted
+          ? Object.assign(new Error(`${this.type} ${body.model} timed out after ${timeout}ms`), { name: 'TimeoutError' })
+          : error;
+        if (!isRetryable(lastError)) throw lastError;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Read a streamed body line by line
+   * @param {Response} response
+   * @param {Function} handleLine - called with each non-empty line
+   */
+  async readLines(response, handleLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) handleLine(line.trim());
+      }
+    }
+    if (buffer.trim()) handleLine(buffer.trim());
+  }
+
+  /**
+   * Build a URL under the API root, accepting endpoints with or without the /v1 suffix
+   */
+  apiUrl(route) {
+    if (this.endpoint.endsWith(route)) return this.endpoint;
+    const base = this.endpoint.endsWith('/v1') ? this.endpoint : `${this.endpoint}/v1`;
+    return `${base}${route}`;
+  }
+}
+
+/**
+ * Ollama /api/generate
+ */
+class OllamaProvider extends BaseProvider {
+  get type() { return 'ollama'; }
+
+  buildBody(request, stream) {
+    const options = {
+      temperature: request.temperature,
+      num_predict: request.maxTokens
+    };
+    if (request.numCtx) options.num_ctx = request.numCtx;
+
+    const body = { model: request.model, prompt: request.prompt, stream, options };
+    if (request.system) body.system = request.system;
+    if (request.format) body.format = request.format;
+    return body;
+  }
+
+  async generate(request) {
+    const response = await this.post(`${this.endpoint}/api/generate`, this.buildBody(request, false), {
+      signal: request.signal,
+      timeout: this.generateTimeout
+    });
+    const data = await response.json();
+    return {
+      text: (data.response || '').trim(),
+      model: request.model,
+      tokens: data.eval_count || 0,
+      promptTokens: data.prompt_eval_count || 0
+    };
+  }
+
+  async stream(request, onToken) {
+    const response = await this.post(`${this.endpoint}/api/generate`, this.buildBody(request, true), {
+      signal: request.signal,
+      timeout: this.generateTimeout
+    });
+    let text = '';
+    let tokens = 0;
+    let promptTokens = 0;
+
+    await this.readLines(response, (line) => {
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(data.error);
+      if (data.response) {
+        text += data.response;
+        onToken(data.response);
+      }
+      if (data.done) {
+        tokens = data.eval_count || 0;
+        promptTokens = data.prompt_eval_count || 0;
+      }
+    });
+
+    return { text: text.trim(), model: request.model, tokens, promptTokens };
+  }
+
+  async listModels() {
+    const response = await fetch(`${this.endpoint}/api/tags`, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) throw new ProviderError(`Ollama tags failed: ${response.status}`, response.status);
+    const data = await response.json();
+    return (data.models || []).map(m => m.name);
+  }
+
+  async embed(request) {
+    const response = await this.post(`${this.endpoint}/api/embed`, { model: request.model, input: request.input }, { signal: request.signal });
+    const data = await response.json();
+    return {
+      embeddings: data.embeddings || [],
+      model: request.model,
+      promptTokens: data.prompt_eval_count || 0
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible /v1/chat/completions
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  get type() { return 'openai'; }
+
+  headers() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  buildBody(request, stream) {
+    const messages = [];
+    if (request.system) messages.push({ role: 'system', content: request.system });
+    messages.push({ role: 'user', content: request.prompt });
+
+    const body = {
+      model: request.model,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream
+    };
+    if (request.format === 'json') {
+      body.response_format = { type: 'json_object' };
+    } else if (request.format) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: request.format } };
+    }
+    return body;
+  }
+
+  async generate(request) {
+    const response = await this.post(this.apiUrl('/chat/completions'), this.buildBody(request, false), {
+      signal: request.signal,
+      headers: this.headers(),
+      timeout: this.generateTimeout
+    });
+    const data = await response.json();
+    return {
+      text: (data.choices?.[0]?.message?.content || '').trim(),
+      model: request.model,
+      tokens: data.usage?.completion_tokens || 0,
+      promptTokens: data.usage?.prompt_tokens || 0
+    };
+  }
+
+  async stream(request, onToken) {
+    const response = await this.post(this.apiUrl('/chat/completions'), this.buildBody(request, true), {
+      signal: request.signal,
+      headers: this.headers(),
+      timeout: this.generateTimeout
+    });
+    let text = '';
+    let tokens = 0;
+    let promptTokens = 0;
+
+    await this.readLines(response, (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const data = JSON.parse(payload);
+      if (data.error) throw new Error(data.error.message || data.error);
+      const token = data.choices?.[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      if (data.usage) {
+        tokens = data.usage.completion_tokens || 0;
+        promptTokens = data.usage.prompt_tokens || 0;
+      }
+    });
+
+    return { text: text.trim(), model: request.model, tokens, promptTokens };
+  }
+
+  async listModels() {
+    const response = await fetch(this.apiUrl('/models'), {
+      headers: this.headers(),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) throw new ProviderError(`Model list failed: ${response.status}`, response.status);
+    const data = await response.json();
+    return (data.data || []).map(m => m.id);
+  }
+
+  async embed(request) {
+    const response = await this.post(this.apiUrl('/embeddings'), { model: request.model, input: request.input }, {
+      signal: request.signal,
+      headers: this.headers()
+    });
+    const data = await response.json();
+    return {
+      // Entries carry an index; servers are not required to keep input order
+      embeddings: [...(data.data || [])].sort((a, b) => a.index - b.index).map(d => d.embedding),
+      model: request.model,
+      promptTokens: data.usage?.prompt_tokens || 0
+    };
+  }
+}
+
+/**
+ * Generic chat-messages /v1/messages
+ * System prompt is a top-level field and responses come back as content blocks.
+ * There is no output-format switch; `format` is ignored and the prompt carries the schema.
+ */
+class ChatMessagesProvider extends BaseProvider {
+  get type() { return 'chat'; }
+
+  headers() {
+    const headers = { 'anthropic-version': '2023-06-01' };
+    if (this.apiKey) headers['x-api-key'] = this.apiKey;
+    return headers;
+  }
+
+  buildBody(request, stream) {
+    const body = {
+      model: request.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream
+    };
+    if (request.system) body.system = request.system;
+    return body;
+  }
+
+  async generate(request) {
+    const response = await this.post(this.apiUrl('/messages'), this.buildBody(request, false), {
+      signal: request.signal,
+      headers: this.headers(),
+      timeout: this.generateTimeout
+    });
+    const data = await response.json();
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return {
+      text: text.trim(),
+      model: request.model,
+      tokens: data.usage?.output_tokens || 0,
+      promptTokens: data.usage?.input_tokens || 0
+    };
+  }
+
+  async stream(request, onToken) {
+    const response = await this.post(this.apiUrl('/messages'), this.buildBody(request, true), {
+      signal: request.signal,
+      headers: this.headers(),
+      timeout: this.generateTimeout
+    });
+    let text = '';
+    let tokens = 0;
+    let promptTokens = 0;
+
+    await this.readLines(response, (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = JSON.parse(line.slice(5).trim());
+      if (data.type === 'error') throw new Error(data.error?.message || 'Stream error');
+      if (data.type === 'message_start') promptTokens = data.message?.usage?.input_tokens || 0;
+      if (data.type === 'content_block_delta' && data.delta?.text) {
+        text += data.delta.text;
+        onToken(data.delta.text);
+      }
+      if (data.type === 'message_delta' && data.usage) tokens = data.usage.output_tokens || 0;
+    });
+
+    return { text: text.trim(), model: request.model, tokens, promptTokens };
+  }
+
+  async listModels() {
+    const response = await fetch(this.apiUrl('/models'), {
+      headers: this.headers(),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) throw new ProviderError(`Model list failed: ${response.status}`, response.status);
+    const data = await response.json();
+    return (data.data || []).map(m => m.id);
+  }
+}
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  chat: ChatMessagesProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider instance
+ * @param {string} type - 'ollama' | 'openai' | 'chat' | 'mock'
+ * @param {object} options - { endpoint, apiKeyEnv, timeout, generateTimeout, retry }
+ * @returns {BaseProvider}
+ */
+function createProvider(type = 'ollama', options = {}) {
+  const Provider = PROVIDERS[type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${type} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createProvider,
+  PROVIDER_TYPES: Object.keys(PROVIDERS),
+  DEFAULT_ENDPOINTS,
+  ProviderError,
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  ChatMessagesProvider
+};
@@ -0,0 +1,307 @@
+/**
+ * Mock LLM Provider
+ * Offline, deterministic stand-in for a model server (demos, tests, no Ollama)
+ *
+ * Used for every task when `"mock": true` is set in config/llm-config.json or
+ * MOCK_LLM=1 is in the environment, or per task by picking the "mock"
+ * provider in Settings. Replies are derived from the prompt alone, so the
+ * same prompt always gives the same reply:
+ *   JSON schema   - entities from EntityExtractor.patternExtract, shaped to the schema
+ *   query (Ask)   - quotes the [Evidence n] blocks it was given
+ *   standup       - groups the "- [type] content" marker lines
+ *   trend         - first and latest timeline entries
+ *   analysis      - the Dutch headings the analysis templates ask for
+ *   translation   - the input text unchanged
+ *   anything else - a short summary with the entities found
+ *   embeddings    - hashed bag-of-words vectors (shared words mean similar vectors)
+ */
+
+const { validate } = require('./structured-output');
+
+const MOCK_MODEL = 'mock';
+const EMBEDDING_DIMENSIONS = 256;
+
+// Labels after which the built-in prompt templates place their input
+const INPUT_LABEL_PATTERN = /^(?:TEXT|Text|ANALYSIS|DOCUMENT(?: DEEL \d+\/\d+)?|DEELANALYSES|USER INPUT|Term):[ \t]*/gm;
+
+// patternExtract entity types that fill an array property, by property name
+const ENTITY_POOLS = {
+  people: ['person'],
+  projects: ['project'],
+  systems: ['system'],
+  organizations: ['organization', 'team'],
+  actors: ['person', 'role', 'team', 'organization'],
+  entities: null
+};
+
+// Marker types per standup section; everything else counts as "what happened"
+const PLANNED_MARKERS = ['action', 'promise'];
+const BLOCKER_MARKERS = ['blocker', 'risk', 'question'];
+
+/**
+ * The part of a prompt that holds the user's text
+ * Instructions (and their example names) are left out so they do not end up
+ * in the extracted entities.
+ */
+function extractInput(prompt) {
+  const quoted = prompt.match(/"""\n?([\s\S]*?)\n?"""/);
+  if (quoted) return quoted[1].trim();
+
+  let start = -1;
+  for (const match of prompt.matchAll(INPUT_LABEL_PATTERN)) {
+    start = match.index + match[0].length;
+  }
+  if (start === -1) return prompt.trim();
+
+  return prompt.slice(start)
+    // Trailing answer label such as "JSON:" or "RESPONSE:"
+    .replace(/\n\s*[A-Z][A-Za-z ]*:\s*$/, '')
+    .trim()
+    .replace(/^"([\s\S]*)"$/, '$1');
+}
+
+function firstSentence(text, maxLength = 200) {
+  // Search snippets carry <mark> highlights and markdown headings
+  const body = text.replace(/<[^>]+>/g, '').replace(/^#+\s.*$/gm, '').trim() || text.replace(/[#<>]/g, '');
+  const clean = body.replace(/\s+/g, ' ').replace(/^\.{3}|\.{3}$/g, '').trim();
+  const sentence = clean.match(/^.*?[.!?](?=\s|$)/);
+  const result = sentence ? sentence[0] : clean;
+  return result.length > maxLength ? `${result.slice(0, maxLength - 3)}...` : result;
+}
+
+/**
+ * Feature-hashed word vector; words are cut to six letters as a crude stemmer
+ */
+function hashEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (const char of word.slice(0, 6)) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  }
+  return vector;
+}
+
+function patternExtract(text) {
+  // Required lazily: entity-extractor depends on llm-manager, which loads the providers
+  return require('./entity-extractor').patternExtract(text);
+}
+
+class MockProvider {
+  get type() { return 'mock'; }
+
+  async generate(request) {
+    if (request.signal?.aborted) throw new Error('Request aborted');
+    return this.respond(request);
+  }
+
+  async stream(request, onToken) {
+    const result = this.respond(request);
+    for (const token of result.text.match(/\S+\s*/g) || []) {
+      if (request.signal?.aborted) throw new Error('Request aborted');
+      onToken(token);
+    }
+    return result;
+  }
+
+  async listModels() {
+    return [MOCK_MODEL];
+  }
+
+  async embed(request) {
+    return {
+      embeddings: request.input.map(hashEmbedding),
+      model: MOCK_MODEL,
+      promptTokens: Math.ceil(request.input.join('').length / 4)
+    };
+  }
+
+  respond(request) {
+    const text = request.format ? JSON.stringify(this.buildJson(request)) : this.buildText(request);
+    return {
+      text,
+      model: MOCK_MODEL,
+      tokens: text.split(/\s+/).filter(Boolean).length,
+      promptTokens: Math.ceil(((request.system || '').length + request.prompt.length) / 4)
+    };
+  }
+
+  // ------------------------------------------------------------
+  // JSON
+  // ------------------------------------------------------------
+
+  buildJson(request) {
+    const extraction = patternExtract(extractInput(request.prompt));
+    if (request.format === 'json') {
+      return { entities: extraction.entities, relationships: extraction.relationships, sections: extraction.sections };
+    }
+    return this.fillSchema(request.format, extraction);
+  }
+
+  /**
+   * Build a value that satisfies the schema, using the extracted entities
+   * for arrays whose property name says what they hold
+   */
+  fillSchema(schema, extraction, name = null) {
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    const nullable = Array.isArray(schema.type) && schema.type.includes('null');
+
+    switch (type) {
+      case 'object': {
+        const value = {};
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+          value[key] = this.fillSchema(propSchema, extraction, key);
+        }
+        return value;
+      }
+      case 'array':
+        return this.fillArray(schema, extraction, name);
+      case 'number':
+      case 'integer':
+        return nullable ? null : schema.minimum ?? 0;
+      case 'boolean':
+        return nullable ? null : false;
+      case 'null':
+        return null;
+      default:
+        if (nullable) return null;
+        return schema.enum ? schema.enum[0] : '';
+    }
+  }
+
+  fillArray(schema, extraction, name) {
+    if (!schema.items) return [];
+
+    let records;
+    if (name === 'relationships') {
+      records = extraction.relationships.map(r => ({ ...r, from: r.source, to: r.target }));
+    } else if (name === null || name in ENTITY_POOLS) {
+      // A top-level array is a plain entity list
+      const types = name === null ? null : ENTITY_POOLS[name];
+      records = extraction.entities.filter(e => !types || types.includes(e.type));
+    } else {
+      // decisions, actions, sections: nothing to derive from patterns
+      return [];
+    }
+
+    return records
+      .map(record => this.fillItem(schema.items, record, extraction))
+      // Drops records the item schema rejects, e.g. a type outside its enum
+      .filter(item => item !== undefined && validate(item, schema.items).length === 0);
+  }
+
+  fillItem(itemSchema, record, extraction) {
+    const type = Array.isArray(itemSchema.type) ? itemSchema.type[0] : itemSchema.type;
+    if (type === 'string') return record.name;
+    if (type !== 'object') return undefined;
+
+    const item = {};
+    for (const [key, propSchema] of Object.entries(itemSchema.properties || {})) {
+      item[key] = record[key] !== undefined ? record[key] : this.fillSchema(propSchema, extraction, key);
+    }
+    return item;
+  }
+
+  // ------------------------------------------------------------
+  // Text
+  // ------------------------------------------------------------
+
+  buildText(request) {
+    switch (request.task) {
+      case 'query': return this.answerFromEvidence(request.prompt);
+      case 'standup': return this.summarizeMarkers(request.prompt);
+      case 'trend': return this.describeTimeline(request.prompt);
+      case 'analysis': return this.analyzeDocument(request.prompt);
+      case 'translation': return extractInput(request.prompt);
+      default: return this.summarizeInput(request.prompt);
+    }
+  }
+
+  answerFromEvidence(prompt) {
+    const headers = [...prompt.matchAll(/^\[Evidence (\d+)\] ([^\n]*)$/gm)];
+    if (headers.length === 0) {
+      return "The evidence doesn't contain enough information to answer this question.";
+    }
+
+    const quotes = headers.map((header, i) => {
+      const end = i + 1 < headers.length ? headers[i + 1].index : prompt.length;
+      const snippet = prompt.slice(header.index + header[0].length, end)
+        .split(/\n\n---|\n\n[A-Z][A-Z ]+:/)[0];
+      return `- "${firstSentence(snippet)}" [Evidence ${header[1]}]`;
+    });
+
+    return `Based on ${headers.length} evidence item${headers.length === 1 ? '' : 's'}:\n\n${quotes.join('\n')}`;
+  }
+
+  summarizeMarkers(prompt) {
+    const markers = [...prompt.matchAll(/^- \[(\w+)\] (.+)$/gm)].map(m => ({ type: m[1], content: m[2] }));
+    const section = (title, items) => `**${title}**\n${items.length
+      ? items.map(m => `- ${m.content}`).join('\n')
+      : '- Nothing recorded'}`;
+
+    return [
+      section('What happened', markers.filter(m => !PLANNED_MARKERS.includes(m.type) && !BLOCKER_MARKERS.includes(m.type))),
+      section("What's planned", markers.filter(m => PLANNED_MARKERS.includes(m.type))),
+      section('Blockers & risks', markers.filter(m => BLOCKER_MARKERS.includes(m.type)))
+    ].join('\n\n');
+  }
+
+  describeTimeline(prompt) {
+    // Events are "date: snippet [tags]" blocks separated by blank lines
+    const headers = [...prompt.matchAll(/^(\d{4}-\d{2}-\d{2}): /gm)];
+    const events = headers.map((header, i) => {
+      const end = i + 1 < headers.length ? headers[i + 1].index : prompt.length;
+      const text = prompt.slice(header.index + header[0].length, end).split(/\n\n[A-Z][A-Z ]+:/)[0];
+      return { date: header[1], text };
+    });
+    const topic = prompt.match(/topic: "([^"]+)"/)?.[1] || 'this topic';
+    if (events.length === 0) {
+      return `No timeline events were found for ${topic}.`;
+    }
+
+    const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date));
+    const first = sorted[0];
+    const latest = sorted[sorted.length - 1];
+    return [
+      `1. ${topic} is mentioned ${events.length} time${events.length === 1 ? '' : 's'} between ${first.date} and ${latest.date}.`,
+      `2. First mention (${first.date}): ${firstSentence(first.text)}`,
+      `   Latest mention (${latest.date}): ${firstSentence(latest.text)}`,
+      `3. Review the notes from ${latest.date} for the current state.`
+    ].join('\n');
+  }
+
+  analyzeDocument(prompt) {
+    const input = extractInput(prompt);
+    const { entities } = patternExtract(input);
+    const list = (types, fallback) => {
+      const items = entities.filter(e => types.includes(e.type));
+      return items.length ? items.map(e => `- **${e.name}**: ${e.type}`).join('\n') : fallback;
+    };
+
+    return [
+      `## Samenvatting\n${firstSentence(input)}`,
+      `## Systemen & Componenten\n${list(['system'], 'Geen systemen gevonden.')}`,
+      `## Actoren\n${list(['person', 'role', 'team', 'organization'], 'Geen actoren gevonden.')}`,
+      '## Relaties\nGeen relaties gevonden.',
+      '## Beslissingen\nGeen beslissingen gevonden.',
+      "## Risico's\nGeen risico's gevonden."
+    ].join('\n\n');
+  }
+
+  summarizeInput(prompt) {
+    const input = extractInput(prompt);
+    const { entities } = patternExtract(input);
+    const sentences = (input.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim());
+
+    let text = `## Summary\n${sentences.slice(0, 3).join(' ') || '(empty input)'}`;
+    if (entities.length > 0) {
+      text += `\n\n## Entities\n${entities.map(e => `- ${e.name} (${e.type})`).join('\n')}`;
+    }
+    return text;
+  }
+}
+
+module.exports = { MockProvider, MOCK_MODEL, extractInput };
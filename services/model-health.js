@@ -0,0 +1,270 @@
+/**
+ * Model Health Monitor
+ * Rolling error rates and latency per model, plus periodic model-list probes
+ *
+ * LLMManager reports every model attempt here and asks for the order in which
+ * to try a task's models. Models that are failing (error rate over the
+ * threshold, or several failures in a row) or that a probe found missing are
+ * demoted to the end of the list instead of being dropped, so they are still
+ * tried when nothing else answers and recover as soon as they succeed again.
+ *
+ * Probes list the installed models once per provider endpoint, so availability
+ * checks reuse the last listing instead of hitting /api/tags on every call.
+ * Settings are the `health` section of config/llm-config.json.
+ */
+
+const { getDb } = require('../db/connection');
+
+const DEFAULTS = {
+  probeIntervalMs: 60000,
+  windowSize: 20,
+  windowMinutes: 15,
+  minSamples: 3,
+  errorRateThreshold: 0.5,
+  consecutiveFailures: 3
+};
+
+// llm_calls statuses that say nothing about the model itself
+const IGNORED_STATUSES = ['cached', 'aborted'];
+
+function modelKey(provider, model) {
+  return `${provider}|${model}`;
+}
+
+function endpointKey(provider, endpoint) {
+  return `${provider}|${endpoint || ''}`;
+}
+
+/**
+ * Ollama lists "mistral:latest" for a model configured as "mistral"
+ */
+function isListed(models, model) {
+  return models.includes(model) || (!model.includes(':') && models.includes(`${model}:latest`));
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+class ModelHealth {
+  /**
+   * @param {object} config - `health` section of llm-config.json
+   */
+  constructor(config = {}) {
+    this.settings = { ...DEFAULTS, ...config };
+    this.outcomes = new Map();
+    this.probes = new Map();
+    this.demoted = new Map();
+    this.lastProbeAt = null;
+    this.intervalId = null;
+  }
+
+  get isRunning() {
+    return this.intervalId !== null;
+  }
+
+  /**
+   * Start probing in the background
+   * @param {Function} probe - async function that runs one probe round
+   */
+  start(probe) {
+    if (this.intervalId) return;
+
+    this.seed();
+    const run = () => probe().catch(err => console.error('[Health] Probe failed:', err.message));
+    run();
+    this.intervalId = setInterval(run, this.settings.probeIntervalMs);
+    // Never keep the process alive just for probing
+    this.intervalId.unref();
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Fill the windows from llm_calls so a restart does not forget a failing model
+   */
+  seed() {
+    const db = getDb();
+    if (!db) return;
+
+    try {
+      const rows = db.prepare(`
+        SELECT provider, model, status, error, latency_ms, created_at
+        FROM llm_calls
+        WHERE created_at >= datetime('now', ?)
+        ORDER BY id ASC
+      `).all(`-${this.settings.windowMinutes} minutes`);
+
+      rows.forEach(row => this.record({
+        provider: row.provider,
+        model: row.model,
+        status: row.status,
+        error: row.error,
+        latencyMs: row.latency_ms,
+        at: Date.parse(`${row.created_at.replace(' ', 'T')}Z`)
+      }));
+    } catch (e) {
+      console.error('[Health] Could not read llm_calls:', e.message);
+    }
+  }
+
+  /**
+   * Add one model attempt to its rolling window
+   * @param {object} call - { provider, model, status, latencyMs, error, at }
+   */
+  record(call) {
+    if (!call.model || IGNORED_STATUSES.includes(call.status)) return;
+
+    const key = modelKey(call.provider, call.model);
+    const window = this.outcomes.get(key) || [];
+    window.push({
+      ok: call.status === 'ok',
+      latencyMs: call.latencyMs ?? null,
+      error: call.error || (call.status === 'ok' ? null : call.status),
+      at: call.at || Date.now()
+    });
+    if (window.length > this.settings.windowSize) window.shift();
+    this.outcomes.set(key, window);
+
+    this.updateDemotion(call.provider, call.model);
+  }
+
+  /**
+   * Store the result of listing an endpoint's models
+   * @param {object} probe - { provider, endpoint, reachable, models, latencyMs, error }
+   */
+  recordProbe(probe) {
+    const checkedAt = Date.now();
+    this.probes.set(endpointKey(probe.provider, probe.endpoint), { ...probe, checkedAt });
+    this.lastProbeAt = checkedAt;
+  }
+
+  /**
+   * Latest listing for an endpoint, or null when missing or older than one probe interval
+   */
+  getProbe(provider, endpoint, maxAgeMs = this.settings.probeIntervalMs) {
+    const probe = this.probes.get(endpointKey(provider, endpoint));
+    if (!probe || Date.now() - probe.checkedAt > maxAgeMs) return null;
+    return probe;
+  }
+
+  /**
+   * Outcomes inside the time window
+   */
+  recent(provider, model) {
+    const since = Date.now() - this.settings.windowMinutes * 60000;
+    return (this.outcomes.get(modelKey(provider, model)) || []).filter(o => o.at >= since);
+  }
+
+  /**
+   * Why a model should be demoted, or null when it is fine
+   * @param {string} provider
+   * @param {string} model
+   * @param {string} endpoint - checked against the last probe of that endpoint
+   */
+  demotionReason(provider, model, endpoint) {
+    const probe = this.probes.get(endpointKey(provider, endpoint));
+    if (probe?.reachable && provider !== 'mock' && !isListed(probe.models, model)) {
+      return 'not installed';
+    }
+
+    const window = this.recent(provider, model);
+    const { consecutiveFailures, minSamples, errorRateThreshold } = this.settings;
+    const tail = window.slice(-consecutiveFailures);
+    if (tail.length === consecutiveFailures && tail.every(o => !o.ok)) {
+      return `${consecutiveFailures} failures in a row`;
+    }
+
+    const failures = window.filter(o => !o.ok).length;
+    if (window.length >= minSamples && failures / window.length >= errorRateThreshold) {
+      return `${Math.round((failures / window.length) * 100)}% errors`;
+    }
+    return null;
+  }
+
+  updateDemotion(provider, model) {
+    const key = modelKey(provider, model);
+    const reason = this.demotionReason(provider, model, null);
+    if (reason && !this.demoted.has(key)) {
+      console.log(`[Health] Demoted ${model} (${provider}): ${reason}`);
+      this.demoted.set(key, reason);
+    } else if (!reason && this.demoted.has(key)) {
+      console.log(`[Health] ${model} (${provider}) recovered`);
+      this.demoted.delete(key);
+    }
+  }
+
+  /**
+   * Order a task's models for trying: healthy models keep their configured
+   * order, demoted models follow in theirs
+   * @param {string} provider
+   * @param {string} endpoint
+   * @param {string[]} models - primary first, then fallbacks
+   * @returns {string[]}
+   */
+  rank(provider, endpoint, models) {
+    const healthy = [];
+    const demoted = [];
+    models.forEach(model => {
+      (this.demotionReason(provider, model, endpoint) ? demoted : healthy).push(model);
+    });
+    return [...healthy, ...demoted];
+  }
+
+  /**
+   * Health of one model for the Settings page
+   */
+  getModelStats(provider, model, endpoint) {
+    const window = this.recent(provider, model);
+    const latencies = window.filter(o => o.ok && o.latencyMs !== null).map(o => o.latencyMs);
+    const failures = window.filter(o => !o.ok);
+    const lastSuccess = [...window].reverse().find(o => o.ok);
+    const lastFailure = failures[failures.length - 1];
+    const probe = this.probes.get(endpointKey(provider, endpoint));
+    const reason = this.demotionReason(provider, model, endpoint);
+
+    let status = 'unknown';
+    if (reason) status = 'demoted';
+    else if (failures.length > 0) status = 'degraded';
+    else if (window.length > 0 || probe?.reachable) status = 'healthy';
+
+    return {
+      provider,
+      model,
+      status,
+      reason,
+      installed: probe?.reachable && provider !== 'mock' ? isListed(probe.models, model) : null,
+      samples: window.length,
+      errorRate: window.length ? Math.round((failures.length / window.length) * 1000) / 1000 : null,
+      avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      p95LatencyMs: percentile(latencies, 0.95),
+      lastError: lastFailure?.error || null,
+      lastSuccessAt: lastSuccess ? new Date(lastSuccess.at).toISOString() : null,
+      lastFailureAt: lastFailure ? new Date(lastFailure.at).toISOString() : null
+    };
+  }
+
+  /**
+   * Endpoint probe results for the Settings page
+   */
+  getProbes() {
+    return [...this.probes.values()].map(p => ({
+      provider: p.provider,
+      endpoint: p.endpoint,
+      reachable: p.reachable,
+      modelCount: p.models ? p.models.length : 0,
+      latencyMs: p.latencyMs,
+      error: p.error || null,
+      checkedAt: new Date(p.checkedAt).toISOString()
+    }));
+  }
+}
+
+module.exports = { ModelHealth, isListed };
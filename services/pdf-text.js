@@ -0,0 +1,527 @@
+/**
+ * PDF Text
+ * Extracts the text of a PDF page by page, without native tools
+ *
+ * Covers what office suites and browsers write: objects in the file body and
+ * in object streams, Flate-compressed streams, and fonts with a ToUnicode map
+ * (single-byte fonts without one are read as Windows-1252). Text inside form
+ * XObjects is included. Layout is approximated from the text-positioning
+ * operators: a vertical move starts a new line and a wide gap becomes a
+ * space. Scanned pages without a text layer come out empty.
+ */
+
+const zlib = require('zlib');
+
+const MAX_FORM_DEPTH = 5;
+const WORD_GAP = -200; // TJ adjustment (thousandths of an em) read as a space
+const cp1252 = new TextDecoder('windows-1252');
+
+// ============================================================
+// Objects
+// ============================================================
+
+/**
+ * Every `n g obj ... endobj` in the file; a later definition of the same
+ * number (an incremental update) replaces the earlier one
+ * @param {string} data - file as a latin1 string
+ * @returns {Map<number, {dict: string, stream: string|null}>}
+ */
+function readObjects(data) {
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = header.exec(data)) !== null) {
+    const start = header.lastIndex;
+    const endAt = data.indexOf('endobj', start);
+    if (endAt === -1) break;
+
+    const streamAt = data.indexOf('stream', start);
+    let next = endAt;
+    let object;
+
+    if (streamAt !== -1 && streamAt < endAt) {
+      const dict = data.substring(start, streamAt);
+      let from = streamAt + 'stream'.length;
+      if (data[from] === '\r') from++;
+      if (data[from] === '\n') from++;
+
+      // /Length may be an indirect reference; then the stream runs to endstream
+      const length = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+      let to = length ? from + parseInt(length[1]) : -1;
+      if (to === -1 || to > data.length || data.substring(to, to + 32).indexOf('endstream') === -1) {
+        to = data.indexOf('endstream', from);
+        if (to === -1) to = data.length;
+        if (data[to - 1] === '\n') to--;
+        if (data[to - 1] === '\r') to--;
+      }
+      object = { dict, stream: data.substring(from, to) };
+      next = data.indexOf('endobj', to);
+      if (next === -1) next = data.length;
+    } else {
+      object = { dict: data.substring(start, endAt), stream: null };
+    }
+
+    objects.set(Number(match[1]), object);
+    header.lastIndex = next;
+  }
+
+  // Objects packed into object streams (PDF 1.5+)
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+    const decoded = decodeStream(object);
+    const first = parseInt(valueOf(object.dict, 'First'));
+    if (decoded === null || Number.isNaN(first)) continue;
+
+    const numbers = decoded.substring(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+      const end = i + 3 < numbers.length ? first + numbers[i + 3] : decoded.length;
+      if (!objects.has(numbers[i])) {
+        objects.set(numbers[i], { dict: decoded.substring(first + numbers[i + 1], end), stream: null });
+      }
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Stream data with its filters applied, as a latin1 string; null for
+ * filters other than Flate (images, mostly)
+ */
+function decodeStream(object) {
+  if (!object || object.stream === null) return null;
+
+  const filter = valueOf(object.dict, 'Filter') || '';
+  let buffer = Buffer.from(object.stream, 'latin1');
+  for (const name of filter.match(/\/\w+/g) || []) {
+    if (name !== '/FlateDecode' && name !== '/Fl') return null;
+    try {
+      buffer = zlib.inflateSync(buffer);
+    } catch (e) {
+      try {
+        buffer = zlib.inflateSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (e2) {
+        return null;
+      }
+    }
+  }
+  return buffer.toString('latin1');
+}
+
+function skipLiteral(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i + 1;
+  }
+  return text.length;
+}
+
+/**
+ * Text of the balanced `<< >>` or `[ ]` starting at `start`
+ */
+function balanced(text, start, open, close) {
+  let depth = 0;
+  let i = start;
+  while (i < text.length) {
+    if (text.startsWith(open, i)) {
+      depth++;
+      i += open.length;
+    } else if (text.startsWith(close, i)) {
+      depth--;
+      i += close.length;
+      if (depth === 0) return text.substring(start, i);
+    } else if (text[i] === '(') {
+      i = skipLiteral(text, i);
+    } else {
+      i++;
+    }
+  }
+  return text.substring(start);
+}
+
+/**
+ * Raw value of a dictionary key: a reference, dictionary, array, name or number
+ */
+function valueOf(dict, key) {
+  const match = new RegExp(`/${key}(?![\\w.#-])`).exec(dict);
+  if (!match) return null;
+
+  let i = match.index + match[0].length;
+  while (/\s/.test(dict[i])) i++;
+  if (dict.startsWith('<<', i)) return balanced(dict, i, '<<', '>>');
+  if (dict[i] === '[') return balanced(dict, i, '[', ']');
+  const value = dict.substring(i).match(/^(\d+\s+\d+\s+R|\/[^\s/[\]<>()]+|[-+\d.]+|true|false)/);
+  return value ? value[1] : null;
+}
+
+function refsIn(text) {
+  return [...(text || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+}
+
+/**
+ * Dictionary text of a value that is either inline or a reference
+ */
+function resolveDict(objects, value) {
+  if (!value) return null;
+  if (value.startsWith('<<')) return value;
+  const [ref] = refsIn(value);
+  return ref !== undefined && objects.has(ref) ? objects.get(ref).dict : null;
+}
+
+/**
+ * Name -> object number entries of a resource dictionary such as /Font
+ */
+function namedRefs(dict) {
+  const entries = new Map();
+  for (const m of (dict || '').matchAll(/\/([^\s/[\]<>()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    entries.set(m[1], Number(m[2]));
+  }
+  return entries;
+}
+
+// ============================================================
+// Pages
+// ============================================================
+
+/**
+ * Pages in document order, each with the resources it uses (own or inherited)
+ * @returns {Array<{dict: string, resources: string|null}>}
+ */
+function listPages(objects) {
+  const pages = [];
+  const visited = new Set();
+
+  const walk = (number, inheritedResources) => {
+    if (visited.has(number) || !objects.has(number)) return;
+    visited.add(number);
+    const { dict } = objects.get(number);
+    const resources = resolveDict(objects, valueOf(dict, 'Resources')) || inheritedResources;
+
+    if (/\/Type\s*\/Pages\b/.test(dict)) {
+      refsIn(valueOf(dict, 'Kids')).forEach(kid => walk(kid, resources));
+    } else if (/\/Type\s*\/Page\b/.test(dict)) {
+      pages.push({ dict, resources });
+    }
+  };
+
+  const catalog = [...objects.values()].find(o => /\/Type\s*\/Catalog\b/.test(o.dict));
+  const [root] = catalog ? refsIn(valueOf(catalog.dict, 'Pages')) : [];
+  if (root !== undefined) walk(root, null);
+
+  if (pages.length === 0) {
+    // No usable page tree: every page object in file order
+    [...objects.keys()].sort((a, b) => a - b).forEach(number => walk(number, null));
+  }
+  return pages;
+}
+
+// ============================================================
+// Fonts
+// ============================================================
+
+function utf16(hex) {
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.substring(i, i + 4), 16));
+  if (hex.length % 4 === 2) text += String.fromCharCode(parseInt(hex.slice(-2), 16));
+  return text;
+}
+
+/**
+ * Code -> Unicode map of a ToUnicode CMap
+ * @returns {{codeBytes: number, map: Map<number, string>}}
+ */
+function parseCMap(text) {
+  const map = new Map();
+  const range = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeBytes = range ? Math.max(1, Math.ceil(range[1].length / 2)) : 1;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(m[1], 16), utf16(m[2]));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(m[1], 16);
+      const high = Math.min(parseInt(m[2], 16), low + 0xffff);
+      if (m[3].startsWith('[')) {
+        const targets = [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(t => utf16(t[1]));
+        targets.forEach((target, i) => { if (low + i <= high) map.set(low + i, target); });
+      } else {
+        const base = utf16(m[3].slice(1, -1));
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+
+  return { codeBytes, map };
+}
+
+/**
+ * Decoder for the strings shown with a font
+ * @returns {function(string): string} latin1 byte string -> text
+ */
+function fontDecoder(objects, number) {
+  const font = objects.get(number);
+  if (!font) return bytes => cp1252.decode(Buffer.from(bytes, 'latin1'));
+
+  const [toUnicode] = refsIn(valueOf(font.dict, 'ToUnicode'));
+  const cmapText = toUnicode !== undefined ? decodeStream(objects.get(toUnicode)) : null;
+  const composite = /\/Subtype\s*\/Type0\b/.test(font.dict);
+
+  if (cmapText) {
+    const { codeBytes, map } = parseCMap(cmapText);
+    const width = composite ? Math.max(codeBytes, 2) : codeBytes;
+    return bytes => {
+      let text = '';
+      for (let i = 0; i + width <= bytes.length; i += width) {
+        let code = 0;
+        for (let b = 0; b < width; b++) code = code * 256 + bytes.charCodeAt(i + b);
+        const mapped = map.get(code);
+        if (mapped !== undefined) text += mapped;
+        else if (width === 1) text += cp1252.decode(Buffer.from([code]));
+      }
+      return text;
+    };
+  }
+
+  // Composite fonts without a map use glyph ids that cannot be turned into text
+  if (composite) return () => '';
+  return bytes => cp1252.decode(Buffer.from(bytes, 'latin1'));
+}
+
+// ============================================================
+// Content streams
+// ============================================================
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+/**
+ * Literal string at `start`, as a latin1 byte string
+ * @returns {[string, number]} value and the index after it
+ */
+function readLiteral(text, start) {
+  let value = '';
+  let depth = 0;
+  let i = start;
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\\') {
+      const next = text[++i];
+      if (ESCAPES[next]) value += ESCAPES[next];
+      else if (/[0-7]/.test(next)) {
+        const octal = text.substring(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += octal.length - 1;
+      } else if (next === '\r') {
+        if (text[i + 1] === '\n') i++;
+      } else if (next !== '\n') {
+        value += next;
+      }
+    } else if (c === '(') {
+      if (depth++ > 0) value += c;
+    } else if (c === ')') {
+      if (--depth === 0) return [value, i + 1];
+      value += c;
+    } else {
+      value += c;
+    }
+  }
+  return [value, i];
+}
+
+function hexBytes(hex) {
+  const clean = hex.replace(/\s/g, '');
+  let bytes = '';
+  for (let i = 0; i < clean.length; i += 2) bytes += String.fromCharCode(parseInt(clean.substring(i, i + 2).padEnd(2, '0'), 16));
+  return bytes;
+}
+
+/**
+ * Text shown by a content stream
+ * @param {string} content - decoded content stream
+ * @param {object} context - { objects, resources, depth, decoders: Map<number, function> }
+ */
+function contentText(content, context) {
+  const { objects, resources } = context;
+  const fonts = namedRefs(resolveDict(objects, valueOf(resources || '', 'Font')));
+  const xobjects = namedRefs(resolveDict(objects, valueOf(resources || '', 'XObject')));
+
+  let out = '';
+  let decode = bytes => cp1252.decode(Buffer.from(bytes, 'latin1'));
+  let lastY = null;
+  let operands = [];
+  const stack = [];
+
+  const newline = () => { if (out && !out.endsWith('\n')) out += '\n'; };
+  const space = () => { if (out && !/\s$/.test(out)) out += ' '; };
+
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (c === '(') {
+      const [value, next] = readLiteral(content, i);
+      operands.push({ string: value });
+      i = next;
+    } else if (c === '<' && content[i + 1] === '<') {
+      i += balanced(content, i, '<<', '>>').length;
+      operands.push({ dict: true });
+    } else if (c === '<') {
+      const end = content.indexOf('>', i);
+      operands.push({ string: hexBytes(content.substring(i + 1, end === -1 ? content.length : end)) });
+      i = end === -1 ? content.length : end + 1;
+    } else if (c === '[') {
+      stack.push(operands);
+      operands = [];
+      i++;
+    } else if (c === ']') {
+      const array = operands;
+      operands = stack.pop() || [];
+      operands.push({ array });
+      i++;
+    } else if (c === '/') {
+      const name = content.substring(i + 1).match(/^[^\s/[\]<>()%{}]*/)[0];
+      operands.push({ name });
+      i += name.length + 1;
+    } else if (/[-+.\d]/.test(c)) {
+      const number = content.substring(i).match(/^[-+]?(\d+\.?\d*|\.\d+)/);
+      operands.push(number ? Number(number[0]) : 0);
+      i += number ? number[0].length : 1;
+    } else {
+      const op = content.substring(i).match(/^[A-Za-z'"*]+|^./)[0];
+      i += op.length;
+
+      switch (op) {
+        case 'Tf': {
+          const ref = fonts.get(operands[0]?.name);
+          if (ref !== undefined) {
+            if (!context.decoders.has(ref)) context.decoders.set(ref, fontDecoder(objects, ref));
+            decode = context.decoders.get(ref);
+          }
+          break;
+        }
+        case 'Tj':
+          if (operands[0]?.string !== undefined) out += decode(operands[0].string);
+          break;
+        case "'":
+        case '"':
+          newline();
+          if (operands[operands.length - 1]?.string !== undefined) out += decode(operands[operands.length - 1].string);
+          break;
+        case 'TJ':
+          for (const part of operands[0]?.array || []) {
+            if (part.string !== undefined) out += decode(part.string);
+            else if (typeof part === 'number' && part < WORD_GAP) space();
+          }
+          break;
+        case 'Td':
+        case 'TD':
+          if (operands[1]) newline();
+          else if (operands[0] > 0) space();
+          break;
+        case 'T*':
+          newline();
+          break;
+        case 'Tm': {
+          const y = operands[5];
+          if (lastY !== null && Math.abs(y - lastY) > 1) newline();
+          else space();
+          lastY = y;
+          break;
+        }
+        case 'Do': {
+          const ref = xobjects.get(operands[0]?.name);
+          const form = objects.get(ref);
+          if (form && context.depth < MAX_FORM_DEPTH && /\/Subtype\s*\/Form\b/.test(form.dict)) {
+            const inner = decodeStream(form);
+            if (inner) {
+              newline();
+              out += contentText(inner, {
+                ...context,
+                resources: resolveDict(objects, valueOf(form.dict, 'Resources')) || resources,
+                depth: context.depth + 1
+              });
+              newline();
+            }
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image data runs up to EI
+          const end = content.substring(i).search(/\sEI(?=\s|$)/);
+          i = end === -1 ? content.length : i + end + 3;
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  return out;
+}
+
+function tidy(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Text of every page of a PDF
+ * @param {Buffer} buffer
+ * @returns {{title: string|null, pages: string[]}}
+ * @throws {Error} with status 400 for encrypted or unreadable files
+ */
+function extractPdfText(buffer) {
+  const data = buffer.toString('latin1');
+  if (!data.startsWith('%PDF')) {
+    throw Object.assign(new Error('Not a PDF file'), { status: 400 });
+  }
+  if (/\/Encrypt\s+(\d+\s+\d+\s+R|<<)/.test(data)) {
+    throw Object.assign(new Error('Encrypted PDFs are not supported. Remove the password and try again.'), { status: 400 });
+  }
+
+  const objects = readObjects(data);
+  const context = { objects, depth: 0, decoders: new Map() };
+
+  const pages = listPages(objects).map(page => {
+    const content = refsIn(valueOf(page.dict, 'Contents'))
+      .map(ref => decodeStream(objects.get(ref)))
+      .filter(Boolean)
+      .join('\n');
+    return tidy(contentText(content, { ...context, resources: page.resources }));
+  });
+
+  const info = [...objects.values()].find(o => /\/Title\s*[(<]/.test(o.dict) && /\/(Producer|Creator|CreationDate)\b/.test(o.dict));
+  let title = null;
+  if (info) {
+    const at = info.dict.search(/\/Title\s*[(<]/);
+    const start = info.dict.indexOf(info.dict.substring(at).match(/[(<]/)[0], at);
+    const raw = info.dict[start] === '('
+      ? readLiteral(info.dict, start)[0]
+      : hexBytes(info.dict.substring(start + 1, info.dict.indexOf('>', start)));
+    title = (raw.startsWith('þÿ') ? utf16(Buffer.from(raw.substring(2), 'latin1').toString('hex')) : cp1252.decode(Buffer.from(raw, 'latin1'))).trim() || null;
+  }
+
+  return { title, pages };
+}
+
+module.exports = { extractPdfText };
@@ -0,0 +1,541 @@
+/**
+ * Built-in Prompt Templates
+ * Version 0 of every key in the prompt registry (see prompt-templates.js)
+ *
+ * Bodies use {{variable}} placeholders and {{#variable}}...{{/variable}}
+ * sections that are only kept when the variable is not blank. `variables`
+ * lists what the calling route supplies; Settings shows it next to the editor.
+ */
+
+const DEFAULT_TEMPLATES = {
+  // ------------------------------------------------------------
+  // Ask
+  // ------------------------------------------------------------
+  'ask.system': {
+    description: 'Ask: system prompt for answering from evidence',
+    variables: {},
+    body: `You are a Product Owner assistant. Answer the question based ONLY on the provided evidence.
+If the evidence doesn't contain enough information, say so clearly.
+Cite evidence by number (e.g., [Evidence 1]) when making claims.
+Keep your answer concise and actionable.`
+  },
+
+  'ask.user': {
+    description: 'Ask: evidence and question',
+    variables: {
+      history: 'Earlier turns of the conversation as Q:/A: lines (empty for a first question)',
+      evidence: 'Numbered evidence snippets ([Evidence 1] filename ...)',
+      question: 'The question as typed'
+    },
+    body: `{{#history}}CONVERSATION SO FAR:
+{{history}}
+
+{{/history}}EVIDENCE:
+{{evidence}}
+
+QUESTION: {{question}}
+
+ANSWER:`
+  },
+
+  'ask.rewrite': {
+    description: 'Ask: follow-up question rewritten into a standalone search question',
+    variables: {
+      history: 'Earlier turns of the conversation as Q:/A: lines',
+      question: 'The follow-up as typed'
+    },
+    body: `Rewrite the follow-up question so it can be understood without the conversation.
+Replace pronouns and vague references ("she", "that project", "it") with the names they refer to.
+Keep the language of the follow-up. If it already stands on its own, return it unchanged.
+
+CONVERSATION:
+{{history}}
+
+FOLLOW-UP: {{question}}
+
+Return JSON: {"question": "<standalone question>"}`
+  },
+
+  'ask.rerank': {
+    description: 'Ask: relevance scores for retrieved passages (optional rerank)',
+    variables: {
+      question: 'The question as typed',
+      passages: 'Numbered candidate passages ([1] filename - section ...)'
+    },
+    body: `Rate how useful each passage is for answering the question.
+Score from 0 (unrelated) to 10 (answers it directly). Judge only the passage text.
+
+QUESTION: {{question}}
+
+PASSAGES:
+{{passages}}
+
+Return JSON: {"scores": [{"id": <passage number>, "score": <0-10>}]} with one entry per passage.`
+  },
+
+  // ------------------------------------------------------------
+  // Trend
+  // ------------------------------------------------------------
+  'trend.analysis': {
+    description: 'Trend: analysis of a topic timeline',
+    variables: {
+      topic: 'Topic being tracked',
+      event_count: 'Number of timeline events',
+      earliest: 'Date of the first event',
+      latest: 'Date of the last event',
+      timeline: 'One "date: snippet [tags]" line per event',
+      tag_distribution: 'Semantic tag counts, or "None"'
+    },
+    body: `You are analyzing trends over time for the topic: "{{topic}}"
+
+TIMELINE ({{event_count}} events from {{earliest}} to {{latest}}):
+
+{{timeline}}
+
+TAG DISTRIBUTION: {{tag_distribution}}
+
+Analyze this timeline and provide:
+1. Key trends or patterns you observe
+2. Notable changes over time
+3. Recommendations based on the trend
+
+Keep your analysis concise and actionable. Reference specific dates when relevant.
+
+ANALYSIS:`
+  },
+
+  // ------------------------------------------------------------
+  // Standup
+  // ------------------------------------------------------------
+  'standup.summary': {
+    description: 'Standup: daily update from markers and evidence',
+    variables: {
+      date: 'Standup date (YYYY-MM-DD)',
+      markers: 'Bullet list of extracted markers',
+      evidence: 'Numbered evidence snippets',
+      documents: 'Comma-separated filenames'
+    },
+    body: `You are a Product Owner assistant. Based on the structured markers and document evidence below, write a concise standup update for {{date}}.
+
+Format your response in three sections:
+1. **What happened** — summarise the key activities, decisions, and progress
+2. **What's planned** — any actions assigned or commitments made
+3. **Blockers & risks** — anything that needs attention
+
+Keep it brief, professional, and actionable. Use bullet points.
+
+STRUCTURED MARKERS:
+{{markers}}
+
+DOCUMENT EVIDENCE:
+{{evidence}}
+
+DOCUMENTS PROCESSED: {{documents}}
+
+STANDUP UPDATE:`
+  },
+
+  // ------------------------------------------------------------
+  // Prompt modes
+  // ------------------------------------------------------------
+  'prompt.system': {
+    description: 'Prompt: shared system prompt, followed by the mode instructions',
+    variables: {
+      guides: 'Content of the selected .md guides',
+      entities: 'Entities extracted from the input (JSON)',
+      relationships: 'Relationships extracted from the input (JSON)',
+      mode_instructions: 'The prompt.mode.* template for the selected mode'
+    },
+    body: `You are PO AI, a Product Ownership assistant.
+
+{{guides}}
+
+EXTRACTED ENTITIES FROM USER INPUT:
+{{entities}}
+
+EXTRACTED RELATIONSHIPS:
+{{relationships}}
+
+
+{{mode_instructions}}`
+  },
+
+  'prompt.mode.debrief': {
+    description: 'Prompt: Debrief mode instructions',
+    variables: {},
+    body: `MODE: DEBRIEF - DO NOT SIMPLY REPEAT THE INPUT
+You MUST transform and restructure the user's raw daily log input.
+
+INSTRUCTIONS:
+1. **DO NOT** echo back or copy the original text
+2. **CREATE** a structured summary with clear markdown headers
+3. **ORGANIZE** by topic/theme/project (not chronologically)
+4. **EXTRACT** and list action items, blockers, and priorities
+5. **IDENTIFY** people, teams, systems, and their roles/relationships
+6. **HIGHLIGHT** critical path items (deadlines, dependencies, Q2/Q3 plans)
+7. **FORMAT** as clean, organized markdown with H2 headers for sections
+
+OUTPUT STRUCTURE:
+- Project/System Overview (what it's about)
+- Key Activities (what was done, grouped logically)
+- Action Items (clear, bullet-pointed TO-DOs)
+- Blockers & Dependencies (what's blocking progress)
+- People & Roles (who's involved, their responsibilities)
+- Timeline & Priorities (when things happen, what's critical)
+- Next Steps (clear follow-ups)
+
+CRITICAL: Your response should be SUBSTANTIALLY DIFFERENT from the input - reorganized, summarized, and structured.`
+  },
+
+  'prompt.mode.create': {
+    description: 'Prompt: Create mode instructions',
+    variables: {},
+    body: `MODE: CREATE - GENERATE NEW STRUCTURED CONTENT
+DO NOT echo the user input. Instead, generate well-structured output.
+
+INSTRUCTIONS:
+1. Use the loaded guides as templates/references
+2. CREATE original, structured output
+3. Fill in all required sections from the template
+4. Be specific, actionable, and complete
+5. Use clear markdown formatting with headers
+
+Your output should be a properly formatted document, NOT a summary of the input.`
+  },
+
+  'prompt.mode.retrieve': {
+    description: 'Prompt: Retrieve mode instructions',
+    variables: {},
+    body: `MODE: RETRIEVE - ANSWER THE QUESTION DIRECTLY
+The user has a question. Answer it based on your knowledge and the guides.
+
+INSTRUCTIONS:
+1. Answer the question directly and clearly
+2. Provide specific, actionable information
+3. Reference the loaded guides when relevant
+4. Do NOT simply repeat or echo the question
+5. Be concise but thorough
+
+Format your answer as clean markdown.`
+  },
+
+  'prompt.mode.default': {
+    description: 'Prompt: instructions for any other mode',
+    variables: {},
+    body: `Process the user's input and provide a helpful, structured response.
+Format as clean markdown.`
+  },
+
+  // ------------------------------------------------------------
+  // Extraction
+  // ------------------------------------------------------------
+  'extraction.entity_tags': {
+    description: 'Extraction worker: people, projects, systems and organizations per document',
+    variables: {
+      text: 'Document content (truncated)'
+    },
+    body: `You are an entity extractor. Given the text below, identify:
+- PEOPLE: Names of individuals mentioned (e.g., "Clara", "Jan")
+- PROJECTS: Project or product names (e.g., "DNA-C", "Portal Redesign")
+- SYSTEMS: Software systems or tools (e.g., "Leonardo", "Confluence")
+- ORGANIZATIONS: Companies or teams (e.g., "Acme Corp", "Platform team")
+
+RULES:
+1. Only extract entities EXPLICITLY mentioned in the text
+2. Do NOT infer or guess entities not directly stated
+3. Do NOT add descriptions or context
+4. If uncertain, do NOT include
+
+Output as JSON only, no other text:
+{
+  "people": ["name1", "name2"],
+  "projects": ["project1"],
+  "systems": ["system1"],
+  "organizations": ["org1"]
+}
+
+TEXT:
+{{text}}`
+  },
+
+  'extraction.relationships': {
+    description: 'Entity extractor: entities and relationships for Prompt and the graph',
+    variables: {
+      text: 'Text to extract from'
+    },
+    body: `You are an entity extraction expert. Extract ALL mentioned entities from this text about product development and agile work.
+
+TEXT:
+"""
+{{text}}
+"""
+
+EXTRACT AND CLASSIFY:
+1. PERSON: Names of individuals (first name, full name, Dutch names with prefixes like "van de")
+2. ROLE: Job titles (Product Owner, Scrum Master, Developer, Manager, Tech Lead, etc.)
+3. TEAM: Team names (Backend team, Team Alpha, etc.)
+4. SYSTEM: Software, tools, APIs, databases (Jira, API, Confluence, SAP, etc.)
+5. ORGANIZATION: Companies, departments, clients
+6. PROJECT: Project or epic names
+
+Also extract RELATIONSHIPS:
+- works_with: People who collaborate
+- member_of: Person belongs to team
+- owns: Person responsible for something
+- depends_on: System/project dependencies
+- reports_to: Reporting relationships
+- blocks: Blockers between items
+
+Return ONLY valid JSON:
+{
+  "entities": [
+    {"name": "Jan van der Berg", "type": "person", "role": "Developer", "confidence": 0.95},
+    {"name": "Product Owner", "type": "role", "confidence": 1.0},
+    {"name": "Matcher API", "type": "system", "confidence": 0.9}
+  ],
+  "relationships": [
+    {"source": "Jan", "target": "Backend Team", "type": "member_of", "context": "mentioned in standup", "confidence": 0.85}
+  ],
+  "sections": []
+}
+
+RULES:
+- Extract EVERY person mentioned by name
+- Confidence: 0.0-1.0 based on how explicit the mention is
+- Keep original names exactly as written (including Dutch prefixes)
+- Distinguish between person names and system/project names
+- If no entities found, return empty arrays
+- Return ONLY JSON, no explanations`
+  },
+
+  'debrief.entities': {
+    description: 'Debrief: people, teams and systems for the actor list',
+    variables: {
+      text: 'Debrief content (first 1500 characters)'
+    },
+    body: `Extract named entities (people, teams, systems) from this text.
+Return ONLY a JSON array of objects with "name" and "type" (person/team/system).
+Keep it concise - max 10 entities.
+
+Text: "{{text}}"
+
+JSON:`
+  },
+
+  // ------------------------------------------------------------
+  // Translate
+  // ------------------------------------------------------------
+  'translate.text': {
+    description: 'Translate: full text between Dutch and English',
+    variables: {
+      source_language: 'Dutch or English',
+      target_language: 'English or Dutch',
+      glossary: 'Glossary lines for the direction (may be empty)',
+      text: 'Text to translate, &&markers&& removed'
+    },
+    body: `Translate the following from {{source_language}} to {{target_language}}.
+{{glossary}}
+Preserve all formatting, headers, bullet points. Only output the translation, nothing else.
+
+TEXT:
+{{text}}
+
+TRANSLATION:`
+  },
+
+  'translate.term': {
+    description: 'Translate: a single &&marked&& term',
+    variables: {
+      source_language: 'Dutch or English',
+      target_language: 'English or Dutch',
+      term: 'The marked term'
+    },
+    body: `Translate this single term from {{source_language}} to {{target_language}}. Only output the translation.
+
+Term: {{term}}
+
+Translation:`
+  },
+
+  // ------------------------------------------------------------
+  // Analyze (Dutch)
+  // ------------------------------------------------------------
+  'analysis.architecture': {
+    description: 'Analyze: Architecture Document instructions',
+    variables: {},
+    body: `Je bent een enterprise architect die documentatie analyseert.
+
+Analyseer dit document en extraheer de volgende secties. Gebruik EXACT deze kopjes:
+
+## Samenvatting
+(3-5 zinnen over het document)
+
+## Systemen & Componenten
+Lijst alle systemen als bullet points met bold naam:
+- **Systeemnaam**: beschrijving
+
+## Actoren
+Lijst alle actoren (teams, rollen, organisaties) als:
+- **Actornaam**: beschrijving of rol
+
+## Relaties
+Lijst alle koppelingen tussen systemen als:
+- **Systeem A** → **Systeem B**: type verbinding
+
+## Beslissingen
+Lijst belangrijke beslissingen met rationale
+
+## Risico's
+Lijst risico's en aandachtspunten
+
+## Implementatie
+Praktische overwegingen
+
+Wees uitgebreid. Gebruik Nederlandse termen waar van toepassing.`
+  },
+
+  'analysis.strategy': {
+    description: 'Analyze: Strategy Document instructions',
+    variables: {},
+    body: `Je bent een strategisch adviseur die beleidsdocumenten analyseert.
+
+Analyseer dit document en extraheer:
+
+1. **Samenvatting** (3-5 zinnen)
+2. **Strategische Doelen** (korte en lange termijn)
+3. **Prioriteiten** (met onderbouwing)
+4. **Beslissingen** (wat is besloten en waarom)
+5. **Stakeholders** (wie zijn betrokken)
+6. **Afhankelijkheden** (wat moet eerst)
+7. **Risico's & Mitigaties**
+8. **Volgende Stappen**
+
+Formatteer als Markdown met duidelijke koppen.`
+  },
+
+  'analysis.meeting': {
+    description: 'Analyze: Meeting Notes instructions',
+    variables: {},
+    body: `Je bent een project manager die vergadernotities analyseert.
+
+Analyseer dit document en extraheer:
+
+1. **Samenvatting** (3-5 zinnen - waar ging het over)
+2. **Aanwezigen** (personen en hun rol)
+3. **Actiepunten** (wie, wat, wanneer)
+4. **Beslissingen** (wat is er besloten)
+5. **Open Vragen** (onbeantwoorde zaken)
+6. **Risico's/Blokkades** (wat houdt zaken tegen)
+7. **Volgende Stappen**
+
+Formatteer als Markdown. Gebruik checkboxes voor acties: - [ ] Actie`
+  },
+
+  'analysis.requirements': {
+    description: 'Analyze: Requirements Document instructions',
+    variables: {},
+    body: `Je bent een business analyst die requirements analyseert.
+
+Analyseer dit document en extraheer:
+
+1. **Samenvatting** (wat wordt er gebouwd)
+2. **Functionele Requirements** (wat moet het doen)
+3. **Non-Functionele Requirements** (performance, security, etc)
+4. **Actoren/Gebruikers** (wie gebruikt het)
+5. **Systemen & Interfaces** (waarmee integreert het)
+6. **Constraints** (beperkingen)
+7. **Acceptatiecriteria** (wanneer is het af)
+8. **Open Punten**
+
+Formatteer als Markdown met genummerde items waar gepast.`
+  },
+
+  'analysis.custom': {
+    description: 'Analyze: Custom Analysis instructions',
+    variables: {},
+    body: `Analyseer dit document.`
+  },
+
+  'analysis.document': {
+    description: 'Analyze: a document small enough for one call',
+    variables: {
+      instructions: 'The analysis.* template for the selected type',
+      custom_instructions: 'Extra instructions from the user (may be empty)',
+      content: 'Document content'
+    },
+    body: `{{instructions}}{{#custom_instructions}}
+
+Aanvullende instructies van gebruiker:
+{{custom_instructions}}{{/custom_instructions}}
+
+---
+DOCUMENT:
+{{content}}`
+  },
+
+  'analysis.chunk': {
+    description: 'Analyze: one part of a large document',
+    variables: {
+      instructions: 'The analysis.* template for the selected type',
+      custom_instructions: 'Extra instructions from the user (may be empty)',
+      part: 'Part number, starting at 1',
+      total: 'Number of parts',
+      content: 'Content of this part'
+    },
+    body: `{{instructions}}
+
+Dit is DEEL {{part}} van {{total}} van een groot document.
+Focus op het extraheren van alle systemen, actoren en relaties uit dit deel.
+
+{{#custom_instructions}}Aanvullende instructies: {{custom_instructions}}
+{{/custom_instructions}}
+---
+DOCUMENT DEEL {{part}}/{{total}}:
+{{content}}`
+  },
+
+  'analysis.summary': {
+    description: 'Analyze: merges the part analyses of a large document',
+    variables: {
+      part_count: 'Number of analysed parts',
+      analyses: 'The part analyses, each under "### Deel n"'
+    },
+    body: `Je hebt een groot document geanalyseerd in {{part_count}} delen.
+Hier zijn de analyses van elk deel. Maak een samenhangende samenvatting met:
+
+## Samenvatting
+(Belangrijkste punten uit het hele document)
+
+## Alle Systemen & Componenten
+(Verzamel alle systemen uit alle delen, verwijder duplicaten)
+
+## Alle Actoren
+(Verzamel alle actoren uit alle delen, verwijder duplicaten)
+
+## Alle Relaties
+(Verzamel alle relaties/koppelingen uit alle delen)
+
+## Belangrijkste Beslissingen
+
+## Risico's
+
+---
+DEELANALYSES:
+
+{{analyses}}`
+  },
+
+  'analysis.entities': {
+    description: 'Analyze: JSON entity extraction when the analysis ignored the headings',
+    variables: {
+      analysis: 'The analysis text'
+    },
+    body: `Extract the systems, actors (teams, roles, organisations), relationships between systems, decisions and actions from this analysis.
+Use names exactly as written. Return empty arrays for anything not mentioned.
+
+ANALYSIS:
+{{analysis}}`
+  }
+};
+
+module.exports = { DEFAULT_TEMPLATES };
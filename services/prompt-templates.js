@@ -0,0 +1,242 @@
+/**
+ * Prompt Template Registry
+ * Versioned LLM prompts, editable from Settings (prompt_templates table)
+ *
+ * Routes load their prompt by key and render it with the variables they
+ * supply. Each key has a built-in default (version 0, prompt-defaults.js);
+ * saving from Settings adds version 1, 2, ... and makes it active.
+ * Activating version 0 goes back to the built-in text.
+ */
+
+const { getDb } = require('../db/connection');
+const { DEFAULT_TEMPLATES } = require('./prompt-defaults');
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+const SECTION_PATTERN = /\{\{#\s*([a-z0-9_]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/gi;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Substitute {{variable}} placeholders and resolve {{#variable}}...{{/variable}} sections
+ * Values are inserted in a single pass, so braces inside them are left alone.
+ * @param {string} body
+ * @param {object} variables
+ * @returns {string}
+ */
+function renderTemplate(body, variables = {}) {
+  return body
+    .replace(SECTION_PATTERN, (match, name, inner) => (isBlank(variables[name]) ? '' : inner))
+    .replace(VARIABLE_PATTERN, (match, name) => {
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Names of all variables and sections used in a body
+ * @returns {string[]}
+ */
+function extractVariables(body) {
+  const names = new Set();
+  for (const match of body.matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+  for (const match of body.matchAll(/\{\{#\s*([a-z0-9_]+)\s*\}\}/gi)) names.add(match[1]);
+  return [...names];
+}
+
+class PromptTemplates {
+  /**
+   * Known keys, in registry order
+   */
+  keys() {
+    return Object.keys(DEFAULT_TEMPLATES);
+  }
+
+  getDefault(key) {
+    const template = DEFAULT_TEMPLATES[key];
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${key}`);
+    }
+    return template;
+  }
+
+  /**
+   * Active template for a key: the active stored version, or the built-in default
+   * @returns {{key: string, version: number, body: string, description: string, variables: object}}
+   */
+  get(key) {
+    const template = this.getDefault(key);
+    const db = getDb();
+    let row = null;
+
+    if (db) {
+      try {
+        row = db.prepare(`
+          SELECT version, body FROM prompt_templates WHERE key = ? AND is_active = 1
+        `).get(key);
+      } catch (e) {
+        console.error('[Prompts] Lookup failed:', e.message);
+      }
+    }
+
+    return {
+      key,
+      version: row ? row.version : 0,
+      body: row ? row.body : template.body,
+      description: template.description,
+      variables: template.variables
+    };
+  }
+
+  /**
+   * Render the active template for a key
+   * @param {string} key - e.g. 'ask.user'
+   * @param {object} variables - values for its {{placeholders}}
+   * @returns {string}
+   */
+  render(key, variables = {}) {
+    return renderTemplate(this.get(key).body, variables);
+  }
+
+  /**
+   * All keys with their active version, for the Settings list
+   */
+  list() {
+    const db = getDb();
+    const stats = new Map();
+
+    if (db) {
+      const rows = db.prepare(`
+        SELECT key, COUNT(*) as versions,
+               MAX(CASE WHEN is_active = 1 THEN version END) as active_version,
+               MAX(created_at) as updated_at
+        FROM prompt_templates GROUP BY key
+      `).all();
+      rows.forEach(r => stats.set(r.key, r));
+    }
+
+    return this.keys().map(key => {
+      const template = DEFAULT_TEMPLATES[key];
+      const row = stats.get(key);
+      return {
+        key,
+        description: template.description,
+        variables: template.variables,
+        activeVersion: row?.active_version || 0,
+        versions: row?.versions || 0,
+        updatedAt: row?.updated_at || null
+      };
+    });
+  }
+
+  /**
+   * Every version of a key, newest first, with the built-in default as version 0
+   */
+  getVersions(key) {
+    const template = this.getDefault(key);
+    const db = getDb();
+    const rows = db ? db.prepare(`
+      SELECT version, body, note, is_active, created_at
+      FROM prompt_templates WHERE key = ? ORDER BY version DESC
+    `).all(key) : [];
+
+    const hasActive = rows.some(r => r.is_active);
+    return [
+      ...rows.map(r => ({
+        version: r.version,
+        body: r.body,
+        note: r.note,
+        isActive: !!r.is_active,
+        createdAt: r.created_at
+      })),
+      { version: 0, body: template.body, note: 'Built-in default', isActive: !hasActive, createdAt: null }
+    ];
+  }
+
+  /**
+   * Check a body against the variables its route supplies
+   * @returns {{used: string[], unknown: string[], unused: string[]}}
+   */
+  checkVariables(key, body) {
+    const known = Object.keys(this.getDefault(key).variables);
+    const used = extractVariables(body);
+    return {
+      used,
+      unknown: used.filter(name => !known.includes(name)),
+      unused: known.filter(name => !used.includes(name))
+    };
+  }
+
+  /**
+   * Store a new version and make it active
+   * @returns {number} the new version number
+   */
+  saveVersion(key, body, note = null) {
+    this.getDefault(key);
+    const db = getDb();
+    if (!db) throw new Error('Database not initialized');
+
+    const save = db.transaction(() => {
+      const { next } = db.prepare(`
+        SELECT COALESCE(MAX(version), 0) + 1 as next FROM prompt_templates WHERE key = ?
+      `).get(key);
+      db.prepare('UPDATE prompt_templates SET is_active = 0 WHERE key = ?').run(key);
+      db.prepare(`
+        INSERT INTO prompt_templates (key, version, body, note, is_active)
+        VALUES (?, ?, ?, ?, 1)
+      `).run(key, next, body, note);
+      return next;
+    });
+
+    return save();
+  }
+
+  /**
+   * Make an existing version active; version 0 restores the built-in default
+   * @returns {boolean} false when the version does not exist
+   */
+  activate(key, version) {
+    this.getDefault(key);
+    const db = getDb();
+    if (!db) throw new Error('Database not initialized');
+
+    if (version !== 0) {
+      const exists = db.prepare('SELECT 1 FROM prompt_templates WHERE key = ? AND version = ?').get(key, version);
+      if (!exists) return false;
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE prompt_templates SET is_active = 0 WHERE key = ?').run(key);
+      if (version !== 0) {
+        db.prepare('UPDATE prompt_templates SET is_active = 1 WHERE key = ? AND version = ?').run(key, version);
+      }
+    })();
+    return true;
+  }
+
+  /**
+   * Render an unsaved body for the Settings preview
+   * Variables without a sample value are shown as <name>.
+   */
+  preview(key, body, samples = {}) {
+    const check = this.checkVariables(key, body);
+    const variables = {};
+    check.used.forEach(name => {
+      variables[name] = isBlank(samples[name]) ? `<${name}>` : samples[name];
+    });
+    return { text: renderTemplate(body, variables), ...check };
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getInstance() {
+  if (!instance) {
+    instance = new PromptTemplates();
+  }
+  return instance;
+}
+
+module.exports = { getInstance, renderTemplate, extractVariables };
@@ -0,0 +1,49 @@
+/**
+ * Reciprocal Rank Fusion
+ * Merges ranked result lists whose scores are not comparable (BM25, cosine)
+ *
+ * Each list contributes weight / (k + rank) for every item it contains, so
+ * items ranked high in several lists rise to the top. k = 60 is the value
+ * from the original RRF paper and damps the influence of the very first ranks.
+ */
+
+const DEFAULT_K = 60;
+
+/**
+ * @param {object} rankings - { listName: [item, ...] } each ordered best first
+ * @param {object} options - { k, weights: { listName: number }, key: item => id }
+ * @returns {Array<{key: *, item: object, score: number, normalized: number, ranks: object}>}
+ *   sorted by score; normalized is the score divided by the best possible score
+ *   (rank 1 in every list), so it falls between 0 and 1; ranks are 1-based per list
+ */
+function reciprocalRankFusion(rankings, options = {}) {
+  const k = options.k ?? DEFAULT_K;
+  const weights = options.weights || {};
+  const keyOf = options.key || (item => item.id);
+  const fused = new Map();
+  let maxScore = 0;
+
+  for (const [name, items] of Object.entries(rankings)) {
+    const weight = weights[name] ?? 1;
+    if (!items || items.length === 0) continue;
+    maxScore += weight / (k + 1);
+
+    items.forEach((item, index) => {
+      const key = keyOf(item);
+      if (!fused.has(key)) {
+        fused.set(key, { key, item, score: 0, ranks: {} });
+      }
+      const entry = fused.get(key);
+      // Same item in several lists: keep the first copy, merge the rest
+      entry.item = { ...item, ...entry.item };
+      entry.ranks[name] = index + 1;
+      entry.score += weight / (k + index + 1);
+    });
+  }
+
+  return [...fused.values()]
+    .map(entry => ({ ...entry, normalized: maxScore ? entry.score / maxScore : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { reciprocalRankFusion, DEFAULT_K };
@@ -0,0 +1,338 @@
+/**
+ * Retrieval Pipeline
+ * Evidence selection for Ask: several ranked candidate sources fused with
+ * reciprocal rank fusion, then an optional LLM rerank
+ *
+ * Sources, each a ranked list of chunks:
+ *   keyword  - BM25 over documents_fts
+ *   semantic - embedding similarity (empty until chunks are embedded)
+ *   markers  - semantic_markers whose text contains question terms
+ *   tags     - documents tagged with a person, project or system the question names
+ *
+ * Every result keeps its rank and score per source, the fused score and the
+ * rerank score, so the evidence payload shows why a chunk was chosen.
+ */
+
+const { getDb } = require('../db/connection');
+const { getInstance: getSqliteVectorSearch } = require('./sqlite-vector-search');
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { getInstance: getPromptTemplates } = require('./prompt-templates');
+const { reciprocalRankFusion } = require('./rank-fusion');
+
+const CANDIDATES_PER_SOURCE = 50;
+// Markers and tags select whole documents, so they count for less than a chunk match
+const SOURCE_WEIGHTS = { keyword: 1, semantic: 1, markers: 0.5, tags: 0.5 };
+const RERANK_MAX_CANDIDATES = 20;
+const RERANK_PASSAGE_CHARS = 600;
+
+// Question words that say nothing about the topic (English and Dutch)
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'how',
+  'did', 'does', 'about', 'with', 'this', 'that', 'there', 'from', 'have', 'has', 'any', 'our', 'last', 'week',
+  'een', 'het', 'de', 'van', 'wat', 'wie', 'waar', 'wanneer', 'waarom', 'hoe', 'welke', 'over', 'met',
+  'voor', 'zijn', 'werd', 'heeft', 'hebben', 'deze', 'dit', 'die', 'onze', 'vorige'
+]);
+
+const RERANK_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          score: { type: 'number', minimum: 0, maximum: 10 }
+        },
+        required: ['id', 'score']
+      }
+    }
+  },
+  required: ['scores']
+};
+
+/**
+ * Distinct lower-case content words of a question
+ */
+function queryTerms(question) {
+  const words = question.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}_-]*/gu) || [];
+  return [...new Set(words.filter(w => w.length >= 3 && !STOPWORDS.has(w)))];
+}
+
+function countTerms(text, terms) {
+  const lower = (text || '').toLowerCase();
+  return terms.filter(term => lower.includes(term)).length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The chunk of a document that best represents it for the question:
+ * the one containing `text` when given, else the one mentioning most terms
+ */
+function pickChunk(chunks, terms, text = null) {
+  if (chunks.length === 0) return null;
+  if (text) {
+    const needle = text.toLowerCase().substring(0, 60);
+    const containing = chunks.find(c => c.content.toLowerCase().includes(needle));
+    if (containing) return containing;
+  }
+  return chunks.reduce((best, chunk) => (countTerms(chunk.content, terms) > countTerms(best.content, terms) ? chunk : best));
+}
+
+function groupByFile(chunks) {
+  const byFile = new Map();
+  chunks.forEach(chunk => {
+    if (!byFile.has(chunk.filepath)) byFile.set(chunk.filepath, []);
+    byFile.get(chunk.filepath).push(chunk);
+  });
+  return byFile;
+}
+
+/**
+ * Chunks of documents whose markers mention question terms, most terms first
+ */
+function markerCandidates(db, terms, rteId) {
+  if (!db || terms.length === 0) return [];
+
+  const conditions = terms.map(() => 'LOWER(m.marker_content) LIKE ?').join(' OR ');
+  const params = terms.map(term => `%${term}%`);
+  if (rteId) params.push(rteId);
+
+  const markers = db.prepare(`
+    SELECT m.marker_type, m.marker_content, d.filepath
+    FROM semantic_markers m
+    JOIN rte_documents d ON m.document_id = d.id
+    WHERE (${conditions}) AND m.retired_at IS NULL ${rteId ? 'AND d.rte_id = ?' : ''}
+    ORDER BY m.created_at DESC
+    LIMIT 200
+  `).all(...params)
+    .map(m => ({ ...m, matched: countTerms(m.marker_content, terms) }))
+    .sort((a, b) => b.matched - a.matched);
+
+  const chunksByFile = groupByFile(getSqliteVectorSearch().getChunksForFiles([...new Set(markers.map(m => m.filepath))]));
+  const candidates = [];
+  const seen = new Set();
+
+  for (const marker of markers) {
+    const chunk = pickChunk(chunksByFile.get(marker.filepath) || [], terms, marker.marker_content);
+    if (!chunk || seen.has(chunk.id)) continue;
+    seen.add(chunk.id);
+    candidates.push({
+      ...chunk,
+      score: marker.matched,
+      detail: { type: marker.marker_type, content: marker.marker_content }
+    });
+    if (candidates.length >= CANDIDATES_PER_SOURCE) break;
+  }
+  return candidates;
+}
+
+/**
+ * Chunks of documents tagged with a value the question mentions, most tags first
+ */
+function tagCandidates(db, question, terms, rteId) {
+  if (!db) return [];
+
+  const lower = question.toLowerCase();
+  const tags = db.prepare(`
+    SELECT DISTINCT tag_type, tag_value FROM document_tags
+    WHERE tag_type != 'semantic' AND LENGTH(tag_value) >= 3
+  `).all().filter(t => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(t.tag_value.toLowerCase())}($|[^\\p{L}\\p{N}])`, 'u').test(lower));
+
+  if (tags.length === 0) return [];
+
+  const conditions = tags.map(() => '(dt.tag_type = ? AND dt.tag_value = ?)').join(' OR ');
+  const params = tags.flatMap(t => [t.tag_type, t.tag_value]);
+  if (rteId) params.push(rteId);
+
+  const documents = db.prepare(`
+    SELECT d.filepath, COUNT(*) as matched, GROUP_CONCAT(dt.tag_value, ', ') as tag_values
+    FROM document_tags dt
+    JOIN rte_documents d ON dt.document_id = d.id
+    WHERE (${conditions}) ${rteId ? 'AND d.rte_id = ?' : ''}
+    GROUP BY d.id
+    ORDER BY matched DESC, d.document_date DESC
+    LIMIT ?
+  `).all(...params, CANDIDATES_PER_SOURCE);
+
+  const chunksByFile = groupByFile(getSqliteVectorSearch().getChunksForFiles(documents.map(d => d.filepath)));
+  return documents
+    .map(doc => {
+      const chunk = pickChunk(chunksByFile.get(doc.filepath) || [], terms);
+      return chunk && { ...chunk, score: doc.matched, detail: doc.tag_values.split(', ') };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * rte_documents rows for the candidate files, by filepath
+ */
+function loadDocuments(db, filepaths) {
+  const documents = new Map();
+  if (!db || filepaths.length === 0) return documents;
+
+  const placeholders = filepaths.map(() => '?').join(',');
+  db.prepare(`
+    SELECT id, filepath, document_date FROM rte_documents WHERE filepath IN (${placeholders}) AND deleted_at IS NULL
+  `).all(...filepaths).forEach(d => documents.set(d.filepath, d));
+  return documents;
+}
+
+/**
+ * Keep documents dated inside the range; when none are, keep everything
+ * (the temporal phrase was probably not meant as a filter)
+ */
+function filterByDate(results, dateRange) {
+  const { start, end } = dateRange;
+  const inRange = results.filter(r => r.documentDate && (!start || r.documentDate >= start) && (!end || r.documentDate <= end));
+  const label = `${start || '...'} to ${end || '...'}`;
+  if (inRange.length > 0) {
+    console.log(`[Retrieval] Date filter ${label}: ${inRange.length} of ${results.length} results`);
+    return inRange;
+  }
+  console.log(`[Retrieval] No results in date range ${label}, using all ${results.length} results`);
+  return results;
+}
+
+/**
+ * Keep documents tagged with the requested person or project
+ */
+function filterByTags(db, results, { person, project }) {
+  const documentIds = [...new Set(results.map(r => r.documentId).filter(Boolean))];
+  if (documentIds.length === 0) return [];
+
+  const conditions = [];
+  const params = [];
+  if (person) {
+    conditions.push(`(tag_type = 'person' AND tag_value = ?)`);
+    params.push(person);
+  }
+  if (project) {
+    conditions.push(`(tag_type = 'project' AND tag_value = ?)`);
+    params.push(project);
+  }
+
+  const placeholders = documentIds.map(() => '?').join(',');
+  const matching = new Set(db.prepare(`
+    SELECT DISTINCT document_id FROM document_tags
+    WHERE document_id IN (${placeholders}) AND (${conditions.join(' OR ')})
+  `).all(...documentIds, ...params).map(r => r.document_id));
+
+  return results.filter(r => matching.has(r.documentId));
+}
+
+/**
+ * Ask the query model to score candidates 0-10 for the question
+ * @returns {Promise<{model: string, scores: Array<number|null>}>} scores in candidate order
+ */
+async function rerank(question, candidates) {
+  const passages = candidates.map((c, i) =>
+    `[${i + 1}] ${c.filename}${c.section ? ` - ${c.section}` : ''}\n${c.content.substring(0, RERANK_PASSAGE_CHARS)}`
+  ).join('\n\n');
+
+  const prompt = getPromptTemplates().render('ask.rerank', { question, passages });
+  const result = await getLLMManager().generateStructured('query', prompt, RERANK_SCHEMA, { temperature: 0 });
+  const scores = new Map(result.data.scores.map(s => [s.id, s.score]));
+
+  return { model: result.model, scores: candidates.map((c, i) => scores.get(i + 1) ?? null) };
+}
+
+/**
+ * Find the chunks that best answer a question
+ * @param {string} question
+ * @param {object} options - { rteId, person, project, limit, dateRange: { start, end } (YYYY-MM-DD, either may be null), rerank }
+ * @returns {Promise<{results: object[], stages: object}>}
+ *   results: { id, documentId, filename, filepath, section, content, location, highlight, score, retrieval }
+ *   score is the fused score scaled to 0-1; retrieval holds the per-source ranks and scores
+ */
+async function retrieve(question, options = {}) {
+  const { rteId = null, limit = 5 } = options;
+  const db = getDb();
+  const vectorSearch = getSqliteVectorSearch();
+  const terms = queryTerms(question);
+
+  const [keyword, semantic] = await Promise.all([
+    vectorSearch.search(question, { rteId, limit: CANDIDATES_PER_SOURCE, mode: 'keyword' }),
+    vectorSearch.semanticSearch(question, { rteId, limit: CANDIDATES_PER_SOURCE })
+  ]);
+
+  const sources = {
+    keyword: keyword.results || [],
+    semantic: semantic.results || [],
+    markers: [],
+    tags: []
+  };
+  try {
+    sources.markers = markerCandidates(db, terms, rteId);
+    sources.tags = tagCandidates(db, question, terms, rteId);
+  } catch (error) {
+    console.error('[Retrieval] Marker/tag lookup failed:', error.message);
+  }
+
+  const stages = Object.fromEntries(Object.entries(sources).map(([name, list]) => [name, list.length]));
+
+  // Per-source rank, score and detail for every chunk
+  const perSource = new Map();
+  for (const [name, list] of Object.entries(sources)) {
+    list.forEach((item, index) => {
+      if (!perSource.has(item.id)) perSource.set(item.id, {});
+      perSource.get(item.id)[name] = { rank: index + 1, score: item.score, ...(item.detail ? { detail: item.detail } : {}) };
+    });
+  }
+
+  const fused = reciprocalRankFusion(sources, { weights: SOURCE_WEIGHTS });
+  const documents = loadDocuments(db, [...new Set(fused.map(f => f.item.filepath))]);
+
+  let results = fused.map(entry => {
+    const document = documents.get(entry.item.filepath);
+    return {
+      id: entry.key,
+      documentId: document?.id || null,
+      documentDate: document?.document_date || null,
+      filename: entry.item.filename,
+      filepath: entry.item.filepath,
+      section: entry.item.section,
+      content: entry.item.content,
+      location: entry.item.location || null,
+      highlight: sources.keyword.find(k => k.id === entry.key)?.highlight || null,
+      score: entry.normalized,
+      retrieval: {
+        fused: entry.score,
+        sources: perSource.get(entry.key),
+        rerank: null
+      }
+    };
+  });
+
+  if (options.dateRange) {
+    results = filterByDate(results, options.dateRange);
+  }
+  if (db && (options.person || options.project)) {
+    results = filterByTags(db, results, options);
+  }
+  stages.afterFilters = results.length;
+
+  if (options.rerank && results.length > 1) {
+    const candidates = results.slice(0, Math.max(limit, RERANK_MAX_CANDIDATES));
+    try {
+      const reranked = await rerank(question, candidates);
+      candidates.forEach((c, i) => { c.retrieval.rerank = reranked.scores[i]; });
+      // Unscored candidates keep their fused order behind the scored ones
+      results = candidates
+        .map((c, i) => ({ c, i }))
+        .sort((a, b) => ((b.c.retrieval.rerank ?? -1) - (a.c.retrieval.rerank ?? -1)) || a.i - b.i)
+        .map(({ c }) => c);
+      stages.rerank = { status: 'ok', model: reranked.model, candidates: candidates.length };
+    } catch (error) {
+      console.error('[Retrieval] Rerank failed, keeping fused order:', error.message);
+      stages.rerank = { status: 'failed', error: error.message };
+    }
+  }
+
+  return { results: results.slice(0, limit), stages };
+}
+
+module.exports = { retrieve, queryTerms };
@@ -0,0 +1,382 @@
+/**
+ * Saved Questions
+ * Pinned Ask questions re-run on a schedule using node-cron
+ *
+ * Schedules: 'daily' (07:00), 'weekly' (Monday 07:00) or a cron expression
+ * Every run goes through the normal Ask pipeline and is stored in
+ * saved_question_runs next to the run before it, with a line diff of the
+ * answer and the evidence that came and went.
+ */
+
+const cron = require('node-cron');
+const { getDb } = require('../db/connection');
+const { answerQuestion } = require('./ask-service');
+const { diffText } = require('./text-diff');
+
+const SCHEDULES = {
+  daily: '0 7 * * *',     // Every day at 07:00
+  weekly: '0 7 * * 1'     // Mondays at 07:00
+};
+const RUNS_LIMIT = 20;
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Cron expression for a schedule, or null when it is neither a preset nor valid cron
+ */
+function resolveSchedule(schedule) {
+  if (SCHEDULES[schedule]) return SCHEDULES[schedule];
+  return typeof schedule === 'string' && cron.validate(schedule) ? schedule : null;
+}
+
+/**
+ * Evidence is renumbered when a document is added, so a sentence only
+ * changes when its words do
+ */
+function withoutCitations(unit) {
+  return unit.replace(/\[Evidence[^\]]*\]/gi, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Evidence is compared per chunk, like carried-over evidence in Ask sessions
+ */
+function evidenceKey(e) {
+  return `${e.filepath}|${(e.chunkContent || e.snippet || '').substring(0, 200)}`;
+}
+
+/**
+ * Evidence added and removed since the previous run
+ * @returns {{added: object[], removed: object[], kept: number}}
+ */
+function compareEvidence(previous, current) {
+  const previousKeys = new Set(previous.map(evidenceKey));
+  const currentKeys = new Set(current.map(evidenceKey));
+  const summary = e => ({ filename: e.filename, filepath: e.filepath, snippet: e.snippet });
+
+  return {
+    added: current.filter(e => !previousKeys.has(evidenceKey(e))).map(summary),
+    removed: previous.filter(e => !currentKeys.has(evidenceKey(e))).map(summary),
+    kept: current.filter(e => previousKeys.has(evidenceKey(e))).length
+  };
+}
+
+function toRun(row) {
+  return {
+    id: row.id,
+    savedQuestionId: row.saved_question_id,
+    historyId: row.history_id,
+    trigger: row.trigger,
+    status: row.status,
+    error: row.error,
+    answer: row.answer,
+    evidence: parseJson(row.evidence_json, []),
+    model: row.model,
+    confidence: row.confidence,
+    groundedness: row.groundedness,
+    changed: !!row.changed,
+    diff: row.answer_diff,
+    evidenceChanges: parseJson(row.evidence_changes_json, null),
+    createdAt: row.created_at
+  };
+}
+
+class SavedQuestionsService {
+  constructor() {
+    this.isRunning = false;
+    this.tasks = new Map();     // saved question id -> cron task
+    this.inProgress = new Set();
+  }
+
+  /**
+   * Schedule every active saved question
+   */
+  init() {
+    const db = getDb();
+    if (!db) return;
+
+    const rows = db.prepare('SELECT * FROM saved_questions WHERE is_active = 1').all();
+    rows.forEach(row => this.scheduleQuestion(row));
+
+    console.log(`[SavedQuestions] Scheduled ${this.tasks.size} question(s)`);
+    this.isRunning = true;
+  }
+
+  /**
+   * (Re)schedule one saved question; inactive questions are only unscheduled
+   */
+  scheduleQuestion(row) {
+    this.unscheduleQuestion(row.id);
+    if (!row.is_active) return;
+
+    const expression = resolveSchedule(row.schedule);
+    if (!expression) {
+      console.log(`[SavedQuestions] Invalid schedule for #${row.id}: ${row.schedule}`);
+      return;
+    }
+
+    const task = cron.schedule(expression, () => {
+      this.runQuestion(row.id, 'scheduled').catch(error => {
+        console.error(`[SavedQuestions] Run of #${row.id} failed:`, error.message);
+      });
+    }, { name: `saved-question-${row.id}`, noOverlap: true });
+    this.tasks.set(row.id, task);
+  }
+
+  unscheduleQuestion(id) {
+    const task = this.tasks.get(id);
+    if (!task) return;
+    task.stop();
+    this.tasks.delete(id);
+  }
+
+  /**
+   * @returns {boolean} whether schedule is 'daily', 'weekly' or a valid cron expression
+   */
+  isValidSchedule(schedule) {
+    return resolveSchedule(schedule) !== null;
+  }
+
+  /**
+   * Whether a run of this question is going on right now
+   */
+  isInProgress(id) {
+    return this.inProgress.has(id);
+  }
+
+  /**
+   * @returns {object[]} saved questions with their latest run
+   */
+  list() {
+    const db = getDb();
+    if (!db) return [];
+
+    return db.prepare('SELECT * FROM saved_questions ORDER BY created_at DESC, id DESC').all()
+      .map(row => this.toSavedQuestion(row));
+  }
+
+  /**
+   * @returns {object|null} saved question with its latest run, or null when it does not exist
+   */
+  get(id) {
+    const db = getDb();
+    if (!db) return null;
+
+    const row = db.prepare('SELECT * FROM saved_questions WHERE id = ?').get(id);
+    return row ? this.toSavedQuestion(row) : null;
+  }
+
+  toSavedQuestion(row) {
+    const latest = getDb().prepare(`
+      SELECT * FROM saved_question_runs WHERE saved_question_id = ? ORDER BY id DESC LIMIT 1
+    `).get(row.id);
+    const task = this.tasks.get(row.id);
+
+    return {
+      id: row.id,
+      question: row.question,
+      schedule: row.schedule,
+      filters: parseJson(row.filters_json, {}),
+      isActive: !!row.is_active,
+      lastRunAt: row.last_run_at,
+      nextRunAt: task ? task.getNextRun() : null,
+      latestRun: latest ? toRun(latest) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Runs of a saved question, newest first
+   */
+  getRuns(id, { limit = RUNS_LIMIT, offset = 0 } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    return db.prepare(`
+      SELECT * FROM saved_question_runs WHERE saved_question_id = ? ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(id, limit, offset).map(toRun);
+  }
+
+  /**
+   * Pin a question
+   * @param {object} input - { question, schedule, rteId, person, project }
+   * @returns {object} the saved question
+   * @throws {Error} when the question is empty or the schedule is invalid
+   */
+  create({ question, schedule = 'daily', rteId, person, project }) {
+    if (!question || !question.trim()) {
+      throw new Error('Question is required');
+    }
+    if (!resolveSchedule(schedule)) {
+      throw new Error(`Invalid schedule: ${schedule}. Use daily, weekly or a cron expression`);
+    }
+
+    const filters = {
+      rteId: rteId ? parseInt(rteId) : null,
+      person: person || null,
+      project: project || null
+    };
+    const result = getDb().prepare(`
+      INSERT INTO saved_questions (question, schedule, filters_json) VALUES (?, ?, ?)
+    `).run(question.trim(), schedule, JSON.stringify(filters));
+
+    const id = Number(result.lastInsertRowid);
+    if (this.isRunning) {
+      this.scheduleQuestion(getDb().prepare('SELECT * FROM saved_questions WHERE id = ?').get(id));
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Change the question, schedule or active flag
+   * @returns {object|null} the saved question, or null when it does not exist
+   * @throws {Error} when the schedule is invalid
+   */
+  update(id, { question, schedule, isActive }) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM saved_questions WHERE id = ?').get(id);
+    if (!row) return null;
+
+    if (schedule !== undefined && !resolveSchedule(schedule)) {
+      throw new Error(`Invalid schedule: ${schedule}. Use daily, weekly or a cron expression`);
+    }
+
+    db.prepare(`
+      UPDATE saved_questions
+      SET question = ?, schedule = ?, is_active = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      question && question.trim() ? question.trim() : row.question,
+      schedule !== undefined ? schedule : row.schedule,
+      isActive !== undefined ? (isActive ? 1 : 0) : row.is_active,
+      id
+    );
+
+    if (this.isRunning) {
+      this.scheduleQuestion(db.prepare('SELECT * FROM saved_questions WHERE id = ?').get(id));
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Delete a saved question and its runs
+   * @returns {boolean} whether it existed
+   */
+  remove(id) {
+    const db = getDb();
+    this.unscheduleQuestion(id);
+
+    const remove = db.transaction(questionId => {
+      db.prepare('DELETE FROM saved_question_runs WHERE saved_question_id = ?').run(questionId);
+      return db.prepare('DELETE FROM saved_questions WHERE id = ?').run(questionId).changes > 0;
+    });
+    return remove(id);
+  }
+
+  /**
+   * Answer a saved question again and store the run with its diff
+   * @param {number} id - saved question id
+   * @param {string} trigger - 'scheduled' or 'manual'
+   * @returns {Promise<object|null>} the stored run, or null when the question does not exist
+   * @throws {Error} when the question is already running
+   */
+  async runQuestion(id, trigger = 'manual') {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM saved_questions WHERE id = ?').get(id);
+    if (!row) return null;
+
+    if (this.inProgress.has(id)) {
+      throw new Error('This question is already running');
+    }
+    this.inProgress.add(id);
+
+    try {
+      const previous = db.prepare(`
+        SELECT * FROM saved_question_runs
+        WHERE saved_question_id = ? AND status = 'success'
+        ORDER BY id DESC LIMIT 1
+      `).get(id);
+
+      let runId;
+      try {
+        // Cached answers would hide changes in the evidence behind them
+        const result = await answerQuestion(
+          { question: row.question, ...parseJson(row.filters_json, {}), cache: false },
+          null,
+          { createSession: false }
+        );
+
+        const evidence = result.evidence.map(e => ({
+          filename: e.filename,
+          filepath: e.filepath,
+          documentId: e.documentId,
+          snippet: e.snippet,
+          chunkContent: (e.chunkContent || '').substring(0, 1500),
+          location: e.location
+        }));
+        const diff = previous
+          ? diffText(previous.answer, result.answer, { normalize: withoutCitations })
+          : null;
+        const evidenceChanges = previous
+          ? compareEvidence(parseJson(previous.evidence_json, []), evidence)
+          : null;
+        const changed = !!previous && (
+          diff.added + diff.removed > 0 ||
+          evidenceChanges.added.length + evidenceChanges.removed.length > 0
+        );
+
+        runId = db.prepare(`
+          INSERT INTO saved_question_runs
+            (saved_question_id, history_id, trigger, status, answer, evidence_json, model, confidence,
+             groundedness, changed, answer_diff, evidence_changes_json)
+          VALUES (?, ?, ?, 'success', ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          id,
+          result.historyId || null,
+          trigger,
+          result.answer,
+          JSON.stringify(evidence),
+          result.model,
+          result.confidence,
+          result.groundedness ?? null,
+          changed ? 1 : 0,
+          diff ? diff.text : null,
+          evidenceChanges ? JSON.stringify(evidenceChanges) : null
+        ).lastInsertRowid;
+      } catch (error) {
+        console.error(`[SavedQuestions] #${id} failed:`, error.message);
+        runId = db.prepare(`
+          INSERT INTO saved_question_runs (saved_question_id, trigger, status, error) VALUES (?, ?, 'error', ?)
+        `).run(id, trigger, error.message).lastInsertRowid;
+      }
+
+      db.prepare("UPDATE saved_questions SET last_run_at = datetime('now') WHERE id = ?").run(id);
+
+      const run = toRun(db.prepare('SELECT * FROM saved_question_runs WHERE id = ?').get(runId));
+      console.log(`[SavedQuestions] #${id} ran (${trigger}): ${run.status}${run.changed ? ', answer changed' : ''}`);
+      return run;
+    } finally {
+      this.inProgress.delete(id);
+    }
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      scheduled: this.tasks.size,
+      inProgress: [...this.inProgress]
+    };
+  }
+}
+
+module.exports = new SavedQuestionsService();
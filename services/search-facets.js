@@ -0,0 +1,161 @@
+/**
+ * Search Facets
+ * Document metadata for search hits, filtering on it and facet counts
+ *
+ * Search hits are chunks identified by file path, while rte_documents,
+ * document_tags and semantic_markers use the document id, so hits are joined
+ * to their document by file path. Facets count documents, not chunks.
+ *
+ * Facets are counted the way document search tools do: the counts of one
+ * facet apply every active filter except its own, so the other values of a
+ * facet stay visible (with their counts) after drilling into one of them.
+ */
+
+const FACETS = {
+  rte: { param: 'rteId', values: doc => doc.rteId ? [String(doc.rteId)] : [], label: doc => doc.rteName },
+  contentType: { param: 'contentType', values: doc => doc.contentType ? [doc.contentType] : [] },
+  person: { param: 'person', values: doc => doc.people },
+  project: { param: 'project', values: doc => doc.projects },
+  semantic: { param: 'semantic', values: doc => doc.semantics },
+  month: { param: 'month', values: doc => doc.month ? [doc.month] : [] }
+};
+
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+/**
+ * Documents behind a set of search hits
+ * @param {object} db - better-sqlite3 database instance
+ * @param {string[]} filepaths
+ * @returns {Map<string, object>} filepath -> { id, rteId, rteName, contentType, date, month, people, projects, semantics }
+ */
+function loadDocuments(db, filepaths) {
+  const documents = new Map();
+  const unique = [...new Set(filepaths.filter(Boolean))];
+  if (!db || unique.length === 0) return documents;
+
+  const rows = db.prepare(`
+    SELECT d.id, d.filepath, d.rte_id, r.name as rte_name, COALESCE(ct.name, d.file_type) as content_type, d.document_date
+    FROM rte_documents d
+    LEFT JOIN rtes r ON d.rte_id = r.id
+    LEFT JOIN content_types ct ON d.content_type_id = ct.id
+    WHERE d.filepath IN (${placeholders(unique)}) AND d.deleted_at IS NULL
+    ORDER BY d.id
+  `).all(...unique);
+
+  // A re-imported file keeps its latest row
+  const byId = new Map();
+  for (const row of rows) {
+    const previous = documents.get(row.filepath);
+    if (previous) byId.delete(previous.id);
+
+    const doc = {
+      id: row.id,
+      rteId: row.rte_id,
+      rteName: row.rte_name,
+      contentType: row.content_type,
+      date: row.document_date,
+      month: row.document_date ? row.document_date.substring(0, 7) : null,
+      people: [],
+      projects: [],
+      semantics: []
+    };
+    documents.set(row.filepath, doc);
+    byId.set(row.id, doc);
+  }
+  if (byId.size === 0) return documents;
+
+  const ids = [...byId.keys()];
+  const tags = db.prepare(`
+    SELECT document_id, tag_type, tag_value FROM document_tags
+    WHERE document_id IN (${placeholders(ids)}) AND tag_value IS NOT NULL
+  `).all(...ids);
+  const lists = { person: 'people', project: 'projects', semantic: 'semantics' };
+  for (const tag of tags) {
+    const list = byId.get(tag.document_id)[lists[tag.tag_type]];
+    if (list && !list.includes(tag.tag_value)) list.push(tag.tag_value);
+  }
+
+  // Markers count as semantic tags, also for documents ingested before they were tagged
+  const markers = db.prepare(`
+    SELECT DISTINCT document_id, marker_type FROM semantic_markers
+    WHERE document_id IN (${placeholders(ids)}) AND retired_at IS NULL
+  `).all(...ids);
+  for (const marker of markers) {
+    const semantics = byId.get(marker.document_id).semantics;
+    if (!semantics.includes(marker.marker_type)) semantics.push(marker.marker_type);
+  }
+
+  return documents;
+}
+
+/**
+ * Document of a search hit; hits from files without an rte_documents row
+ * (indexed straight from disk) only know their RTE
+ */
+function documentForHit(hit, documents) {
+  return documents.get(hit.filepath) || {
+    id: null,
+    rteId: hit.rteId || null,
+    rteName: hit.rteName || null,
+    contentType: null,
+    date: null,
+    month: null,
+    people: [],
+    projects: [],
+    semantics: []
+  };
+}
+
+/**
+ * @param {object} doc - from documentForHit
+ * @param {object} filters - { rteId, contentType, person, project, semantic, month, dateFrom, dateTo }
+ * @param {string} except - facet key whose filter is ignored
+ */
+function matchesFilters(doc, filters, except = null) {
+  for (const [key, facet] of Object.entries(FACETS)) {
+    const wanted = filters[facet.param];
+    if (key === except || !wanted) continue;
+    const values = facet.values(doc).map(v => String(v).toLowerCase());
+    if (!values.includes(String(wanted).toLowerCase())) return false;
+  }
+
+  if (filters.dateFrom && (!doc.date || doc.date < filters.dateFrom)) return false;
+  if (filters.dateTo && (!doc.date || doc.date > filters.dateTo)) return false;
+  return true;
+}
+
+/**
+ * Facet counts over the documents of a match set
+ * @param {object[]} docs - one entry per matched document
+ * @param {object} filters - active filters, as for matchesFilters
+ * @returns {object} facet key -> [{ value, label, count, selected }], months newest first,
+ *   other facets by count
+ */
+function computeFacets(docs, filters) {
+  const facets = {};
+
+  for (const [key, facet] of Object.entries(FACETS)) {
+    const counts = new Map();
+    for (const doc of docs) {
+      if (!matchesFilters(doc, filters, key)) continue;
+      for (const value of facet.values(doc)) {
+        const entry = counts.get(value) || { value, label: facet.label ? facet.label(doc) || value : value, count: 0 };
+        entry.count++;
+        counts.set(value, entry);
+      }
+    }
+
+    const selected = filters[facet.param] ? String(filters[facet.param]).toLowerCase() : null;
+    facets[key] = [...counts.values()]
+      .map(entry => ({ ...entry, selected: String(entry.value).toLowerCase() === selected }))
+      .sort(key === 'month'
+        ? (a, b) => b.value.localeCompare(a.value)
+        : (a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)));
+  }
+
+  return facets;
+}
+
+module.exports = { FACETS, loadDocuments, documentForHit, matchesFilters, computeFacets };
@@ -2,12 +2,80 @@
  * SQLite Vector Search Service
  * Uses SQLite FTS5 + better-sqlite3 for embedded vector search
  * No external server dependency - 99%+ uptime
+ *
+ * Search modes:
+ *   keyword  - BM25 over documents_fts (default)
+ *   semantic - cosine similarity against chunk embeddings, brute force in-process
+ *   hybrid   - both lists merged with reciprocal rank fusion
+ *
+ * With `syntax: true` the query is parsed as in services/fts-query.js
+ * (phrases, AND/OR/NOT, NEAR, field scopes and filters); otherwise every word
+ * is a prefix match and any of them may match.
+ *
+ * Embeddings come from the `embedding` model in llm-config.json and are stored
+ * in chunk_embeddings keyed by content hash, so re-indexing an unchanged chunk
+ * does not embed it again. Newly indexed chunks are embedded in the background.
+ *
+ * Chunks come from services/chunker.js and keep their position in the indexed
+ * text; results carry it as `location` (null for chunks indexed before
+ * positions were stored).
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { getInstance: getLLMManager } = require('./llm-manager');
+const { reciprocalRankFusion } = require('./rank-fusion');
+const { compileQuery, resolveFilters, QuerySyntaxError } = require('./fts-query');
+const { chunkMarkdown } = require('./chunker');
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+const EMBED_BATCH_SIZE = 16;
+const EMBED_MAX_CHARS = 6000; // Stay inside the context of small embedding models
+const EMBED_DELAY_MS = 2000; // Batch up chunks from several documents indexed together
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Unit-length Float32 copy of a vector, so cosine similarity is a dot product
+ */
+function normalizeVector(values) {
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+function vectorFromBlob(blob) {
+  // Float32Array needs a 4-byte aligned offset; copy when the buffer is pooled
+  const buffer = blob.byteOffset % 4 === 0 ? blob : Buffer.from(blob);
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+}
+
+/**
+ * Position of a chunk in the indexed text: offsets and 1-based lines
+ */
+function locationOf(row) {
+  if (row.start_offset === null || row.start_offset === undefined) return null;
+  return {
+    startOffset: row.start_offset,
+    endOffset: row.end_offset,
+    startLine: row.start_line,
+    endLine: row.end_line
+  };
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
 
 // Try to load sqlite-vss, but fall back gracefully
 let vssAvailable = false;
@@ -23,6 +91,8 @@ class SQLiteVectorSearch {
     this.db = null;
     this.isReady = false;
     this.dbPath = path.join(__dirname, '..', 'vector-search.db');
+    this.embedTimer = null;
+    this.isEmbedding = false;
   }
 
   /**
@@ -72,10 +142,14 @@ class SQLiteVectorSearch {
         CREATE INDEX IF NOT EXISTS idx_chunks_rte ON document_chunks(rte_id);
       `);
 
+      this.initEmbeddings();
+      this.initChunkLocations();
+
       this.isReady = true;
       
       const count = this.db.prepare('SELECT COUNT(*) as count FROM document_chunks').get();
       console.log(`[VectorSearch] SQLite FTS5 initialized with ${count.count} chunks`);
+      this.scheduleEmbedding();
       
       return true;
     } catch (error) {
@@ -85,6 +159,50 @@ class SQLiteVectorSearch {
     }
   }
 
+  /**
+   * Embedding storage: chunk_embeddings plus a content_hash on every chunk
+   */
+  initEmbeddings() {
+    const columns = this.db.prepare('PRAGMA table_info(document_chunks)').all().map(c => c.name);
+    if (!columns.includes('content_hash')) {
+      this.db.exec('ALTER TABLE document_chunks ADD COLUMN content_hash TEXT');
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chunk_embeddings (
+        content_hash TEXT NOT NULL,
+        model TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (content_hash, model)
+      );
+      CREATE INDEX IF NOT EXISTS idx_chunks_content_hash ON document_chunks(content_hash);
+    `);
+
+    // Chunks indexed before content_hash existed
+    const unhashed = this.db.prepare('SELECT id, content FROM document_chunks WHERE content_hash IS NULL').all();
+    if (unhashed.length > 0) {
+      const update = this.db.prepare('UPDATE document_chunks SET content_hash = ? WHERE id = ?');
+      this.db.transaction(() => {
+        unhashed.forEach(row => update.run(hashContent(row.content), row.id));
+      })();
+      console.log(`[VectorSearch] Hashed ${unhashed.length} existing chunks`);
+    }
+  }
+
+  /**
+   * Chunk positions, added after the first release of the index
+   */
+  initChunkLocations() {
+    const columns = this.db.prepare('PRAGMA table_info(document_chunks)').all().map(c => c.name);
+    for (const column of ['start_offset', 'end_offset', 'start_line', 'end_line']) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE document_chunks ADD COLUMN ${column} INTEGER`);
+      }
+    }
+  }
+
   /**
    * Index a markdown file
    */
@@ -99,48 +217,8 @@ class SQLiteVectorSearch {
       const filename = path.basename(filepath);
       const docId = `${rteId || 'global'}-${filename}`;
       
-      // Delete existing chunks for this file
-      this.db.prepare('DELETE FROM document_chunks WHERE filepath = ?').run(filepath);
-      this.db.prepare('DELETE FROM documents_fts WHERE filepath = ?').run(filepath);
-      
-      // Chunk by markdown sections
-      const chunks = this.chunkContent(content, filename);
-      
-      const insertChunk = this.db.prepare(`
-        INSERT INTO document_chunks (doc_id, rte_id, filepath, filename, chunk_index, content, section_title, word_count)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      const insertFts = this.db.prepare(`
-        INSERT INTO documents_fts (doc_id, rte_id, filepath, filename, chunk_index, content, section_title)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      const insertMany = this.db.transaction((chunks) => {
-        for (const chunk of chunks) {
-          insertChunk.run(
-            docId,
-            rteId,
-            filepath,
-            filename,
-            chunk.index,
-            chunk.content,
-            chunk.section,
-            chunk.content.split(/\s+/).length
-          );
-          insertFts.run(
-            docId,
-            rteId || '',
-            filepath,
-            filename,
-            chunk.index,
-            chunk.content,
-            chunk.section || ''
-          );
-        }
-      });
-      
-      insertMany(chunks);
+      const chunks = this.replaceChunks({ docId, rteId, filepath, filename, content });
+      this.scheduleEmbedding();
       
       console.log(`[VectorSearch] Indexed ${filepath}: ${chunks.length} chunks`);
       return true;
@@ -168,48 +246,8 @@ class SQLiteVectorSearch {
       const extractedRteId = rteId || (filepath.match(/\/(\d+)-/) ? parseInt(filepath.match(/\/(\d+)-/)[1]) : null);
       const docId = `${extractedRteId || 'global'}-${filename}`;
       
-      // Delete existing chunks for this file
-      this.db.prepare('DELETE FROM document_chunks WHERE filepath = ?').run(filepath);
-      this.db.prepare('DELETE FROM documents_fts WHERE filepath = ?').run(filepath);
-      
-      // Chunk by markdown sections
-      const chunks = this.chunkContent(content, filename);
-      
-      const insertChunk = this.db.prepare(`
-        INSERT INTO document_chunks (doc_id, rte_id, filepath, filename, chunk_index, content, section_title, word_count)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      const insertFts = this.db.prepare(`
-        INSERT INTO documents_fts (doc_id, rte_id, filepath, filename, chunk_index, content, section_title)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      const insertMany = this.db.transaction((chunks) => {
-        for (const chunk of chunks) {
-          insertChunk.run(
-            docId,
-            extractedRteId,
-            filepath,
-            filename,
-            chunk.index,
-            chunk.content,
-            chunk.section,
-            chunk.content.split(/\s+/).length
-          );
-          insertFts.run(
-            docId,
-            extractedRteId || '',
-            filepath,
-            filename,
-            chunk.index,
-            chunk.content,
-            chunk.section || ''
-          );
-        }
-      });
-      
-      insertMany(chunks);
+      const chunks = this.replaceChunks({ docId, rteId: extractedRteId, filepath, filename, content });
+      this.scheduleEmbedding();
       
       console.log(`[VectorSearch] Indexed document ${filename}: ${chunks.length} chunks`);
       return true;
@@ -220,76 +258,115 @@ class SQLiteVectorSearch {
   }
 
   /**
-   * Chunk markdown content by sections
+   * Replace the chunks of a file in document_chunks and documents_fts
+   * @returns {object[]} the chunks written, from chunkContent
    */
-  chunkContent(content, filename) {
-    const chunks = [];
-    const lines = content.split('\n');
-    
-    let currentSection = filename;
-    let currentContent = [];
-    let chunkIndex = 0;
-    
-    for (const line of lines) {
-      // Check for markdown header
-      const headerMatch = line.match(/^(#{1,3})\s+(.+)/);
-      
-      if (headerMatch) {
-        // Save previous chunk if it has content
-        if (currentContent.length > 0) {
-          const text = currentContent.join('\n').trim();
-          if (text.length > 50) { // Minimum chunk size
-            chunks.push({
-              index: chunkIndex++,
-              section: currentSection,
-              content: text
-            });
-          }
-        }
-        currentSection = headerMatch[2].trim();
-        currentContent = [line];
-      } else {
-        currentContent.push(line);
-      }
-    }
-    
-    // Don't forget last chunk
-    if (currentContent.length > 0) {
-      const text = currentContent.join('\n').trim();
-      if (text.length > 50) {
-        chunks.push({
-          index: chunkIndex++,
-          section: currentSection,
-          content: text
-        });
+  replaceChunks({ docId, rteId, filepath, filename, content }) {
+    const chunks = this.chunkContent(content, filename);
+
+    const insertChunk = this.db.prepare(`
+      INSERT INTO document_chunks (doc_id, rte_id, filepath, filename, chunk_index, content, section_title, word_count, content_hash,
+                                   start_offset, end_offset, start_line, end_line)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertFts = this.db.prepare(`
+      INSERT INTO documents_fts (doc_id, rte_id, filepath, filename, chunk_index, content, section_title)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM document_chunks WHERE filepath = ?').run(filepath);
+      this.db.prepare('DELETE FROM documents_fts WHERE filepath = ?').run(filepath);
+
+      for (const chunk of chunks) {
+        insertChunk.run(
+          docId,
+          rteId,
+          filepath,
+          filename,
+          chunk.index,
+          chunk.content,
+          chunk.section,
+          chunk.content.split(/\s+/).length,
+          hashContent(chunk.content),
+          chunk.startOffset,
+          chunk.endOffset,
+          chunk.startLine,
+          chunk.endLine
+        );
+        insertFts.run(
+          docId,
+          rteId || '',
+          filepath,
+          filename,
+          chunk.index,
+          chunk.content,
+          chunk.section || ''
+        );
       }
-    }
-    
-    // If no chunks created, create one from whole content
-    if (chunks.length === 0 && content.trim().length > 0) {
-      chunks.push({
-        index: 0,
-        section: filename,
-        content: content.trim()
-      });
-    }
-    
+    })();
+
     return chunks;
   }
 
+  /**
+   * Chunk markdown content (see services/chunker.js), sized by the
+   * `chunking` section of llm-config.json
+   */
+  chunkContent(content, filename) {
+    return chunkMarkdown(content, filename, getLLMManager().getChunkingConfig());
+  }
+
   /**
    * Search for documents matching query
+   * @param {string} query
+   * @param {object} options - { rteId, limit, mode: 'keyword' | 'semantic' | 'hybrid',
+   *   syntax: true to parse the query language of services/fts-query.js }
+   * @returns {Promise<object>} { results, total, query, mode }; a malformed query gives
+   *   no results, an `error` and `queryError: { message, position }`
    */
   async search(query, options = {}) {
     if (!this.isReady || !this.db) {
       return { results: [], total: 0, error: 'Search not ready' };
     }
 
-    const { rteId, limit = 10, highlightLength = 200 } = options;
+    const { rteId, limit = 10, mode = 'keyword' } = options;
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return { results: [], total: 0, error: `Unknown search mode: ${mode} (expected one of ${SEARCH_MODES.join(', ')})` };
+    }
+    if (options.syntax) {
+      let compiled;
+      let scope;
+      try {
+        compiled = compileQuery(query);
+        scope = resolveFilters(compiled.filters);
+      } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        return {
+          results: [],
+          total: 0,
+          query,
+          mode,
+          error: error.message,
+          queryError: { message: error.message, position: error.position }
+        };
+      }
+      return this.search(query, { ...options, syntax: false, match: compiled.match, text: compiled.text, scope });
+    }
+    if (mode === 'semantic') return this.semanticSearch(query, options);
+    if (mode === 'hybrid') return this.hybridSearch(query, options);
 
     try {
+      if (options.scope && this.isEmptyScope(options.scope)) {
+        return { results: [], total: 0, query, mode: 'keyword' };
+      }
+      if (options.match === null) {
+        return this.listScope(query, options);
+      }
+
       // Build FTS5 query - escape special characters
-      const ftsQuery = query
+      const ftsQuery = options.match || query
         .replace(/[^\w\s]/g, ' ')
         .split(/\s+/)
         .filter(w => w.length > 1)
@@ -308,6 +385,7 @@ class SQLiteVectorSearch {
           dc.section_title,
           dc.rte_id,
           dc.content,
+          dc.start_offset, dc.end_offset, dc.start_line, dc.end_line,
           snippet(documents_fts, 5, '<mark>', '</mark>', '...', 30) as highlight,
           bm25(documents_fts) as score
         FROM documents_fts
@@ -321,6 +399,7 @@ class SQLiteVectorSearch {
         sql += ` AND dc.rte_id = ?`;
         params.push(rteId);
       }
+      sql += this.scopeSql(options.scope, params);
       
       sql += ` ORDER BY score LIMIT ?`;
       params.push(limit);
@@ -336,10 +415,12 @@ class SQLiteVectorSearch {
           rteId: r.rte_id,
           highlight: r.highlight,
           content: r.content,
+          location: locationOf(r),
           score: Math.abs(r.score) // BM25 returns negative scores
         })),
         total: results.length,
-        query: query
+        query: query,
+        mode: 'keyword'
       };
     } catch (error) {
       console.error('[VectorSearch] Search error:', error.message);
@@ -347,6 +428,313 @@ class SQLiteVectorSearch {
     }
   }
 
+  /**
+   * Restrict a chunk query to the files allowed by query filters
+   * @param {object} scope - { include: Set|null, exclude: Set } from resolveFilters
+   * @param {Array} params - receives the parameters of the returned SQL
+   * @returns {string} SQL to append to a WHERE clause on document_chunks dc
+   */
+  scopeSql(scope, params) {
+    if (!scope) return '';
+    let sql = '';
+    if (scope.include) {
+      sql += ' AND dc.filepath IN (SELECT value FROM json_each(?))';
+      params.push(JSON.stringify([...scope.include]));
+    }
+    if (scope.exclude.size > 0) {
+      sql += ' AND dc.filepath NOT IN (SELECT value FROM json_each(?))';
+      params.push(JSON.stringify([...scope.exclude]));
+    }
+    return sql;
+  }
+
+  isEmptyScope(scope) {
+    return scope.include !== null && scope.include.size === 0;
+  }
+
+  /**
+   * Files matching the filters of a query without search terms (person:Clara decision:),
+   * newest first, one result per file
+   */
+  listScope(query, options) {
+    const { rteId, limit = 10 } = options;
+    let sql = `
+      SELECT dc.id, dc.filepath, dc.filename, dc.section_title, dc.rte_id, dc.content,
+             dc.start_offset, dc.end_offset, dc.start_line, dc.end_line
+      FROM document_chunks dc
+      WHERE dc.chunk_index = 0
+    `;
+    const params = [];
+    if (rteId) {
+      sql += ' AND dc.rte_id = ?';
+      params.push(rteId);
+    }
+    sql += this.scopeSql(options.scope, params);
+    sql += ' ORDER BY dc.id DESC LIMIT ?';
+    params.push(limit);
+
+    const results = this.db.prepare(sql).all(...params);
+    return {
+      results: results.map(r => ({
+        id: r.id,
+        filepath: r.filepath,
+        filename: r.filename,
+        section: r.section_title,
+        rteId: r.rte_id,
+        highlight: r.content.length > 200 ? `${r.content.substring(0, 200)}...` : r.content,
+        content: r.content,
+        location: locationOf(r),
+        score: 1
+      })),
+      total: results.length,
+      query,
+      mode: 'keyword'
+    };
+  }
+
+  /**
+   * Rank chunks by cosine similarity between the query and chunk embeddings
+   * Returns no results (and makes no model call) while nothing is embedded.
+   * @param {object} options - { rteId, limit, minScore } chunks at or below minScore (default 0) are left out;
+   *   `text` and `scope` come from a parsed query (see search)
+   */
+  async semanticSearch(query, options = {}) {
+    const { rteId, limit = 10, minScore = 0 } = options;
+    const text = options.text ?? query;
+    const llm = getLLMManager();
+    const { enabled, model } = llm.getEmbeddingConfig();
+
+    if (!enabled || !text.trim() || (options.scope && this.isEmptyScope(options.scope))) {
+      return { results: [], total: 0, query, mode: 'semantic' };
+    }
+
+    const embedded = this.db.prepare('SELECT COUNT(*) as count FROM chunk_embeddings WHERE model = ?').get(model).count;
+    if (embedded === 0) {
+      return { results: [], total: 0, query, mode: 'semantic', note: 'No chunks embedded yet' };
+    }
+
+    try {
+      const { embeddings } = await llm.embed([text]);
+      const queryVector = normalizeVector(embeddings[0]);
+
+      let sql = `
+        SELECT dc.id, dc.filepath, dc.filename, dc.section_title, dc.rte_id, dc.content,
+               dc.start_offset, dc.end_offset, dc.start_line, dc.end_line, ce.vector
+        FROM document_chunks dc
+        JOIN chunk_embeddings ce ON ce.content_hash = dc.content_hash AND ce.model = ?
+        WHERE ce.dimensions = ?
+      `;
+      const params = [model, queryVector.length];
+      if (rteId) {
+        sql += ' AND dc.rte_id = ?';
+        params.push(rteId);
+      }
+      sql += this.scopeSql(options.scope, params);
+
+      // Keep only the best `limit` rows while streaming through the table
+      const top = [];
+      for (const row of this.db.prepare(sql).iterate(...params)) {
+        const score = dot(queryVector, vectorFromBlob(row.vector));
+        if (score <= minScore) continue;
+        if (top.length < limit || score > top[top.length - 1].score) {
+          top.push({ row, score });
+          top.sort((a, b) => b.score - a.score);
+          if (top.length > limit) top.pop();
+        }
+      }
+
+      return {
+        results: top.map(({ row, score }) => ({
+          id: row.id,
+          filepath: row.filepath,
+          filename: row.filename,
+          section: row.section_title,
+          rteId: row.rte_id,
+          highlight: row.content.length > 200 ? `${row.content.substring(0, 200)}...` : row.content,
+          content: row.content,
+          location: locationOf(row),
+          score
+        })),
+        total: top.length,
+        query,
+        mode: 'semantic'
+      };
+    } catch (error) {
+      console.error('[VectorSearch] Semantic search error:', error.message);
+      return { results: [], total: 0, query, mode: 'semantic', error: error.message };
+    }
+  }
+
+  /**
+   * Keyword and semantic results merged with reciprocal rank fusion
+   * score is the fused score scaled to 0-1; the per-list scores and ranks are
+   * kept in `scores`. Without embeddings this is keyword search in RRF order.
+   */
+  async hybridSearch(query, options = {}) {
+    const { limit = 10 } = options;
+    const candidates = Math.max(limit * 2, 20);
+
+    const [keyword, semantic] = await Promise.all([
+      this.search(query, { ...options, mode: 'keyword', limit: candidates }),
+      this.semanticSearch(query, { ...options, limit: candidates })
+    ]);
+
+    if (keyword.error && semantic.results.length === 0) {
+      return { ...keyword, mode: 'hybrid' };
+    }
+
+    const fused = reciprocalRankFusion({
+      keyword: keyword.results,
+      semantic: semantic.results
+    }).slice(0, limit);
+
+    const keywordScores = new Map(keyword.results.map(r => [r.id, r.score]));
+    const semanticScores = new Map(semantic.results.map(r => [r.id, r.score]));
+
+    const results = fused.map(entry => ({
+      ...entry.item,
+      score: entry.normalized,
+      scores: {
+        keyword: keywordScores.get(entry.key) ?? null,
+        semantic: semanticScores.get(entry.key) ?? null,
+        keywordRank: entry.ranks.keyword || null,
+        semanticRank: entry.ranks.semantic || null,
+        fused: entry.score
+      }
+    }));
+
+    return {
+      results,
+      total: results.length,
+      query,
+      mode: 'hybrid',
+      semanticAvailable: semantic.results.length > 0
+    };
+  }
+
+  /**
+   * All chunks of the given files, in file order
+   * @param {string[]} filepaths
+   * @returns {Array<{id, filepath, filename, section, rteId, chunkIndex, content, location}>}
+   */
+  getChunksForFiles(filepaths) {
+    if (!this.isReady || !this.db || filepaths.length === 0) return [];
+
+    const placeholders = filepaths.map(() => '?').join(',');
+    return this.db.prepare(`
+      SELECT id, filepath, filename, section_title, rte_id, chunk_index, content,
+             start_offset, end_offset, start_line, end_line
+      FROM document_chunks WHERE filepath IN (${placeholders})
+      ORDER BY filepath, chunk_index
+    `).all(...filepaths).map(r => ({
+      id: r.id,
+      filepath: r.filepath,
+      filename: r.filename,
+      section: r.section_title,
+      rteId: r.rte_id,
+      chunkIndex: r.chunk_index,
+      content: r.content,
+      location: locationOf(r)
+    }));
+  }
+
+  // ============================================================
+  // Embeddings
+  // ============================================================
+
+  /**
+   * Embed new chunks shortly after indexing, without blocking the caller
+   */
+  scheduleEmbedding() {
+    if (this.embedTimer || !getLLMManager().getEmbeddingConfig().enabled) return;
+
+    this.embedTimer = setTimeout(() => {
+      this.embedTimer = null;
+      this.embedMissing().catch(err => console.error('[VectorSearch] Embedding failed:', err.message));
+    }, EMBED_DELAY_MS);
+    this.embedTimer.unref();
+  }
+
+  /**
+   * Embed every chunk that has no vector for the current embedding model
+   * Stops at the first failed batch; the next index or call picks up the rest.
+   * @returns {Promise<{embedded: number, missing: number, model: string, error?: string}>}
+   */
+  async embedMissing() {
+    const llm = getLLMManager();
+    const { enabled, model } = llm.getEmbeddingConfig();
+    if (!this.isReady || !enabled) {
+      return { embedded: 0, missing: 0, model, error: 'Embeddings not available' };
+    }
+    if (this.isEmbedding) {
+      return { embedded: 0, missing: this.countMissingEmbeddings(model), model, error: 'Embedding already running' };
+    }
+
+    this.isEmbedding = true;
+    let embedded = 0;
+    let failure = null;
+
+    const selectMissing = this.db.prepare(`
+      SELECT dc.content_hash, MIN(dc.content) as content
+      FROM document_chunks dc
+      LEFT JOIN chunk_embeddings ce ON ce.content_hash = dc.content_hash AND ce.model = ?
+      WHERE ce.content_hash IS NULL AND dc.content_hash IS NOT NULL
+      GROUP BY dc.content_hash
+      LIMIT ?
+    `);
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO chunk_embeddings (content_hash, model, dimensions, vector)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    try {
+      while (this.db) {
+        const batch = selectMissing.all(model, EMBED_BATCH_SIZE);
+        if (batch.length === 0) break;
+
+        const { embeddings } = await llm.embed(batch.map(row => row.content.substring(0, EMBED_MAX_CHARS)));
+        // The database may have been closed while the model was busy
+        if (!this.db) break;
+        this.db.transaction(() => {
+          batch.forEach((row, i) => {
+            const vector = normalizeVector(embeddings[i]);
+            insert.run(row.content_hash, model, vector.length, Buffer.from(vector.buffer));
+          });
+        })();
+        embedded += batch.length;
+      }
+
+      if (this.db) {
+        // Vectors of chunks that were deleted or re-chunked
+        this.db.prepare(`
+          DELETE FROM chunk_embeddings
+          WHERE content_hash NOT IN (SELECT content_hash FROM document_chunks WHERE content_hash IS NOT NULL)
+        `).run();
+      }
+    } catch (error) {
+      failure = error.message;
+      console.error(`[VectorSearch] Embedding with ${model} failed after ${embedded} chunks:`, error.message);
+    } finally {
+      this.isEmbedding = false;
+    }
+
+    if (embedded > 0) {
+      console.log(`[VectorSearch] Embedded ${embedded} chunks with ${model}`);
+    }
+    const result = { embedded, missing: this.db ? this.countMissingEmbeddings(model) : 0, model };
+    if (failure) result.error = failure;
+    return result;
+  }
+
+  countMissingEmbeddings(model) {
+    return this.db.prepare(`
+      SELECT COUNT(DISTINCT dc.content_hash) as count
+      FROM document_chunks dc
+      LEFT JOIN chunk_embeddings ce ON ce.content_hash = dc.content_hash AND ce.model = ?
+      WHERE ce.content_hash IS NULL
+    `).get(model).count;
+  }
+
   /**
    * Find open items (TODOs, action items, blockers)
    */
@@ -404,6 +792,14 @@ class SQLiteVectorSearch {
     }
   }
 
+  /**
+   * Whether a file has chunks in the index
+   */
+  isIndexed(filepath) {
+    if (!this.isReady || !this.db) return false;
+    return !!this.db.prepare('SELECT 1 FROM document_chunks WHERE filepath = ? LIMIT 1').get(filepath);
+  }
+
   /**
    * Delete document from index by filepath
    */
@@ -497,11 +893,25 @@ class SQLiteVectorSearch {
         GROUP BY rte_id
       `).all();
       
+      const { enabled, model } = getLLMManager().getEmbeddingConfig();
+      const embedded = this.db.prepare(`
+        SELECT COUNT(DISTINCT dc.content_hash) as count
+        FROM document_chunks dc
+        JOIN chunk_embeddings ce ON ce.content_hash = dc.content_hash AND ce.model = ?
+      `).get(model || '').count;
+      
       return {
         ready: true,
         chunks: chunks.count,
         files: files.count,
-        byRte
+        byRte,
+        embeddings: {
+          enabled,
+          model: model || null,
+          embedded,
+          missing: this.countMissingEmbeddings(model || ''),
+          running: this.isEmbedding
+        }
       };
     } catch (error) {
       return { ready: false, error: error.message };
@@ -512,6 +922,10 @@ class SQLiteVectorSearch {
    * Close database connection
    */
   close() {
+    if (this.embedTimer) {
+      clearTimeout(this.embedTimer);
+      this.embedTimer = null;
+    }
     if (this.db) {
       this.db.close();
       this.db = null;
@@ -530,4 +944,4 @@ function getInstance() {
   return instance;
 }
 
-module.exports = { SQLiteVectorSearch, getInstance };
+module.exports = { SQLiteVectorSearch, getInstance, SEARCH_MODES };
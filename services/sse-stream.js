@@ -0,0 +1,52 @@
+/**
+ * SSE Stream Helper
+ * Server-Sent Events for streamed LLM responses
+ *
+ * Events use the same shape public/js/stream-handler.js consumes:
+ *   data: {"type":"token","content":"..."}
+ *   data: {"type":"complete","response":"...", ...}
+ *   data: {"type":"error","message":"..."}
+ */
+
+/**
+ * Open an SSE response on a POST request
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {{send: Function, token: Function, complete: Function, error: Function, signal: AbortSignal, isClosed: Function}}
+ */
+function openSseStream(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // Abort the upstream LLM call when the browser goes away
+  const controller = new AbortController();
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    controller.abort();
+  });
+
+  const send = (type, payload = {}) => {
+    if (closed) return;
+    res.write(`data: ${JSON.stringify({ type, ...payload })}\n\n`);
+  };
+
+  return {
+    send,
+    token: (content, extra = {}) => send('token', { content, ...extra }),
+    complete: (payload) => {
+      send('complete', payload);
+      res.end();
+    },
+    error: (message) => {
+      send('error', { message });
+      res.end();
+    },
+    signal: controller.signal,
+    isClosed: () => closed
+  };
+}
+
+module.exports = { openSseStream };
@@ -0,0 +1,164 @@
+/**
+ * Structured Output
+ * JSON extraction and schema validation for LLM replies
+ *
+ * Schemas use a JSON Schema subset, the same object is passed to Ollama's
+ * `format` parameter (and OpenAI's `response_format`):
+ *   type (object | array | string | number | integer | boolean | null, or a list),
+ *   properties, required, additionalProperties: false, items, enum,
+ *   minimum, maximum, minLength
+ */
+
+/**
+ * Thrown when a reply still fails validation after the repair pass
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details - { errors: string[], raw: string, model: string, attempts: number }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = details.errors || [];
+    this.raw = details.raw || '';
+    this.model = details.model || null;
+    this.attempts = details.attempts || 0;
+  }
+}
+
+/**
+ * Pull a JSON value out of an LLM reply
+ * Accepts bare JSON, ```json fenced blocks, or JSON surrounded by prose.
+ * @param {string} text
+ * @returns {*} parsed value
+ * @throws {SyntaxError} when no parseable JSON is found
+ */
+function extractJson(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new SyntaxError('Empty response');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    // Fall through to the looser strategies
+  }
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1].trim() : trimmed;
+
+  // Outermost object or array
+  const start = candidate.search(/[{[]/);
+  if (start === -1) throw new SyntaxError('No JSON object found in response');
+  const closing = candidate[start] === '{' ? '}' : ']';
+  const end = candidate.lastIndexOf(closing);
+  if (end <= start) throw new SyntaxError('Unterminated JSON in response');
+
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} at - JSON path used in error messages
+ * @returns {string[]} errors, empty when valid
+ */
+function validate(value, schema, at = '$') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${at}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(value[key], propSchema, `${at}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      const allowed = new Set(Object.keys(schema.properties || {}));
+      for (const key of Object.keys(value)) {
+        if (!allowed.has(key)) errors.push(`${at}: unexpected property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a reply in one step
+ * @returns {{data: *, errors: string[]}} data is null when the reply is not JSON
+ */
+function parseAndValidate(text, schema) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (e) {
+    return { data: null, errors: [`Invalid JSON: ${e.message}`] };
+  }
+  return { data, errors: validate(data, schema) };
+}
+
+/**
+ * Prompt for the repair pass: the previous reply plus what was wrong with it
+ */
+function buildRepairPrompt(originalPrompt, reply, errors, schema) {
+  return `${originalPrompt}
+
+---
+Your previous reply could not be used:
+${reply.substring(0, 4000)}
+
+Problems:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY valid JSON matching this schema, no other text:
+${JSON.stringify(schema)}`;
+}
+
+module.exports = {
+  StructuredOutputError,
+  extractJson,
+  validate,
+  parseAndValidate,
+  buildRepairPrompt
+};
@@ -0,0 +1,424 @@
+/**
+ * Temporal Parser
+ * Finds a date range in free text, in English or Dutch
+ *
+ * Used by Ask (the question), Search (`q` or `when`) and Trend (`topic` or
+ * `when`). Understands:
+ *   relative   - today, yesterday, this/last week|month|quarter|year, past month, last 14 days,
+ *                vandaag, gisteren, deze week, vorige week, afgelopen maand, laatste 3 weken
+ *                ("last"/"vorige" is the previous calendar period, "past"/"afgelopen"
+ *                the period up to today)
+ *   calendar   - in January, januari 2026, 1 maart, March 3rd, Q3, Q3 2025, 2025-Q3, in 2024
+ *   ISO        - 2026-03-01, 2026-03, 2026-01-01..2026-03-31, 2026-01-01 to 2026-03-31
+ *   events     - since PI planning, sinds de sprint review: the date of the latest
+ *                document that mentions the event
+ *   operators  - since/sinds/vanaf/from/after/na, until/tot/t/m, before/vóór,
+ *                during/tijdens, from X to Y, van X tot Y, between X and Y, tussen X en Y
+ *
+ * In free text (a search query, a question, a Trend topic) only what is plainly
+ * about time becomes a range: relative periods, ISO ranges and calendar dates
+ * after an operator ("since Q3", "before 1 March"). A calendar date, month,
+ * quarter, year or event on its own may just be a term ("Q3 roadmap", "in
+ * April", "budget 2025", "notes of Q3"), so it stays in the text. A `when`
+ * field holds nothing but a date phrase: with { explicit: true } these are
+ * read as dates on their own too.
+ * Dates without a year resolve to the most recent one that has started.
+ * Ranges are inclusive YYYY-MM-DD strings in local time; either end can be
+ * null for an open range ("until March").
+ */
+
+const { getDb } = require('../db/connection');
+
+const MONTHS = {
+  january: 0, jan: 0, januari: 0,
+  february: 1, feb: 1, februari: 1,
+  march: 2, mar: 2, maart: 2, mrt: 2,
+  april: 3, apr: 3,
+  may: 4, mei: 4,
+  june: 5, jun: 5, juni: 5,
+  july: 6, jul: 6, juli: 6,
+  august: 7, aug: 7, augustus: 7,
+  september: 8, sep: 8, sept: 8,
+  october: 9, oct: 9, oktober: 9, okt: 9,
+  november: 10, nov: 10,
+  december: 11, dec: 11
+};
+
+// Meetings whose date can be looked up in the documents (filename or content)
+const EVENTS = {
+  'pi planning': ['pi planning', 'pi-planning', 'piplanning'],
+  'sprint planning': ['sprint planning', 'sprint-planning'],
+  'sprint review': ['sprint review', 'sprint-review'],
+  'system demo': ['system demo', 'system-demo'],
+  'retrospective': ['retrospective', 'retro'],
+  'inspect and adapt': ['inspect and adapt', 'inspect & adapt', 'i&a'],
+  'kick-off': ['kick-off', 'kickoff', 'kick off']
+};
+
+const MONTH = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+const YEAR = '((?:19|20)\\d{2})';
+const UNIT = '(day|days|dag|dagen|week|weeks|weken|month|months|maand|maanden|quarter|quarters|kwartaal|kwartalen|year|years|jaar|jaren)';
+const ISO_DATE = '(\\d{4})-(\\d{2})-(\\d{2})';
+const EVENT = `(?:(?:the|de|het)\\s+)?(?:(?:last|latest|previous|laatste|vorige)\\s+)?(${Object.values(EVENTS).flat()
+  .map(alias => alias.replace(/[&-]/g, '\\$&').replace(/ /g, '\\s+')).sort((a, b) => b.length - a.length).join('|')})`;
+
+// Operators in front of a single point, by what they do with it
+const OPERATORS = [
+  { re: /(?:ever\s+)?since|sinds|vanaf|starting|from/y, kind: 'since' },
+  { re: /after|na/y, kind: 'after' },
+  { re: /until|till|through|tot\s+en\s+met|t\/m|tot/y, kind: 'until' },
+  // Plain "voor" is mostly "for" ("budget voor 2025")
+  { re: /before|vóór/y, kind: 'before' },
+  { re: /during|tijdens/y, kind: 'in' }
+];
+const RANGE_OPENERS = /(?:from|between|van|tussen)\s+/y;
+const RANGE_JOINERS = /\s*(?:\.\.|–|-|tot\s+en\s+met|t\/m|tot|until|till|to|and|en)\s*/y;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function endOfMonth(year, month) {
+  return new Date(year, month + 1, 0);
+}
+
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function validDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+function unitKind(unit) {
+  if (/^(day|dag)/.test(unit)) return 'day';
+  if (/^we/.test(unit)) return 'week';
+  if (/^(month|maand)/.test(unit)) return 'month';
+  if (/^(quarter|kwarta)/.test(unit)) return 'quarter';
+  return 'year';
+}
+
+/**
+ * Current calendar period (to today) or the whole previous one
+ */
+function calendarPeriod(kind, today, previous) {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+
+  switch (kind) {
+    case 'day':
+      return previous ? { start: addDays(today, -1), end: addDays(today, -1) } : { start: today, end: today };
+    case 'week': {
+      // Weeks start on Monday
+      const monday = addDays(today, -((today.getDay() + 6) % 7));
+      return previous ? { start: addDays(monday, -7), end: addDays(monday, -1) } : { start: monday, end: today };
+    }
+    case 'month':
+      return previous
+        ? { start: new Date(year, month - 1, 1), end: endOfMonth(year, month - 1) }
+        : { start: new Date(year, month, 1), end: today };
+    case 'quarter': {
+      const first = month - (month % 3);
+      return previous
+        ? { start: new Date(year, first - 3, 1), end: endOfMonth(year, first - 1) }
+        : { start: new Date(year, first, 1), end: today };
+    }
+    default:
+      return previous
+        ? { start: new Date(year - 1, 0, 1), end: new Date(year - 1, 11, 31) }
+        : { start: new Date(year, 0, 1), end: today };
+  }
+}
+
+/**
+ * The last n days/weeks/months/... up to and including today
+ */
+function rollingPeriod(n, kind, today) {
+  if (kind === 'day') return { start: addDays(today, -n + 1), end: today };
+  if (kind === 'week') return { start: addDays(today, -7 * n + 1), end: today };
+
+  const months = kind === 'month' ? n : kind === 'quarter' ? 3 * n : 12 * n;
+  return { start: addDays(new Date(today.getFullYear(), today.getMonth() - months, today.getDate()), 1), end: today };
+}
+
+/**
+ * Latest document date (up to today) of a document that mentions the event
+ * @returns {Date|null}
+ */
+function findEventDate(eventName, { today, rteId }) {
+  const db = getDb();
+  if (!db) return null;
+
+  const aliases = Object.values(EVENTS).find(list => list.includes(eventName)) || [eventName];
+  const conditions = aliases.map(() => '(lower(filename) LIKE ? OR lower(raw_content) LIKE ?)').join(' OR ');
+  const params = aliases.flatMap(alias => [`%${alias}%`, `%${alias}%`]);
+
+  try {
+    const row = db.prepare(`
+      SELECT MAX(document_date) as date FROM rte_documents
+      WHERE document_date IS NOT NULL AND document_date <= ? AND deleted_at IS NULL
+      ${rteId ? 'AND rte_id = ?' : ''}
+      AND (${conditions})
+    `).get(formatDate(today), ...(rteId ? [rteId] : []), ...params);
+    if (!row?.date) return null;
+
+    const [year, month, day] = row.date.substring(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+  } catch (error) {
+    console.error('[Temporal] Event lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Single points in time, each resolving to an inclusive { start, end }
+ * needsOperator: in free text, only a date after since/before/during/...
+ * iso: an ISO date, which may start a range without an opener
+ */
+const POINTS = [
+  {
+    // 2025-Q3, Q3 2025, Q3
+    re: new RegExp(`(?:${YEAR}[-\\s]?q([1-4])|q([1-4])(?:\\s+(?:of\\s+|van\\s+)?${YEAR})?)\\b`, 'iy'),
+    needsOperator: true,
+    resolve(m, { today }) {
+      const quarter = parseInt(m[2] || m[3]) - 1;
+      let year = parseInt(m[1] || m[4]) || today.getFullYear();
+      if (!m[1] && !m[4] && new Date(year, quarter * 3, 1) > today) year--;
+      return { start: new Date(year, quarter * 3, 1), end: endOfMonth(year, quarter * 3 + 2) };
+    }
+  },
+  {
+    re: new RegExp(`${ISO_DATE}\\b`, 'y'),
+    needsOperator: true,
+    iso: true,
+    resolve(m) {
+      const date = validDate(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]));
+      return date && { start: date, end: date };
+    }
+  },
+  {
+    // 2026-03
+    re: /(\d{4})-(\d{2})\b(?!-)/y,
+    needsOperator: true,
+    resolve(m) {
+      const month = parseInt(m[2]) - 1;
+      if (month > 11) return null;
+      return { start: new Date(parseInt(m[1]), month, 1), end: endOfMonth(parseInt(m[1]), month) };
+    }
+  },
+  {
+    // 1 maart, 3rd of March 2026
+    re: new RegExp(`(\\d{1,2})(?:st|nd|rd|th|e)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+${YEAR})?\\b`, 'iy'),
+    needsOperator: true,
+    resolve(m, { today }) {
+      return dayOfMonth(parseInt(m[1]), MONTHS[m[2].toLowerCase()], m[3], today);
+    }
+  },
+  {
+    // March 3, March 3rd 2026
+    re: new RegExp(`${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+${YEAR})?\\b(?!\\s*:)`, 'iy'),
+    needsOperator: true,
+    resolve(m, { today }) {
+      return dayOfMonth(parseInt(m[2]), MONTHS[m[1].toLowerCase()], m[3], today);
+    }
+  },
+  {
+    // januari 2026
+    re: new RegExp(`${MONTH}\\s+${YEAR}\\b`, 'iy'),
+    needsOperator: true,
+    resolve(m) {
+      const month = MONTHS[m[1].toLowerCase()];
+      return { start: new Date(parseInt(m[2]), month, 1), end: endOfMonth(parseInt(m[2]), month) };
+    }
+  },
+  {
+    re: /(?:today|vandaag)\b/iy,
+    resolve: (m, { today }) => calendarPeriod('day', today, false)
+  },
+  {
+    re: /(?:yesterday|gisteren)\b/iy,
+    resolve: (m, { today }) => calendarPeriod('day', today, true)
+  },
+  {
+    re: /eergisteren\b/iy,
+    resolve: (m, { today }) => ({ start: addDays(today, -2), end: addDays(today, -2) })
+  },
+  {
+    // last 14 days, de afgelopen 3 weken
+    re: new RegExp(`(?:(?:the|de)\\s+)?(?:last|past|previous|afgelopen|laatste|voorbije)\\s+(\\d{1,3})\\s+${UNIT}\\b`, 'iy'),
+    resolve: (m, { today }) => rollingPeriod(parseInt(m[1]), unitKind(m[2].toLowerCase()), today)
+  },
+  {
+    // past week, afgelopen maand: one unit back from today
+    re: new RegExp(`(?:(?:the|de|het)\\s+)?(?:past|afgelopen|voorbije)\\s+${UNIT}\\b`, 'iy'),
+    resolve: (m, { today }) => rollingPeriod(1, unitKind(m[1].toLowerCase()), today)
+  },
+  {
+    // this week, deze maand, dit kwartaal
+    re: new RegExp(`(?:this|current|deze|dit|huidige)\\s+${UNIT}\\b`, 'iy'),
+    resolve: (m, { today }) => calendarPeriod(unitKind(m[1].toLowerCase()), today, false)
+  },
+  {
+    // last week, vorige maand: the previous calendar period
+    re: new RegExp(`(?:(?:the|de|het)\\s+)?(?:last|previous|vorige|vorig)\\s+${UNIT}\\b`, 'iy'),
+    resolve: (m, { today }) => calendarPeriod(unitKind(m[1].toLowerCase()), today, true)
+  },
+  {
+    re: new RegExp(`${MONTH}\\b`, 'iy'),
+    needsOperator: true,
+    resolve(m, { today }) {
+      const month = MONTHS[m[1].toLowerCase()];
+      const year = month > today.getMonth() ? today.getFullYear() - 1 : today.getFullYear();
+      return { start: new Date(year, month, 1), end: endOfMonth(year, month) };
+    }
+  },
+  {
+    re: new RegExp(`${YEAR}\\b(?![-/]\\d)`, 'y'),
+    needsOperator: true,
+    resolve(m) {
+      const year = parseInt(m[1]);
+      return { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+    }
+  },
+  {
+    re: new RegExp(`${EVENT}\\b`, 'iy'),
+    needsOperator: true,
+    resolve(m, context) {
+      const date = findEventDate(m[1].toLowerCase().replace(/\s+/g, ' '), context);
+      return date && { start: date, end: date };
+    }
+  }
+];
+
+function dayOfMonth(day, month, yearText, today) {
+  let date = validDate(yearText ? parseInt(yearText) : today.getFullYear(), month, day);
+  if (date && !yearText && date > today) date = validDate(today.getFullYear() - 1, month, day);
+  return date && { start: date, end: date };
+}
+
+/**
+ * Longest point starting exactly at index
+ */
+function matchPoint(text, index, context, withOperator) {
+  let best = null;
+  for (const point of POINTS) {
+    if (point.needsOperator && !withOperator) continue;
+    point.re.lastIndex = index;
+    const m = point.re.exec(text);
+    if (!m || (best && m[0].length <= best.length)) continue;
+    const range = point.resolve(m, context);
+    if (range) best = { length: m[0].length, range, iso: !!point.iso };
+  }
+  return best;
+}
+
+function matchSticky(re, text, index) {
+  re.lastIndex = index;
+  const m = re.exec(text);
+  return m ? m[0].length : 0;
+}
+
+/**
+ * Longest temporal expression starting at index: a range, an operator with a
+ * point, or a bare point
+ */
+function matchAt(text, index, context) {
+  const candidates = [];
+
+  const opener = matchSticky(RANGE_OPENERS, text, index);
+  if (opener) {
+    const from = matchPoint(text, index + opener, context, true);
+    const joiner = from && matchSticky(RANGE_JOINERS, text, index + opener + from.length);
+    const to = joiner && matchPoint(text, index + opener + from.length + joiner, context, true);
+    if (to) {
+      candidates.push({
+        length: opener + from.length + joiner + to.length,
+        range: { start: from.range.start, end: to.range.end }
+      });
+    }
+  }
+
+  for (const operator of OPERATORS) {
+    const length = matchSticky(operator.re, text, index);
+    // The operator must be a whole word followed by a space
+    if (!length || !/\s/.test(text[index + length] || '')) continue;
+    const gap = matchSticky(/\s+/y, text, index + length);
+    const point = matchPoint(text, index + length + gap, context, !operator.datesOnly);
+    if (!point) continue;
+
+    const { start, end } = point.range;
+    const ranges = {
+      since: { start, end: context.today },
+      after: { start: addDays(end, 1), end: context.today },
+      until: { start: null, end },
+      before: { start: null, end: addDays(start, -1) },
+      in: { start, end }
+    };
+    candidates.push({ length: length + gap + point.length, range: ranges[operator.kind] });
+  }
+
+  const bare = matchPoint(text, index, context, context.explicit);
+  if (bare) candidates.push(bare);
+
+  // Ranges without an opener: only ISO dates in free text (2026-01-01..2026-03-31)
+  const from = matchPoint(text, index, context, true);
+  const joiner = from && matchSticky(RANGE_JOINERS, text, index + from.length);
+  const to = joiner && matchPoint(text, index + from.length + joiner, context, true);
+  if (to && (context.explicit || (from.iso && to.iso))) {
+    candidates.push({ length: from.length + joiner + to.length, range: { start: from.range.start, end: to.range.end } });
+  }
+
+  return candidates.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Find the first date expression in a text
+ * @param {string} text
+ * @param {object} options - { now: Date (default: current time), rteId: limits event lookups,
+ *   explicit: the text is a date field, so a date needs no operator }
+ * @returns {object|null} { start, end, text, index } start/end are YYYY-MM-DD
+ *   or null for an open end; text is the matched phrase as written
+ */
+function parseTemporal(text, options = {}) {
+  if (!text) return null;
+  const context = {
+    today: startOfDay(options.now || new Date()),
+    rteId: options.rteId || null,
+    explicit: !!options.explicit
+  };
+
+  for (const word of text.matchAll(/(?<![\p{L}\p{N}])[\p{L}\p{N}]/gu)) {
+    const match = matchAt(text, word.index, context);
+    // A match must end at a word boundary ("in" must not match inside "into")
+    if (!match || /[\p{L}\p{N}]/u.test(text[word.index + match.length] || '')) continue;
+
+    const { start, end } = match.range;
+    if (start && end && start > end) continue;
+    return {
+      start: start ? formatDate(start) : null,
+      end: end ? formatDate(end) : null,
+      text: text.substr(word.index, match.length).trim(),
+      index: word.index
+    };
+  }
+  return null;
+}
+
+/**
+ * The text with a parsed expression removed, for searching on the rest
+ */
+function stripTemporal(text, parsed) {
+  if (!parsed) return text;
+  return `${text.slice(0, parsed.index)} ${text.slice(parsed.index + parsed.text.length)}`
+    .replace(/\s+([?.!,])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { parseTemporal, stripTemporal, formatDate };
@@ -0,0 +1,95 @@
+/**
+ * Text Diff
+ * Line and sentence level diff for comparing two answers to the same question
+ *
+ * Answers are prose or short bullet lists, so they are compared per line,
+ * with long lines split into sentences: a reworded sentence shows up as one
+ * removed and one added entry instead of a wall of changed words.
+ *
+ * Files are compared as they are, one unit per line, blank lines and
+ * whitespace included (the `lines` option).
+ */
+
+// Longest common subsequence table size above which the diff gives up on alignment
+const MAX_CELLS = 1000000;
+
+/**
+ * Lines, with prose lines split into sentences
+ */
+function splitUnits(text) {
+  return (text || '')
+    .split('\n')
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(\[])/))
+    .map(unit => unit.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Lines exactly as written, blank ones included
+ */
+function splitLines(text) {
+  return text ? text.split('\n') : [];
+}
+
+function normalizeWhitespace(unit) {
+  return unit.replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Compare two texts
+ * @param {string} before
+ * @param {string} after
+ * @param {object} options
+ * @param {Function} options.normalize - unit => string used to decide whether two units are equal
+ * @param {boolean} options.lines - compare whole lines as written instead of trimmed sentences
+ * @returns {{ops: Array<{type: 'equal'|'added'|'removed', text: string}>, added: number, removed: number, unchanged: number, text: string}}
+ *   text is the diff as "+ "/"- "/"  " prefixed lines
+ */
+function diffText(before, after, { normalize = normalizeWhitespace, lines = false } = {}) {
+  const split = lines ? splitLines : splitUnits;
+  const a = split(before);
+  const b = split(after);
+  const ops = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    a.forEach(text => ops.push({ type: 'removed', text }));
+    b.forEach(text => ops.push({ type: 'added', text }));
+  } else {
+    const na = a.map(normalize);
+    const nb = b.map(normalize);
+    // lcs[i][j] = common units of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = na[i] === nb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (na[i] === nb[j]) {
+        ops.push({ type: 'equal', text: b[j] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ type: 'removed', text: a[i++] });
+      } else {
+        ops.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+  }
+
+  const prefixes = { equal: '  ', added: '+ ', removed: '- ' };
+  return {
+    ops,
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length,
+    unchanged: ops.filter(op => op.type === 'equal').length,
+    text: ops.map(op => `${prefixes[op.type]}${op.text}`).join('\n')
+  };
+}
+
+module.exports = { diffText, splitUnits };
@@ -0,0 +1,575 @@
+/**
+ * Workspace Watcher
+ * Keeps rte_documents, the search index and the extraction queue in step
+ * with Markdown files that are edited outside the app
+ *
+ * Every RTE's folders are watched recursively with fs.watch: the folder ingest
+ * saves its documents in, and its base_path when that is somewhere else.
+ * Events are collected until the workspace has been quiet for DEBOUNCE_MS,
+ * then each touched path is reconciled with the database:
+ *   - new file        registered like an ingested document
+ *   - changed file    stored text, markers and tags updated, a version
+ *                     recorded, re-indexed, queued for extraction
+ *   - deleted file    document deleted (kept as a row with deleted_at), tags
+ *                     and index entries removed, markers retired; its
+ *                     version history stays, and it comes back with its
+ *                     file
+ *   - moved file      a new file with the same or similar text as a document
+ *                     deleted in the same batch, or as one of the RTE whose
+ *                     file is missing (editors that save by replacing the
+ *                     file can hide the old path from fs.watch); the
+ *                     document keeps its id, markers and history, and an
+ *                     edit made on the way is synced as one
+ * A full scan at start-up catches what changed while the app was not running.
+ * Every ROOTS_CHECK_MS the RTEs are checked, so a new RTE, a changed base_path
+ * or an ingest folder created by the first document is watched without a
+ * rescan, and documents whose file went missing unreported are synced.
+ *
+ * Read-only RTEs are not watched: the Orchestrator's base path is the whole
+ * workspace, including the incoming folder of files that still await import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getDb } = require('../db/connection');
+const { getInstance: getVectorSearch } = require('./sqlite-vector-search');
+const { compareContents } = require('./document-fingerprint');
+const {
+  CONTENT_TYPE_FOLDERS,
+  extractDateFromContent,
+  parseDocumentFile,
+  registerDocument,
+  refreshDocument,
+  syncDocumentFile,
+  rteWorkspacePath
+} = require('./document-ingest');
+
+const DEBOUNCE_MS = 1500;    // Quiet time before a batch is processed
+const MAX_WAIT_MS = 10000;   // Process anyway when events keep coming
+const ROOTS_CHECK_MS = 30000;
+const RECENT_LIMIT = 20;
+
+function expandPath(p) {
+  return path.normalize(p.replace(/^~/, os.homedir()));
+}
+
+function isInside(filepath, dir) {
+  const relative = path.relative(dir, filepath);
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function isHidden(filepath, root) {
+  return path.relative(root, filepath).split(path.sep).some(part => part.startsWith('.'));
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+/**
+ * Live documents stored under a directory
+ */
+function documentPathsUnder(db, dir) {
+  const prefix = `${dir}${path.sep}`;
+  // LIKE narrows it down (wildcards in folder names escaped); it ignores case, startsWith does not
+  const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+  return db.prepare("SELECT filepath FROM rte_documents WHERE filepath LIKE ? ESCAPE '\\' AND deleted_at IS NULL")
+    .all(pattern)
+    .map(row => row.filepath)
+    .filter(filepath => filepath.startsWith(prefix));
+}
+
+/**
+ * All .md files under a directory, skipping hidden folders
+ */
+function listMarkdownFiles(dir) {
+  const files = [];
+  if (!fs.existsSync(dir)) return files;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listMarkdownFiles(fullPath));
+    } else if (entry.isFile() && entry.name.endsWith('.md')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+class WorkspaceWatcher {
+  constructor() {
+    this.isRunning = false;
+    this.roots = [];             // { rte, basePath, watching, error }
+    this.watchers = new Map();   // base path -> fs.FSWatcher
+    this.pending = new Set();
+    this.timer = null;
+    this.rootsTimer = null;
+    this.rootsKey = null;        // what loadRoots saw, to notice RTE changes
+    this.firstPendingAt = null;
+    this.isSyncing = false;
+    this.lastEventAt = null;
+    this.lastSyncAt = null;
+    this.lastScanAt = null;
+    this.lastScan = null;
+    this.counts = { created: 0, updated: 0, moved: 0, deleted: 0, errors: 0 };
+    this.recent = [];
+  }
+
+  /**
+   * Watch every RTE workspace and scan it for changes made while the app was down
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('[Watcher] Already running');
+      return;
+    }
+
+    this.loadRoots();
+    for (const root of this.roots) {
+      // A base path inside another one is covered by the outer watch
+      if (!root.watching || this.roots.some(other => other.watching && isInside(root.basePath, other.basePath))) continue;
+      this.watch(root);
+    }
+
+    this.isRunning = true;
+    this.rootsTimer = setInterval(() => this.checkRoots(), ROOTS_CHECK_MS);
+    this.rootsTimer.unref();
+    console.log(`[Watcher] Watching ${this.watchers.size} folder(s) for ${new Set(this.roots.filter(r => r.watching).map(r => r.rte.id)).size} RTE(s)`);
+    this.scan();
+  }
+
+  /**
+   * Stop watching; pending changes are dropped and picked up by the next scan
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    clearTimeout(this.timer);
+    this.timer = null;
+    clearInterval(this.rootsTimer);
+    this.rootsTimer = null;
+    this.pending.clear();
+    this.firstPendingAt = null;
+    this.isRunning = false;
+    console.log('[Watcher] Stopped');
+  }
+
+  /**
+   * Pick up RTEs whose base path was added or changed, then scan everything
+   * @returns {object} scan summary
+   */
+  rescan() {
+    this.stop();
+    this.start();
+    return this.lastScan;
+  }
+
+  /**
+   * Folders of every writable RTE: its ingest folder and its base_path
+   * @returns {Array<{rte: object, basePath: string, isIngestFolder: boolean, exists: boolean}>}
+   */
+  listRootFolders(db) {
+    const folders = [];
+    for (const rte of db.prepare('SELECT * FROM rtes ORDER BY id').all()) {
+      const metadata = JSON.parse(rte.metadata_json || '{}');
+      if (metadata.read_only) continue;
+
+      const ingestFolder = rteWorkspacePath(rte.name);
+      const paths = [ingestFolder];
+      if (metadata.base_path && expandPath(metadata.base_path) !== ingestFolder) paths.push(expandPath(metadata.base_path));
+      for (const basePath of paths) {
+        const exists = fs.existsSync(basePath) && fs.statSync(basePath).isDirectory();
+        folders.push({ rte, basePath, isIngestFolder: basePath === ingestFolder, exists });
+      }
+    }
+    return folders;
+  }
+
+  /**
+   * Watched RTE folders; an ingest folder that does not exist yet (nothing
+   * ingested) is left out until the first document creates it
+   */
+  loadRoots() {
+    const db = getDb();
+    this.roots = [];
+    this.rootsKey = null;
+    if (!db) return;
+
+    const folders = this.listRootFolders(db);
+    this.rootsKey = JSON.stringify(folders.map(f => [f.rte.id, f.basePath, f.exists]));
+    for (const { rte, basePath, isIngestFolder, exists } of folders) {
+      if (!exists && isIngestFolder) continue;
+      this.roots.push({ rte, basePath, watching: exists, error: exists ? null : 'Folder not found' });
+    }
+  }
+
+  /**
+   * Rescan when an RTE was added, renamed or removed, a base_path changed or
+   * a folder appeared or went away; otherwise sweep for missing files
+   */
+  checkRoots() {
+    const db = getDb();
+    if (!db || this.isSyncing) return;
+
+    const folders = this.listRootFolders(db);
+    if (JSON.stringify(folders.map(f => [f.rte.id, f.basePath, f.exists])) === this.rootsKey) {
+      this.sweep();
+      return;
+    }
+
+    console.log('[Watcher] RTE folders changed, rescanning');
+    this.rescan();
+  }
+
+  /**
+   * Sync documents under the watched folders whose file is gone without an
+   * event. Waits while events are pending: the file may be half of a move.
+   */
+  sweep() {
+    const db = getDb();
+    if (!db || this.pending.size > 0) return;
+
+    const missing = this.roots
+      .filter(root => root.watching)
+      .flatMap(root => documentPathsUnder(db, root.basePath))
+      .filter(filepath => !fs.existsSync(filepath));
+    if (missing.length > 0) this.sync([...new Set(missing)]);
+  }
+
+  watch(root) {
+    try {
+      const watcher = fs.watch(root.basePath, { recursive: true }, (event, filename) => {
+        // Without a file name the events were too many to report; scan instead
+        this.queue(filename ? path.join(root.basePath, filename.toString()) : root.basePath);
+      });
+      watcher.on('error', error => {
+        console.error(`[Watcher] ${root.basePath}:`, error.message);
+        root.watching = false;
+        root.error = error.message;
+        watcher.close();
+        this.watchers.delete(root.basePath);
+      });
+      this.watchers.set(root.basePath, watcher);
+    } catch (error) {
+      console.error(`[Watcher] Cannot watch ${root.basePath}:`, error.message);
+      root.watching = false;
+      root.error = error.message;
+    }
+  }
+
+  /**
+   * Collect a changed path; the batch runs when the workspace goes quiet
+   */
+  queue(filepath) {
+    if (this.roots.every(root => !isInside(filepath, root.basePath) && filepath !== root.basePath)) return;
+
+    this.pending.add(filepath);
+    this.lastEventAt = new Date().toISOString();
+    if (!this.firstPendingAt) this.firstPendingAt = Date.now();
+
+    clearTimeout(this.timer);
+    const wait = Math.min(DEBOUNCE_MS, Math.max(0, this.firstPendingAt + MAX_WAIT_MS - Date.now()));
+    this.timer = setTimeout(() => this.flush(), wait);
+  }
+
+  flush() {
+    this.timer = null;
+    this.firstPendingAt = null;
+    const paths = [...this.pending];
+    this.pending.clear();
+    if (paths.length > 0) this.sync(this.expand(paths));
+  }
+
+  /**
+   * Event paths to the files they concern: a folder event (a folder renamed,
+   * moved or deleted) stands for every file in it, on disk or in the database
+   */
+  expand(paths) {
+    const db = getDb();
+    const files = new Set();
+
+    for (const p of paths) {
+      if (p.endsWith('.md')) {
+        files.add(p);
+        continue;
+      }
+      if (fs.existsSync(p) && fs.statSync(p).isDirectory()) {
+        listMarkdownFiles(p).forEach(f => files.add(f));
+      }
+      documentPathsUnder(db, p).forEach(f => files.add(f));
+    }
+    return [...files].filter(f => {
+      const root = this.rootFor(f);
+      return root && !isHidden(f, root.basePath);
+    });
+  }
+
+  /**
+   * Compare every file and document under the watched folders
+   * @returns {object} counts of this scan: { created, updated, moved, deleted, errors }
+   */
+  scan() {
+    const db = getDb();
+    if (!db) return null;
+
+    const files = new Set();
+    for (const root of this.roots.filter(r => r.watching)) {
+      listMarkdownFiles(root.basePath).forEach(f => files.add(f));
+      documentPathsUnder(db, root.basePath).forEach(f => files.add(f));
+    }
+
+    const before = { ...this.counts };
+    this.sync(this.expand([...files]));
+    this.lastScanAt = new Date().toISOString();
+    this.lastScan = Object.fromEntries(Object.keys(this.counts).map(key => [key, this.counts[key] - before[key]]));
+    console.log(`[Watcher] Scan: ${JSON.stringify(this.lastScan)}`);
+    return this.lastScan;
+  }
+
+  /**
+   * RTE a file belongs to: the one with the most specific base path
+   */
+  rootFor(filepath) {
+    return this.roots
+      .filter(root => root.watching && isInside(filepath, root.basePath))
+      .sort((a, b) => b.basePath.length - a.basePath.length)[0] || null;
+  }
+
+  /**
+   * Reconcile files with rte_documents and the search index
+   * @param {string[]} filepaths
+   */
+  sync(filepaths) {
+    const db = getDb();
+    const vectorSearch = getVectorSearch();
+    if (!db || filepaths.length === 0) return;
+
+    this.isSyncing = true;
+    const created = [];
+    const gone = [];
+
+    try {
+      for (const filepath of filepaths) {
+        try {
+          const root = this.rootFor(filepath);
+          if (!root) continue;
+          const doc = db.prepare('SELECT * FROM rte_documents WHERE filepath = ? ORDER BY id DESC LIMIT 1').get(filepath);
+          const exists = fs.existsSync(filepath) && fs.statSync(filepath).isFile();
+
+          if (!exists) {
+            if (doc && !doc.deleted_at) gone.push(doc);
+            else if (vectorSearch.isIndexed(filepath)) vectorSearch.deleteFile(filepath);
+            continue;
+          }
+
+          const text = fs.readFileSync(filepath, 'utf-8');
+          const parsed = parseDocumentFile(text);
+          if (!doc) {
+            created.push({ filepath, root, text, parsed });
+          } else if (doc.deleted_at) {
+            refreshDocument(db, doc, { title: parsed.title, content: parsed.body, fullContent: text, source: 'watcher' });
+            this.record('created', filepath, `document ${doc.id} back`);
+          } else if (syncDocumentFile(db, doc, text, 'watcher')) {
+            this.record('updated', filepath);
+          } else if (!vectorSearch.isIndexed(filepath)) {
+            // Moved by the app (monthly archive) or indexed before the search database existed
+            vectorSearch.indexDocument({ filepath, content: text, rteId: doc.rte_id });
+          }
+        } catch (error) {
+          this.record('error', filepath, error.message);
+        }
+      }
+
+      const missing = new Map();   // RTE id -> documents whose file is gone
+      for (const file of created) {
+        try {
+          const rteId = file.root.rte.id;
+          if (!missing.has(rteId)) {
+            missing.set(rteId, this.missingDocuments(db, rteId).filter(doc => !gone.some(g => g.id === doc.id)));
+          }
+          // Same or similar text under a new path: moved (and maybe edited), not new
+          const moved = this.findMovedDocument(gone, file) || this.findMovedDocument(missing.get(rteId), file);
+          if (moved) {
+            const candidates = gone.includes(moved) ? gone : missing.get(rteId);
+            candidates.splice(candidates.indexOf(moved), 1);
+            this.move(db, moved, file);
+          } else {
+            this.register(db, file);
+          }
+        } catch (error) {
+          this.record('error', file.filepath, error.message);
+        }
+      }
+
+      for (const doc of gone) {
+        try {
+          this.remove(db, doc);
+        } catch (error) {
+          this.record('error', doc.filepath, error.message);
+        }
+      }
+    } finally {
+      this.isSyncing = false;
+      this.lastSyncAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Content type of a new file: its frontmatter type (name or alias), else the
+   * folder it is in, else artifact
+   */
+  contentTypeFor(db, file) {
+    const types = db.prepare('SELECT * FROM content_types WHERE is_active = 1 ORDER BY sort_order').all();
+    const declared = typeof file.parsed.meta.type === 'string' ? file.parsed.meta.type.toLowerCase() : null;
+
+    if (declared) {
+      const match = types.find(t => t.name.toLowerCase() === declared
+        || (t.aliases || '').split(',').map(a => a.trim().toLowerCase()).includes(declared));
+      if (match) return match;
+    }
+
+    const relative = path.relative(file.root.basePath, file.filepath).split(path.sep).join('/');
+    const byFolder = Object.entries(CONTENT_TYPE_FOLDERS).find(([, folder]) => relative.startsWith(`${folder}/`));
+    const name = byFolder ? byFolder[0] : 'artifact';
+    return types.find(t => t.name === name) || types[0];
+  }
+
+  /**
+   * Live documents of an RTE whose file no longer exists
+   */
+  missingDocuments(db, rteId) {
+    return db.prepare('SELECT * FROM rte_documents WHERE rte_id = ? AND deleted_at IS NULL').all(rteId)
+      .filter(doc => doc.filepath && !fs.existsSync(doc.filepath));
+  }
+
+  /**
+   * Document among candidates whose file is gone that the new file is most
+   * like, if any is a near duplicate of it
+   */
+  findMovedDocument(gone, file) {
+    let best = null;
+    let bestSimilarity = -1;
+    for (const doc of gone) {
+      const { similarity, near } = compareContents(doc.raw_content || '', file.parsed.body);
+      if (near && similarity > bestSimilarity) {
+        best = doc;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  }
+
+  register(db, file) {
+    const { meta, title, body } = file.parsed;
+    const filename = path.basename(file.filepath);
+    const dated = filename.match(/^(\d{4}-\d{2}-\d{2})/);
+    const metaDate = typeof meta.date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(meta.date) ? meta.date.substring(0, 10) : null;
+
+    const documentId = registerDocument(db, {
+      rte: file.root.rte,
+      contentTypeRow: this.contentTypeFor(db, file),
+      filepath: file.filepath,
+      category: path.relative(file.root.basePath, path.dirname(file.filepath)).split(path.sep).join('/'),
+      title: title || filename.replace(/\.md$/, ''),
+      content: body,
+      fullContent: file.text,
+      date: metaDate || (dated ? dated[1] : extractDateFromContent(body)),
+      semanticTags: asList(meta.tags),
+      projectTags: asList(meta.projects),
+      personTags: asList(meta.people),
+      source: 'watcher'
+    });
+    this.record('created', file.filepath, `document ${documentId}`);
+  }
+
+  /**
+   * Point a document at its new path; text edited on the way goes through
+   * the same refresh as any other edit
+   */
+  move(db, doc, file) {
+    const rteId = file.root.rte.id;
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE rte_documents SET filepath = ?, filename = ?, rte_id = ?, updated_at = datetime('now') WHERE id = ?
+      `).run(file.filepath, path.basename(file.filepath), rteId, doc.id);
+      db.prepare('UPDATE semantic_markers SET rte_id = ? WHERE document_id = ?').run(rteId, doc.id);
+    })();
+
+    const vectorSearch = getVectorSearch();
+    vectorSearch.deleteFile(doc.filepath);
+    const movedDoc = db.prepare('SELECT * FROM rte_documents WHERE id = ?').get(doc.id);
+    const edited = syncDocumentFile(db, movedDoc, file.text, 'watcher');
+    if (!edited) {
+      vectorSearch.indexDocument({ filepath: file.filepath, content: file.text, rteId });
+    }
+    this.record('moved', file.filepath, `from ${doc.filepath}${edited ? ', edited' : ''}`);
+  }
+
+  /**
+   * Soft-delete the document rows of a removed file
+   *
+   * Tags and queue entries go and markers are retired, keeping their owner,
+   * due date, severity and responses in the register's retired view. The
+   * row stays with deleted_at set, and its version history with it.
+   */
+  remove(db, doc) {
+    const ids = db.prepare('SELECT id FROM rte_documents WHERE filepath = ? AND deleted_at IS NULL').all(doc.filepath).map(r => r.id);
+    const removeDocuments = db.transaction(documentIds => {
+      for (const id of documentIds) {
+        db.prepare(`
+          UPDATE semantic_markers SET retired_at = datetime('now') WHERE document_id = ? AND retired_at IS NULL
+        `).run(id);
+        db.prepare('DELETE FROM document_tags WHERE document_id = ?').run(id);
+        db.prepare('DELETE FROM extraction_queue WHERE document_id = ?').run(id);
+        db.prepare(`
+          UPDATE rte_documents SET deleted_at = datetime('now'), updated_at = datetime('now') WHERE id = ?
+        `).run(id);
+      }
+    });
+    removeDocuments(ids);
+
+    getVectorSearch().deleteFile(doc.filepath);
+    this.record('deleted', doc.filepath);
+  }
+
+  record(action, filepath, detail = null) {
+    this.counts[action === 'error' ? 'errors' : action]++;
+    this.recent.unshift({ action, filepath, detail, at: new Date().toISOString() });
+    this.recent.length = Math.min(this.recent.length, RECENT_LIMIT);
+    if (action === 'error') {
+      console.error(`[Watcher] ${filepath}: ${detail}`);
+    } else {
+      console.log(`[Watcher] ${action}: ${filepath}${detail ? ` (${detail})` : ''}`);
+    }
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      roots: this.roots.map(root => ({
+        rteId: root.rte.id,
+        rteName: root.rte.name,
+        basePath: root.basePath,
+        watching: root.watching,
+        error: root.error
+      })),
+      pending: this.pending.size,
+      isSyncing: this.isSyncing,
+      lastEventAt: this.lastEventAt,
+      lastSyncAt: this.lastSyncAt,
+      lastScanAt: this.lastScanAt,
+      lastScan: this.lastScan || null,
+      counts: this.counts,
+      recent: this.recent
+    };
+  }
+}
+
+module.exports = new WorkspaceWatcher();
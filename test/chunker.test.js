@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chunkMarkdown } = require('../services/chunker');
+
+const frontmatter = '---\ndate: 2026-03-02\ntype: meeting\ntags: [budget, hosting]\n---\n';
+const text = `${frontmatter}# Vendor sync\n\nWe compared the two hosting offers.\n\ndecision: go with vendor X //\n\n## Next steps\n\nClara drafts the contract.\n`;
+
+test('no chunk contains the frontmatter', () => {
+  const chunks = chunkMarkdown(text, 'vendor-sync.md');
+  assert.ok(chunks.length > 0);
+  for (const chunk of chunks) {
+    assert.ok(!chunk.content.includes('---'), chunk.content);
+    assert.ok(!chunk.content.includes('tags: ['), chunk.content);
+  }
+  assert.strictEqual(chunks[0].section, 'Vendor sync');
+});
+
+test('chunks after frontmatter keep exact offsets and lines', () => {
+  const lines = text.split('\n');
+  for (const chunk of chunkMarkdown(text, 'vendor-sync.md', { maxTokens: 12, overlapTokens: 0 })) {
+    assert.strictEqual(text.substring(chunk.startOffset, chunk.endOffset), chunk.content);
+    assert.strictEqual(lines[chunk.startLine - 1], chunk.content.split('\n')[0]);
+  }
+  assert.strictEqual(chunkMarkdown(text, 'vendor-sync.md')[0].startLine, 6);
+});
+
+test('a file holding only frontmatter has no chunks', () => {
+  assert.deepStrictEqual(chunkMarkdown(frontmatter, 'empty.md'), []);
+});
@@ -0,0 +1,8 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToMarkdown } = require('../services/file-text');
+
+test('an HTML table becomes a Markdown table with a header separator', () => {
+  const html = '<table><tr><th>Team</th><th>Owner</th></tr><tr><td>Payments</td><td>Clara &amp; Bob</td></tr></table>';
+  assert.strictEqual(htmlToMarkdown(html), '| Team | Owner |\n| --- | --- |\n| Payments | Clara & Bob |');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A workspace of its own: the database lives under HOME
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'poai-import-'));
+process.env.HOME = home;
+process.env.INCOMING_FOLDER = path.join(home, 'incoming');
+fs.mkdirSync(process.env.INCOMING_FOLDER);
+
+const { initDb, getDb } = require('../db/connection');
+const { startImportBatch, getImportBatch } = require('../services/incoming-import');
+
+initDb();
+
+test.after(() => {
+  getDb().close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+async function finished(batchId) {
+  for (;;) {
+    const batch = getImportBatch(batchId);
+    if (batch.status !== 'running') return batch;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('a file with only a date line is skipped, not imported empty', async () => {
+  const db = getDb();
+  const file = path.join(process.env.INCOMING_FOLDER, '2026-02-13 Log.md');
+  fs.writeFileSync(file, 'Date: 2026-02-13\n');
+  const rteId = db.prepare('SELECT id FROM rtes ORDER BY id LIMIT 1').get().id;
+  const before = db.prepare('SELECT COUNT(*) AS n FROM rte_documents').get().n;
+
+  const batch = await finished(startImportBatch({ paths: [file], rteId }).id);
+
+  assert.strictEqual(batch.files[0].status, 'skipped');
+  assert.strictEqual(batch.files[0].reason, 'No text to import');
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM rte_documents').get().n, before);
+  assert.ok(fs.existsSync(file), 'the source stays in the incoming folder');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTemporal, stripTemporal } = require('../services/temporal-parser');
+
+const now = new Date(2026, 9, 19);
+
+/**
+ * What Search does with q when no dates are given
+ */
+function plainSearch(q) {
+  const dateRange = parseTemporal(q, { now });
+  return { dateRange, queryText: stripTemporal(q, dateRange) || q };
+}
+
+test('a possible date in a plain search stays a search term', () => {
+  for (const q of ['Q3 roadmap', 'in April', 'notes of Q3', 'release train Q3', 'status of 2024 budget']) {
+    assert.deepStrictEqual(plainSearch(q), { dateRange: null, queryText: q }, q);
+  }
+});
+
+test('an operator or relative period in a plain search filters', () => {
+  const since = plainSearch('risks since Q3');
+  assert.strictEqual(since.dateRange.start, '2026-07-01');
+  assert.strictEqual(since.dateRange.end, '2026-10-19');
+  assert.strictEqual(since.queryText, 'risks');
+
+  const between = plainSearch('decisions between January and March');
+  assert.deepStrictEqual([between.dateRange.start, between.dateRange.end], ['2026-01-01', '2026-03-31']);
+
+  const lastWeek = plainSearch('vorige week blockers');
+  assert.deepStrictEqual([lastWeek.dateRange.start, lastWeek.dateRange.end], ['2026-10-12', '2026-10-18']);
+  assert.strictEqual(lastWeek.queryText, 'blockers');
+});
+
+test('a when field is read as a date on its own', () => {
+  const q3 = parseTemporal('Q3', { now, explicit: true });
+  assert.deepStrictEqual([q3.start, q3.end], ['2026-07-01', '2026-09-30']);
+
+  const april = parseTemporal('in April', { now, explicit: true });
+  assert.deepStrictEqual([april.start, april.end], ['2026-04-01', '2026-04-30']);
+});